@@ -0,0 +1,119 @@
+import path from 'path';
+import babel from 'babel-core';
+
+// The ES modules and the browser bundle are generated from the sources (`npm run build`)
+const input = path.resolve('src/token.js');
+
+// Node.js modules that are replaced in the browser builds
+const browserReplacements = {
+  './jwt': 'src/browser/jwt.js',
+  zlib: 'src/browser/zlib.js',
+};
+
+/**
+ * Convert a source module to an ES module
+ * The sources only use top-level `const x = require('x')`, `const { a, b } = require('x')` and `module.exports = { ... }` statements,
+ * which are converted to static imports and named exports so that bundlers can tree-shake the package.
+ *
+ * @param {string} code
+ * @param {string} id
+ * @return {string}
+ */
+function toESModule(code, id) {
+  const esCode = code
+    .replace(
+      /^const (\w+) = require\('([^']+)'\);$/gm,
+      (statement, name, source) => `import * as ${name} from '${source}';`
+    )
+    .replace(
+      /^const \{([^}]+)\} = require\('([^']+)'\);$/gm,
+      (statement, names, source) => `import {${names}} from '${source}';`
+    )
+    .replace(/^module\.exports = \{\n([^}]*)\n\};$/m, (statement, properties) => properties
+      .split('\n')
+      .map((property) => {
+        const [, name, value] = property.match(/^ {2}(\w+)(?:: (.+))?,$/) || [];
+
+        if (!name) {
+          throw new Error(`Unsupported export "${property.trim()}" in ${id}`);
+        }
+
+        return value ? `export const ${name} = ${value};` : `export { ${name} };`;
+      })
+      .join('\n'));
+
+  if (/\brequire\(|\bmodule\.exports\b|\bexports\./.test(esCode)) {
+    throw new Error(`Unsupported CommonJS statement in ${id}`);
+  }
+
+  return esCode;
+}
+
+function esModules() {
+  return {
+    name: 'es-modules',
+    transform(code, id) {
+      if (!id.startsWith(path.resolve('src'))) {
+        return null;
+      }
+
+      // Transpiled with the babel configuration of the CommonJS build (`.babelrc` keeps the modules)
+      const { code: esCode, map } = babel.transform(toESModule(code, id), {
+        filename: id,
+        sourceMaps: true,
+      });
+
+      return { code: esCode, map };
+    },
+  };
+}
+
+function browserModules() {
+  return {
+    name: 'browser-modules',
+    resolveId(source) {
+      if (browserReplacements.hasOwnProperty(source)) {
+        return path.resolve(browserReplacements[source]);
+      }
+
+      return null;
+    },
+  };
+}
+
+// One file per source module so that every export is a static binding
+const esOutput = dir => ({
+  dir,
+  format: 'es',
+  preserveModules: true,
+  preserveModulesRoot: 'src',
+  entryFileNames: '[name].mjs',
+});
+
+export default [
+  // ES modules for node.js
+  {
+    input,
+    external: ['crypto', 'fs', 'zlib'],
+    plugins: [esModules()],
+    output: esOutput('dist/esm'),
+  },
+
+  // ES modules for the bundlers targeting browsers
+  {
+    input,
+    plugins: [browserModules(), esModules()],
+    output: esOutput('dist/esm-browser'),
+  },
+
+  // Standalone browser bundle exposing the `ConsentWebToken` global
+  {
+    input,
+    plugins: [browserModules(), esModules()],
+    output: {
+      file: 'dist/cwt.browser.js',
+      format: 'umd',
+      name: 'ConsentWebToken',
+    },
+  },
+];
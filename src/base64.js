@@ -0,0 +1,52 @@
+/**
+ * Base64 encoding (RFC 4648) of binary strings (one character per byte)
+ *
+ * `btoa`/`atob` are used when they are available (browsers and node.js 16+) and `Buffer` otherwise so that no dependency is required.
+ */
+
+/* global atob, btoa */
+
+/**
+ * Encode a binary string as base64
+ *
+ * @param {string} input
+ * @return {string}
+ * @throws {Error} If the string has characters outside of the Latin-1 range
+ */
+function encode(input) {
+  if (typeof btoa === 'function') {
+    return btoa(input);
+  }
+
+  if (input.split('').some(character => character.charCodeAt(0) > 0xff)) {
+    throw new Error('The string to encode contains characters outside of the Latin-1 range');
+  }
+
+  return Buffer.from(input, 'latin1').toString('base64');
+}
+
+/**
+ * Decode a base64 string into a binary string
+ *
+ * @param {string} input
+ * @return {string}
+ * @throws {Error} If the string is not valid base64
+ */
+function decode(input) {
+  if (typeof atob === 'function') {
+    return atob(input);
+  }
+
+  const base64String = String(input).replace(/[\t\n\f\r ]/g, '');
+
+  if (base64String.length % 4 === 1 || !/^[A-Za-z0-9+/]*={0,2}$/.test(base64String)) {
+    throw new Error('The string to decode is not valid base64');
+  }
+
+  return Buffer.from(base64String, 'base64').toString('latin1');
+}
+
+module.exports = {
+  decode,
+  encode,
+};
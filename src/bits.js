@@ -0,0 +1,262 @@
+/**
+ * Helpers for reading and writing the bit strings used by IAB consent strings (TCF, GPP)
+ * Bit strings are handled as strings of `0` and `1` characters.
+ */
+
+const base64UrlAlphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Encode an integer as a fixed-length bit string
+ *
+ * @param {number} value
+ * @param {number} length Number of bits
+ * @return {string}
+ */
+function encodeInt(value, length) {
+  const bits = Math.floor(value || 0).toString(2);
+
+  if (bits.length > length) {
+    throw new Error(`Value ${value} does not fit in ${length} bits`);
+  }
+
+  return '0'.repeat(length - bits.length) + bits;
+}
+
+/**
+ * Encode a boolean as a single bit
+ *
+ * @param {boolean} value
+ * @return {string}
+ */
+function encodeBool(value) {
+  return value ? '1' : '0';
+}
+
+/**
+ * Encode a list of IDs as a fixed-length bit field (the first bit is ID 1)
+ *
+ * @param {number[]} ids
+ * @param {number} length Number of bits
+ * @return {string}
+ */
+function encodeBitField(ids, length) {
+  let bits = '';
+
+  for (let id = 1; id <= length; id += 1) {
+    bits += encodeBool(ids.indexOf(id) !== -1);
+  }
+
+  return bits;
+}
+
+/**
+ * Convert a bit string into a base64url string
+ * The bit string is padded to a full byte as required by the TCF specification.
+ *
+ * @param {string} bits
+ * @return {string}
+ */
+function bitsToBase64Url(bits) {
+  bits += '0'.repeat((8 - (bits.length % 8)) % 8);
+  bits += '0'.repeat((6 - (bits.length % 6)) % 6);
+
+  let output = '';
+
+  for (let i = 0; i < bits.length; i += 6) {
+    output += base64UrlAlphabet[parseInt(bits.substr(i, 6), 2)];
+  }
+
+  return output;
+}
+
+/**
+ * Convert a base64url string into a bit string
+ *
+ * @param {string} base64UrlString
+ * @return {string|null} The bit string or null if the string contains invalid characters
+ */
+function base64UrlToBits(base64UrlString) {
+  let bits = '';
+
+  for (let i = 0; i < base64UrlString.length; i += 1) {
+    const value = base64UrlAlphabet.indexOf(base64UrlString[i]);
+
+    if (value === -1) {
+      return null;
+    }
+
+    bits += encodeInt(value, 6);
+  }
+
+  return bits;
+}
+
+/**
+ * Encode binary data as a base64url string without padding
+ *
+ * @param {Uint8Array|number[]} bytes
+ * @return {string}
+ */
+function bytesToBase64Url(bytes) {
+  let bits = '';
+
+  for (let i = 0; i < bytes.length; i += 1) {
+    bits += encodeInt(bytes[i], 8);
+  }
+
+  return bitsToBase64Url(bits);
+}
+
+/**
+ * Decode a base64url string without padding into binary data
+ *
+ * @param {string} base64UrlString
+ * @return {Uint8Array|null} The binary data or null if the string contains invalid characters
+ */
+function base64UrlToBytes(base64UrlString) {
+  const bits = base64UrlToBits(base64UrlString);
+
+  if (bits === null) {
+    return null;
+  }
+
+  const bytes = new Uint8Array(Math.floor(bits.length / 8));
+
+  for (let i = 0; i < bytes.length; i += 1) {
+    bytes[i] = parseInt(bits.substr(i * 8, 8), 2);
+  }
+
+  return bytes;
+}
+
+/**
+ * Sequential reader of a bit string
+ */
+class BitReader {
+  /**
+   * @param {string} bits
+   */
+  constructor(bits) {
+    this.bits = bits;
+    this.position = 0;
+  }
+
+  /**
+   * Read a fixed-length integer
+   *
+   * @param {number} length Number of bits
+   * @return {number}
+   */
+  readInt(length) {
+    if (this.position + length > this.bits.length) {
+      throw new Error('Unexpected end of bit string');
+    }
+
+    const value = parseInt(this.bits.substr(this.position, length), 2);
+    this.position += length;
+
+    return value;
+  }
+
+  /**
+   * Read a single bit as a boolean
+   *
+   * @return {boolean}
+   */
+  readBool() {
+    return this.readInt(1) === 1;
+  }
+
+  /**
+   * Read a fixed-length bit field
+   *
+   * @param {number} length Number of bits
+   * @return {number[]} The list of IDs whose bit is set
+   */
+  readBitField(length) {
+    const ids = [];
+
+    for (let id = 1; id <= length; id += 1) {
+      if (this.readBool()) {
+        ids.push(id);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Read a Fibonacci-encoded integer
+   *
+   * @return {number}
+   */
+  readFibonacci() {
+    const fibonacci = [1, 2];
+    let value = 0;
+    let previousBit = false;
+
+    for (let index = 0; index < 64; index += 1) {
+      const bit = this.readBool();
+
+      if (bit && previousBit) {
+        return value;
+      }
+
+      if (index >= fibonacci.length) {
+        fibonacci.push(fibonacci[index - 1] + fibonacci[index - 2]);
+      }
+
+      if (bit) {
+        value += fibonacci[index];
+      }
+
+      previousBit = bit;
+    }
+
+    throw new Error('Invalid Fibonacci-encoded integer');
+  }
+}
+
+/**
+ * Encode a positive integer with Fibonacci coding (Zeckendorf representation ending with `11`)
+ *
+ * @param {number} value
+ * @return {string}
+ */
+function encodeFibonacci(value) {
+  if (value < 1) {
+    throw new Error(`Value ${value} cannot be Fibonacci-encoded`);
+  }
+
+  const fibonacci = [1, 2];
+
+  while (fibonacci[fibonacci.length - 1] <= value) {
+    fibonacci.push(fibonacci[fibonacci.length - 1] + fibonacci[fibonacci.length - 2]);
+  }
+
+  const bits = [];
+  let remainder = value;
+
+  for (let i = fibonacci.length - 1; i >= 0; i -= 1) {
+    if (fibonacci[i] <= remainder) {
+      bits[i] = '1';
+      remainder -= fibonacci[i];
+    } else {
+      bits[i] = '0';
+    }
+  }
+
+  return `${bits.join('').replace(/0+$/, '')}1`;
+}
+
+module.exports = {
+  BitReader,
+  base64UrlToBits,
+  base64UrlToBytes,
+  bitsToBase64Url,
+  bytesToBase64Url,
+  encodeBitField,
+  encodeBool,
+  encodeFibonacci,
+  encodeInt,
+};
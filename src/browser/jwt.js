@@ -0,0 +1,18 @@
+/**
+ * Replacement of the JWT module in the browser bundle
+ *
+ * Signing and verifying JWTs relies on the node.js `crypto` module, which has no synchronous equivalent in browsers. Tokens must be signed and verified on the server.
+ */
+
+/**
+ * @throws {Error}
+ */
+function unsupported() {
+  throw new Error('JWTs are not supported in the browser bundle, sign and verify tokens on the server');
+}
+
+module.exports = {
+  loadJWKS: unsupported,
+  sign: unsupported,
+  verify: unsupported,
+};
@@ -0,0 +1,20 @@
+/**
+ * Replacement of the node.js `zlib` module in the browser bundle
+ *
+ * Browsers only provide asynchronous compression streams: compressed transport strings cannot be generated in the browser and are rejected by the parsers.
+ * Use the uncompressed transport strings (or bundle the package yourself with a `zlib` polyfill) instead.
+ */
+
+/**
+ * @throws {Error}
+ */
+function unsupported() {
+  throw new Error('Compression is not supported in the browser bundle');
+}
+
+module.exports = {
+  deflateSync: unsupported,
+  gunzipSync: unsupported,
+  gzipSync: unsupported,
+  inflateSync: unsupported,
+};
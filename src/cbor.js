@@ -0,0 +1,535 @@
+/**
+ * Binary encoding of tokens with CBOR (RFC 8949)
+ *
+ * The CBOR encoder and decoder only support the data types used by tokens: integers, floats, text strings, byte strings, arrays, maps, booleans, null and undefined.
+ * Encoded data is returned as a `Uint8Array` and decoding accepts any `Uint8Array` (including node.js buffers) so that the same code runs in node.js and in browsers.
+ */
+
+/* global TextDecoder, TextEncoder */
+
+const MajorTypes = {
+  UnsignedInteger: 0,
+  NegativeInteger: 1,
+  ByteString: 2,
+  TextString: 3,
+  Array: 4,
+  Map: 5,
+  Tag: 6,
+  SimpleOrFloat: 7,
+};
+
+const SimpleValues = {
+  False: 20,
+  True: 21,
+  Null: 22,
+  Undefined: 23,
+};
+
+/**
+ * Write the head of a data item (major type and argument)
+ *
+ * @param {number[]} bytes The output bytes
+ * @param {number} majorType
+ * @param {number} argument A non-negative integer
+ */
+function writeHead(bytes, majorType, argument) {
+  // The major type is stored in the 3 high bits of the initial byte
+  const type = majorType * 32;
+
+  if (argument < 24) {
+    bytes.push(type + argument);
+  } else if (argument < 0x100) {
+    bytes.push(type + 24, argument);
+  } else if (argument < 0x10000) {
+    bytes.push(type + 25, Math.floor(argument / 0x100), argument % 0x100);
+  } else if (argument < 0x100000000) {
+    bytes.push(type + 26);
+
+    for (let shift = 24; shift >= 0; shift -= 8) {
+      bytes.push(Math.floor(argument / (2 ** shift)) % 0x100);
+    }
+  } else {
+    const high = Math.floor(argument / 0x100000000);
+    const low = argument % 0x100000000;
+
+    bytes.push(type + 27);
+
+    [high, low].forEach((word) => {
+      for (let shift = 24; shift >= 0; shift -= 8) {
+        bytes.push(Math.floor(word / (2 ** shift)) % 0x100);
+      }
+    });
+  }
+}
+
+/**
+ * Write a number as an integer if possible or as a double-precision float
+ *
+ * @param {number[]} bytes The output bytes
+ * @param {number} value
+ */
+function writeNumber(bytes, value) {
+  if (Number.isSafeInteger(value)) {
+    if (value >= 0) {
+      writeHead(bytes, MajorTypes.UnsignedInteger, value);
+    } else {
+      writeHead(bytes, MajorTypes.NegativeInteger, -1 - value);
+    }
+
+    return;
+  }
+
+  const view = new DataView(new ArrayBuffer(8));
+  view.setFloat64(0, value);
+
+  bytes.push((MajorTypes.SimpleOrFloat * 32) + 27);
+
+  for (let i = 0; i < 8; i += 1) {
+    bytes.push(view.getUint8(i));
+  }
+}
+
+/**
+ * Write a data item
+ *
+ * @param {number[]} bytes The output bytes
+ * @param {*} value
+ */
+function writeValue(bytes, value) {
+  if (value === undefined) {
+    bytes.push((MajorTypes.SimpleOrFloat * 32) + SimpleValues.Undefined);
+  } else if (value === null) {
+    bytes.push((MajorTypes.SimpleOrFloat * 32) + SimpleValues.Null);
+  } else if (typeof value === 'boolean') {
+    bytes.push((MajorTypes.SimpleOrFloat * 32) + (value ? SimpleValues.True : SimpleValues.False));
+  } else if (typeof value === 'number') {
+    writeNumber(bytes, value);
+  } else if (typeof value === 'string') {
+    const encoded = new TextEncoder().encode(value);
+
+    writeHead(bytes, MajorTypes.TextString, encoded.length);
+    encoded.forEach(byte => bytes.push(byte));
+  } else if (value instanceof Uint8Array) {
+    writeHead(bytes, MajorTypes.ByteString, value.length);
+    value.forEach(byte => bytes.push(byte));
+  } else if (Array.isArray(value)) {
+    writeHead(bytes, MajorTypes.Array, value.length);
+    value.forEach(item => writeValue(bytes, item));
+  } else if (value instanceof Map) {
+    writeHead(bytes, MajorTypes.Map, value.size);
+    value.forEach((item, key) => {
+      writeValue(bytes, key);
+      writeValue(bytes, item);
+    });
+  } else if (typeof value === 'object') {
+    const keys = Object.keys(value);
+
+    writeHead(bytes, MajorTypes.Map, keys.length);
+    keys.forEach((key) => {
+      writeValue(bytes, key);
+      writeValue(bytes, value[key]);
+    });
+  } else {
+    throw new Error(`Unsupported CBOR value ${value}`);
+  }
+}
+
+/**
+ * Encode a value as CBOR
+ * Objects are encoded as maps with text keys. Use a `Map` for maps with integer keys.
+ *
+ * @param {*} value
+ * @return {Uint8Array}
+ */
+function encode(value) {
+  const bytes = [];
+
+  writeValue(bytes, value);
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decode a half-precision float
+ *
+ * @param {number} half
+ * @return {number}
+ */
+function decodeHalfFloat(half) {
+  // 1 sign bit, 5 exponent bits and 10 mantissa bits
+  const exponent = Math.floor(half / 0x400) % 0x20;
+  const mantissa = half % 0x400;
+  const sign = half >= 0x8000 ? -1 : 1;
+
+  if (exponent === 0) {
+    return sign * (2 ** -14) * (mantissa / 1024);
+  }
+
+  if (exponent === 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+
+  return sign * (2 ** (exponent - 15)) * (1 + (mantissa / 1024));
+}
+
+/**
+ * Sequential reader of CBOR data items
+ */
+class CBORReader {
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.position = 0;
+  }
+
+  /**
+   * Move forward and return the position of the skipped bytes
+   *
+   * @param {number} length Number of bytes
+   * @return {number}
+   */
+  skip(length) {
+    if (this.position + length > this.bytes.length) {
+      throw new Error('Unexpected end of CBOR data');
+    }
+
+    const position = this.position;
+    this.position += length;
+
+    return position;
+  }
+
+  /**
+   * Read the argument of a data item
+   *
+   * @param {number} additionalInformation The low 5 bits of the initial byte
+   * @return {number}
+   */
+  readArgument(additionalInformation) {
+    if (additionalInformation < 24) {
+      return additionalInformation;
+    }
+
+    if (additionalInformation === 24) {
+      return this.view.getUint8(this.skip(1));
+    }
+
+    if (additionalInformation === 25) {
+      return this.view.getUint16(this.skip(2));
+    }
+
+    if (additionalInformation === 26) {
+      return this.view.getUint32(this.skip(4));
+    }
+
+    if (additionalInformation === 27) {
+      const position = this.skip(8);
+      const value = (this.view.getUint32(position) * 0x100000000)
+        + this.view.getUint32(position + 4);
+
+      if (!Number.isSafeInteger(value)) {
+        throw new Error('CBOR integer is too large');
+      }
+
+      return value;
+    }
+
+    // Indefinite lengths are not used by tokens
+    throw new Error(`Unsupported CBOR additional information ${additionalInformation}`);
+  }
+
+  /**
+   * Read a simple value or a float
+   *
+   * @param {number} additionalInformation The low 5 bits of the initial byte
+   * @return {*}
+   */
+  readSimpleOrFloat(additionalInformation) {
+    switch (additionalInformation) {
+      case SimpleValues.False:
+        return false;
+      case SimpleValues.True:
+        return true;
+      case SimpleValues.Null:
+        return null;
+      case SimpleValues.Undefined:
+        return undefined;
+      case 25:
+        return decodeHalfFloat(this.view.getUint16(this.skip(2)));
+      case 26:
+        return this.view.getFloat32(this.skip(4));
+      case 27:
+        return this.view.getFloat64(this.skip(8));
+      default:
+        throw new Error(`Unsupported CBOR simple value ${additionalInformation}`);
+    }
+  }
+
+  /**
+   * Read a data item
+   * Maps are returned as objects.
+   *
+   * @return {*}
+   */
+  readValue() {
+    const initialByte = this.view.getUint8(this.skip(1));
+    const majorType = Math.floor(initialByte / 32);
+    const additionalInformation = initialByte % 32;
+
+    if (majorType === MajorTypes.SimpleOrFloat) {
+      return this.readSimpleOrFloat(additionalInformation);
+    }
+
+    const argument = this.readArgument(additionalInformation);
+
+    switch (majorType) {
+      case MajorTypes.UnsignedInteger:
+        return argument;
+      case MajorTypes.NegativeInteger:
+        return -1 - argument;
+      case MajorTypes.ByteString: {
+        const position = this.skip(argument);
+        return this.bytes.slice(position, position + argument);
+      }
+      case MajorTypes.TextString: {
+        const position = this.skip(argument);
+        return new TextDecoder('utf-8', { fatal: true })
+          .decode(this.bytes.subarray(position, position + argument));
+      }
+      case MajorTypes.Array: {
+        const items = [];
+
+        for (let i = 0; i < argument; i += 1) {
+          items.push(this.readValue());
+        }
+
+        return items;
+      }
+      case MajorTypes.Map: {
+        const object = {};
+
+        for (let i = 0; i < argument; i += 1) {
+          const key = this.readValue();
+          object[key] = this.readValue();
+        }
+
+        return object;
+      }
+      default:
+        // Tags are ignored and the tagged value is returned
+        return this.readValue();
+    }
+  }
+}
+
+/**
+ * Convert binary data into a `Uint8Array`
+ *
+ * @param {Uint8Array|ArrayBuffer|number[]} data
+ * @return {Uint8Array}
+ */
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+
+  if (data instanceof ArrayBuffer || Array.isArray(data)) {
+    return new Uint8Array(data);
+  }
+
+  throw new Error('CBOR data must be a Uint8Array, a Buffer or an ArrayBuffer');
+}
+
+/**
+ * Decode a CBOR data item
+ * Maps are decoded as objects (integer keys are converted to strings).
+ *
+ * @param {Uint8Array|ArrayBuffer|number[]} data The encoded data (a node.js `Buffer` is a `Uint8Array`)
+ * @return {*}
+ * @throws {Error} If the data is not valid CBOR or has trailing bytes
+ */
+function decode(data) {
+  const reader = new CBORReader(toUint8Array(data));
+  const value = reader.readValue();
+
+  if (reader.position !== reader.bytes.length) {
+    throw new Error('Unexpected trailing bytes after CBOR data');
+  }
+
+  return value;
+}
+
+/**
+ * Integer keys of the token fields in the CBOR map
+ * Positive keys are the CWT claims of RFC 8392 (`sub` holds the user ID), negative keys are specific to Consent Web Tokens.
+ */
+const TokenKeys = {
+  issuer: 1,
+  user_id: 2,
+  audience: 3,
+  expires_at: 4,
+  not_before: 5,
+  issued_at: 6,
+  token_id: 7,
+  user_id_type: -1,
+  user_id_hash_method: -2,
+  version: -3,
+  consents: -4,
+  history: -5,
+};
+
+/**
+ * Remove the trailing undefined items of a list
+ *
+ * @param {Array} items
+ * @param {number} minLength Number of items to always keep
+ * @return {Array}
+ */
+function trimUndefined(items, minLength) {
+  while (items.length > minLength && items[items.length - 1] === undefined) {
+    items.pop();
+  }
+
+  return items;
+}
+
+/**
+ * Encode a token as CBOR
+ *
+ * The token is a map with integer keys (see `TokenKeys`). Null fields are omitted.
+ * Consents are encoded as `[purpose, [[vendorId, status, updatedAt, legitimateInterest, source], ...]]` lists and history entries as `[purpose, vendorId, status, updatedAt, legalBasis, source]` lists, without their trailing undefined items.
+ *
+ * @param {Object} tokenObject The token as a plain object (see `CWT#toObject`)
+ * @return {Uint8Array}
+ */
+function encodeToken(tokenObject) {
+  const map = new Map();
+
+  for (const field in TokenKeys) {
+    if (!TokenKeys.hasOwnProperty(field)) {
+      continue;
+    }
+
+    const value = tokenObject[field];
+
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    if (field === 'consents') {
+      map.set(TokenKeys[field], value.map(consent => [
+        consent.purpose,
+        consent.vendors.map(vendor => trimUndefined([
+          vendor.id,
+          vendor.status,
+          vendor.updated_at,
+          vendor.legitimate_interest,
+          vendor.source,
+        ], 2)),
+      ]));
+    } else if (field === 'history') {
+      map.set(TokenKeys[field], value.map(entry => trimUndefined([
+        entry.purpose,
+        entry.vendor,
+        entry.status,
+        entry.updated_at,
+        entry.legal_basis,
+        entry.source,
+      ], 4)));
+    } else {
+      map.set(TokenKeys[field], value);
+    }
+  }
+
+  return encode(map);
+}
+
+/**
+ * Decode a token encoded with `encodeToken`
+ *
+ * @param {Uint8Array|ArrayBuffer|number[]} data
+ * @return {Object|null} The content of the token or null if the data is not a valid CBOR token
+ */
+function decodeToken(data) {
+  let map;
+
+  try {
+    map = decode(data);
+  } catch (error) {
+    return null;
+  }
+
+  if (!map || typeof map !== 'object' || Array.isArray(map) || map instanceof Uint8Array) {
+    return null;
+  }
+
+  const tokenContent = {};
+
+  for (const field in TokenKeys) {
+    if (TokenKeys.hasOwnProperty(field) && map.hasOwnProperty(TokenKeys[field])) {
+      tokenContent[field] = map[TokenKeys[field]];
+    }
+  }
+
+  try {
+    if (tokenContent.consents) {
+      tokenContent.consents = tokenContent.consents.map(([purpose, vendors]) => ({
+        purpose,
+        vendors: vendors.map(([id, status, updatedAt, legitimateInterest, source]) => {
+          const vendor = { id, status };
+
+          if (updatedAt !== undefined) {
+            vendor.updated_at = updatedAt;
+          }
+
+          if (legitimateInterest !== undefined) {
+            vendor.legitimate_interest = legitimateInterest;
+          }
+
+          if (source !== undefined) {
+            vendor.source = source;
+          }
+
+          return vendor;
+        }),
+      }));
+    }
+
+    if (tokenContent.history) {
+      tokenContent.history = tokenContent.history.map((item) => {
+        const entry = {
+          purpose: item[0],
+          vendor: item[1],
+          status: item[2],
+          updated_at: item[3],
+        };
+
+        if (item[4] !== undefined) {
+          entry.legal_basis = item[4];
+        }
+
+        if (item[5] !== undefined) {
+          entry.source = item[5];
+        }
+
+        return entry;
+      });
+    }
+  } catch (error) {
+    // Consents or history entries that are not lists
+    return null;
+  }
+
+  return tokenContent;
+}
+
+module.exports = {
+  TokenKeys,
+  decode,
+  decodeToken,
+  encode,
+  encodeToken,
+};
@@ -0,0 +1,216 @@
+/**
+ * Lossless compact encoding of the consents of a token
+ *
+ * Purposes and vendors are listed once in dictionaries and the status of every purpose/vendor pair is packed in a base64url bit string (2 bits per pair).
+ * Unlike the compressed format, the decoded consents have the same statuses as the original consents, including `*` catch-alls and unknown statuses.
+ * The `updated_at` timestamps of the vendor entries are not encoded.
+ */
+
+const { BitReader, base64UrlToBits, bitsToBase64Url, encodeInt } = require('./bits');
+
+/**
+ * Values of the 2-bit cells of the status matrices
+ */
+const Cells = {
+  // No vendor entry (consent matrix) or no status (legitimate interest matrix)
+  Missing: 0,
+  // Vendor entry without status (consent matrix only)
+  Unknown: 1,
+  Disabled: 2,
+  Enabled: 3,
+};
+
+/**
+ * Encode a status as a matrix cell
+ *
+ * @param {boolean} [status]
+ * @param {number} emptyCell The cell to use if the status is undefined
+ * @return {number}
+ */
+function statusToCell(status, emptyCell) {
+  if (status === true) {
+    return Cells.Enabled;
+  }
+
+  if (status === false) {
+    return Cells.Disabled;
+  }
+
+  return emptyCell;
+}
+
+/**
+ * Decode a matrix cell into a status
+ *
+ * @param {number} cell
+ * @return {boolean|undefined}
+ */
+function cellToStatus(cell) {
+  if (cell === Cells.Enabled) {
+    return true;
+  }
+
+  if (cell === Cells.Disabled) {
+    return false;
+  }
+
+  return undefined;
+}
+
+/**
+ * Encode a list of consents
+ *
+ * @param {Object[]} consents
+ * @return {Object} An object with the `purposes` and `vendors` dictionaries, the `statuses` of consent and, if some vendors have a legitimate interest status, the `legitimate_interests` statuses
+ *
+ * @example
+ * encodeConsents([
+ *   { purpose: 'cookies', vendors: [{ id: '*', status: true }] },
+ *   { purpose: 'analytics', vendors: [{ id: '*', status: false }, { id: 'didomi', status: true }] },
+ * ]);
+ * // { purposes: ['cookies', 'analytics'], vendors: ['*', 'didomi'], statuses: 'yw' }
+ */
+function encodeConsents(consents) {
+  const purposes = consents.map(consent => consent.purpose);
+  const vendors = [];
+
+  consents.forEach((consent) => {
+    consent.vendors.forEach((vendor) => {
+      if (vendors.indexOf(vendor.id) === -1) {
+        vendors.push(vendor.id);
+      }
+    });
+  });
+
+  let statusBits = '';
+  let legitimateInterestBits = '';
+  let hasLegitimateInterests = false;
+
+  consents.forEach((consent) => {
+    vendors.forEach((vendorId) => {
+      const vendor = consent.vendors.find(v => v.id === vendorId);
+
+      if (!vendor) {
+        statusBits += encodeInt(Cells.Missing, 2);
+        legitimateInterestBits += encodeInt(Cells.Missing, 2);
+        return;
+      }
+
+      hasLegitimateInterests = hasLegitimateInterests || vendor.legitimate_interest !== undefined;
+
+      const legitimateInterestCell = statusToCell(vendor.legitimate_interest, Cells.Missing);
+
+      statusBits += encodeInt(statusToCell(vendor.status, Cells.Unknown), 2);
+      legitimateInterestBits += encodeInt(legitimateInterestCell, 2);
+    });
+  });
+
+  const compact = {
+    purposes,
+    vendors,
+    statuses: bitsToBase64Url(statusBits),
+  };
+
+  if (hasLegitimateInterests) {
+    compact.legitimate_interests = bitsToBase64Url(legitimateInterestBits);
+  }
+
+  return compact;
+}
+
+/**
+ * Read a status matrix
+ *
+ * @param {string} base64UrlString
+ * @param {number} length Number of cells
+ * @return {number[]|null} The list of cells or null if the string is not valid
+ */
+function readCells(base64UrlString, length) {
+  const bits = typeof base64UrlString === 'string' ? base64UrlToBits(base64UrlString) : null;
+
+  if (!bits) {
+    return null;
+  }
+
+  const reader = new BitReader(bits);
+  const cells = [];
+
+  try {
+    for (let i = 0; i < length; i += 1) {
+      cells.push(reader.readInt(2));
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return cells;
+}
+
+/**
+ * Decode a list of consents
+ *
+ * @param {Object} compact An object with the `purposes` and `vendors` dictionaries, the `statuses` of consent and the optional `legitimate_interests` statuses (see `encodeConsents`)
+ * @return {Object[]|null} The list of consents or null if the object is not valid
+ */
+function decodeConsents(compact) {
+  if (!compact || !Array.isArray(compact.purposes) || !Array.isArray(compact.vendors)) {
+    return null;
+  }
+
+  const { purposes, vendors } = compact;
+  const statuses = readCells(compact.statuses, purposes.length * vendors.length);
+  const legitimateInterests = compact.legitimate_interests !== undefined
+    ? readCells(compact.legitimate_interests, purposes.length * vendors.length)
+    : [];
+
+  if (!statuses || !legitimateInterests) {
+    return null;
+  }
+
+  const consents = [];
+
+  for (let purposeIndex = 0; purposeIndex < purposes.length; purposeIndex += 1) {
+    const consent = {
+      purpose: purposes[purposeIndex],
+      vendors: [],
+    };
+
+    for (let vendorIndex = 0; vendorIndex < vendors.length; vendorIndex += 1) {
+      const cellIndex = (purposeIndex * vendors.length) + vendorIndex;
+      const legitimateInterestCell = legitimateInterests[cellIndex] || Cells.Missing;
+
+      if (statuses[cellIndex] === Cells.Missing) {
+        if (legitimateInterestCell !== Cells.Missing) {
+          // A legitimate interest status requires a vendor entry
+          return null;
+        }
+
+        continue;
+      }
+
+      if (legitimateInterestCell === Cells.Unknown) {
+        return null;
+      }
+
+      const vendor = {
+        id: vendors[vendorIndex],
+        status: cellToStatus(statuses[cellIndex]),
+      };
+
+      if (legitimateInterestCell !== Cells.Missing) {
+        vendor.legitimate_interest = cellToStatus(legitimateInterestCell);
+      }
+
+      consent.vendors.push(vendor);
+    }
+
+    consents.push(consent);
+  }
+
+  return consents;
+}
+
+module.exports = {
+  decodeConsents,
+  encodeConsents,
+};
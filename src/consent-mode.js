@@ -0,0 +1,90 @@
+/**
+ * Conversion between tokens and Google Consent Mode (v2) states
+ * Reference: https://developers.google.com/tag-platform/security/guides/consent
+ */
+
+const { Purposes } = require('./purposes');
+
+/**
+ * Default mapping between the Consent Mode signals and the standard CWT purposes
+ * A signal is granted if all its purposes are allowed.
+ */
+const ConsentModeMapping = {
+  ad_storage: [Purposes.CookiesMarketing],
+  analytics_storage: [Purposes.CookiesAnalytics],
+  ad_user_data: [Purposes.AdvertisingPersonalization],
+  ad_personalization: [Purposes.AdvertisingPersonalization],
+  personalization_storage: [Purposes.ContentPersonalization],
+};
+
+/**
+ * Default vendor ID used for checking and setting Consent Mode statuses
+ */
+const defaultVendorId = 'google';
+
+/**
+ * Generate a Consent Mode state from a token
+ * Signals whose purposes have no consent information are denied.
+ *
+ * @param {CWT} token
+ * @param {Object} [mapping] The mapping between Consent Mode signals and CWT purposes (defaults to `ConsentModeMapping`)
+ * @param {string} [vendorId=google] The vendor ID to check in the token. Purposes with a `*` vendor catch-all apply too.
+ * @return {Object} An object with `granted` or `denied` for every signal of the mapping
+ */
+function tokenToConsentModeState(token, mapping, vendorId) {
+  mapping = mapping || ConsentModeMapping;
+  vendorId = vendorId || defaultVendorId;
+
+  const state = {};
+
+  for (const signal in mapping) {
+    if (!mapping.hasOwnProperty(signal)) {
+      continue;
+    }
+
+    const granted = [].concat(mapping[signal])
+      .every(purpose => token.getConsentStatus(purpose, vendorId) === true);
+
+    state[signal] = granted ? 'granted' : 'denied';
+  }
+
+  return state;
+}
+
+/**
+ * Get the status of the CWT purposes from a Consent Mode state
+ * When several signals map to the same purpose, the purpose is only allowed if all of them are granted.
+ * Signals that are missing from the state or that are not in the mapping are ignored.
+ *
+ * @param {Object} state An object with `granted` or `denied` for the Consent Mode signals
+ * @param {Object} [mapping] The mapping between Consent Mode signals and CWT purposes (defaults to `ConsentModeMapping`)
+ * @return {Object} The status (true/false) of every purpose found in the state
+ */
+function consentModeStateToStatuses(state, mapping) {
+  mapping = mapping || ConsentModeMapping;
+
+  const statusByPurpose = {};
+
+  for (const signal in mapping) {
+    if (!mapping.hasOwnProperty(signal) || !state || !state.hasOwnProperty(signal)) {
+      continue;
+    }
+
+    [].concat(mapping[signal]).forEach((purpose) => {
+      const granted = state[signal] === 'granted';
+
+      statusByPurpose[purpose] = statusByPurpose.hasOwnProperty(purpose)
+        ? statusByPurpose[purpose] && granted
+        : granted;
+    });
+  }
+
+  return statusByPurpose;
+}
+
+module.exports = {
+  ConsentModeMapping,
+  consentModeStateToStatuses,
+  defaultVendorId,
+  tokenToConsentModeState,
+};
@@ -0,0 +1,128 @@
+/**
+ * Differences between two versions of a token
+ */
+
+const { purposeRegistry } = require('./purposes');
+const { vendorGroupRegistry } = require('./vendor-groups');
+
+/**
+ * Legal bases compared between the tokens
+ */
+const legalBases = ['consent', 'legitimate_interest'];
+
+/**
+ * Token fields identifying the issuer and the user that are compared between the tokens
+ */
+const identityFields = [
+  'issuer',
+  'user_id',
+  'user_id_type',
+  'user_id_hash_method',
+];
+
+/**
+ * Add purpose/vendor pairs to a list of purposes
+ *
+ * @param {Object[]} purposes A list of objects with the `purpose` and the list of `vendors` IDs
+ * @param {string} purpose
+ * @param {string[]} vendorIds
+ */
+function addPurposeVendors(purposes, purpose, vendorIds) {
+  let entry = purposes.find(p => p.purpose === purpose);
+
+  if (!entry) {
+    entry = { purpose, vendors: [] };
+    purposes.push(entry);
+  }
+
+  vendorIds.forEach((vendorId) => {
+    if (entry.vendors.indexOf(vendorId) === -1) {
+      entry.vendors.push(vendorId);
+    }
+  });
+}
+
+/**
+ * List the purposes of two tokens with the vendors that have an entry for them in any of the tokens
+ *
+ * The status of a purpose/vendor pair also applies to the registered descendants of the purpose (see `PurposeRegistry`) and, for vendor groups, to the vendors of the group (see `VendorGroupRegistry`),
+ * so these pairs are listed after the pairs of the tokens.
+ *
+ * @param {CWT[]} tokens
+ * @return {Object[]} A list of objects with the `purpose` and the list of `vendors` IDs
+ */
+function listPurposeVendors(tokens) {
+  const purposes = [];
+
+  tokens.forEach((token) => {
+    token.consents.forEach(({ purpose, vendors }) => {
+      addPurposeVendors(purposes, purpose, vendors.map(vendor => vendor.id));
+    });
+  });
+
+  purposes.slice().forEach(({ purpose, vendors }) => {
+    vendors.slice().forEach((vendorId) => {
+      addPurposeVendors(purposes, purpose, vendorGroupRegistry.expand(vendorId));
+    });
+
+    purposeRegistry.getDescendants(purpose)
+      .forEach(descendant => addPurposeVendors(purposes, descendant, vendors));
+  });
+
+  return purposes;
+}
+
+/**
+ * Compute the differences between two tokens
+ *
+ * Statuses are compared as returned by `CWT#getConsentStatus`: a vendor that gets its own status equal to the `*` vendor catch-all of the other token has not changed.
+ * The descendants of the purposes and the vendors of the groups are compared too, so changes that only apply through the purpose hierarchy or a vendor group are listed.
+ * A status is added if it was undefined before, removed if it is undefined after and changed if it went from true to false or the opposite.
+ *
+ * @param {CWT} before
+ * @param {CWT} after
+ * @return {Object} An object with the `fields` that changed (`field`, `before` and `after` values) and the `added`, `removed` and `changed` statuses (`purpose`, `vendor`, `legal_basis` and `status` or `before`/`after` statuses)
+ */
+function diffTokens(before, after) {
+  const diff = {
+    fields: [],
+    added: [],
+    removed: [],
+    changed: [],
+  };
+
+  identityFields.forEach((field) => {
+    if (before[field] !== after[field]) {
+      diff.fields.push({ field, before: before[field], after: after[field] });
+    }
+  });
+
+  listPurposeVendors([before, after]).forEach(({ purpose, vendors }) => {
+    vendors.forEach((vendor) => {
+      legalBases.forEach((legalBasis) => {
+        const beforeStatus = before.getConsentStatus(purpose, vendor, legalBasis);
+        const afterStatus = after.getConsentStatus(purpose, vendor, legalBasis);
+
+        if (beforeStatus === afterStatus) {
+          return;
+        }
+
+        const change = { purpose, vendor, legal_basis: legalBasis };
+
+        if (beforeStatus === undefined) {
+          diff.added.push(Object.assign(change, { status: afterStatus }));
+        } else if (afterStatus === undefined) {
+          diff.removed.push(Object.assign(change, { status: beforeStatus }));
+        } else {
+          diff.changed.push(Object.assign(change, { before: beforeStatus, after: afterStatus }));
+        }
+      });
+    });
+  });
+
+  return diff;
+}
+
+module.exports = {
+  diffTokens,
+};
@@ -0,0 +1,492 @@
+/**
+ * Conversion between tokens and IAB Global Privacy Platform (GPP) strings
+ * Supported sections: EU TCF v2 (`tcfeuv2`), US Privacy (`uspv1`) and US National (`usnat`, versions 1 and 2).
+ * Reference: https://github.com/InteractiveAdvertisingBureau/Global-Privacy-Platform
+ */
+
+const { Purposes } = require('./purposes');
+const tcf = require('./tcf');
+const usPrivacy = require('./usprivacy');
+const {
+  BitReader,
+  base64UrlToBits,
+  bitsToBase64Url,
+  encodeBool,
+  encodeFibonacci,
+  encodeInt,
+} = require('./bits');
+
+/**
+ * IDs of the GPP sections supported by the library
+ */
+const SectionIds = {
+  tcfeuv2: 2,
+  uspv1: 6,
+  usnat: 7,
+};
+
+/**
+ * Values of the opt-out, notice and MSPA fields of the US sections
+ */
+const USNatValues = {
+  NotApplicable: 0,
+  // Notice provided, opted out or yes (MSPA fields)
+  Yes: 1,
+  // Notice not provided, did not opt out or no (MSPA fields)
+  No: 2,
+};
+
+/**
+ * Versions of the sections that the library can decode
+ * The other versions are returned as strings, like the sections that are not supported.
+ */
+const SectionVersions = {
+  tcfeuv2: [2],
+  uspv1: [1],
+  usnat: [1, 2],
+};
+
+/**
+ * Current version of the `usnat` section
+ */
+const usNatVersion = 2;
+
+/**
+ * Number of items of the lists of the `usnat` section by version
+ * Version 2 has 16 sensitive data categories and 3 known child consents instead of 12 and 2.
+ */
+const usNatListSizes = {
+  1: { sensitiveDataProcessing: 12, knownChildSensitiveDataConsents: 2 },
+  2: { sensitiveDataProcessing: 16, knownChildSensitiveDataConsents: 3 },
+};
+
+/**
+ * Fields of the core segment of the `usnat` section with their size in bits and whether they are lists (see `usNatListSizes`)
+ */
+const usNatFields = [
+  ['version', 6],
+  ['sharingNotice', 2],
+  ['saleOptOutNotice', 2],
+  ['sharingOptOutNotice', 2],
+  ['targetedAdvertisingOptOutNotice', 2],
+  ['sensitiveDataProcessingOptOutNotice', 2],
+  ['sensitiveDataLimitUseNotice', 2],
+  ['saleOptOut', 2],
+  ['sharingOptOut', 2],
+  ['targetedAdvertisingOptOut', 2],
+  ['sensitiveDataProcessing', 2, true],
+  ['knownChildSensitiveDataConsents', 2, true],
+  ['personalDataConsents', 2],
+  ['mspaCoveredTransaction', 2],
+  ['mspaOptOutOptionMode', 2],
+  ['mspaServiceProviderMode', 2],
+];
+
+/**
+ * Opt-out fields of the `usnat` section and the CWT purposes they apply to
+ */
+const usNatOptOuts = {
+  saleOptOut: Purposes.SaleOfPersonalData,
+  sharingOptOut: Purposes.SharingOfPersonalData,
+  targetedAdvertisingOptOut: Purposes.TargetedAdvertising,
+};
+
+/**
+ * Encode an optional boolean as a US section value
+ *
+ * @param {boolean} [value]
+ * @return {number}
+ */
+function toUSNatValue(value) {
+  if (value === undefined || value === null) {
+    return USNatValues.NotApplicable;
+  }
+
+  return value ? USNatValues.Yes : USNatValues.No;
+}
+
+/**
+ * Get the version of a section of a GPP string
+ * The TCF and `usnat` sections start with a 6-bit version and the US Privacy string with a version digit.
+ *
+ * @param {string} name The name of the section
+ * @param {string} section
+ * @return {number|null} The version or null if the section is not valid
+ */
+function sectionVersion(name, section) {
+  if (name === 'uspv1') {
+    return /^[0-9]/.test(section) ? parseInt(section[0], 10) : null;
+  }
+
+  const bits = base64UrlToBits(section.split('.')[0]);
+
+  return bits && bits.length >= 6 ? parseInt(bits.slice(0, 6), 2) : null;
+}
+
+/**
+ * Encode the core segment and the optional GPC segment of a `usnat` section
+ *
+ * @param {Object} data An object with the fields of the section (see `usNatFields`) and an optional `gpc` boolean for the GPC segment. The `version` defaults to the current version (2).
+ * @return {string}
+ * @throws {Error} If the version is not supported
+ */
+function encodeUSNatSection(data) {
+  const version = data.version || usNatVersion;
+  let bits = '';
+
+  if (!usNatListSizes.hasOwnProperty(version)) {
+    throw new Error(`Unsupported usnat section version ${version}`);
+  }
+
+  usNatFields.forEach(([name, length, isList]) => {
+    if (isList) {
+      for (let i = 0; i < usNatListSizes[version][name]; i += 1) {
+        bits += encodeInt((data[name] || [])[i], length);
+      }
+    } else {
+      bits += encodeInt(name === 'version' ? version : data[name], length);
+    }
+  });
+
+  let section = bitsToBase64Url(bits);
+
+  if (data.gpc !== undefined) {
+    // The subsection type of the GPC segment is 1
+    section += `.${bitsToBase64Url(encodeInt(1, 2) + encodeBool(data.gpc))}`;
+  }
+
+  return section;
+}
+
+/**
+ * Decode a `usnat` section
+ *
+ * @param {string} section
+ * @return {Object|null} The section data (see `encodeUSNatSection`) or null if the section is not valid or has an unsupported version
+ */
+function decodeUSNatSection(section) {
+  const segments = section.split('.');
+  const bits = base64UrlToBits(segments[0]);
+
+  if (!bits) {
+    return null;
+  }
+
+  const reader = new BitReader(bits);
+  const data = {};
+
+  try {
+    usNatFields.forEach(([name, length, isList]) => {
+      if (isList) {
+        data[name] = [];
+
+        for (let i = 0; i < usNatListSizes[data.version][name]; i += 1) {
+          data[name].push(reader.readInt(length));
+        }
+      } else {
+        data[name] = reader.readInt(length);
+
+        if (name === 'version' && !usNatListSizes.hasOwnProperty(data.version)) {
+          throw new Error(`Unsupported usnat section version ${data.version}`);
+        }
+      }
+    });
+
+    for (let i = 1; i < segments.length; i += 1) {
+      const subsectionBits = base64UrlToBits(segments[i]);
+
+      if (!subsectionBits) {
+        return null;
+      }
+
+      const subsectionReader = new BitReader(subsectionBits);
+
+      if (subsectionReader.readInt(2) === 1) {
+        data.gpc = subsectionReader.readBool();
+      }
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Encode a sorted list of section IDs with the Fibonacci range encoding of the GPP header
+ *
+ * @param {number[]} ids
+ * @return {string}
+ */
+function encodeSectionIds(ids) {
+  let bits = encodeInt(ids.length, 12);
+  let previousId = 0;
+
+  // Sections are always listed individually as there are few of them
+  ids.forEach((id) => {
+    bits += encodeBool(false) + encodeFibonacci(id - previousId);
+    previousId = id;
+  });
+
+  return bits;
+}
+
+/**
+ * Read a list of section IDs with the Fibonacci range encoding of the GPP header
+ * Ranges are only expanded if the list stays within the number of sections of the string: a header of a few characters can encode billions of IDs.
+ *
+ * @param {BitReader} reader
+ * @param {number} maxIds The number of sections of the string
+ * @return {number[]|null} The IDs or null if the header lists more sections than `maxIds`
+ */
+function readSectionIds(reader, maxIds) {
+  const numEntries = reader.readInt(12);
+  const ids = [];
+  let previousId = 0;
+
+  for (let i = 0; i < numEntries; i += 1) {
+    const isRange = reader.readBool();
+    const start = previousId + reader.readFibonacci();
+    const end = isRange ? start + reader.readFibonacci() : start;
+
+    if (ids.length + (end - start) + 1 > maxIds) {
+      return null;
+    }
+
+    for (let id = start; id <= end; id += 1) {
+      ids.push(id);
+    }
+
+    previousId = end;
+  }
+
+  return ids;
+}
+
+/**
+ * Encode a GPP string
+ *
+ * @param {Object} sections The data of the sections to encode, by section name: TC data for `tcfeuv2` (see `encodeTCString`), US Privacy data for `uspv1` (see `encodeUSPrivacyString`) and section data for `usnat` (see `encodeUSNatSection`)
+ * @return {string}
+ *
+ * @example
+ * encodeGPPString({
+ *   usnat: { saleOptOutNotice: 1, saleOptOut: 1, mspaCoveredTransaction: 2 },
+ * });
+ */
+function encodeGPPString(sections) {
+  const encoders = {
+    tcfeuv2: tcf.encodeTCString,
+    uspv1: usPrivacy.encodeUSPrivacyString,
+    usnat: encodeUSNatSection,
+  };
+
+  const names = Object.keys(sections)
+    .filter(name => sections[name])
+    .sort((a, b) => SectionIds[a] - SectionIds[b]);
+
+  names.forEach((name) => {
+    if (!SectionIds.hasOwnProperty(name)) {
+      throw new Error(`Unsupported GPP section ${name}`);
+    }
+  });
+
+  // The header has type 3 and version 1
+  const sectionIds = names.map(name => SectionIds[name]);
+  const header = bitsToBase64Url(encodeInt(3, 6) + encodeInt(1, 6) + encodeSectionIds(sectionIds));
+
+  return [header].concat(names.map(name => encoders[name](sections[name]))).join('~');
+}
+
+/**
+ * Decode a GPP string
+ * Sections that are not supported by the library, or whose version is not supported (see `SectionVersions`), are returned as strings under their section ID.
+ *
+ * @param {string} gppString
+ * @return {Object|null} An object with the `sectionIds` of the string and the decoded `sections` by section name (see `encodeGPPString`) or null if the string is not valid
+ */
+function decodeGPPString(gppString) {
+  if (!gppString || typeof gppString !== 'string') {
+    return null;
+  }
+
+  const parts = gppString.split('~');
+  const headerBits = base64UrlToBits(parts[0]);
+
+  if (!headerBits) {
+    return null;
+  }
+
+  const reader = new BitReader(headerBits);
+  let sectionIds;
+
+  try {
+    if (reader.readInt(6) !== 3 || reader.readInt(6) !== 1) {
+      return null;
+    }
+
+    sectionIds = readSectionIds(reader, parts.length - 1);
+  } catch (error) {
+    return null;
+  }
+
+  if (!sectionIds || sectionIds.length !== parts.length - 1) {
+    return null;
+  }
+
+  const decoders = {
+    tcfeuv2: tcf.decodeTCString,
+    uspv1: usPrivacy.decodeUSPrivacyString,
+    usnat: decodeUSNatSection,
+  };
+
+  const sections = {};
+
+  for (let i = 0; i < sectionIds.length; i += 1) {
+    const name = Object.keys(SectionIds).find(key => SectionIds[key] === sectionIds[i]);
+
+    const version = name ? sectionVersion(name, parts[i + 1]) : null;
+
+    if (name && (version === null || SectionVersions[name].indexOf(version) !== -1)) {
+      sections[name] = decoders[name](parts[i + 1]);
+
+      if (!sections[name]) {
+        return null;
+      }
+    } else {
+      sections[sectionIds[i]] = parts[i + 1];
+    }
+  }
+
+  return {
+    sectionIds,
+    sections,
+  };
+}
+
+/**
+ * Get the `usnat` section data of a token
+ * Opt-outs are read from the `*` vendor catch-all of the US opt-out purposes.
+ *
+ * @param {CWT} token
+ * @param {Object} [options]
+ * @param {boolean} [options.notice] Whether the user has been given notice of the processing and of the opt-outs
+ * @param {boolean} [options.mspaCoveredTransaction=false] Whether the transaction is covered by the IAB Multi-State Privacy Agreement
+ * @param {boolean} [options.mspaOptOutOptionMode] Whether the MSPA Opt-Out Option Mode is enabled
+ * @param {boolean} [options.mspaServiceProviderMode] Whether the MSPA Service Provider Mode is enabled
+ * @param {boolean} [options.gpc] The Global Privacy Control signal of the user (no GPC segment if undefined)
+ * @return {Object} The section data (see `encodeUSNatSection`)
+ */
+function tokenToUSNatData(token, options) {
+  options = options || {};
+
+  const notice = toUSNatValue(options.notice);
+  const optOutValue = (purpose) => {
+    const status = token.getConsentStatus(purpose, '*');
+    return toUSNatValue(status === undefined ? undefined : !status);
+  };
+
+  const listSizes = usNatListSizes[usNatVersion];
+  const data = {
+    version: usNatVersion,
+    sharingNotice: notice,
+    saleOptOutNotice: notice,
+    sharingOptOutNotice: notice,
+    targetedAdvertisingOptOutNotice: notice,
+    sensitiveDataProcessingOptOutNotice: notice,
+    sensitiveDataLimitUseNotice: notice,
+    sensitiveDataProcessing: new Array(listSizes.sensitiveDataProcessing)
+      .fill(optOutValue(Purposes.SensitiveDataProcessing)),
+    knownChildSensitiveDataConsents: new Array(listSizes.knownChildSensitiveDataConsents)
+      .fill(USNatValues.NotApplicable),
+    personalDataConsents: USNatValues.NotApplicable,
+    mspaCoveredTransaction: toUSNatValue(!!options.mspaCoveredTransaction),
+    mspaOptOutOptionMode: toUSNatValue(options.mspaOptOutOptionMode),
+    mspaServiceProviderMode: toUSNatValue(options.mspaServiceProviderMode),
+  };
+
+  for (const field in usNatOptOuts) {
+    if (usNatOptOuts.hasOwnProperty(field)) {
+      data[field] = optOutValue(usNatOptOuts[field]);
+    }
+  }
+
+  if (options.gpc !== undefined) {
+    data.gpc = !!options.gpc;
+  }
+
+  return data;
+}
+
+/**
+ * Get the status of the CWT purposes from `usnat` section data
+ * Sensitive data processing is only allowed if the user has not opted out for any category.
+ *
+ * @param {Object} data The section data (see `encodeUSNatSection`)
+ * @return {Object} The status (true/false) of every US opt-out purpose that is applicable
+ */
+function usNatDataToStatuses(data) {
+  const statusByPurpose = {};
+
+  for (const field in usNatOptOuts) {
+    if (usNatOptOuts.hasOwnProperty(field) && data[field] !== USNatValues.NotApplicable) {
+      statusByPurpose[usNatOptOuts[field]] = data[field] === USNatValues.No;
+    }
+  }
+
+  const sensitiveValues = data.sensitiveDataProcessing
+    .filter(value => value !== USNatValues.NotApplicable);
+
+  if (sensitiveValues.length > 0) {
+    statusByPurpose[Purposes.SensitiveDataProcessing] = sensitiveValues
+      .every(value => value === USNatValues.No);
+  }
+
+  return statusByPurpose;
+}
+
+/**
+ * Get the data of the GPP sections of a token
+ *
+ * @param {CWT} token
+ * @param {Object} [options]
+ * @param {string[]} [options.sections=['usnat']] The names of the sections to include
+ * @param {Object} [options.tcfeuv2] Options for the `tcfeuv2` section (see `tokenToTCData`)
+ * @param {Object} [options.uspv1] Options for the `uspv1` section (see `tokenToUSPrivacyData`)
+ * @param {Object} [options.usnat] Options for the `usnat` section (see `tokenToUSNatData`)
+ * @return {Object} The data of the sections by section name (see `encodeGPPString`)
+ */
+function tokenToGPPData(token, options) {
+  options = options || {};
+
+  const converters = {
+    tcfeuv2: tcf.tokenToTCData,
+    uspv1: usPrivacy.tokenToUSPrivacyData,
+    usnat: tokenToUSNatData,
+  };
+
+  const sections = {};
+
+  (options.sections || ['usnat']).forEach((name) => {
+    if (!SectionIds.hasOwnProperty(name)) {
+      throw new Error(`Unsupported GPP section ${name}`);
+    }
+
+    sections[name] = converters[name](token, options[name]);
+  });
+
+  return sections;
+}
+
+module.exports = {
+  SectionIds,
+  SectionVersions,
+  USNatValues,
+  decodeGPPString,
+  decodeUSNatSection,
+  encodeGPPString,
+  encodeUSNatSection,
+  tokenToGPPData,
+  tokenToUSNatData,
+  usNatDataToStatuses,
+};
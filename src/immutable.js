@@ -0,0 +1,226 @@
+/**
+ * Immutable tokens
+ *
+ * Frozen tokens are never modified: every change creates a new frozen token that shares the purposes and vendors that did not change with the previous token (structural sharing).
+ */
+
+/**
+ * Check if a value is an array or a plain object
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+function isContainer(value) {
+  return Array.isArray(value)
+    || (!!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * Deep copy the arrays and plain objects of a value
+ *
+ * @param {*} value
+ * @param {boolean} [keepFrozen=false] Share the frozen arrays and objects instead of copying them (they cannot be modified)
+ * @return {*}
+ */
+function copy(value, keepFrozen) {
+  if (!isContainer(value) || (keepFrozen && Object.isFrozen(value))) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => copy(item, keepFrozen));
+  }
+
+  const result = {};
+
+  for (const key in value) {
+    if (value.hasOwnProperty(key)) {
+      result[key] = copy(value[key], keepFrozen);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Freeze an object and all the arrays and objects that it contains
+ *
+ * @param {Object} value
+ * @return {Object} The frozen value
+ */
+function deepFreeze(value) {
+  if (!value || typeof value !== 'object' || Object.isFrozen(value)) {
+    return value;
+  }
+
+  Object.freeze(value);
+
+  for (const key in value) {
+    if (value.hasOwnProperty(key)) {
+      deepFreeze(value[key]);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Replace an item of a list without modifying the list
+ *
+ * @param {Array} list
+ * @param {number} index The index of the item to replace or -1 to append the item
+ * @param {*} item
+ * @return {Array} A new list
+ */
+function replaceAt(list, index, item) {
+  if (index === -1) {
+    return list.concat([item]);
+  }
+
+  const result = list.slice();
+  result[index] = item;
+
+  return result;
+}
+
+/**
+ * Update the vendor entry of a purpose/vendor without modifying the list of consents
+ * The purpose and vendor entries are created if they do not exist yet. The other entries are shared with the original list.
+ *
+ * @param {Object[]} consents
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @param {Object} changes The properties to set on the vendor entry
+ * @param {string[]} [removedProperties] The properties to remove from the vendor entry
+ * @return {Object[]} A new list of consents
+ */
+function setVendor(consents, purpose, vendorId, changes, removedProperties) {
+  const consentIndex = consents.findIndex(c => c.purpose === purpose);
+  const consent = consentIndex === -1 ? { purpose, vendors: [] } : consents[consentIndex];
+
+  const vendorIndex = consent.vendors.findIndex(v => v.id === vendorId);
+  const vendor = vendorIndex === -1
+    ? Object.assign({ id: vendorId, status: undefined }, changes)
+    : Object.assign({}, consent.vendors[vendorIndex], changes);
+
+  (removedProperties || []).forEach((property) => {
+    delete vendor[property];
+  });
+
+  const vendors = replaceAt(consent.vendors, vendorIndex, vendor);
+
+  return replaceAt(consents, consentIndex, Object.assign({}, consent, { vendors }));
+}
+
+/**
+ * Remove the vendor entry of a purpose/vendor without modifying the list of consents
+ * The purpose is removed if it does not have any vendor left. The other entries are shared with the original list.
+ *
+ * @param {Object[]} consents
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @return {Object[]} A new list of consents or the original list if the vendor entry does not exist
+ */
+function removeVendor(consents, purpose, vendorId) {
+  const consentIndex = consents.findIndex(c => c.purpose === purpose);
+
+  if (consentIndex === -1) {
+    return consents;
+  }
+
+  const consent = consents[consentIndex];
+  const vendors = consent.vendors.filter(v => v.id !== vendorId);
+
+  if (vendors.length === consent.vendors.length) {
+    return consents;
+  }
+
+  if (vendors.length === 0) {
+    return consents.filter((c, index) => index !== consentIndex);
+  }
+
+  return replaceAt(consents, consentIndex, Object.assign({}, consent, { vendors }));
+}
+
+/**
+ * Build a frozen token with a chain of changes
+ *
+ * Every change creates a new frozen token (see `CWT#with`), so intermediate tokens built from the builder are never affected by the next changes.
+ *
+ * @example
+ * const token = CWT.builder({ issuer: 'didomi' })
+ *   .set({ user_id: 'user@domain.com', user_id_type: 'email' })
+ *   .setConsentStatus(true, CWT.Purposes.Cookies, 'didomi')
+ *   .build();
+ */
+class CWTBuilder {
+  /**
+   * @param {CWT} token The frozen token to start from
+   */
+  constructor(token) {
+    /**
+     * The token built so far
+     *
+     * @type {CWT}
+     */
+    this.token = token;
+  }
+
+  /**
+   * Set fields of the token (issuer, user ID, etc.)
+   *
+   * @param {Object} fields
+   * @return {CWTBuilder}
+   */
+  set(fields) {
+    this.token = this.token.with(fields);
+
+    return this;
+  }
+
+  /**
+   * Set the consent status of the user for a specific purpose/vendor
+   *
+   * @param {boolean|undefined} status
+   * @param {string} purpose
+   * @param {string} vendorId
+   * @param {string} [legalBasis=consent]
+   * @param {Object} [options] See `CWT#withConsentStatus`
+   * @return {CWTBuilder}
+   */
+  setConsentStatus(status, purpose, vendorId, legalBasis, options) {
+    this.token = this.token.withConsentStatus(status, purpose, vendorId, legalBasis, options);
+
+    return this;
+  }
+
+  /**
+   * Remove the consent information of the user for a specific purpose/vendor
+   *
+   * @param {string} purpose
+   * @param {string} vendorId
+   * @return {CWTBuilder}
+   */
+  removeConsentStatus(purpose, vendorId) {
+    this.token = this.token.withoutConsentStatus(purpose, vendorId);
+
+    return this;
+  }
+
+  /**
+   * Get the frozen token
+   *
+   * @return {CWT}
+   */
+  build() {
+    return this.token;
+  }
+}
+
+module.exports = {
+  CWTBuilder,
+  copy,
+  deepFreeze,
+  removeVendor,
+  setVendor,
+};
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Encode a string or a buffer as base64url (RFC 7515) without padding
+ *
+ * @param {string|Buffer} input
+ * @return {string}
+ */
+function base64UrlEncode(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Decode a base64url (RFC 7515) string into a buffer
+ *
+ * @param {string} input
+ * @return {Buffer}
+ */
+function base64UrlDecode(input) {
+  const base64String = input
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+
+  return Buffer.from(base64String, 'base64');
+}
+
+/**
+ * Signing algorithms supported for JWTs
+ */
+const Algorithms = {
+  HS256: 'HS256',
+  RS256: 'RS256',
+  ES256: 'ES256',
+};
+
+/**
+ * Check if a value is a key object from the node.js `crypto` module
+ *
+ * @param {*} key
+ * @return {boolean}
+ */
+function isKeyObject(key) {
+  return !!key && typeof key === 'object' && typeof key.asymmetricKeyType !== 'undefined';
+}
+
+/**
+ * Check if a value is a JSON Web Key (RFC 7517)
+ *
+ * @param {*} key
+ * @return {boolean}
+ */
+function isJWK(key) {
+  return !!key && typeof key === 'object' && typeof key.kty === 'string';
+}
+
+/**
+ * Check if a value is a JSON Web Key Set (RFC 7517)
+ *
+ * @param {*} keySet
+ * @return {boolean}
+ */
+function isJWKS(keySet) {
+  return !!keySet && typeof keySet === 'object' && Array.isArray(keySet.keys);
+}
+
+/**
+ * Check if a value is a PEM-encoded key
+ *
+ * @param {*} key
+ * @return {boolean}
+ */
+function isPEM(key) {
+  return (typeof key === 'string' || Buffer.isBuffer(key))
+    && key.toString().indexOf('-----BEGIN') !== -1;
+}
+
+/**
+ * Find the JWT algorithm matching a key object
+ *
+ * @param {KeyObject} keyObject
+ * @return {string|null}
+ */
+function algorithmFromKeyObject(keyObject) {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return Algorithms.RS256;
+  }
+
+  if (keyObject.asymmetricKeyType === 'ec') {
+    return Algorithms.ES256;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a JWK into a verification key
+ *
+ * @param {Object} jwk
+ * @return {Object|null} Return an object with the `kid`, `alg` and `key` to use for verifying signatures or null if the JWK is not supported
+ */
+function verificationKeyFromJWK(jwk) {
+  try {
+    if (jwk.kty === 'oct') {
+      return {
+        kid: jwk.kid,
+        alg: jwk.alg || Algorithms.HS256,
+        key: base64UrlDecode(jwk.k),
+      };
+    }
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    return {
+      kid: jwk.kid,
+      alg: jwk.alg || algorithmFromKeyObject(key),
+      key,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the list of keys that can be used for verifying a JWT signature
+ *
+ * @param {string|Buffer|KeyObject|Object} keyOrKeySet A shared secret, a PEM-encoded public key, a key object, a JWK or a JWKS
+ * @return {Object[]} A list of objects with the `kid`, `alg` and `key` to use for verifying signatures
+ */
+function verificationKeys(keyOrKeySet) {
+  if (!keyOrKeySet) {
+    return [];
+  }
+
+  if (isJWKS(keyOrKeySet)) {
+    return keyOrKeySet.keys
+      .map(verificationKeyFromJWK)
+      .filter(key => key !== null);
+  }
+
+  if (isJWK(keyOrKeySet)) {
+    const key = verificationKeyFromJWK(keyOrKeySet);
+    return key ? [key] : [];
+  }
+
+  if (isKeyObject(keyOrKeySet) || isPEM(keyOrKeySet)) {
+    try {
+      const key = crypto.createPublicKey(keyOrKeySet);
+      return [{ alg: algorithmFromKeyObject(key), key }];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return [{ alg: Algorithms.HS256, key: keyOrKeySet }];
+}
+
+/**
+ * Compute the signature of a JWT signing input
+ *
+ * @param {string} algorithm The JWT algorithm (HS256, RS256 or ES256)
+ * @param {string} signingInput The `header.payload` part of the JWT
+ * @param {string|Buffer|KeyObject} key The shared secret or the private key
+ * @return {Buffer}
+ */
+function createSignature(algorithm, signingInput, key) {
+  if (algorithm === Algorithms.HS256) {
+    return crypto
+      .createHmac('sha256', key)
+      .update(signingInput)
+      .digest();
+  }
+
+  if (algorithm === Algorithms.RS256) {
+    return crypto.sign('sha256', Buffer.from(signingInput), key);
+  }
+
+  // ES256 signatures are the raw concatenation of R and S (RFC 7518 section 3.4)
+  return crypto.sign('sha256', Buffer.from(signingInput), {
+    key,
+    dsaEncoding: 'ieee-p1363',
+  });
+}
+
+/**
+ * Check the signature of a JWT signing input
+ *
+ * @param {string} algorithm The JWT algorithm (HS256, RS256 or ES256)
+ * @param {string} signingInput The `header.payload` part of the JWT
+ * @param {Buffer} signature The signature to check
+ * @param {string|Buffer|KeyObject} key The shared secret or the public key
+ * @return {boolean}
+ */
+function checkSignature(algorithm, signingInput, signature, key) {
+  try {
+    if (algorithm === Algorithms.HS256) {
+      const expectedSignature = createSignature(algorithm, signingInput, key);
+
+      return signature.length === expectedSignature.length
+        && crypto.timingSafeEqual(signature, expectedSignature);
+    }
+
+    if (algorithm === Algorithms.RS256) {
+      return crypto.verify('sha256', Buffer.from(signingInput), key, signature);
+    }
+
+    return crypto.verify('sha256', Buffer.from(signingInput), {
+      key,
+      dsaEncoding: 'ieee-p1363',
+    }, signature);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sign a payload and generate a compact JWT (`header.payload.signature`)
+ *
+ * @param {Object} payload The claims to sign
+ * @param {string|Buffer|KeyObject|Object} key The shared secret (HS256) or the private key as PEM, key object or JWK (RS256/ES256)
+ * @param {Object} [options]
+ * @param {string} [options.algorithm=HS256] The signing algorithm (HS256, RS256 or ES256)
+ * @param {string} [options.keyId] The ID of the key used for signing, added as the `kid` header (defaults to the `kid` of a JWK)
+ * @param {Object} [options.header] Additional header parameters
+ * @return {string}
+ */
+function sign(payload, key, options) {
+  options = options || {};
+
+  const algorithm = options.algorithm || Algorithms.HS256;
+
+  if (!Algorithms.hasOwnProperty(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm ${algorithm}`);
+  }
+
+  if (!key) {
+    throw new Error('A key is required to sign a JWT');
+  }
+
+  let signingKey = key;
+  let keyId = options.keyId;
+
+  if (isJWK(key)) {
+    keyId = keyId || key.kid;
+    signingKey = key.kty === 'oct'
+      ? base64UrlDecode(key.k)
+      : crypto.createPrivateKey({ key, format: 'jwk' });
+  }
+
+  const header = Object.assign({}, options.header, {
+    alg: algorithm,
+    typ: 'JWT',
+  });
+
+  if (keyId) {
+    header.kid = keyId;
+  }
+
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+
+  return `${signingInput}.${base64UrlEncode(createSignature(algorithm, signingInput, signingKey))}`;
+}
+
+/**
+ * Decode a compact JWT without verifying its signature
+ *
+ * @param {string} jwtString
+ * @return {Object|null} Return an object with the `header`, `payload`, `signingInput` and `signature` of the token or null if the string is not a valid JWT
+ */
+function decode(jwtString) {
+  if (!jwtString || typeof jwtString !== 'string') {
+    return null;
+  }
+
+  const parts = jwtString.split('.');
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString());
+    const payload = JSON.parse(base64UrlDecode(parts[1]).toString());
+
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    return {
+      header,
+      payload,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: base64UrlDecode(parts[2]),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify the signature of a compact JWT and return its payload
+ *
+ * The algorithm of the token must match the type of the key: shared secrets only verify HS256 tokens and public keys only verify RS256/ES256 tokens.
+ * When a JWKS is provided, the `kid` header of the token selects the key to use. Keeping retired keys in the set allows tokens signed before a key rotation to still be verified.
+ *
+ * @param {string} jwtString
+ * @param {string|Buffer|KeyObject|Object} keyOrKeySet A shared secret, a PEM-encoded public key, a key object, a JWK or a JWKS
+ * @return {Object|null} Return the payload of the token or null if the token is invalid or its signature does not match
+ */
+function verify(jwtString, keyOrKeySet) {
+  const jwt = decode(jwtString);
+
+  if (!jwt) {
+    return null;
+  }
+
+  const { alg, kid } = jwt.header;
+
+  const candidateKeys = verificationKeys(keyOrKeySet)
+    .filter(key => key.alg === alg)
+    .filter(key => !kid || !key.kid || key.kid === kid);
+
+  for (let i = 0; i < candidateKeys.length; i += 1) {
+    if (checkSignature(alg, jwt.signingInput, jwt.signature, candidateKeys[i].key)) {
+      return jwt.payload;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load a JSON Web Key Set (RFC 7517)
+ *
+ * @param {string|Object} source The path to a JSON file containing the key set or the key set itself
+ * @return {Object} The key set
+ *
+ * @example
+ * const keySet = loadJWKS('/etc/cwt/jwks.json');
+ * CWTFromJWT(jwtString, keySet);
+ */
+function loadJWKS(source) {
+  let keySet = source;
+
+  if (typeof source === 'string') {
+    keySet = JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+
+  if (!isJWKS(keySet)) {
+    throw new Error('A JWKS must be an object with a list of keys');
+  }
+
+  return keySet;
+}
+
+module.exports = {
+  Algorithms,
+  base64UrlDecode,
+  base64UrlEncode,
+  decode,
+  loadJWKS,
+  sign,
+  verify,
+};
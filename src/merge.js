@@ -0,0 +1,212 @@
+/**
+ * Merge of tokens created for the same user (on several devices for instance)
+ */
+
+const { resolveStatusVendor } = require('./resolve');
+
+/**
+ * Strategies for resolving conflicting statuses between tokens
+ */
+const MergeStrategies = {
+  // The status that was updated last wins (based on the `updated_at` time of the vendor entries)
+  MostRecent: 'most_recent',
+
+  // A refusal wins over an approval
+  MostRestrictive: 'most_restrictive',
+
+  // The status of the token that was issued first wins (based on the `issued_at` time of the tokens, then on the order of the list)
+  FirstIssuer: 'first_issuer',
+};
+
+/**
+ * Vendor properties holding the status for every legal basis
+ */
+const statusFields = {
+  consent: 'status',
+  legitimate_interest: 'legitimate_interest',
+};
+
+/**
+ * Token fields that are copied to the merged token
+ * The value of the first token that has one is used.
+ */
+const tokenFields = [
+  'issuer',
+  'user_id',
+  'user_id_type',
+  'user_id_hash_method',
+  'issued_at',
+  'expires_at',
+  'not_before',
+  'token_id',
+  'audience',
+];
+
+/**
+ * Rank tokens by issuance
+ * Tokens without `issued_at` time are considered to be issued after the others and ties are resolved by the order of the list.
+ *
+ * @param {CWT[]} tokens
+ * @return {number[]} The rank of every token (0 for the token issued first)
+ */
+function rankByIssuance(tokens) {
+  const time = token => (
+    token.issued_at === undefined || token.issued_at === null ? Infinity : token.issued_at
+  );
+  const order = tokens
+    .map((token, index) => index)
+    .sort((a, b) => (time(tokens[a]) - time(tokens[b])) || (a - b));
+
+  return tokens.map((token, index) => order.indexOf(index));
+}
+
+/**
+ * Pick the winning status among conflicting statuses
+ *
+ * @param {Object[]} candidates The statuses of the tokens (`token` index, `status` and `updated_at`) in the order of the tokens
+ * @param {string} strategy One of `MergeStrategies`
+ * @param {number[]} issuanceRanks The rank of every token by issuance (see `rankByIssuance`)
+ * @return {Object} The winning candidate
+ */
+function resolveConflict(candidates, strategy, issuanceRanks) {
+  if (strategy === MergeStrategies.FirstIssuer) {
+    return candidates.reduce((first, candidate) => (
+      issuanceRanks[candidate.token] < issuanceRanks[first.token] ? candidate : first
+    ));
+  }
+
+  const restrictive = candidates.find(candidate => candidate.status === false) || candidates[0];
+
+  if (strategy === MergeStrategies.MostRestrictive) {
+    return restrictive;
+  }
+
+  // Statuses without time are the oldest and ties are resolved by the most restrictive status
+  const time = candidate => (candidate.updated_at === undefined ? -Infinity : candidate.updated_at);
+  const latestTime = Math.max(...candidates.map(time));
+  const latest = candidates.filter(candidate => time(candidate) === latestTime);
+
+  return latest.find(candidate => candidate.status === false) || latest[0];
+}
+
+/**
+ * Merge a list of tokens
+ *
+ * Every purpose/vendor pair found in one of the tokens is resolved for each legal basis.
+ * The status of a token for a vendor is resolved as with `CWT#getConsentStatus`: it falls back to the ancestors of the purpose, the groups of the vendor and the `*` catch-alls,
+ * so that a "refuse all" on one device applies to the vendors approved on another one.
+ * Histories are merged and sorted by time.
+ *
+ * @param {CWT[]} tokens
+ * @param {string} [strategy=most_recent] One of `MergeStrategies`
+ * @return {Object} An object with the `content` of the merged token and the list of `conflicts` that were resolved. A conflict has the `purpose`, `vendor` and `legal_basis` that had different statuses, the winning `status` and the `candidates` statuses (`token` index, `status` and `updated_at`).
+ */
+function mergeTokens(tokens, strategy) {
+  strategy = strategy || MergeStrategies.MostRecent;
+
+  if (Object.keys(MergeStrategies).map(key => MergeStrategies[key]).indexOf(strategy) === -1) {
+    throw new Error(`Unsupported merge strategy ${strategy}`);
+  }
+
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    throw new Error('At least one token is required for merging');
+  }
+
+  const content = {};
+
+  tokenFields.forEach((field) => {
+    const token = tokens.find(t => t[field] !== null && t[field] !== undefined);
+    content[field] = token ? token[field] : null;
+  });
+
+  content.consents = [];
+  const conflicts = [];
+  const issuanceRanks = rankByIssuance(tokens);
+
+  tokens.forEach((token) => {
+    token.consents.forEach(({ purpose, vendors }) => {
+      let consent = content.consents.find(c => c.purpose === purpose);
+
+      if (!consent) {
+        consent = { purpose, vendors: [] };
+        content.consents.push(consent);
+      }
+
+      vendors.forEach(({ id }) => {
+        if (!consent.vendors.find(v => v.id === id)) {
+          consent.vendors.push({ id, status: undefined });
+        }
+      });
+    });
+  });
+
+  content.consents.forEach(({ purpose, vendors }) => {
+    vendors.forEach((vendor) => {
+      for (const legalBasis in statusFields) {
+        if (!statusFields.hasOwnProperty(legalBasis)) {
+          continue;
+        }
+
+        const field = statusFields[legalBasis];
+        const candidates = [];
+        const entries = [];
+
+        tokens.forEach((token, index) => {
+          const entry = resolveStatusVendor(token.consents, purpose, vendor.id, field);
+
+          if (entry) {
+            candidates.push({ token: index, status: entry[field], updated_at: entry.updated_at });
+            entries.push(entry);
+          }
+        });
+
+        if (candidates.length === 0) {
+          continue;
+        }
+
+        const winner = resolveConflict(candidates, strategy, issuanceRanks);
+
+        const winnerEntry = entries[candidates.indexOf(winner)];
+
+        vendor[field] = winner.status;
+
+        // Decisions made by applying a privacy signal keep their source (see `CWT#getConsentSource`)
+        if (field === 'status' && winnerEntry.source) {
+          vendor.source = winnerEntry.source;
+        }
+
+        if (winner.updated_at !== undefined) {
+          vendor.updated_at = Math.max(vendor.updated_at || 0, winner.updated_at);
+        }
+
+        if (candidates.some(candidate => candidate.status !== winner.status)) {
+          conflicts.push({
+            purpose,
+            vendor: vendor.id,
+            legal_basis: legalBasis,
+            status: winner.status,
+            candidates,
+          });
+        }
+      }
+    });
+  });
+
+  if (tokens.some(token => token.history)) {
+    content.history = tokens
+      .reduce((history, token) => history.concat(token.history || []), [])
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => (a.entry.updated_at - b.entry.updated_at) || (a.index - b.index))
+      .map(({ entry }) => entry);
+  }
+
+  return {
+    content,
+    conflicts,
+  };
+}
+
+module.exports = {
+  MergeStrategies,
+  mergeTokens,
+};
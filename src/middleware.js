@@ -0,0 +1,331 @@
+/**
+ * Express/Connect middleware that reads the token of the user from the requests
+ *
+ * The middleware is framework-agnostic: it only relies on the node.js `IncomingMessage`/`ServerResponse` API, so it works with Express, Connect and plain `http` servers.
+ */
+
+/* global URL */
+
+const signals = require('./signals');
+const storage = require('./storage');
+
+/**
+ * Default options of the middleware
+ */
+const MiddlewareDefaults = {
+  // Name of the cookie holding the token (false to ignore cookies)
+  cookie: storage.CookieDefaults.name,
+
+  // Name of the header holding the token (false to ignore headers)
+  header: 'x-consent-token',
+
+  // Name of the query parameter holding the token (false to ignore query parameters)
+  // Disabled by default as URLs end up in server logs
+  query: false,
+
+  // Privacy signals of the requests to honor (see `PrivacySignals`)
+  privacySignals: [],
+};
+
+/**
+ * Get the value of a query parameter of a request
+ *
+ * @param {Object} req
+ * @param {string} name
+ * @return {string|null}
+ */
+function queryValue(req, name) {
+  if (req.query && typeof req.query === 'object') {
+    // Express parses the query string
+    const value = req.query[name];
+
+    return typeof value === 'string' ? value : null;
+  }
+
+  try {
+    return new URL(req.url || '', 'http://localhost').searchParams.get(name);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the serialized token of a request
+ * The cookie is read first, then the header and finally the query parameter.
+ *
+ * @param {Object} req
+ * @param {Object} options
+ * @return {Object|null} An object with the serialized token as `value` and its `source` (`cookie`, `header` or `query`) or null if the request does not have a token
+ */
+function readRequestToken(req, options) {
+  const headers = req.headers || {};
+
+  if (options.cookie) {
+    const value = storage.cookieValue(storage.parseCookies(headers.cookie), options.cookie);
+
+    if (value) {
+      return { value, source: 'cookie' };
+    }
+  }
+
+  if (options.header) {
+    const value = headers[options.header.toLowerCase()];
+
+    if (value && typeof value === 'string') {
+      return { value, source: 'header' };
+    }
+  }
+
+  if (options.query) {
+    const value = queryValue(req, options.query);
+
+    if (value) {
+      return { value, source: 'query' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add cookies to the `Set-Cookie` header of a response without removing the cookies already set
+ *
+ * @param {Object} res
+ * @param {string[]} cookies
+ */
+function appendCookies(res, cookies) {
+  const current = res.getHeader('Set-Cookie');
+
+  res.setHeader('Set-Cookie', [].concat(current || []).concat(cookies));
+}
+
+/**
+ * Consent information of a request (`req.consent`)
+ */
+class RequestConsent {
+  /**
+   * @param {CWT|null} token
+   * @param {string|null} source
+   */
+  constructor(token, source) {
+    /**
+     * The token of the user or null if the request does not have a valid token
+     *
+     * @type {CWT|null}
+     */
+    this.token = token;
+
+    /**
+     * Where the token was read from: `cookie`, `header`, `query` or null
+     *
+     * @type {string|null}
+     */
+    this.source = source;
+
+    /**
+     * The error raised while parsing the token (token using an unsupported version of the specification)
+     *
+     * @type {Error|null}
+     */
+    this.error = null;
+
+    /**
+     * The privacy signals of the request that were applied to the token (see `PrivacySignals`)
+     *
+     * @type {string[]}
+     */
+    this.signals = [];
+  }
+
+  /**
+   * Get the consent status of the user for a specific purpose/vendor (see `CWT#getConsentStatus`)
+   *
+   * @param {string} purpose
+   * @param {string} vendorId
+   * @param {string|string[]} [legalBasis=consent]
+   * @return {boolean|undefined} The status or undefined if there is no token or no information
+   */
+  status(purpose, vendorId, legalBasis) {
+    return this.token ? this.token.getConsentStatus(purpose, vendorId, legalBasis) : undefined;
+  }
+
+  /**
+   * Check if the user allows a vendor to process data for a purpose
+   * Missing information is never considered as an agreement.
+   *
+   * @param {string} purpose
+   * @param {string} vendorId
+   * @param {string|string[]} [legalBasis=consent]
+   * @return {boolean}
+   *
+   * @example
+   * if (req.consent.allows(Purposes.Analytics, 'didomi')) {
+   *   track(req);
+   * }
+   */
+  allows(purpose, vendorId, legalBasis) {
+    return this.status(purpose, vendorId, legalBasis) === true;
+  }
+}
+
+/**
+ * Create the middleware
+ *
+ * @param {Object} options See `MiddlewareDefaults` and `cookieOptions` (used when writing the token)
+ * @param {Function} parse Parse a serialized token (`(value) => CWT|null`)
+ * @param {Function} serialize Serialize a token for the cookie (`(token) => string`)
+ * @param {Function} [applySignals] Apply privacy signals to a token or to an empty token if the request does not have one (`(token, signals) => CWT`)
+ * @return {Function} The middleware (`(req, res, next) => void`)
+ */
+function createMiddleware(options, parse, serialize, applySignals) {
+  options = Object.assign({}, MiddlewareDefaults, options);
+
+  const cookieOptions = Object.assign({}, options.cookieOptions, {
+    name: options.cookie || storage.CookieDefaults.name,
+  });
+
+  return function consentMiddleware(req, res, next) {
+    const requestToken = readRequestToken(req, options);
+    const consent = new RequestConsent(null, null);
+
+    if (requestToken) {
+      try {
+        consent.token = parse(requestToken.value);
+        consent.source = consent.token ? requestToken.source : null;
+      } catch (error) {
+        consent.error = error;
+      }
+    }
+
+    consent.signals = signals.getRequestSignals(req.headers)
+      .filter(signal => options.privacySignals.indexOf(signal) !== -1);
+
+    if (consent.signals.length > 0 && applySignals) {
+      consent.token = applySignals(consent.token, consent.signals);
+    }
+
+    const currentCookies = () => storage.parseCookies((req.headers || {}).cookie);
+
+    req.consent = consent;
+
+    /**
+     * Write a token in the consent cookie of the response and use it for the rest of the request
+     *
+     * @param {CWT} token
+     * @param {Object} [overrides] Cookie options overriding the options of the middleware
+     */
+    res.setConsentToken = (token, overrides) => {
+      const cookies = storage.serializeCookies(
+        serialize(token),
+        Object.assign({}, cookieOptions, overrides),
+        currentCookies()
+      );
+
+      appendCookies(res, cookies);
+      consent.token = token;
+    };
+
+    /**
+     * Remove the consent cookie
+     *
+     * @param {Object} [overrides] Cookie options overriding the options of the middleware
+     */
+    res.clearConsentToken = (overrides) => {
+      const cookies = storage.serializeExpiredCookies(
+        Object.assign({}, cookieOptions, overrides),
+        currentCookies()
+      );
+
+      appendCookies(res, cookies);
+      consent.token = null;
+    };
+
+    next();
+  };
+}
+
+/**
+ * Create the `consentMiddleware` function
+ * The token class and parser are provided by the token module as it requires this module.
+ *
+ * @param {Object} parsers The `CWT` class and the `CWTFromString` parser
+ * @return {Function} The `consentMiddleware` function
+ */
+function createConsentMiddleware(parsers) {
+  const { CWT, CWTFromString } = parsers;
+
+  /**
+   * Create an Express/Connect middleware that reads the token of the user from the requests
+   *
+   * The token is read from a cookie, a header or a query parameter and its encoding is detected automatically (see `CWTFromString`).
+   * It is exposed as `req.consent` with helpers to check consent (`req.consent.allows(purpose, vendorId)`).
+   * The response gets `res.setConsentToken(token)` and `res.clearConsentToken()` to update the cookie of the user.
+   *
+   * @param {Object} [options]
+   * @param {string|false} [options.cookie=cwt] The name of the cookie holding the token (false to ignore cookies)
+   * @param {string|false} [options.header=x-consent-token] The name of the header holding the token (false to ignore headers)
+   * @param {string|false} [options.query=false] The name of the query parameter holding the token
+   * @param {string|Buffer|KeyObject|Object} [options.key] The key or key set that signed the tokens. If provided, only JWTs with a valid signature are accepted.
+   * @param {Object} [options.validation] Validation options of the tokens (see `CWTFromJSON`). Expired tokens are always rejected.
+   * @param {string} [options.encoding=base64] The encoding of the tokens written in the cookie (see `StorageEncodings`)
+   * @param {string|Buffer|KeyObject|Object} [options.signingKey] If provided, the tokens written in the cookie are signed JWTs (see `CWT#toJWT`)
+   * @param {Object} [options.signingOptions] The signing options (see `CWT#toJWT`)
+   * @param {Object} [options.cookieOptions] The options of the cookie written in the response (see `saveToCookie`)
+   * @param {string[]} [options.privacySignals] The privacy signals sent by browsers to honor (see `PrivacySignals`). They are applied to `req.consent.token`, an empty token is created if the request does not have one.
+   * @param {string[]} [options.signalPurposes] The purposes refused by the privacy signals (defaults to `SignalPurposes`)
+   * @return {Function} The middleware
+   * @throws {Error} If the encoding or a privacy signal is not supported
+   *
+   * @example
+   * app.use(consentMiddleware({ cookie: 'cwt', cookieOptions: { domain: '.example.com' } }));
+   *
+   * app.get('/', (req, res) => {
+   *   if (req.consent.allows(Purposes.Analytics, 'didomi')) {
+   *     track(req);
+   *   }
+   * });
+   *
+   * app.post('/consents', (req, res) => {
+   *   const token = req.consent.token || new CWT({ issuer: 'didomi' });
+   *   token.setConsentStatus(req.body.analytics, Purposes.Analytics, '*');
+   *   res.setConsentToken(token);
+   *   res.end();
+   * });
+   */
+  function consentMiddleware(options) {
+    options = options || {};
+
+    const encoding = storage.storageEncoding(options.encoding, storage.StorageEncodings.Base64);
+    const parseOptions = Object.assign({}, options.validation, { key: options.key });
+
+    signals.checkPrivacySignals([].concat(options.privacySignals || []));
+
+    const serialize = options.signingKey
+      ? token => token.toJWT(options.signingKey, options.signingOptions)
+      : storage.storageSerializers[encoding];
+
+    const applySignals = (token, requestSignals) => {
+      token = token || new CWT();
+      token.applyPrivacySignals(requestSignals, { purposes: options.signalPurposes });
+
+      return token;
+    };
+
+    return createMiddleware(
+      options,
+      value => CWTFromString(value, parseOptions),
+      serialize,
+      applySignals
+    );
+  }
+
+  return consentMiddleware;
+}
+
+module.exports = {
+  createConsentMiddleware,
+  createMiddleware,
+  MiddlewareDefaults,
+  readRequestToken,
+  RequestConsent,
+};
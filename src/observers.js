@@ -0,0 +1,203 @@
+/**
+ * Change notifications of tokens
+ *
+ * Observers are kept outside of the tokens (in a WeakMap) so that they are not serialized or compared with the token data.
+ * Every change of a status is wrapped in a transaction: notifications are sent when the outermost transaction ends, once for all the changes of the transaction.
+ */
+
+const observersByToken = new WeakMap();
+
+/**
+ * Events supported by `CWT#on`
+ */
+const Events = {
+  Change: 'change',
+};
+
+/**
+ * Get the observers of a token
+ *
+ * @param {CWT} token
+ * @return {Object} An object with the `change` listeners, the `subscriptions`, the `depth` of the current transaction and the `changes` recorded during the transaction
+ */
+function getObservers(token) {
+  let observers = observersByToken.get(token);
+
+  if (!observers) {
+    observers = {
+      listeners: [],
+      subscriptions: [],
+      depth: 0,
+      changes: [],
+    };
+
+    observersByToken.set(token, observers);
+  }
+
+  return observers;
+}
+
+/**
+ * Get the current status of a subscription
+ *
+ * @param {CWT} token
+ * @param {Object} subscription
+ * @return {boolean|undefined}
+ */
+function subscriptionStatus(token, subscription) {
+  const { purpose, vendorId, legalBasis } = subscription;
+
+  return token.getConsentStatus(purpose, vendorId, legalBasis);
+}
+
+/**
+ * Start a transaction
+ *
+ * @param {CWT} token
+ */
+function beginTransaction(token) {
+  const observers = getObservers(token);
+
+  if (observers.depth === 0) {
+    observers.subscriptions.forEach((subscription) => {
+      subscription.before = subscriptionStatus(token, subscription);
+    });
+  }
+
+  observers.depth += 1;
+}
+
+/**
+ * Record a change of status in the current transaction
+ * Changes that do not modify the status are ignored.
+ *
+ * @param {CWT} token
+ * @param {Object} change An object with the `purpose`, `vendor` and `legal_basis` of the status and its status `before` and `after` the change
+ */
+function recordChange(token, change) {
+  if (change.before !== change.after) {
+    getObservers(token).changes.push(change);
+  }
+}
+
+/**
+ * End a transaction and notify the observers if it was the outermost transaction
+ *
+ * @param {CWT} token
+ */
+function endTransaction(token) {
+  const observers = getObservers(token);
+
+  observers.depth -= 1;
+
+  if (observers.depth > 0) {
+    return;
+  }
+
+  const { changes } = observers;
+
+  observers.changes = [];
+
+  if (changes.length === 0) {
+    return;
+  }
+
+  observers.listeners.slice().forEach(listener => listener(changes));
+
+  observers.subscriptions.slice().forEach((subscription) => {
+    const status = subscriptionStatus(token, subscription);
+
+    // Subscriptions removed by a previous handler are not notified
+    if (status !== subscription.before && observers.subscriptions.indexOf(subscription) !== -1) {
+      subscription.handler({
+        purpose: subscription.purpose,
+        vendor: subscription.vendorId,
+        legal_basis: subscription.legalBasis,
+        before: subscription.before,
+        after: status,
+      });
+    }
+  });
+}
+
+/**
+ * Remove a listener
+ *
+ * @param {CWT} token
+ * @param {string} event One of `Events`
+ * @param {function(changes: Object[])} listener
+ * @return {boolean} True if the listener was found and removed
+ */
+function removeListener(token, event, listener) {
+  const { listeners } = getObservers(token);
+  const index = listeners.indexOf(listener);
+
+  if (event !== Events.Change || index === -1) {
+    return false;
+  }
+
+  listeners.splice(index, 1);
+
+  return true;
+}
+
+/**
+ * Add a listener for an event
+ *
+ * @param {CWT} token
+ * @param {string} event One of `Events`
+ * @param {function(changes: Object[])} listener
+ * @return {function()} A function that removes the listener
+ */
+function addListener(token, event, listener) {
+  if (event !== Events.Change) {
+    throw new Error(`Unsupported event ${event}`);
+  }
+
+  getObservers(token).listeners.push(listener);
+
+  return () => removeListener(token, event, listener);
+}
+
+/**
+ * Subscribe to the changes of status of a purpose/vendor
+ *
+ * @param {CWT} token
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @param {string} legalBasis
+ * @param {function(change: Object)} handler
+ * @return {function()} A function that removes the subscription
+ */
+function subscribe(token, purpose, vendorId, legalBasis, handler) {
+  const { subscriptions } = getObservers(token);
+  const subscription = {
+    purpose,
+    vendorId,
+    legalBasis,
+    handler,
+  };
+
+  // Status at the start of the transaction (or at the time of the subscription if a transaction is in progress)
+  subscription.before = subscriptionStatus(token, subscription);
+
+  subscriptions.push(subscription);
+
+  return () => {
+    const index = subscriptions.indexOf(subscription);
+
+    if (index !== -1) {
+      subscriptions.splice(index, 1);
+    }
+  };
+}
+
+module.exports = {
+  Events,
+  addListener,
+  beginTransaction,
+  endTransaction,
+  recordChange,
+  removeListener,
+  subscribe,
+};
@@ -0,0 +1,502 @@
+/**
+ * List of standard GDPR/ePrivacy purposes
+ *
+ * This list is provided as part of the CWT specification but is not intended to be a complete/restrictive list. You are free to specify your own purposes. If you share tokens with third-parties though, they will need to know how to interpret your purpose IDs whereas you can expect them to know how to deal with the standard purposes provided here.
+ */
+const Purposes = {
+  Cookies: 'cookies',
+  CookiesAnalytics: 'cookies_analytics',
+  CookiesMarketing: 'cookies_marketing',
+  CookiesSocial: 'cookies_social',
+
+  /**
+   * Purposes from the IAB GDPR Transparency and consent framework
+   * From http://advertisingconsent.eu/wp-content/uploads/2018/03/Transparency_Consent_Framework_FAQ_Formatted_v1_8-March-2018.pdf
+   * Subject to change
+   */
+
+  // Advertising personalisation allow processing of a user’s data to provide and inform personalised advertising (including delivery, measurement, and reporting) based on a user’s preferences or interests known or inferred from data collected across multiple sites, apps, or devices; and/or accessing or storing information on devices for that purpose
+  AdvertisingPersonalization: 'advertising_personalization',
+
+  // Analytics allow processing of a user’s data to deliver content or advertisements and measure the delivery of such content or advertisements, extract insights and generate reports to understand service usage; and/or accessing or storing information on devices for that purpose
+  Analytics: 'analytics',
+
+  // Content personalisation allow processing of a user’s data to provide and inform personalised content (including delivery, measurement, and reporting) based on a user’s preferences or interests known or inferred from data collected across multiple sites, apps, or devices; and/or accessing or storing information on devices for that purpose.
+  ContentPersonalization: 'content_personalization',
+
+  // Accessing a device allow storing or accessing information on a user’s device
+  DeviceAccess: 'device_access',
+
+  // Matching data to offline sources combining data from offline sources that were initially collected in other contexts
+  OfflineMatch: 'offline_match',
+
+  // Linking devices allow processing of a user’s data to connect such user across multiple devices
+  LinkDevices: 'link_devices',
+
+  // Precise geographic location data allow processing of a user’s precise geographic location data in support of a purpose for which that certain third party has consent
+  PreciseGeo: 'precise_geo',
+
+  /**
+   * Opt-out purposes from the US privacy laws (CCPA/CPRA and other state laws)
+   * Processing is allowed by default for these purposes: a status of false means that the user has opted out.
+   */
+
+  // Sale of personal data to third-parties
+  SaleOfPersonalData: 'sale_of_personal_data',
+
+  // Sharing of personal data with third-parties for cross-context behavioral advertising
+  SharingOfPersonalData: 'sharing_of_personal_data',
+
+  // Processing of personal data for targeted advertising
+  TargetedAdvertising: 'targeted_advertising',
+
+  // Processing of sensitive personal data (health, precise geolocation, racial or ethnic origin, etc.)
+  SensitiveDataProcessing: 'sensitive_data_processing',
+};
+
+/**
+ * Legal bases that can be the default legal basis of a purpose (see `LegalBases`)
+ */
+const legalBases = ['consent', 'legitimate_interest'];
+
+/**
+ * Default locale of the names and descriptions of the purposes
+ */
+const defaultLocale = 'en';
+
+/**
+ * Check that a value is a list of TCF IDs (positive integers)
+ *
+ * @param {*} ids
+ * @return {boolean}
+ */
+function isTCFIdList(ids) {
+  return Array.isArray(ids) && ids.every(id => Number.isInteger(id) && id >= 1);
+}
+
+/**
+ * Get the translation of a text for a locale
+ * Regional locales fall back to their language (`fr-CA` → `fr`) and then to the default locale.
+ *
+ * @param {Object} texts The translations indexed by locale
+ * @param {string} [locale] The locale (defaults to the default locale)
+ * @return {string|null}
+ */
+function translate(texts, locale) {
+  const candidates = [];
+
+  if (locale) {
+    candidates.push(locale, locale.toLowerCase(), locale.split(/[-_]/)[0].toLowerCase());
+  }
+
+  candidates.push(defaultLocale);
+
+  const match = candidates.find(candidate => texts.hasOwnProperty(candidate));
+
+  return match ? texts[match] : null;
+}
+
+/**
+ * Copy and freeze a purpose definition
+ *
+ * @param {Object} definition
+ * @return {Object}
+ */
+function normalizeDefinition(definition) {
+  const tcf = definition.tcf || {};
+
+  return Object.freeze({
+    id: definition.id,
+    names: Object.freeze(Object.assign({}, definition.names)),
+    descriptions: Object.freeze(Object.assign({}, definition.descriptions)),
+    defaultLegalBasis: definition.defaultLegalBasis || 'consent',
+    parent: definition.parent || null,
+    tcf: Object.freeze({
+      purposes: Object.freeze((tcf.purposes || []).slice()),
+      specialFeatures: Object.freeze((tcf.specialFeatures || []).slice()),
+    }),
+    custom: definition.custom !== false,
+  });
+}
+
+/**
+ * Registry of the purposes and of their metadata
+ *
+ * Every purpose has a stable ID (the value stored in the tokens), names and descriptions in several languages, a default legal basis,
+ * the IDs of the IAB TCF v2 purposes and special features that it maps to, and a `custom` flag that is false for the standard purposes of the specification.
+ *
+ * Purposes can have a parent purpose (`cookies_analytics` is a child of `cookies`): the status of a child purpose falls back to the status of its parent (see `CWT#getConsentStatus`).
+ * Parents must be registered before their children so that there are no cycles.
+ *
+ * @example
+ * purposeRegistry.register({
+ *   id: 'newsletter',
+ *   names: { en: 'Newsletter', fr: 'Lettre d’information' },
+ *   descriptions: { en: 'Send the newsletter by email' },
+ * });
+ *
+ * purposeRegistry.getName('newsletter', 'fr-CA'); // Lettre d’information
+ * purposeRegistry.get(Purposes.Analytics).tcf.purposes; // [7, 8]
+ */
+class PurposeRegistry {
+  /**
+   * @param {Object[]} [definitions] The initial purposes (see `register`)
+   */
+  constructor(definitions) {
+    /**
+     * The registered purposes indexed by ID
+     *
+     * @type {Object}
+     */
+    this.definitions = {};
+
+    (definitions || []).forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add a purpose
+   *
+   * @param {Object} definition
+   * @param {string} definition.id The ID of the purpose in the tokens
+   * @param {Object} [definition.names] The names of the purpose indexed by locale (`{ en: 'Analytics', fr: 'Mesure d’audience' }`)
+   * @param {Object} [definition.descriptions] The descriptions of the purpose indexed by locale
+   * @param {string} [definition.defaultLegalBasis=consent] The legal basis under which the purpose is usually processed (see `LegalBases`)
+   * @param {Object} [definition.tcf] The IAB TCF v2 IDs that the purpose maps to
+   * @param {number[]} [definition.tcf.purposes] The IDs of the TCF purposes
+   * @param {number[]} [definition.tcf.specialFeatures] The IDs of the TCF special features
+   * @param {string} [definition.parent] The ID of the parent purpose
+   * @param {boolean} [definition.custom=true] False for the standard purposes of the specification
+   * @return {PurposeRegistry}
+   * @throws {Error} If the definition is not valid or if the purpose is already registered
+   */
+  register(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+      throw new Error('A purpose must have an ID');
+    }
+
+    if (definition.id === '*') {
+      throw new Error('The purpose ID * is reserved for all purposes');
+    }
+
+    if (this.has(definition.id)) {
+      throw new Error(`The purpose ${definition.id} is already registered`);
+    }
+
+    if (definition.defaultLegalBasis && legalBases.indexOf(definition.defaultLegalBasis) === -1) {
+      throw new Error(`Unsupported legal basis ${definition.defaultLegalBasis}`);
+    }
+
+    if (definition.parent && !this.has(definition.parent)) {
+      throw new Error(`The parent purpose ${definition.parent} of ${definition.id} is not registered`);
+    }
+
+    const tcf = definition.tcf || {};
+
+    if ((tcf.purposes && !isTCFIdList(tcf.purposes))
+      || (tcf.specialFeatures && !isTCFIdList(tcf.specialFeatures))) {
+      throw new Error(`The TCF IDs of the purpose ${definition.id} must be lists of positive integers`);
+    }
+
+    this.definitions[definition.id] = normalizeDefinition(definition);
+
+    return this;
+  }
+
+  /**
+   * Check if a purpose is registered
+   *
+   * @param {string} id
+   * @return {boolean}
+   */
+  has(id) {
+    return this.definitions.hasOwnProperty(id);
+  }
+
+  /**
+   * Get the metadata of a purpose
+   *
+   * @param {string} id
+   * @return {Object|null} The frozen definition of the purpose (see `register`) or null if the purpose is not registered
+   */
+  get(id) {
+    return this.has(id) ? this.definitions[id] : null;
+  }
+
+  /**
+   * List the registered purposes
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.custom] Only list the custom (true) or the standard (false) purposes
+   * @return {Object[]} The definitions of the purposes in the order in which they were registered
+   */
+  list(options) {
+    options = options || {};
+
+    return Object.keys(this.definitions)
+      .map(id => this.definitions[id])
+      .filter(definition => options.custom === undefined || definition.custom === options.custom);
+  }
+
+  /**
+   * Get the ancestors of a purpose
+   *
+   * @param {string} id
+   * @return {string[]} The IDs of the parent, grandparent, etc. of the purpose (closest first)
+   */
+  getAncestors(id) {
+    const ancestors = [];
+
+    for (let definition = this.get(id); definition && definition.parent;) {
+      ancestors.push(definition.parent);
+      definition = this.get(definition.parent);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Get the descendants of a purpose
+   *
+   * @param {string} id
+   * @return {string[]} The IDs of the children, grandchildren, etc. of the purpose (depth first)
+   */
+  getDescendants(id) {
+    const children = this.list().filter(definition => definition.parent === id);
+
+    return children.reduce(
+      (descendants, child) => descendants.concat(child.id, this.getDescendants(child.id)),
+      []
+    );
+  }
+
+  /**
+   * Get the name of a purpose
+   *
+   * @param {string} id
+   * @param {string} [locale=en]
+   * @return {string} The name in the locale, in English if there is no translation, or the ID if the purpose has no name
+   */
+  getName(id, locale) {
+    return (this.has(id) && translate(this.definitions[id].names, locale)) || id;
+  }
+
+  /**
+   * Get the description of a purpose
+   *
+   * @param {string} id
+   * @param {string} [locale=en]
+   * @return {string|null} The description in the locale, in English if there is no translation, or null if the purpose has no description
+   */
+  getDescription(id, locale) {
+    return this.has(id) ? translate(this.definitions[id].descriptions, locale) : null;
+  }
+
+  /**
+   * Get the metadata of any purpose ID found in a token, translated in a locale
+   * Purposes that are not registered are described as custom purposes processed under consent.
+   *
+   * @param {string} id
+   * @param {string} [locale=en]
+   * @return {Object} The `id`, `name`, `description`, `defaultLegalBasis`, `parent`, `tcf` IDs and `custom` flag of the purpose
+   *
+   * @example
+   * token.consents.map(consent => purposeRegistry.describe(consent.purpose, 'fr'));
+   */
+  describe(id, locale) {
+    const definition = this.get(id) || normalizeDefinition({ id });
+
+    return {
+      id,
+      name: this.getName(id, locale),
+      description: this.getDescription(id, locale),
+      defaultLegalBasis: definition.defaultLegalBasis,
+      parent: definition.parent,
+      tcf: definition.tcf,
+      custom: definition.custom,
+    };
+  }
+
+  /**
+   * Generate the mapping between the purposes and the TCF purposes and special features (see `toTCString`)
+   *
+   * @return {Object}
+   */
+  toTCFMapping() {
+    const mapping = {
+      purposes: {},
+      specialFeatures: {},
+      vendors: {},
+    };
+
+    this.list().forEach((definition) => {
+      ['purposes', 'specialFeatures'].forEach((section) => {
+        if (definition.tcf[section].length > 0) {
+          mapping[section][definition.id] = definition.tcf[section].slice();
+        }
+      });
+    });
+
+    return mapping;
+  }
+}
+
+/**
+ * Registry of the purposes known by the library
+ * It contains the standard purposes and the purposes registered by the application.
+ */
+const purposeRegistry = new PurposeRegistry([
+  {
+    id: Purposes.Cookies,
+    names: { en: 'Cookies', fr: 'Cookies' },
+    descriptions: {
+      en: 'Store and access information on the device of the user with cookies and similar technologies',
+      fr: 'Stocker des informations et y accéder sur l’appareil de l’utilisateur avec des cookies et des technologies similaires',
+    },
+    custom: false,
+  },
+  {
+    id: Purposes.CookiesAnalytics,
+    names: { en: 'Analytics cookies', fr: 'Cookies de mesure d’audience' },
+    descriptions: {
+      en: 'Use cookies to measure the audience and the usage of the service',
+      fr: 'Utiliser des cookies pour mesurer l’audience et l’utilisation du service',
+    },
+    parent: Purposes.Cookies,
+    custom: false,
+  },
+  {
+    id: Purposes.CookiesMarketing,
+    names: { en: 'Marketing cookies', fr: 'Cookies marketing' },
+    descriptions: {
+      en: 'Use cookies to personalize and measure advertising and marketing campaigns',
+      fr: 'Utiliser des cookies pour personnaliser et mesurer la publicité et les campagnes marketing',
+    },
+    parent: Purposes.Cookies,
+    custom: false,
+  },
+  {
+    id: Purposes.CookiesSocial,
+    names: { en: 'Social media cookies', fr: 'Cookies de réseaux sociaux' },
+    descriptions: {
+      en: 'Use cookies to share content on social networks and display content from social networks',
+      fr: 'Utiliser des cookies pour partager du contenu sur les réseaux sociaux et afficher du contenu des réseaux sociaux',
+    },
+    parent: Purposes.Cookies,
+    custom: false,
+  },
+  {
+    id: Purposes.AdvertisingPersonalization,
+    names: { en: 'Advertising personalization', fr: 'Personnalisation de la publicité' },
+    descriptions: {
+      en: 'Provide personalized advertising based on the preferences or interests of the user, known or inferred from data collected across multiple sites, apps or devices',
+      fr: 'Proposer de la publicité personnalisée selon les préférences ou centres d’intérêt de l’utilisateur, connus ou déduits de données collectées sur plusieurs sites, applications ou appareils',
+    },
+    // Create a personalised ads profile / Select personalised ads
+    tcf: { purposes: [3, 4] },
+    custom: false,
+  },
+  {
+    id: Purposes.Analytics,
+    names: { en: 'Analytics', fr: 'Mesure d’audience' },
+    descriptions: {
+      en: 'Measure the delivery of content and advertisements, extract insights and generate reports to understand the usage of the service',
+      fr: 'Mesurer la diffusion des contenus et des publicités, et générer des statistiques pour comprendre l’utilisation du service',
+    },
+    // Measure ad performance / Measure content performance
+    tcf: { purposes: [7, 8] },
+    custom: false,
+  },
+  {
+    id: Purposes.ContentPersonalization,
+    names: { en: 'Content personalization', fr: 'Personnalisation du contenu' },
+    descriptions: {
+      en: 'Provide personalized content based on the preferences or interests of the user, known or inferred from data collected across multiple sites, apps or devices',
+      fr: 'Proposer du contenu personnalisé selon les préférences ou centres d’intérêt de l’utilisateur, connus ou déduits de données collectées sur plusieurs sites, applications ou appareils',
+    },
+    // Create a personalised content profile / Select personalised content
+    tcf: { purposes: [5, 6] },
+    custom: false,
+  },
+  {
+    id: Purposes.DeviceAccess,
+    names: { en: 'Device access', fr: 'Accès à l’appareil' },
+    descriptions: {
+      en: 'Store and access information on the device of the user',
+      fr: 'Stocker des informations et y accéder sur l’appareil de l’utilisateur',
+    },
+    // Store and/or access information on a device
+    tcf: { purposes: [1] },
+    custom: false,
+  },
+  {
+    id: Purposes.OfflineMatch,
+    names: { en: 'Offline data matching', fr: 'Rapprochement avec des données hors ligne' },
+    descriptions: {
+      en: 'Combine data with data from offline sources that were initially collected in other contexts',
+      fr: 'Combiner les données avec des données provenant de sources hors ligne collectées initialement dans d’autres contextes',
+    },
+    custom: false,
+  },
+  {
+    id: Purposes.LinkDevices,
+    names: { en: 'Device linking', fr: 'Association d’appareils' },
+    descriptions: {
+      en: 'Connect the user across multiple devices',
+      fr: 'Associer les différents appareils de l’utilisateur',
+    },
+    custom: false,
+  },
+  {
+    id: Purposes.PreciseGeo,
+    names: { en: 'Precise geolocation', fr: 'Géolocalisation précise' },
+    descriptions: {
+      en: 'Process the precise geographic location of the user',
+      fr: 'Traiter la position géographique précise de l’utilisateur',
+    },
+    // Use precise geolocation data
+    tcf: { specialFeatures: [1] },
+    custom: false,
+  },
+  {
+    id: Purposes.SaleOfPersonalData,
+    names: { en: 'Sale of personal data', fr: 'Vente de données personnelles' },
+    descriptions: {
+      en: 'Sell the personal data of the user to third-parties',
+      fr: 'Vendre les données personnelles de l’utilisateur à des tiers',
+    },
+    custom: false,
+  },
+  {
+    id: Purposes.SharingOfPersonalData,
+    names: { en: 'Sharing of personal data', fr: 'Partage de données personnelles' },
+    descriptions: {
+      en: 'Share the personal data of the user with third-parties for cross-context behavioral advertising',
+      fr: 'Partager les données personnelles de l’utilisateur avec des tiers pour de la publicité comportementale',
+    },
+    custom: false,
+  },
+  {
+    id: Purposes.TargetedAdvertising,
+    names: { en: 'Targeted advertising', fr: 'Publicité ciblée' },
+    descriptions: {
+      en: 'Process the personal data of the user for targeted advertising',
+      fr: 'Traiter les données personnelles de l’utilisateur pour de la publicité ciblée',
+    },
+    custom: false,
+  },
+  {
+    id: Purposes.SensitiveDataProcessing,
+    names: { en: 'Sensitive data processing', fr: 'Traitement de données sensibles' },
+    descriptions: {
+      en: 'Process sensitive personal data (health, precise geolocation, racial or ethnic origin, etc.)',
+      fr: 'Traiter des données personnelles sensibles (santé, géolocalisation précise, origine raciale ou ethnique, etc.)',
+    },
+    custom: false,
+  },
+]);
+
+module.exports = {
+  PurposeRegistry,
+  purposeRegistry,
+  Purposes,
+};
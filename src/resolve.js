@@ -0,0 +1,57 @@
+/**
+ * Resolution of the status of a purpose/vendor from the consents of a token
+ *
+ * Shared by `CWT#getConsentStatus` and the merge of tokens so that the purpose hierarchy and the vendor groups apply the same way everywhere.
+ */
+
+const { purposeRegistry } = require('./purposes');
+const { vendorGroupRegistry } = require('./vendor-groups');
+
+/**
+ * Find the vendor entry that decides the status of a purpose/vendor
+ * The entry of the vendor is used if it has a status, then the entries of its groups and finally the entry of the `*` vendor (all vendors).
+ *
+ * @param {Object[]} consents
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @param {string} field The vendor property holding the status (`status` for consent or `legitimate_interest`)
+ * @return {Object|null}
+ */
+function resolveVendor(consents, purpose, vendorId, field) {
+  const consent = consents.find(c => c.purpose === purpose);
+
+  return consent ? vendorGroupRegistry.resolve(consent.vendors, vendorId, field) : null;
+}
+
+/**
+ * Find the vendor entry that decides the status of a purpose/vendor, falling back to the ancestors of the purpose and to the `*` purpose (all purposes)
+ * The ancestors are declared in the purpose registry (see `PurposeRegistry`).
+ *
+ * @param {Object[]} consents
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @param {string} field The vendor property holding the status (`status` for consent or `legitimate_interest`)
+ * @return {Object|null} The vendor entry or null if neither the purpose, nor its ancestors nor the `*` purpose have a status for the vendor
+ */
+function resolveStatusVendor(consents, purpose, vendorId, field) {
+  const purposes = [purpose].concat(purposeRegistry.getAncestors(purpose));
+
+  if (purpose !== '*') {
+    purposes.push('*');
+  }
+
+  for (let i = 0; i < purposes.length; i += 1) {
+    const vendor = resolveVendor(consents, purposes[i], vendorId, field);
+
+    if (vendor && vendor[field] !== undefined) {
+      return vendor;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  resolveStatusVendor,
+  resolveVendor,
+};
@@ -0,0 +1,121 @@
+/**
+ * Browser privacy signals: Global Privacy Control (GPC) and Do Not Track (DNT)
+ *
+ * Some US state laws require treating these signals as an opt-out of the sale and sharing of personal data.
+ * Signals are sent by browsers as headers (`Sec-GPC: 1`, `DNT: 1`) and exposed to scripts by `navigator`.
+ */
+
+/* global navigator */
+
+const { Purposes } = require('./purposes');
+
+/**
+ * Supported privacy signals
+ */
+const PrivacySignals = {
+  // Global Privacy Control (https://globalprivacycontrol.github.io/gpc-spec/)
+  GPC: 'gpc',
+
+  // Do Not Track (deprecated by browsers but still sent by some of them)
+  DNT: 'dnt',
+};
+
+/**
+ * Purposes refused when a signal is applied to a token (opt-out of the sale, sharing and advertising purposes of the US privacy laws)
+ */
+const SignalPurposes = [
+  Purposes.SaleOfPersonalData,
+  Purposes.SharingOfPersonalData,
+  Purposes.TargetedAdvertising,
+];
+
+/**
+ * Check that privacy signals are supported
+ *
+ * @param {string[]} list
+ * @throws {Error} If a signal is not one of `PrivacySignals`
+ */
+function checkPrivacySignals(list) {
+  const supportedSignals = Object.keys(PrivacySignals).map(key => PrivacySignals[key]);
+
+  list.forEach((signal) => {
+    if (supportedSignals.indexOf(signal) === -1) {
+      throw new Error(`Unsupported privacy signal ${signal}`);
+    }
+  });
+}
+
+/**
+ * Get the value of a header regardless of the case of its name
+ *
+ * @param {Object} headers
+ * @param {string} name The name of the header in lower case
+ * @return {string|undefined}
+ */
+function headerValue(headers, name) {
+  for (const key in headers) {
+    if (headers.hasOwnProperty(key) && key.toLowerCase() === name) {
+      return String(headers[key]).trim();
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Get the privacy signals sent with a request
+ *
+ * @param {Object} [headers] The headers of the request (`req.headers` in node.js)
+ * @return {string[]} The list of signals (see `PrivacySignals`)
+ */
+function getRequestSignals(headers) {
+  const signals = [];
+
+  if (!headers) {
+    return signals;
+  }
+
+  if (headerValue(headers, 'sec-gpc') === '1') {
+    signals.push(PrivacySignals.GPC);
+  }
+
+  if (headerValue(headers, 'dnt') === '1') {
+    signals.push(PrivacySignals.DNT);
+  }
+
+  return signals;
+}
+
+/**
+ * Get the privacy signals enabled in the browser
+ *
+ * @param {Object} [browserNavigator] The navigator of the browser (defaults to the global navigator)
+ * @return {string[]} The list of signals (see `PrivacySignals`), empty outside of browsers
+ */
+function getBrowserSignals(browserNavigator) {
+  const nav = browserNavigator || (typeof navigator !== 'undefined' ? navigator : null);
+  const signals = [];
+
+  if (!nav) {
+    return signals;
+  }
+
+  if (nav.globalPrivacyControl === true) {
+    signals.push(PrivacySignals.GPC);
+  }
+
+  // Older browsers use `yes` or a vendor-prefixed property
+  if (['1', 'yes'].indexOf(nav.doNotTrack) !== -1 || nav.msDoNotTrack === '1') {
+    signals.push(PrivacySignals.DNT);
+  }
+
+  return signals;
+}
+
+module.exports = {
+  checkPrivacySignals,
+  getBrowserSignals,
+  getRequestSignals,
+  PrivacySignals,
+  SignalPurposes,
+};
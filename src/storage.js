@@ -0,0 +1,557 @@
+/**
+ * Persistence of serialized tokens in cookies and in the local storage of browsers
+ *
+ * Cookie values are URI-encoded. Browsers limit the size of a cookie to about 4 KB: longer values are split across several cookies named `<name>.0`, `<name>.1`, etc.
+ */
+
+/* global document, localStorage */
+
+/**
+ * Default options of the cookies
+ */
+const CookieDefaults = {
+  name: 'cwt',
+  path: '/',
+  sameSite: 'Lax',
+
+  // 13 months, the maximum lifetime of consent cookies recommended by the CNIL
+  maxAge: 396 * 24 * 60 * 60,
+
+  // Maximum size of a cookie (`name=value`) before the value is split across several cookies
+  maxSize: 4000,
+};
+
+/**
+ * Default key of the tokens in the local storage
+ */
+const defaultStorageKey = 'cwt';
+
+/**
+ * Get the document holding the cookies
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @throws {Error} If there is no document
+ */
+function getDocument(options) {
+  const doc = options.document || (typeof document !== 'undefined' ? document : null);
+
+  if (!doc) {
+    throw new Error('Cookies require a document: provide the document option outside of browsers');
+  }
+
+  return doc;
+}
+
+/**
+ * Get the storage holding the tokens
+ *
+ * @param {Object} options
+ * @return {Storage}
+ * @throws {Error} If there is no storage
+ */
+function getStorage(options) {
+  const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+  if (!storage) {
+    throw new Error('The local storage is not available: provide the storage option outside of browsers');
+  }
+
+  return storage;
+}
+
+/**
+ * Parse a cookie header (`document.cookie`) into an object with the raw value of every cookie
+ *
+ * @param {string} cookieString
+ * @return {Object}
+ */
+function parseCookies(cookieString) {
+  const cookies = {};
+
+  (cookieString || '').split(';').forEach((cookie) => {
+    const separatorIndex = cookie.indexOf('=');
+
+    if (separatorIndex === -1) {
+      return;
+    }
+
+    const name = cookie.slice(0, separatorIndex).trim();
+
+    // The first occurrence of a cookie is the one with the most specific path
+    if (name && !cookies.hasOwnProperty(name)) {
+      cookies[name] = cookie.slice(separatorIndex + 1).trim();
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Generate the `Set-Cookie`/`document.cookie` string of a cookie
+ *
+ * @param {string} name
+ * @param {string} value The encoded value
+ * @param {Object} options
+ * @param {string} [options.domain]
+ * @param {string} [options.path]
+ * @param {string} [options.sameSite] `Strict`, `Lax` or `None`
+ * @param {number} [options.maxAge] Lifetime of the cookie in seconds
+ * @param {boolean} [options.secure]
+ * @return {string}
+ */
+function serializeCookie(name, value, options) {
+  let cookie = `${name}=${value}`;
+
+  if (options.domain) {
+    cookie += `; Domain=${options.domain}`;
+  }
+
+  if (options.path) {
+    cookie += `; Path=${options.path}`;
+  }
+
+  if (typeof options.maxAge === 'number') {
+    cookie += `; Max-Age=${Math.floor(options.maxAge)}`;
+  }
+
+  if (options.sameSite) {
+    cookie += `; SameSite=${options.sameSite}`;
+  }
+
+  // Browsers reject SameSite=None cookies that are not secure
+  if (options.secure || String(options.sameSite).toLowerCase() === 'none') {
+    cookie += '; Secure';
+  }
+
+  return cookie;
+}
+
+/**
+ * Split a URI-encoded value into chunks without splitting the escape sequences
+ *
+ * @param {string} value
+ * @param {number} size The maximum size of a chunk
+ * @return {string[]}
+ */
+function splitValue(value, size) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < value.length) {
+    let end = Math.min(start + size, value.length);
+    const escapeIndex = value.lastIndexOf('%', end - 1);
+
+    if (end < value.length && escapeIndex > end - 3 && escapeIndex > start) {
+      end = escapeIndex;
+    }
+
+    chunks.push(value.slice(start, end));
+    start = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * List the names of the chunk cookies of a cookie
+ *
+ * @param {Object} cookies The parsed cookies
+ * @param {string} name
+ * @return {string[]}
+ */
+function chunkNames(cookies, name) {
+  const names = [];
+
+  for (let index = 0; cookies.hasOwnProperty(`${name}.${index}`); index += 1) {
+    names.push(`${name}.${index}`);
+  }
+
+  return names;
+}
+
+/**
+ * Generate the cookies that store a value, split across several cookies if it is too long
+ * The cookies of a previous value that are not overwritten are expired.
+ *
+ * @param {string} value
+ * @param {Object} options Cookie options (see `CookieDefaults`)
+ * @param {Object} currentCookies The parsed cookies that are currently set
+ * @return {string[]} The `Set-Cookie`/`document.cookie` strings
+ */
+function serializeCookies(value, options, currentCookies) {
+  options = Object.assign({}, CookieDefaults, options);
+
+  const { name } = options;
+  const encodedValue = encodeURIComponent(value);
+  const previousNames = [name].concat(chunkNames(currentCookies, name));
+
+  let names = [name];
+  let chunks = [encodedValue];
+
+  if (name.length + encodedValue.length + 1 > options.maxSize) {
+    // Keep space for the `.<index>=` suffix of the chunk names
+    chunks = splitValue(encodedValue, options.maxSize - name.length - 8);
+    names = chunks.map((chunk, index) => `${name}.${index}`);
+  }
+
+  const expiredOptions = Object.assign({}, options, { maxAge: 0 });
+
+  return chunks
+    .map((chunk, index) => serializeCookie(names[index], chunk, options))
+    .concat(previousNames
+      .filter(previousName => names.indexOf(previousName) === -1)
+      .filter(previousName => currentCookies.hasOwnProperty(previousName))
+      .map(previousName => serializeCookie(previousName, '', expiredOptions)));
+}
+
+/**
+ * Generate the cookies that remove a value and its chunks
+ *
+ * @param {Object} options The `name`, `domain` and `path` of the cookie
+ * @param {Object} currentCookies The parsed cookies that are currently set
+ * @return {string[]} The `Set-Cookie`/`document.cookie` strings
+ */
+function serializeExpiredCookies(options, currentCookies) {
+  options = Object.assign({}, CookieDefaults, options, { maxAge: 0 });
+
+  return [options.name]
+    .concat(chunkNames(currentCookies, options.name))
+    .map(name => serializeCookie(name, '', options));
+}
+
+/**
+ * Get a value stored with `serializeCookies`
+ *
+ * @param {Object} cookies The parsed cookies
+ * @param {string} [name=cwt] The name of the cookie
+ * @return {string|null} The value or null if the cookie does not exist or is not valid
+ */
+function cookieValue(cookies, name) {
+  name = name || CookieDefaults.name;
+
+  const encodedValue = cookies.hasOwnProperty(name)
+    ? cookies[name]
+    : chunkNames(cookies, name).map(chunkName => cookies[chunkName]).join('');
+
+  if (!encodedValue) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(encodedValue);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a value in a cookie, split across several cookies if it is too long
+ * Stale chunks of a previous value are removed.
+ *
+ * @param {string} value
+ * @param {Object} [options] Cookie options (see `CookieDefaults`) and the `document` holding the cookies (defaults to the global document)
+ * @throws {Error} If there is no document
+ */
+function writeCookie(value, options) {
+  const doc = getDocument(options || {});
+
+  serializeCookies(value, options, parseCookies(doc.cookie)).forEach((cookie) => {
+    doc.cookie = cookie;
+  });
+}
+
+/**
+ * Read a value written with `writeCookie`
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name=cwt] The name of the cookie
+ * @param {Object} [options.document] The document holding the cookies (defaults to the global document)
+ * @return {string|null} The value or null if the cookie does not exist or is not valid
+ * @throws {Error} If there is no document
+ */
+function readCookie(options) {
+  options = options || {};
+
+  return cookieValue(parseCookies(getDocument(options).cookie), options.name);
+}
+
+/**
+ * Remove a cookie written with `writeCookie` and its chunks
+ *
+ * @param {Object} [options] The `name`, `domain` and `path` of the cookie and the `document` holding the cookies
+ * @throws {Error} If there is no document
+ */
+function removeCookie(options) {
+  const doc = getDocument(options || {});
+
+  serializeExpiredCookies(options, parseCookies(doc.cookie)).forEach((cookie) => {
+    doc.cookie = cookie;
+  });
+}
+
+/**
+ * Write a value in the local storage
+ *
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {string} [options.key=cwt] The key of the value
+ * @param {Storage} [options.storage] The storage (defaults to the global `localStorage`)
+ * @throws {Error} If there is no storage or if it is full
+ */
+function writeStorageItem(value, options) {
+  options = options || {};
+
+  getStorage(options).setItem(options.key || defaultStorageKey, value);
+}
+
+/**
+ * Read a value from the local storage
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key=cwt] The key of the value
+ * @param {Storage} [options.storage] The storage (defaults to the global `localStorage`)
+ * @return {string|null} The value or null if it does not exist
+ * @throws {Error} If there is no storage
+ */
+function readStorageItem(options) {
+  options = options || {};
+
+  return getStorage(options).getItem(options.key || defaultStorageKey);
+}
+
+/**
+ * Remove a value from the local storage
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key=cwt] The key of the value
+ * @param {Storage} [options.storage] The storage (defaults to the global `localStorage`)
+ * @throws {Error} If there is no storage
+ */
+function removeStorageItem(options) {
+  options = options || {};
+
+  getStorage(options).removeItem(options.key || defaultStorageKey);
+}
+
+/**
+ * Encodings of the tokens in cookies and in the local storage
+ */
+const StorageEncodings = {
+  JSON: 'json',
+  Compact: 'compact',
+  // Lossy, see `toCompressedJSON`
+  Compressed: 'compressed',
+  // base64url-encoded JSON (see `toBase64Url`)
+  Base64: 'base64',
+};
+
+/**
+ * Serializers of the tokens for every encoding
+ */
+const storageSerializers = {
+  json: token => token.toJSON(),
+  compact: token => token.toCompactJSON(),
+  compressed: token => token.toCompressedJSON(),
+  base64: token => token.toBase64Url(),
+};
+
+/**
+ * Check that a storage encoding is supported
+ *
+ * @param {string} [encoding] One of `StorageEncodings`
+ * @param {string} defaultEncoding The encoding to use if none is provided
+ * @return {string}
+ * @throws {Error} If the encoding is not supported
+ */
+function storageEncoding(encoding, defaultEncoding) {
+  encoding = encoding || defaultEncoding;
+
+  if (!storageSerializers.hasOwnProperty(encoding)) {
+    throw new Error(`Unsupported storage encoding ${encoding}`);
+  }
+
+  return encoding;
+}
+
+/**
+ * Parse a stored token
+ * Stored values are untrusted: tokens that cannot be parsed, including tokens of unsupported versions of the specification, are ignored.
+ *
+ * @param {function(value: string, validation: Object): CWT|null} parser The parser of the encoding
+ * @param {string} value
+ * @param {Object} [validation] Validation options of the token (see `CWTFromJSON`)
+ * @return {CWT|null}
+ */
+function parseStoredToken(parser, value, validation) {
+  try {
+    return parser(value, validation);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save a token in a cookie
+ * Tokens that do not fit in a single cookie (about 4 KB) are split across several cookies (`<name>.0`, `<name>.1`, etc.).
+ *
+ * @param {CWT} token
+ * @param {Object} [options]
+ * @param {string} [options.name=cwt] The name of the cookie
+ * @param {string} [options.encoding=base64] The encoding of the token (see `StorageEncodings`)
+ * @param {string} [options.domain] The domain of the cookie (defaults to the current host)
+ * @param {string} [options.path=/] The path of the cookie
+ * @param {string} [options.sameSite=Lax] The SameSite attribute of the cookie (`Strict`, `Lax` or `None`)
+ * @param {number} [options.maxAge] The lifetime of the cookie in seconds (defaults to 13 months)
+ * @param {boolean} [options.secure=false] Only send the cookie over HTTPS (always set for `SameSite=None`)
+ * @param {number} [options.maxSize=4000] The maximum size of a cookie before the token is split across several cookies
+ * @param {Object} [options.document] The document holding the cookies (defaults to the global document)
+ * @throws {Error} If the encoding is not supported or if there is no document
+ *
+ * @example
+ * saveToCookie(token, { domain: '.example.com', sameSite: 'Lax', maxAge: 180 * 24 * 3600 });
+ */
+function saveToCookie(token, options) {
+  options = options || {};
+
+  const encoding = storageEncoding(options.encoding, StorageEncodings.Base64);
+
+  writeCookie(storageSerializers[encoding](token), options);
+}
+
+/**
+ * Remove a token saved with `saveToCookie`
+ *
+ * @param {string} [name=cwt] The name of the cookie
+ * @param {Object} [options] The `domain` and `path` of the cookie and the `document` holding the cookies
+ * @throws {Error} If there is no document
+ */
+function removeFromCookie(name, options) {
+  removeCookie(Object.assign({}, options, {
+    name: name || CookieDefaults.name,
+  }));
+}
+
+/**
+ * Save a token in the local storage
+ *
+ * @param {CWT} token
+ * @param {Object} [options]
+ * @param {string} [options.key=cwt] The key of the token in the storage
+ * @param {string} [options.encoding=json] The encoding of the token (see `StorageEncodings`)
+ * @param {Storage} [options.storage] The storage (defaults to the global `localStorage`)
+ * @throws {Error} If the encoding is not supported, if there is no storage or if it is full
+ */
+function saveToLocalStorage(token, options) {
+  options = options || {};
+
+  const encoding = storageEncoding(options.encoding, StorageEncodings.JSON);
+
+  writeStorageItem(storageSerializers[encoding](token), options);
+}
+
+/**
+ * Remove a token saved with `saveToLocalStorage`
+ *
+ * @param {string} [key=cwt] The key of the token in the storage
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] The storage (defaults to the global `localStorage`)
+ * @throws {Error} If there is no storage
+ */
+function removeFromLocalStorage(key, options) {
+  removeStorageItem(Object.assign({}, options, { key }));
+}
+
+/**
+ * Create the functions loading the tokens saved with `saveToCookie` and `saveToLocalStorage`
+ * The parsers are provided by the token module as it requires this module.
+ *
+ * @param {Object} parsers The `CWTFromJSON`, `CWTFromCompactJSON`, `CWTFromCompressedJSON` and `CWTFromBase64Url` parsers
+ * @return {Object} The `loadFromCookie` and `loadFromLocalStorage` functions
+ */
+function createTokenLoaders(parsers) {
+  const storageParsers = {
+    json: parsers.CWTFromJSON,
+    compact: parsers.CWTFromCompactJSON,
+    compressed: parsers.CWTFromCompressedJSON,
+    base64: parsers.CWTFromBase64Url,
+  };
+
+  /**
+   * Load a token saved with `saveToCookie`
+   *
+   * @param {string} [name=cwt] The name of the cookie
+   * @param {Object} [options]
+   * @param {string} [options.encoding=base64] The encoding of the token (see `StorageEncodings`)
+   * @param {Object} [options.document] The document holding the cookies (defaults to the global document)
+   * @param {Object} [options.validation] Validation options of the token (see `CWTFromJSON`)
+   * @return {CWT|null} Return a CWT object or null if the cookie does not exist or does not contain a valid Consent Web Token (including tokens using a version of the specification that is not supported)
+   * @throws {Error} If the encoding is not supported or if there is no document
+   */
+  function loadFromCookie(name, options) {
+    options = options || {};
+
+    const encoding = storageEncoding(options.encoding, StorageEncodings.Base64);
+    const value = readCookie(Object.assign({}, options, {
+      name: name || CookieDefaults.name,
+    }));
+
+    if (value === null) {
+      return null;
+    }
+
+    return parseStoredToken(storageParsers[encoding], value, options.validation);
+  }
+
+  /**
+   * Load a token saved with `saveToLocalStorage`
+   *
+   * @param {string} [key=cwt] The key of the token in the storage
+   * @param {Object} [options]
+   * @param {string} [options.encoding=json] The encoding of the token (see `StorageEncodings`)
+   * @param {Storage} [options.storage] The storage (defaults to the global `localStorage`)
+   * @param {Object} [options.validation] Validation options of the token (see `CWTFromJSON`)
+   * @return {CWT|null} Return a CWT object or null if the storage does not contain a valid Consent Web Token (including tokens using a version of the specification that is not supported)
+   * @throws {Error} If the encoding is not supported or if there is no storage
+   */
+  function loadFromLocalStorage(key, options) {
+    options = options || {};
+
+    const encoding = storageEncoding(options.encoding, StorageEncodings.JSON);
+    const value = readStorageItem(Object.assign({}, options, { key }));
+
+    if (value === null) {
+      return null;
+    }
+
+    return parseStoredToken(storageParsers[encoding], value, options.validation);
+  }
+
+  return {
+    loadFromCookie,
+    loadFromLocalStorage,
+  };
+}
+
+module.exports = {
+  CookieDefaults,
+  cookieValue,
+  createTokenLoaders,
+  parseCookies,
+  readCookie,
+  readStorageItem,
+  removeCookie,
+  removeFromCookie,
+  removeFromLocalStorage,
+  removeStorageItem,
+  saveToCookie,
+  saveToLocalStorage,
+  serializeCookie,
+  serializeCookies,
+  serializeExpiredCookies,
+  StorageEncodings,
+  storageEncoding,
+  storageSerializers,
+  writeCookie,
+  writeStorageItem,
+};
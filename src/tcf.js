@@ -0,0 +1,559 @@
+/**
+ * Encoding and decoding of the core segment of IAB TCF v2 consent strings (TC strings)
+ * Reference: https://github.com/InteractiveAdvertisingBureau/GDPR-Transparency-and-Consent-Framework/blob/master/TCFv2/IAB%20Tech%20Lab%20-%20Consent%20string%20and%20vendor%20list%20formats%20v2.md
+ */
+
+const { purposeRegistry } = require('./purposes');
+const { vendorGroupRegistry } = require('./vendor-groups');
+const {
+  BitReader,
+  base64UrlToBits,
+  bitsToBase64Url,
+  encodeBitField,
+  encodeBool,
+  encodeInt,
+} = require('./bits');
+
+/**
+ * Default mapping between the standard CWT purposes and the TCF v2 purposes and special features
+ * Generated from the TCF IDs of the standard purposes (see `PurposeRegistry`).
+ */
+const TCFMapping = purposeRegistry.toTCFMapping();
+
+/**
+ * Types of publisher restrictions
+ */
+const RestrictionTypes = {
+  NotAllowed: 0,
+  RequireConsent: 1,
+  RequireLegitimateInterest: 2,
+};
+
+/**
+ * Highest vendor ID of TC strings (vendor IDs are 16-bit integers)
+ */
+const maxIABVendorId = 0xffff;
+
+/**
+ * Legal basis, vendor property and TC data lists used for consent and legitimate interest
+ */
+const statusFields = [
+  ['consent', 'status', 'purposeConsents', 'vendorConsents'],
+  ['legitimate_interest', 'legitimate_interest', 'purposeLegitimateInterests', 'vendorLegitimateInterests'],
+];
+
+/**
+ * Encode a two-letter code (language or country) with 6 bits per letter
+ *
+ * @param {string} letters
+ * @return {string}
+ */
+function encodeLetters(letters) {
+  letters = (letters || 'AA').toUpperCase();
+
+  return encodeInt(letters.charCodeAt(0) - 65, 6) + encodeInt(letters.charCodeAt(1) - 65, 6);
+}
+
+/**
+ * Group a list of IDs into ranges of consecutive IDs
+ *
+ * @param {number[]} ids
+ * @return {number[][]} A list of [start, end] ranges
+ */
+function toRanges(ids) {
+  const sortedIds = ids.slice().sort((a, b) => a - b);
+  const ranges = [];
+
+  for (let i = 0; i < sortedIds.length; i += 1) {
+    const lastRange = ranges[ranges.length - 1];
+
+    if (lastRange && sortedIds[i] <= lastRange[1] + 1) {
+      lastRange[1] = Math.max(lastRange[1], sortedIds[i]);
+    } else {
+      ranges.push([sortedIds[i], sortedIds[i]]);
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Encode a list of vendor IDs as a list of range entries
+ *
+ * @param {number[]} ids
+ * @return {string}
+ */
+function encodeRangeEntries(ids) {
+  const ranges = toRanges(ids);
+  let bits = encodeInt(ranges.length, 12);
+
+  for (let i = 0; i < ranges.length; i += 1) {
+    const [start, end] = ranges[i];
+
+    if (start === end) {
+      bits += encodeBool(false) + encodeInt(start, 16);
+    } else {
+      bits += encodeBool(true) + encodeInt(start, 16) + encodeInt(end, 16);
+    }
+  }
+
+  return bits;
+}
+
+/**
+ * Encode a vendor section with the bit field or range encoding, whichever is the shortest
+ *
+ * @param {number[]} ids
+ * @return {string}
+ */
+function encodeVendorSection(ids) {
+  const maxVendorId = ids.length > 0 ? Math.max.apply(null, ids) : 0;
+  const bitField = encodeBool(false) + encodeBitField(ids, maxVendorId);
+  const rangeEntries = encodeBool(true) + encodeRangeEntries(ids);
+
+  return encodeInt(maxVendorId, 16)
+    + (rangeEntries.length < bitField.length ? rangeEntries : bitField);
+}
+
+/**
+ * Read a two-letter code (language or country)
+ *
+ * @param {BitReader} reader
+ * @return {string}
+ */
+function readLetters(reader) {
+  return String.fromCharCode(reader.readInt(6) + 65, reader.readInt(6) + 65);
+}
+
+/**
+ * Read a list of range entries
+ * TC strings are untrusted: a few bytes of ranges can cover millions of IDs, so ranges are checked before being expanded.
+ *
+ * @param {BitReader} reader
+ * @param {number} maxVendorId The highest valid ID
+ * @param {number} maxIds The maximum number of IDs covered by the ranges
+ * @return {number[]|null} The list of IDs covered by the ranges or null if a range is not valid or if the ranges cover more than `maxIds` IDs
+ */
+function readRangeEntries(reader, maxVendorId, maxIds) {
+  const numEntries = reader.readInt(12);
+  const ids = [];
+
+  for (let i = 0; i < numEntries; i += 1) {
+    const isRange = reader.readBool();
+    const start = reader.readInt(16);
+    const end = isRange ? reader.readInt(16) : start;
+
+    if (start < 1 || start > end || end > maxVendorId || ids.length + (end - start) + 1 > maxIds) {
+      return null;
+    }
+
+    for (let id = start; id <= end; id += 1) {
+      ids.push(id);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Read a vendor section (bit field or range encoding)
+ *
+ * @param {BitReader} reader
+ * @return {number[]|null} The list of vendor IDs or null if the ranges are not valid (see `readRangeEntries`)
+ */
+function readVendorSection(reader) {
+  const maxVendorId = reader.readInt(16);
+
+  if (reader.readBool()) {
+    return readRangeEntries(reader, maxVendorId, maxVendorId);
+  }
+
+  return reader.readBitField(maxVendorId);
+}
+
+/**
+ * Encode the core segment of a TC string
+ *
+ * @param {Object} tcData
+ * @param {number} [tcData.created] Creation time in milliseconds since the epoch (defaults to now)
+ * @param {number} [tcData.lastUpdated] Last update time in milliseconds since the epoch (defaults to the creation time)
+ * @param {number} [tcData.cmpId=0] The ID of the CMP
+ * @param {number} [tcData.cmpVersion=0] The version of the CMP
+ * @param {number} [tcData.consentScreen=0] The screen of the CMP on which consent was collected
+ * @param {string} [tcData.consentLanguage=EN] Two-letter ISO 639-1 language code of the consent screen
+ * @param {number} [tcData.vendorListVersion=0] Version of the Global Vendor List used
+ * @param {number} [tcData.tcfPolicyVersion=2] Version of the TCF policy
+ * @param {boolean} [tcData.isServiceSpecific=false]
+ * @param {boolean} [tcData.useNonStandardTexts=false]
+ * @param {number[]} [tcData.specialFeatureOptIns] IDs of the special features the user has opted in
+ * @param {number[]} [tcData.purposeConsents] IDs of the purposes the user has consented to
+ * @param {number[]} [tcData.purposeLegitimateInterests] IDs of the purposes for which legitimate interest is established
+ * @param {boolean} [tcData.purposeOneTreatment=false]
+ * @param {string} [tcData.publisherCountryCode=AA] Two-letter ISO 3166-1 country code of the publisher
+ * @param {number[]} [tcData.vendorConsents] IDs of the vendors the user has consented to
+ * @param {number[]} [tcData.vendorLegitimateInterests] IDs of the vendors for which legitimate interest is established
+ * @param {Object[]} [tcData.publisherRestrictions] List of restrictions with a `purposeId`, a `restrictionType` (see `RestrictionTypes`) and a list of `vendors`
+ * @return {string}
+ */
+function encodeTCString(tcData) {
+  const created = Math.round((tcData.created || Date.now()) / 100);
+  const lastUpdated = Math.round((tcData.lastUpdated || tcData.created || Date.now()) / 100);
+  const publisherRestrictions = tcData.publisherRestrictions || [];
+
+  let bits = encodeInt(2, 6)
+    + encodeInt(created, 36)
+    + encodeInt(lastUpdated, 36)
+    + encodeInt(tcData.cmpId, 12)
+    + encodeInt(tcData.cmpVersion, 12)
+    + encodeInt(tcData.consentScreen, 6)
+    + encodeLetters(tcData.consentLanguage || 'EN')
+    + encodeInt(tcData.vendorListVersion, 12)
+    + encodeInt(tcData.tcfPolicyVersion || 2, 6)
+    + encodeBool(tcData.isServiceSpecific)
+    + encodeBool(tcData.useNonStandardTexts)
+    + encodeBitField(tcData.specialFeatureOptIns || [], 12)
+    + encodeBitField(tcData.purposeConsents || [], 24)
+    + encodeBitField(tcData.purposeLegitimateInterests || [], 24)
+    + encodeBool(tcData.purposeOneTreatment)
+    + encodeLetters(tcData.publisherCountryCode)
+    + encodeVendorSection(tcData.vendorConsents || [])
+    + encodeVendorSection(tcData.vendorLegitimateInterests || [])
+    + encodeInt(publisherRestrictions.length, 12);
+
+  for (let i = 0; i < publisherRestrictions.length; i += 1) {
+    const restriction = publisherRestrictions[i];
+
+    bits += encodeInt(restriction.purposeId, 6)
+      + encodeInt(restriction.restrictionType, 2)
+      + encodeRangeEntries(restriction.vendors || []);
+  }
+
+  return bitsToBase64Url(bits);
+}
+
+/**
+ * Decode the core segment of a TC string
+ * Other segments (disclosed vendors, publisher TC, etc.) are ignored.
+ *
+ * @param {string} tcString
+ * @return {Object|null} The TC data (see `encodeTCString`) or null if the string is not a valid TCF v2 string
+ */
+function decodeTCString(tcString) {
+  if (!tcString || typeof tcString !== 'string') {
+    return null;
+  }
+
+  const bits = base64UrlToBits(tcString.split('.')[0]);
+
+  if (!bits) {
+    return null;
+  }
+
+  const reader = new BitReader(bits);
+
+  try {
+    if (reader.readInt(6) !== 2) {
+      return null;
+    }
+
+    const tcData = {
+      version: 2,
+      created: reader.readInt(36) * 100,
+      lastUpdated: reader.readInt(36) * 100,
+      cmpId: reader.readInt(12),
+      cmpVersion: reader.readInt(12),
+      consentScreen: reader.readInt(6),
+      consentLanguage: readLetters(reader),
+      vendorListVersion: reader.readInt(12),
+      tcfPolicyVersion: reader.readInt(6),
+      isServiceSpecific: reader.readBool(),
+      useNonStandardTexts: reader.readBool(),
+      specialFeatureOptIns: reader.readBitField(12),
+      purposeConsents: reader.readBitField(24),
+      purposeLegitimateInterests: reader.readBitField(24),
+      purposeOneTreatment: reader.readBool(),
+      publisherCountryCode: readLetters(reader),
+      vendorConsents: readVendorSection(reader),
+      vendorLegitimateInterests: readVendorSection(reader),
+      publisherRestrictions: [],
+    };
+
+    if (!tcData.vendorConsents || !tcData.vendorLegitimateInterests) {
+      return null;
+    }
+
+    const numPubRestrictions = reader.readInt(12);
+
+    // The restrictions share a budget of IDs so that repeated restrictions cannot expand to millions of IDs
+    let remainingIds = maxIABVendorId;
+
+    for (let i = 0; i < numPubRestrictions; i += 1) {
+      const restriction = {
+        purposeId: reader.readInt(6),
+        restrictionType: reader.readInt(2),
+        vendors: readRangeEntries(reader, maxIABVendorId, remainingIds),
+      };
+
+      if (!restriction.vendors) {
+        return null;
+      }
+
+      remainingIds -= restriction.vendors.length;
+      tcData.publisherRestrictions.push(restriction);
+    }
+
+    return tcData;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Merge a custom mapping with the default mapping
+ * Purpose and special feature IDs are normalized to lists.
+ *
+ * @param {Object} [mapping]
+ * @return {Object}
+ */
+function normalizeMapping(mapping) {
+  // Custom purposes registered after the library was loaded are included
+  mapping = mapping || purposeRegistry.toTCFMapping();
+
+  const normalized = {
+    purposes: {},
+    specialFeatures: {},
+    vendors: Object.assign({}, mapping.vendors),
+  };
+
+  ['purposes', 'specialFeatures'].forEach((section) => {
+    const ids = mapping[section] || {};
+
+    for (const purpose in ids) {
+      if (ids.hasOwnProperty(purpose)) {
+        normalized[section][purpose] = [].concat(ids[purpose]);
+      }
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Get the IAB vendor ID of a CWT vendor
+ * Vendors that are not in the mapping are expected to use their numeric IAB ID as CWT vendor ID.
+ *
+ * @param {string} vendorId
+ * @param {Object} mapping
+ * @return {number|null} The IAB vendor ID or null if the vendor has no IAB vendor ID (including IDs that do not fit in TC strings)
+ */
+function toIABVendorId(vendorId, mapping) {
+  let iabVendorId = null;
+
+  if (mapping.vendors.hasOwnProperty(vendorId)) {
+    iabVendorId = mapping.vendors[vendorId];
+  } else if (/^[1-9][0-9]*$/.test(String(vendorId))) {
+    iabVendorId = parseInt(vendorId, 10);
+  }
+
+  return iabVendorId !== null && iabVendorId <= maxIABVendorId ? iabVendorId : null;
+}
+
+/**
+ * Get the CWT vendor ID of an IAB vendor
+ *
+ * @param {number} iabVendorId
+ * @param {Object} mapping
+ * @return {string}
+ */
+function fromIABVendorId(iabVendorId, mapping) {
+  for (const vendorId in mapping.vendors) {
+    if (mapping.vendors.hasOwnProperty(vendorId) && mapping.vendors[vendorId] === iabVendorId) {
+      return vendorId;
+    }
+  }
+
+  return String(iabVendorId);
+}
+
+/**
+ * Check if at least one vendor entry of a purpose, or of the `*` purpose (all purposes), gives a positive status for the purpose
+ * The statuses are resolved as in `CWT#getConsentStatus` so that the `*` purpose does not override the decisions made for the purpose.
+ *
+ * @param {CWT} token
+ * @param {string} purpose
+ * @param {string} legalBasis
+ * @return {boolean}
+ */
+function hasAllowedVendor(token, purpose, legalBasis) {
+  return token.consents
+    .filter(consent => consent.purpose === purpose || consent.purpose === '*')
+    .some(consent => consent.vendors
+      .some(vendor => token.getConsentStatus(purpose, vendor.id, legalBasis) === true));
+}
+
+/**
+ * Generate the TC data for a token
+ *
+ * A TCF purpose is consented to (or has legitimate interest established) if at least one vendor has a positive status for the mapped CWT purpose.
+ * A vendor is consented to (or has legitimate interest established) if it has a positive status for at least one mapped CWT purpose.
+ *
+ * @param {CWT} token
+ * @param {Object} [options] TC data fields (see `encodeTCString`) to use in addition to the consents of the token
+ * @param {Object} [options.mapping] The mapping between CWT purposes/vendors and TCF purposes/special features/vendors (defaults to the TCF IDs of the registered purposes, see `PurposeRegistry#toTCFMapping`)
+ * @param {number[]} [options.vendorIds] Additional IAB vendor IDs to check in the token (useful for tokens with `*` vendor catch-alls)
+ * @return {Object}
+ */
+function tokenToTCData(token, options) {
+  options = options || {};
+
+  const mapping = normalizeMapping(options.mapping);
+  const lastUpdated = token.consents.reduce(
+    (max, consent) => consent.vendors.reduce((max2, v) => Math.max(max2, v.updated_at || 0), max),
+    0
+  );
+
+  const tcData = Object.assign({}, options, {
+    specialFeatureOptIns: [],
+    purposeConsents: [],
+    purposeLegitimateInterests: [],
+    vendorConsents: [],
+    vendorLegitimateInterests: [],
+  });
+
+  delete tcData.mapping;
+  delete tcData.vendorIds;
+
+  if (!tcData.created && token.issued_at) {
+    tcData.created = token.issued_at * 1000;
+  }
+
+  if (!tcData.lastUpdated && lastUpdated) {
+    tcData.lastUpdated = lastUpdated * 1000;
+  }
+
+  // CWT vendors that can be represented in the TC string, groups being replaced by their vendors
+  const vendors = {};
+  token.consents.forEach(consent => consent.vendors.forEach((vendor) => {
+    vendorGroupRegistry.expand(vendor.id).forEach((vendorId) => {
+      const iabVendorId = toIABVendorId(vendorId, mapping);
+
+      if (iabVendorId !== null) {
+        vendors[iabVendorId] = vendorId;
+      }
+    });
+  }));
+  (options.vendorIds || []).forEach((iabVendorId) => {
+    vendors[iabVendorId] = vendors[iabVendorId] || fromIABVendorId(iabVendorId, mapping);
+  });
+
+  const addIds = (list, ids) => ids.forEach((id) => {
+    if (list.indexOf(id) === -1) {
+      list.push(id);
+    }
+  });
+
+  for (const purpose in mapping.purposes) {
+    if (!mapping.purposes.hasOwnProperty(purpose)) {
+      continue;
+    }
+
+    statusFields.forEach(([legalBasis, , purposesList, vendorsList]) => {
+      if (hasAllowedVendor(token, purpose, legalBasis)) {
+        addIds(tcData[purposesList], mapping.purposes[purpose]);
+      }
+
+      Object.keys(vendors).forEach((iabVendorId) => {
+        if (token.getConsentStatus(purpose, vendors[iabVendorId], legalBasis) === true) {
+          addIds(tcData[vendorsList], [parseInt(iabVendorId, 10)]);
+        }
+      });
+    });
+  }
+
+  for (const purpose in mapping.specialFeatures) {
+    if (!mapping.specialFeatures.hasOwnProperty(purpose)) {
+      continue;
+    }
+
+    if (hasAllowedVendor(token, purpose, 'consent')) {
+      addIds(tcData.specialFeatureOptIns, mapping.specialFeatures[purpose]);
+    }
+  }
+
+  return tcData;
+}
+
+/**
+ * Generate the content of a token from TC data
+ *
+ * A CWT purpose is allowed if all its mapped TCF purposes are allowed. The vendors listed in the TC string get the status of the purpose
+ * and the other vendors are refused through the `*` catch-all as a TC string lists all the vendors that are allowed.
+ *
+ * @param {Object} tcData The TC data (see `decodeTCString`)
+ * @param {Object} [mapping] The mapping between CWT purposes/vendors and TCF purposes/special features/vendors (defaults to the TCF IDs of the registered purposes, see `PurposeRegistry#toTCFMapping`)
+ * @return {Object} The token content
+ */
+function tcDataToTokenContent(tcData, mapping) {
+  mapping = normalizeMapping(mapping);
+
+  const consents = [];
+  const updatedAt = Math.floor(tcData.lastUpdated / 1000);
+
+  const setStatus = (purpose, vendorId, field, status) => {
+    let consent = consents.find(c => c.purpose === purpose);
+
+    if (!consent) {
+      consent = { purpose, vendors: [] };
+      consents.push(consent);
+    }
+
+    let vendor = consent.vendors.find(v => v.id === vendorId);
+
+    if (!vendor) {
+      vendor = { id: vendorId, status: undefined, updated_at: updatedAt };
+      consent.vendors.push(vendor);
+    }
+
+    vendor[field] = status;
+  };
+
+  for (const purpose in mapping.purposes) {
+    if (!mapping.purposes.hasOwnProperty(purpose)) {
+      continue;
+    }
+
+    statusFields.forEach(([, field, purposesList, vendorsList]) => {
+      const allowed = mapping.purposes[purpose]
+        .every(id => tcData[purposesList].indexOf(id) !== -1);
+
+      setStatus(purpose, '*', field, false);
+
+      tcData[vendorsList].forEach((iabVendorId) => {
+        setStatus(purpose, fromIABVendorId(iabVendorId, mapping), field, allowed);
+      });
+    });
+  }
+
+  for (const purpose in mapping.specialFeatures) {
+    if (mapping.specialFeatures.hasOwnProperty(purpose)) {
+      const allowed = mapping.specialFeatures[purpose]
+        .every(id => tcData.specialFeatureOptIns.indexOf(id) !== -1);
+
+      setStatus(purpose, '*', 'status', allowed);
+    }
+  }
+
+  return {
+    issued_at: Math.floor(tcData.created / 1000),
+    consents,
+  };
+}
+
+module.exports = {
+  RestrictionTypes,
+  TCFMapping,
+  decodeTCString,
+  encodeTCString,
+  tcDataToTokenContent,
+  tokenToTCData,
+};
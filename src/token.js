@@ -1,4 +1,437 @@
-const base64 = require('base-64');
+const base64 = require('./base64');
+const diff = require('./diff');
+const immutable = require('./immutable');
+const jwt = require('./jwt');
+const merge = require('./merge');
+const middleware = require('./middleware');
+const observers = require('./observers');
+const signals = require('./signals');
+const storage = require('./storage');
+const transport = require('./transport');
+const { VersionRegistry, isValidVersion, versions } = require('./versions');
+const { base64UrlToBytes, bytesToBase64Url } = require('./bits');
+const cbor = require('./cbor');
+const tcf = require('./tcf');
+const compact = require('./compact');
+const consentMode = require('./consent-mode');
+const gpp = require('./gpp');
+const usPrivacy = require('./usprivacy');
+const { PurposeRegistry, purposeRegistry, Purposes } = require('./purposes');
+const { resolveStatusVendor } = require('./resolve');
+const { VendorGroupRegistry, vendorGroupRegistry } = require('./vendor-groups');
+
+/**
+ * Mapping between the token properties and the registered JWT claims (RFC 7519)
+ */
+const registeredClaims = {
+  issued_at: 'iat',
+  expires_at: 'exp',
+  not_before: 'nbf',
+  token_id: 'jti',
+  audience: 'aud',
+};
+
+/**
+ * Legal bases for processing personal data under the GDPR
+ */
+const LegalBases = {
+  // The user has given consent (article 6.1.a)
+  Consent: 'consent',
+
+  // The processing is necessary for the legitimate interests of the vendor and the user has the right to object to it (article 6.1.f)
+  LegitimateInterest: 'legitimate_interest',
+};
+
+/**
+ * Get the property of a vendor entry that holds the status for a legal basis
+ *
+ * @param {string} [legalBasis=consent]
+ * @return {string}
+ */
+function statusField(legalBasis) {
+  if (!legalBasis || legalBasis === LegalBases.Consent) {
+    return 'status';
+  }
+
+  if (legalBasis === LegalBases.LegitimateInterest) {
+    return 'legitimate_interest';
+  }
+
+  throw new Error(`Unknown legal basis ${legalBasis}`);
+}
+
+/**
+ * Convert a plain token object into JWT claims
+ * Token properties that have a registered JWT claim are renamed and omitted if they are not set.
+ *
+ * @param {Object} object
+ * @return {Object}
+ */
+function toJWTClaims(object) {
+  const claims = Object.assign({}, object);
+
+  for (const property in registeredClaims) {
+    if (!registeredClaims.hasOwnProperty(property)) {
+      continue;
+    }
+
+    if (claims[property] !== null && claims[property] !== undefined) {
+      claims[registeredClaims[property]] = claims[property];
+    }
+
+    delete claims[property];
+  }
+
+  return claims;
+}
+
+/**
+ * Convert JWT claims into a plain token object
+ *
+ * @param {Object} claims
+ * @return {Object}
+ */
+function fromJWTClaims(claims) {
+  const object = Object.assign({}, claims);
+
+  for (const property in registeredClaims) {
+    if (!registeredClaims.hasOwnProperty(property)) {
+      continue;
+    }
+
+    object[property] = claims[registeredClaims[property]];
+    delete object[registeredClaims[property]];
+  }
+
+  return object;
+}
+
+/**
+ * Get the current time in seconds since the epoch
+ *
+ * @return {number}
+ */
+function currentTimestamp() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Find the vendor entry for a purpose/vendor in a list of consents
+ * The purpose and vendor entries are created if they do not exist yet.
+ *
+ * @param {Object[]} consents
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @return {Object}
+ */
+function findOrCreateVendor(consents, purpose, vendorId) {
+  // Check if we already have consent information for that purpose
+  let consent = consents.find(c => c.purpose === purpose);
+
+  if (!consent) {
+    consent = {
+      purpose,
+      vendors: [],
+    };
+
+    consents.push(consent);
+  }
+
+  // Check if we already have the vendor for that consent
+  let vendor = consent.vendors.find(v => v.id === vendorId);
+
+  if (!vendor) {
+    vendor = {
+      id: vendorId,
+      status: undefined,
+    };
+
+    consent.vendors.push(vendor);
+  }
+
+  return vendor;
+}
+
+/**
+ * List a purpose and, if the change cascades, its descendants
+ *
+ * @param {string} purpose
+ * @param {Object} [options]
+ * @param {boolean} [options.cascade=false]
+ * @return {string[]}
+ */
+function cascadedPurposes(purpose, options) {
+  const descendants = options && options.cascade ? purposeRegistry.getDescendants(purpose) : [];
+
+  return [purpose].concat(descendants);
+}
+
+/**
+ * Check a list of privacy signals
+ *
+ * @param {string|string[]} privacySignals
+ * @return {string|null} The signal recorded as the source of the decisions (the first of the list) or null if the list is empty
+ * @throws {Error} If a signal is not supported
+ */
+function privacySignal(privacySignals) {
+  const list = [].concat(privacySignals || []);
+
+  signals.checkPrivacySignals(list);
+
+  return list.length > 0 ? list[0] : null;
+}
+
+/**
+ * List the purposes/vendors that a privacy signal must refuse
+ * Every vendor of the purposes is refused, including the `*` vendor so that vendors without information are refused too.
+ *
+ * @param {Object[]} consents
+ * @param {string[]} purposes
+ * @return {Object[]} The `purpose` and `vendorId` of the statuses to refuse
+ */
+function signalTargets(consents, purposes) {
+  const targets = [];
+
+  purposes.forEach((purpose) => {
+    const consent = consents.find(c => c.purpose === purpose);
+    const vendors = consent ? consent.vendors : [];
+    const vendorIds = vendors.map(v => v.id);
+
+    if (vendorIds.indexOf('*') === -1) {
+      vendorIds.unshift('*');
+    }
+
+    vendorIds
+      .filter(vendorId => (vendors.find(v => v.id === vendorId) || {}).status !== false)
+      .forEach(vendorId => targets.push({ purpose, vendorId }));
+  });
+
+  return targets;
+}
+
+/**
+ * Create the history entry of a consent status
+ *
+ * @param {string} purpose
+ * @param {string} vendorId
+ * @param {boolean|undefined} status
+ * @param {string} [legalBasis=consent]
+ * @param {number} updatedAt
+ * @return {Object}
+ */
+function historyEntry(purpose, vendorId, status, legalBasis, updatedAt) {
+  const entry = {
+    purpose,
+    vendor: vendorId,
+    status,
+    updated_at: updatedAt,
+  };
+
+  if (statusField(legalBasis) !== 'status') {
+    entry.legal_basis = legalBasis;
+  }
+
+  return entry;
+}
+
+/**
+ * Check that a token can be modified
+ *
+ * @param {CWT} token
+ * @throws {Error} If the token is frozen
+ */
+function checkMutable(token) {
+  if (Object.isFrozen(token)) {
+    throw new Error('The token is immutable, use the with* methods to create a modified copy');
+  }
+}
+
+/**
+ * Record the removal of the statuses of a vendor entry for the observers of a token
+ *
+ * @param {CWT} token
+ * @param {string} purpose
+ * @param {Object} vendor The removed vendor entry
+ */
+function recordRemoval(token, purpose, vendor) {
+  for (const legalBasis in LegalBases) {
+    if (!LegalBases.hasOwnProperty(legalBasis)) {
+      continue;
+    }
+
+    observers.recordChange(token, {
+      purpose,
+      vendor: vendor.id,
+      legal_basis: LegalBases[legalBasis],
+      before: vendor[statusField(LegalBases[legalBasis])],
+      after: undefined,
+    });
+  }
+}
+
+/**
+ * Compress the statuses of a list of consents into lists of enabled/disabled purposes and vendors
+ *
+ * @param {Object[]} consents
+ * @param {string} field The vendor property holding the status (`status` for consent or `legitimate_interest`)
+ * @return {Object} An object with the `purposes` and `vendors` lists
+ */
+function compressStatuses(consents, field) {
+  const compressed = {
+    purposes: {
+      enabled: [],
+      disabled: [],
+    },
+    vendors: {
+      enabled: [],
+      disabled: [],
+    },
+  };
+
+  const statusByVendor = {};
+  const vendorsByPurpose = {};
+
+  // Find purposes that are all false (ie disabled purposes)
+  for (const consentIndex in consents) {
+    if (!consents.hasOwnProperty(consentIndex)) {
+      continue;
+    }
+
+    const { purpose } = consents[consentIndex];
+    const vendors = consents[consentIndex].vendors.filter(v => v[field] !== undefined);
+
+    if (vendors.length === 0 && consents[consentIndex].vendors.length > 0) {
+      // No information for this legal basis
+      continue;
+    }
+
+    vendorsByPurpose[purpose] = {};
+
+    let disabledPurpose = true;
+    for (const vendorIndex in vendors) {
+      if (!vendors.hasOwnProperty(vendorIndex)) {
+        continue;
+      }
+
+      const vendor = vendors[vendorIndex];
+
+      disabledPurpose = disabledPurpose && vendor[field] === false;
+
+      if (!statusByVendor[vendor.id]) {
+        statusByVendor[vendor.id] = {
+          id: vendor.id,
+          purposes: {},
+        };
+      }
+
+      statusByVendor[vendor.id].purposes[purpose] = vendor[field];
+      vendorsByPurpose[purpose][vendor.id] = vendor[field];
+    }
+
+    if (disabledPurpose) {
+      // All vendors are set to false for this purpose, which means the purpose itself should be false
+      compressed.purposes.disabled.push(purpose);
+    } else {
+      compressed.purposes.enabled.push(purpose);
+    }
+  }
+
+  // Find vendors that have all true for enabled purposes and set them to true
+  // Set the other vendors to false
+  const vendorIdStrings = Object.keys(statusByVendor);
+  for (const vendorIdStringIndex in vendorIdStrings) {
+    if (!vendorIdStrings.hasOwnProperty(vendorIdStringIndex)) {
+      continue;
+    }
+
+    const vendorIdString = vendorIdStrings[vendorIdStringIndex];
+    let enabledVendor = true;
+
+    for (const purposeIdIndex in compressed.purposes.enabled) {
+      if (!compressed.purposes.enabled.hasOwnProperty(purposeIdIndex)) {
+        continue;
+      }
+
+      const purposeId = compressed.purposes.enabled[purposeIdIndex];
+
+      enabledVendor = enabledVendor
+        && statusByVendor[vendorIdString].purposes[purposeId] === true;
+    }
+
+    if (enabledVendor) {
+      compressed.vendors.enabled.push(statusByVendor[vendorIdString].id);
+    } else {
+      compressed.vendors.disabled.push(statusByVendor[vendorIdString].id);
+    }
+  }
+
+  return compressed;
+}
+
+/**
+ * Expand lists of enabled/disabled purposes and vendors into a list of consents
+ *
+ * @param {Object[]} consents The list of consents to update
+ * @param {Object} compressed An object with the `purposes` and `vendors` lists
+ * @param {string} field The vendor property holding the status (`status` for consent or `legitimate_interest`)
+ */
+function decompressStatuses(consents, compressed, field) {
+  for (const purposeIdIndex in compressed.purposes.enabled) {
+    if (!compressed.purposes.enabled.hasOwnProperty(purposeIdIndex)) {
+      continue;
+    }
+
+    const purposeId = compressed.purposes.enabled[purposeIdIndex];
+
+    for (const vendorIdIndex in compressed.vendors.enabled) {
+      if (!compressed.vendors.enabled.hasOwnProperty(vendorIdIndex)) {
+        continue;
+      }
+
+      const vendorId = compressed.vendors.enabled[vendorIdIndex];
+
+      findOrCreateVendor(consents, purposeId, vendorId)[field] = true;
+    }
+
+    for (const vendorIdIndex in compressed.vendors.disabled) {
+      if (!compressed.vendors.disabled.hasOwnProperty(vendorIdIndex)) {
+        continue;
+      }
+
+      const vendorId = compressed.vendors.disabled[vendorIdIndex];
+
+      findOrCreateVendor(consents, purposeId, vendorId)[field] = false;
+    }
+  }
+
+  for (const purposeIdIndex in compressed.purposes.disabled) {
+    if (!compressed.purposes.disabled.hasOwnProperty(purposeIdIndex)) {
+      continue;
+    }
+
+    const purposeId = compressed.purposes.disabled[purposeIdIndex];
+
+    for (const vendorIdIndex in compressed.vendors.enabled) {
+      if (!compressed.vendors.enabled.hasOwnProperty(vendorIdIndex)) {
+        continue;
+      }
+
+      const vendorId = compressed.vendors.enabled[vendorIdIndex];
+
+      findOrCreateVendor(consents, purposeId, vendorId)[field] = false;
+    }
+
+    for (const vendorIdIndex in compressed.vendors.disabled) {
+      if (!compressed.vendors.disabled.hasOwnProperty(vendorIdIndex)) {
+        continue;
+      }
+
+      const vendorId = compressed.vendors.disabled[vendorIdIndex];
+
+      findOrCreateVendor(consents, purposeId, vendorId)[field] = false;
+    }
+  }
+}
 
 /**
  * A consent web token represents the GDPR consents expressed by a user.
@@ -14,6 +447,7 @@ const base64 = require('base-64');
 class CWT {
   /**
    * Create a new Consent web token
+   * The consents, history and audience are deep-copied: the token never shares them with the content.
    *
    * @param {Object} tokenContent The content of the token
    * @param {string} tokenContent.issuer A unique ID identifying the issuer of the token
@@ -21,9 +455,17 @@ class CWT {
    * @param {string} [tokenContent.user_id_type] The type of ID (email, uuid, adid, etc.)
    * @param {string} [tokenContent.user_id_hash_method] If the user ID is hashed, this is the method used for generating the hash (md5, sha1, sha256)
    * @param {Object[]} [tokenContent.consents] A list of consents already given by the user
+   * @param {number} [tokenContent.issued_at] The time at which the token was issued (seconds since the epoch)
+   * @param {number} [tokenContent.expires_at] The time after which the token must not be accepted (seconds since the epoch)
+   * @param {number} [tokenContent.not_before] The time before which the token must not be accepted (seconds since the epoch)
+   * @param {string} [tokenContent.token_id] A unique ID identifying the token
+   * @param {string|string[]} [tokenContent.audience] The recipients that the token is intended for
+   * @param {Object[]} [tokenContent.history] The history of the consent statuses. Provide an empty list to start recording the history of a new token.
+   * @param {number} [tokenContent.version] The version of the specification used by the content (defaults to the current version). Content of an older version is upgraded to the current version.
+   * @throws {Error} If the version of the content is not supported
    */
   constructor(tokenContent) {
-    tokenContent = tokenContent || {};
+    tokenContent = versions.upgrade(tokenContent || {});
 
     /**
      * A unique ID identifying the issuer of the token
@@ -58,43 +500,104 @@ class CWT {
      *
      * @type {Object[]}
      */
-    this.consents = tokenContent.consents || [];
+    this.consents = immutable.copy(tokenContent.consents || []);
+
+    /**
+     * The append-only history of the consent statuses set on the token or null if the history is not recorded
+     *
+     * @type {Object[]}
+     */
+    this.history = immutable.copy(tokenContent.history || null);
+
+    /**
+     * The time at which the token was issued (seconds since the epoch)
+     *
+     * @type {number}
+     */
+    this.issued_at = tokenContent.issued_at || null;
+
+    /**
+     * The time after which the token must not be accepted (seconds since the epoch)
+     *
+     * @type {number}
+     */
+    this.expires_at = tokenContent.expires_at || null;
+
+    /**
+     * The time before which the token must not be accepted (seconds since the epoch)
+     *
+     * @type {number}
+     */
+    this.not_before = tokenContent.not_before || null;
+
+    /**
+     * A unique ID identifying the token
+     *
+     * @type {string}
+     */
+    this.token_id = tokenContent.token_id || null;
+
+    /**
+     * The recipients that the token is intended for
+     *
+     * @type {string|string[]}
+     */
+    this.audience = immutable.copy(tokenContent.audience || null);
 
     /**
      * The CWT specification version
      *
      * @type {number}
      */
-    this.version = 1;
+    this.version = versions.currentVersion;
   }
 
   /**
    * Export the token information as a plain JavaScript object
    *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
    * @return {Object}
+   * @throws {Error} If the version is not supported
    */
-  toObject() {
-    return {
+  toObject(options) {
+    const object = {
       issuer: this.issuer,
       user_id: this.user_id,
       user_id_type: this.user_id_type,
       user_id_hash_method: this.user_id_hash_method,
+      issued_at: this.issued_at,
+      expires_at: this.expires_at,
+      not_before: this.not_before,
+      token_id: this.token_id,
+      audience: this.audience,
       consents: this.consents,
+      history: this.history,
       version: this.version,
     };
+
+    if (options && options.version) {
+      return versions.downgrade(object, options.version);
+    }
+
+    return object;
   }
 
   /**
    * Generate a JSON-encoded version of the token
    *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
    * @return {string}
    */
-  toJSON() {
-    return JSON.stringify(this.toObject());
+  toJSON(options) {
+    return JSON.stringify(this.toObject(options));
   }
 
   /**
    * Generate a space-efficient JSON CWT with less information
+   *
+   * @deprecated The compressed format is lossy: a vendor is enabled or disabled for all the enabled purposes at once. Use `toCompactJSON` instead.
    */
   toCompressedJSON() {
     const token = this.toObject();
@@ -104,194 +607,1003 @@ class CWT {
       user_id: token.user_id,
       user_id_type: token.user_id_type,
       user_id_hash_method: token.user_id_hash_method,
+      issued_at: token.issued_at,
+      expires_at: token.expires_at,
+      not_before: token.not_before,
+      token_id: token.token_id,
+      audience: token.audience,
       version: token.version,
     };
 
-    serializedToken.purposes = {
-      enabled: [],
-      disabled: [],
-    };
-    serializedToken.vendors = {
-      enabled: [],
-      disabled: [],
-    };
+    const consentStatuses = compressStatuses(token.consents, 'status');
 
-    const statusByVendor = {};
-    const vendorsByPurpose = {};
+    serializedToken.purposes = consentStatuses.purposes;
+    serializedToken.vendors = consentStatuses.vendors;
 
-    // Find purposes that are all false (ie disabled purposes)
-    for (const consentIndex in token.consents) {
-      if (!token.consents.hasOwnProperty(consentIndex)) {
-        continue;
-      }
+    if (token.consents.some(c => c.vendors.some(v => v.legitimate_interest !== undefined))) {
+      serializedToken.legitimate_interests = compressStatuses(token.consents, 'legitimate_interest');
+    }
 
-      const { purpose, vendors } = token.consents[consentIndex];
+    return JSON.stringify(serializedToken);
+  }
 
-      vendorsByPurpose[purpose] = {};
+  /**
+   * Generate a space-efficient JSON CWT that keeps the status of every purpose/vendor pair
+   * Purposes and vendors are listed once and their statuses are packed in bit strings (see `src/compact.js`).
+   * The `updated_at` timestamps of the vendors and the history of the token are not included.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   */
+  toCompactJSON(options) {
+    const token = this.toObject(options);
 
-      let disabledPurpose = true;
-      for (const vendorIndex in vendors) {
-        if (!vendors.hasOwnProperty(vendorIndex)) {
-          continue;
-        }
+    const serializedToken = {
+      issuer: token.issuer,
+      user_id: token.user_id,
+      user_id_type: token.user_id_type,
+      user_id_hash_method: token.user_id_hash_method,
+      issued_at: token.issued_at,
+      expires_at: token.expires_at,
+      not_before: token.not_before,
+      token_id: token.token_id,
+      audience: token.audience,
+      version: token.version,
+    };
 
-        const vendor = vendors[vendorIndex];
+    return JSON.stringify(Object.assign(serializedToken, compact.encodeConsents(token.consents)));
+  }
 
-        disabledPurpose = disabledPurpose && vendor.status === false;
+  /**
+   * Generate a base64-encoded version of the token
+   * It first encode the token as JSON then base64-encode it.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   */
+  toBase64(options) {
+    return base64.encode(this.toJSON(options));
+  }
 
-        if (!statusByVendor[vendor.id]) {
-          statusByVendor[vendor.id] = {
-            id: vendor.id,
-            purposes: {},
-          };
-        }
+  /**
+   * Generate a base64-encoded version of compressed JSON token
+   *
+   * @deprecated The compressed format is lossy. Use `toCompactBase64` or, for URLs and cookies, `toCompactBase64Url` instead.
+   */
+  toCompressedBase64() {
+    return base64.encode(this.toCompressedJSON());
+  }
+
+  /**
+   * Generate a base64-encoded version of compact JSON token
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   */
+  toCompactBase64(options) {
+    return base64.encode(this.toCompactJSON(options));
+  }
+
+  /**
+   * Generate a base64url-encoded (RFC 4648, without padding) version of the JSON token
+   * Unlike `toBase64`, the output can be used in URLs and cookies without escaping.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   */
+  toBase64Url(options) {
+    return transport.base64UrlEncode(this.toJSON(options));
+  }
+
+  /**
+   * Generate a base64url-encoded (RFC 4648, without padding) version of the compact JSON token
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   */
+  toCompactBase64Url(options) {
+    return transport.base64UrlEncode(this.toCompactJSON(options));
+  }
+
+  /**
+   * Generate a URL-safe string with a self-describing prefix that tells the format and the compression of the token (see `src/transport.js`)
+   *
+   * @param {Object} [options]
+   * @param {string} [options.format=json] The serialization format (`json`, `compact` or `cbor`)
+   * @param {string} [options.compression=none] The compression algorithm (`none`, `deflate` or `gzip`)
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   *
+   * @example
+   * const value = token.toTransportString({ format: 'compact', compression: 'deflate' }); // cd.eJxdjc0K...
+   * CWTFromTransportString(value);
+   */
+  toTransportString(options) {
+    options = options || {};
+
+    const format = options.format || transport.Formats.JSON;
+    const serializers = {
+      json: () => this.toJSON(options),
+      compact: () => this.toCompactJSON(options),
+      cbor: () => this.toCBOR(options),
+    };
+
+    if (!serializers.hasOwnProperty(format)) {
+      throw new Error(`Unsupported token format ${format}`);
+    }
+
+    return transport.encodeTransportString(serializers[format](), format, options.compression);
+  }
+
+  /**
+   * Generate a binary version of the token with CBOR (RFC 8949)
+   * All the token fields, consents and history are encoded (see `src/cbor.js`).
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {Uint8Array} The encoded token (use `Buffer.from(token.toCBOR())` to get a node.js buffer)
+   */
+  toCBOR(options) {
+    return cbor.encodeToken(this.toObject(options));
+  }
+
+  /**
+   * Generate a base64url-encoded (RFC 4648, without padding) version of the CBOR token
+   *
+   * @param {Object} [options]
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   */
+  toCBORBase64(options) {
+    return bytesToBase64Url(this.toCBOR(options));
+  }
+
+  /**
+   * Generate a signed JWT version of the token
+   * The token information is used as the JWT claims (with the registered `iat`, `exp`, `nbf`, `jti` and `aud` claims) and signed with HMAC-SHA256 (shared secret) or RSA/ECDSA (private key).
+   *
+   * @param {string|Buffer|KeyObject|Object} key The shared secret (HS256) or the private key as PEM, key object or JWK (RS256/ES256)
+   * @param {Object} [options]
+   * @param {string} [options.algorithm=HS256] The signing algorithm (HS256, RS256 or ES256)
+   * @param {string} [options.keyId] The ID of the key used for signing, added as the `kid` header so that verifiers can pick the right key from a JWKS
+   * @param {Object} [options.header] Additional header parameters
+   * @param {number} [options.version] The version of the specification to export the token for (defaults to the current version)
+   * @return {string}
+   *
+   * @example
+   * const token = new CWT({ issuer: 'didomi' });
+   * token.toJWT('secret');
+   * token.toJWT(privateKeyPEM, { algorithm: 'ES256', keyId: '2018-06' });
+   */
+  toJWT(key, options) {
+    return jwt.sign(toJWTClaims(this.toObject(options)), key, options);
+  }
+
+  /**
+   * Generate an IAB TCF v2 consent string (TC string) with the core segment
+   *
+   * Consents and legitimate interests are converted to TCF purposes and vendors with a mapping between CWT and TCF IDs.
+   * Vendors are included if their ID is mapped to an IAB vendor ID or if their CWT ID is their numeric IAB vendor ID.
+   *
+   * @param {Object} [options] TC data fields such as `cmpId`, `cmpVersion`, `consentLanguage`, `vendorListVersion` or `publisherRestrictions`
+   * @param {Object} [options.mapping] The mapping between CWT purposes/vendors and TCF purposes/special features/vendors (defaults to the TCF IDs of the registered purposes, see `PurposeRegistry#toTCFMapping`)
+   * @param {number[]} [options.vendorIds] Additional IAB vendor IDs to check in the token (useful for tokens with `*` vendor catch-alls)
+   * @return {string}
+   *
+   * @example
+   * token.toTCString({
+   *   cmpId: 7,
+   *   cmpVersion: 1,
+   *   vendorListVersion: 42,
+   *   mapping: {
+   *     purposes: { cookies: [1], analytics: [7, 8] },
+   *     vendors: { didomi: 7 },
+   *   },
+   * });
+   */
+  toTCString(options) {
+    return tcf.encodeTCString(tcf.tokenToTCData(this, options));
+  }
+
+  /**
+   * Generate a Google Consent Mode state from the token
+   * A signal is granted if the vendor is allowed for all the purposes mapped to the signal, and denied otherwise.
+   *
+   * @param {Object} [mapping] The mapping between Consent Mode signals and CWT purposes (defaults to `ConsentModeMapping`)
+   * @param {string} [vendorId=google] The vendor ID to check in the token. Purposes with a `*` vendor catch-all apply too.
+   * @return {Object} An object with `granted` or `denied` for every signal of the mapping
+   *
+   * @example
+   * gtag('consent', 'update', token.toConsentModeState());
+   */
+  toConsentModeState(mapping, vendorId) {
+    return consentMode.tokenToConsentModeState(this, mapping, vendorId);
+  }
+
+  /**
+   * Generate an IAB US Privacy string (CCPA) from the token
+   * The opt-out of sale is read from the `*` vendor catch-all of the `SaleOfPersonalData` purpose.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.notice] Whether the user has been given notice and the opportunity to opt out
+   * @param {boolean} [options.lspa] Whether the publisher is a signatory to the IAB Limited Service Provider Agreement
+   * @return {string}
+   *
+   * @example
+   * token.setConsentStatus(false, Purposes.SaleOfPersonalData, '*');
+   * token.toUSPrivacyString({ notice: true, lspa: false }); // 1YYN
+   */
+  toUSPrivacyString(options) {
+    return usPrivacy.encodeUSPrivacyString(usPrivacy.tokenToUSPrivacyData(this, options));
+  }
+
+  /**
+   * Generate an IAB Global Privacy Platform (GPP) string from the token
+   * US opt-outs are read from the `*` vendor catch-all of the US opt-out purposes.
+   *
+   * @param {Object} [options]
+   * @param {string[]} [options.sections=['usnat']] The sections to include (`tcfeuv2`, `uspv1` and/or `usnat`)
+   * @param {Object} [options.tcfeuv2] Options for the `tcfeuv2` section (see `toTCString`)
+   * @param {Object} [options.uspv1] Options for the `uspv1` section (see `toUSPrivacyString`)
+   * @param {Object} [options.usnat] Options for the `usnat` section: `notice`, `mspaCoveredTransaction`, `mspaOptOutOptionMode`, `mspaServiceProviderMode` and `gpc`
+   * @return {string}
+   *
+   * @example
+   * token.toGPPString({
+   *   sections: ['tcfeuv2', 'usnat'],
+   *   tcfeuv2: { cmpId: 7 },
+   *   usnat: { notice: true, gpc: false },
+   * });
+   */
+  toGPPString(options) {
+    return gpp.encodeGPPString(gpp.tokenToGPPData(this, options));
+  }
+
+  /**
+   * Set the consent status for the user
+   * The time of the change is recorded in the `updated_at` property of the vendor entry and, if enabled, the change is added to the history of the token.
+   *
+   * With the legitimate interest legal basis, the status indicates if the vendor can process data based on its legitimate interest (true) or if the user has exercised their right to object (false).
+   *
+   * Child purposes without a status of their own inherit the status of their parent (see `getConsentStatus`).
+   * With the `cascade` option, the status is also set on all the descendants of the purpose, replacing their own statuses.
+   *
+   * @param {string} status The consent status (yes/no) of the user for the vendor
+   * @param {string} purpose The purpose for which the user has given consent. Use `*` to indicate that the user has given consent for all purposes
+   * @param {string} vendorId The unique vendor ID for which the user has given consent. Use the ID of a vendor group (see `VendorGroupRegistry`) for all the vendors of the group or `*` to indicate that the user has given consent for all vendors)
+   * @param {string} [legalBasis=consent] The legal basis that the status applies to (see `LegalBases`)
+   * @param {Object} [options]
+   * @param {boolean} [options.cascade=false] Also set the status on the descendants of the purpose (see `PurposeRegistry`)
+   * @throws {Error} If the token is frozen (see `with`)
+   *
+   * @example
+   * const token = new CWT('issuer');
+   * token.setConsentStatus(
+   *   true,
+   *   CWT.Purposes.Cookies,
+   *   'didomi'
+   * );
+   *
+   * // The user objects to the processing based on legitimate interest
+   * token.setConsentStatus(
+   *   false,
+   *   CWT.Purposes.Analytics,
+   *   'didomi',
+   *   LegalBases.LegitimateInterest
+   * );
+   *
+   * // Refuse all the cookies, including analytics, marketing and social cookies
+   * token.setConsentStatus(false, CWT.Purposes.Cookies, '*', LegalBases.Consent, { cascade: true });
+   */
+  setConsentStatus(status, purpose, vendorId, legalBasis, options) {
+    const field = statusField(legalBasis);
 
-        statusByVendor[vendor.id].purposes[purpose] = vendor.status;
-        vendorsByPurpose[purpose][vendor.id] = vendor.status;
+    checkMutable(this);
+
+    if (options && options.cascade) {
+      this.transaction(() => {
+        cascadedPurposes(purpose, options).forEach((cascadedPurpose) => {
+          this.setConsentStatus(status, cascadedPurpose, vendorId, legalBasis);
+        });
+      });
+
+      return;
+    }
+
+    observers.beginTransaction(this);
+
+    const vendor = findOrCreateVendor(this.consents, purpose, vendorId);
+    const previousStatus = vendor[field];
+
+    vendor[field] = status;
+    vendor.updated_at = currentTimestamp();
+
+    // The user made the decision
+    if (field === 'status') {
+      delete vendor.source;
+    }
+
+    observers.recordChange(this, {
+      purpose,
+      vendor: vendorId,
+      legal_basis: legalBasis || LegalBases.Consent,
+      before: previousStatus,
+      after: status,
+    });
+
+    if (this.history) {
+      this.history.push(historyEntry(purpose, vendorId, status, legalBasis, vendor.updated_at));
+    }
+
+    observers.endTransaction(this);
+  }
+
+  /**
+   * Get the history of the consent statuses of the user for a specific purpose/vendor
+   *
+   * The history is only recorded if it has been enabled on the token by providing a `history` list when creating it.
+   *
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor
+   * @param {string} [legalBasis=consent] The legal basis to get the history for (see `LegalBases`)
+   * @return {Object[]} The list of statuses set for that purpose/vendor (oldest first) with the time at which they were set
+   *
+   * @example
+   * const token = new CWT({ issuer: 'issuer', history: [] });
+   * token.setConsentStatus(true, CWT.Purposes.Cookies, 'didomi');
+   * token.setConsentStatus(false, CWT.Purposes.Cookies, 'didomi');
+   * token.getConsentHistory(CWT.Purposes.Cookies, 'didomi');
+   * // [{ status: true, updated_at: 1528000000 }, { status: false, updated_at: 1528000060 }]
+   */
+  getConsentHistory(purpose, vendorId, legalBasis) {
+    legalBasis = legalBasis || LegalBases.Consent;
+
+    return (this.history || [])
+      .filter(entry => entry.purpose === purpose && entry.vendor === vendorId)
+      .filter(entry => (entry.legal_basis || LegalBases.Consent) === legalBasis)
+      .map(entry => ({
+        status: entry.status,
+        updated_at: entry.updated_at,
+      }));
+  }
+
+  /**
+   * Get the consent status of the user for a specific purpose/vendor
+   *
+   * Returns true if consent has been given, false if consent has been denied and undefined if no consent information is available
+   *
+   * If a list of legal bases is provided, the status tells if the vendor may process data for the purpose under any of them:
+   * true if one of the legal bases allows it, false if the user has refused all the legal bases that have information, and undefined otherwise.
+   *
+   * The status is resolved in the following order, the first entry with a status for the legal basis wins:
+   * 1. The vendor in the purpose
+   * 2. The groups of the vendor in the purpose (see `VendorGroupRegistry`), a refusal winning over an agreement
+   * 3. The `*` vendor (all vendors) in the purpose
+   * 4. The vendor, then its groups, then the `*` vendor, in the parent purpose (`cookies` for `cookies_analytics`, see `PurposeRegistry`)
+   * 5. The same in the grandparent purpose, etc.
+   * 6. The same in the `*` purpose (all purposes)
+   *
+   * A decision for a purpose, even for all vendors, is always more specific than a decision for its parent or for all purposes.
+   *
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor to check consent for
+   * @param {string|string[]} [legalBasis=consent] The legal basis or list of legal bases to check (see `LegalBases`)
+   * @return {boolean}
+   *
+   * @example
+   * const token = new CWT('issuer');
+   * token.setConsentStatus(CWT.Purposes.Cookies, 'didomi');
+   * token.getConsentStatus(CWT.Purposes.Cookies, 'didomi');
+   *
+   * // May didomi process data for analytics?
+   * token.getConsentStatus(
+   *   CWT.Purposes.Analytics,
+   *   'didomi',
+   *   [LegalBases.Consent, LegalBases.LegitimateInterest]
+   * );
+   *
+   * // Falls back to the status of the cookies purpose
+   * token.getConsentStatus(CWT.Purposes.CookiesAnalytics, 'didomi');
+   *
+   * // Falls back to the status of the groups of didomi and to the status of all purposes
+   * token.setConsentStatus(false, '*', 'advertising_vendors');
+   * token.getConsentStatus(CWT.Purposes.Analytics, 'didomi');
+   */
+  getConsentStatus(purpose, vendorId, legalBasis) {
+    if (Array.isArray(legalBasis)) {
+      const statuses = legalBasis.map(basis => this.getConsentStatus(purpose, vendorId, basis));
+
+      if (statuses.indexOf(true) !== -1) {
+        return true;
+      }
+
+      if (statuses.indexOf(false) !== -1) {
+        return false;
       }
 
-      if (disabledPurpose) {
-        // All vendors are set to false for this purpose, which means the purpose itself should be false
-        serializedToken.purposes.disabled.push(purpose);
-      } else {
-        serializedToken.purposes.enabled.push(purpose);
+      return undefined;
+    }
+
+    const field = statusField(legalBasis);
+    const vendor = resolveStatusVendor(this.consents, purpose, vendorId, field);
+
+    return vendor ? vendor[field] : undefined;
+  }
+
+  /**
+   * Get the source of the consent status of the user for a specific purpose/vendor
+   *
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor
+   * @return {string|undefined} `user` if the user made the decision, the privacy signal (see `PrivacySignals`) if the decision was made by applying a signal and undefined if no consent information is available
+   *
+   * @example
+   * token.applyPrivacySignals(PrivacySignals.GPC);
+   * token.getConsentSource(Purposes.SaleOfPersonalData, 'didomi'); // gpc
+   */
+  getConsentSource(purpose, vendorId) {
+    const vendor = resolveStatusVendor(this.consents, purpose, vendorId, 'status');
+
+    if (!vendor) {
+      return undefined;
+    }
+
+    return vendor.source || 'user';
+  }
+
+  /**
+   * Get the metadata of the purposes of the token (see `PurposeRegistry#describe`)
+   *
+   * @param {string} [locale=en] The locale of the names and descriptions
+   * @param {PurposeRegistry} [registry] The registry of the purposes (defaults to `purposeRegistry`)
+   * @return {Object[]} The metadata of every purpose with consent information, including the purposes that are not registered
+   *
+   * @example
+   * token.describePurposes('fr').map(purpose => purpose.name); // ['Cookies', 'Mesure d’audience']
+   */
+  describePurposes(locale, registry) {
+    registry = registry || purposeRegistry;
+
+    return this.consents.map(consent => registry.describe(consent.purpose, locale));
+  }
+
+  /**
+   * Remove the consent information of the user for a specific purpose/vendor
+   * The purpose is removed from the token if it does not have any vendor left.
+   *
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor to remove consent for
+   * @return {boolean} True if consent information was found and removed
+   * @throws {Error} If the token is frozen (see `with`)
+   *
+   * @example
+   * token.removeConsentStatus(CWT.Purposes.Cookies, 'didomi');
+   */
+  removeConsentStatus(purpose, vendorId) {
+    checkMutable(this);
+
+    const consent = this.consents.find(c => c.purpose === purpose);
+
+    if (!consent) {
+      return false;
+    }
+
+    const vendorIndex = consent.vendors.findIndex(v => v.id === vendorId);
+
+    if (vendorIndex === -1) {
+      return false;
+    }
+
+    observers.beginTransaction(this);
+
+    recordRemoval(this, purpose, consent.vendors[vendorIndex]);
+    consent.vendors.splice(vendorIndex, 1);
+
+    if (consent.vendors.length === 0) {
+      this.removePurpose(purpose);
+    }
+
+    observers.endTransaction(this);
+
+    return true;
+  }
+
+  /**
+   * Remove the consent information of the user for a purpose and all its vendors
+   *
+   * @param {string} purpose Purpose
+   * @return {boolean} True if consent information was found and removed
+   * @throws {Error} If the token is frozen (see `with`)
+   */
+  removePurpose(purpose) {
+    checkMutable(this);
+
+    const consentIndex = this.consents.findIndex(c => c.purpose === purpose);
+
+    if (consentIndex === -1) {
+      return false;
+    }
+
+    observers.beginTransaction(this);
+
+    this.consents[consentIndex].vendors.forEach(vendor => recordRemoval(this, purpose, vendor));
+    this.consents.splice(consentIndex, 1);
+
+    observers.endTransaction(this);
+
+    return true;
+  }
+
+  /**
+   * Remove the consent information of the user for a vendor across all purposes
+   *
+   * @param {string} vendorId Unique ID of the vendor to remove consent for
+   * @return {boolean} True if consent information was found and removed
+   * @throws {Error} If the token is frozen (see `with`)
+   */
+  removeVendor(vendorId) {
+    checkMutable(this);
+
+    const purposes = this.consents.map(c => c.purpose);
+    let removed = false;
+
+    observers.beginTransaction(this);
+
+    for (const purposeIndex in purposes) {
+      if (!purposes.hasOwnProperty(purposeIndex)) {
+        continue;
       }
+
+      removed = this.removeConsentStatus(purposes[purposeIndex], vendorId) || removed;
     }
 
-    // Find vendors that have all true for enabled purposes and set them to true
-    // Set the other vendors to false
-    const vendorIdStrings = Object.keys(statusByVendor);
-    for (const vendorIdStringIndex in vendorIdStrings) {
-      if (!vendorIdStrings.hasOwnProperty(vendorIdStringIndex)) {
+    observers.endTransaction(this);
+
+    return removed;
+  }
+
+  /**
+   * Withdraw all the consents given by the user
+   * Every purpose/vendor present in the token is set to false.
+   *
+   * @throws {Error} If the token is frozen (see `with`)
+   *
+   * @example
+   * // "Withdraw all consent" button
+   * token.revokeAll();
+   */
+  revokeAll() {
+    checkMutable(this);
+
+    observers.beginTransaction(this);
+
+    for (const consentIndex in this.consents) {
+      if (!this.consents.hasOwnProperty(consentIndex)) {
         continue;
       }
 
-      const vendorIdString = vendorIdStrings[vendorIdStringIndex];
-      let enabledVendor = true;
+      const { purpose, vendors } = this.consents[consentIndex];
 
-      for (const purposeIdIndex in serializedToken.purposes.enabled) {
-        if (!serializedToken.purposes.enabled.hasOwnProperty(purposeIdIndex)) {
+      for (const vendorIndex in vendors) {
+        if (!vendors.hasOwnProperty(vendorIndex)) {
           continue;
         }
 
-        const purposeId = serializedToken.purposes.enabled[purposeIdIndex];
+        this.setConsentStatus(false, purpose, vendors[vendorIndex].id);
+      }
+    }
+
+    observers.endTransaction(this);
+  }
 
-        enabledVendor = enabledVendor
-          && statusByVendor[vendorIdString].purposes[purposeId] === true;
+  /**
+   * Give consent for a list of purposes and vendors
+   *
+   * @param {string[]} purposes The purposes for which the user gives consent
+   * @param {string[]} [vendors=['*']] The unique vendor IDs for which the user gives consent. Defaults to all vendors.
+   * @throws {Error} If the token is frozen (see `with`)
+   *
+   * @example
+   * // "Accept all" button
+   * token.grantAll([CWT.Purposes.Cookies, CWT.Purposes.Analytics], ['didomi', 'liveramp']);
+   */
+  grantAll(purposes, vendors) {
+    vendors = vendors || ['*'];
+
+    checkMutable(this);
+
+    observers.beginTransaction(this);
+
+    for (const purposeIndex in purposes) {
+      if (!purposes.hasOwnProperty(purposeIndex)) {
+        continue;
       }
 
-      if (enabledVendor) {
-        serializedToken.vendors.enabled.push(statusByVendor[vendorIdString].id);
-      } else {
-        serializedToken.vendors.disabled.push(statusByVendor[vendorIdString].id);
+      for (const vendorIndex in vendors) {
+        if (!vendors.hasOwnProperty(vendorIndex)) {
+          continue;
+        }
+
+        this.setConsentStatus(true, purposes[purposeIndex], vendors[vendorIndex]);
       }
     }
 
-    return JSON.stringify(serializedToken);
+    observers.endTransaction(this);
   }
 
   /**
-   * Generate a base64-encoded version of the token
-   * It first encode the token as JSON then base64-encode it.
+   * Listen to the changes of the token
+   *
+   * The `change` event is sent after every change of status with the list of changes (`purpose`, `vendor`, `legal_basis` and the status `before` and `after` the change).
+   * Changes made in a transaction (see `transaction`) and by bulk methods like `revokeAll` are sent at once when the transaction ends.
+   *
+   * @param {string} event The event to listen to (`change`)
+   * @param {function(changes: Object[])} listener
+   * @return {function()} A function that removes the listener
+   *
+   * @example
+   * token.on('change', (changes) => {
+   *   changes.forEach(({ purpose, vendor, before, after }) => console.log(purpose, vendor, before, after));
+   * });
    */
-  toBase64() {
-    return base64.encode(this.toJSON());
+  on(event, listener) {
+    return observers.addListener(this, event, listener);
   }
 
   /**
-   * Generate a base64-encoded version of compressed JSON token
+   * Remove a listener added with `on`
+   *
+   * @param {string} event The event (`change`)
+   * @param {function(changes: Object[])} listener
+   * @return {boolean} True if the listener was found and removed
    */
-  toCompressedBase64() {
-    return base64.encode(this.toCompressedJSON());
+  off(event, listener) {
+    return observers.removeListener(this, event, listener);
   }
 
   /**
-   * Set the consent status for the user
+   * Subscribe to the changes of the status of a purpose/vendor as returned by `getConsentStatus`
+   * The handler is called with the status `before` and `after` the change, also when the status changes through the `*` vendor catch-all.
    *
-   * @param {string} status The consent status (yes/no) of the user for the vendor
-   * @param {string} purpose The purpose for which the user has given consent
-   * @param {string} vendorId The unique vendor ID for which the user has given consent. Use `*` to indicate that the user has given consent for all vendors)
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor
+   * @param {function(change: Object)} handler Called with the `purpose`, `vendor`, `legal_basis` and the status `before` and `after` the change
+   * @param {string} [legalBasis=consent] The legal basis to watch (see `LegalBases`)
+   * @return {function()} A function that removes the subscription
    *
    * @example
-   * const token = new CWT('issuer');
-   * token.setConsentStatus(
-   *   true,
-   *   CWT.Purposes.Cookies,
-   *   'didomi'
-   * );
+   * const unsubscribe = token.subscribe(CWT.Purposes.Analytics, 'google', ({ after }) => {
+   *   if (after) {
+   *     loadAnalytics();
+   *   }
+   * });
    */
-  setConsentStatus(status, purpose, vendorId) {
-    // Check if we already have consent information for that purpose
-    let consent = this.consents.find(c => c.purpose === purpose);
+  subscribe(purpose, vendorId, handler, legalBasis) {
+    legalBasis = legalBasis || LegalBases.Consent;
+    statusField(legalBasis);
 
-    if (!consent) {
-      consent = {
-        purpose,
-        vendors: [],
-      };
+    return observers.subscribe(this, purpose, vendorId, legalBasis, handler);
+  }
 
-      this.consents.push(consent);
+  /**
+   * Make several changes to the token and notify the listeners and subscriptions once at the end
+   *
+   * @param {function(token: CWT)} callback The function making the changes
+   *
+   * @example
+   * token.transaction(() => {
+   *   token.setConsentStatus(true, CWT.Purposes.Cookies, 'didomi');
+   *   token.setConsentStatus(true, CWT.Purposes.Analytics, 'didomi');
+   * });
+   */
+  transaction(callback) {
+    observers.beginTransaction(this);
+
+    try {
+      callback(this);
+    } finally {
+      observers.endTransaction(this);
     }
+  }
 
-    // Check if we already have the vendor for that consent
-    let vendor = consent.vendors.find(v => v.id === vendorId);
+  /**
+   * Apply browser privacy signals (Global Privacy Control, Do Not Track) to the token
+   *
+   * The purposes are refused for all their vendors and the signal is recorded as the source of the decisions (see `getConsentSource`).
+   * Purposes/vendors that are already refused are not changed so that signals can be applied on every request.
+   *
+   * @param {string|string[]} privacySignals The signal or list of signals to apply (see `PrivacySignals`), the first one is recorded as the source
+   * @param {Object} [options]
+   * @param {string[]} [options.purposes] The purposes to refuse (defaults to `SignalPurposes`: sale, sharing and targeted advertising)
+   * @return {boolean} True if the token was changed
+   * @throws {Error} If a signal is not supported or if the token is frozen (see `with`)
+   *
+   * @example
+   * // Server
+   * token.applyPrivacySignals(getRequestPrivacySignals(req.headers));
+   *
+   * // Browser
+   * token.applyPrivacySignals(getBrowserPrivacySignals());
+   */
+  applyPrivacySignals(privacySignals, options) {
+    checkMutable(this);
 
-    if (!vendor) {
-      vendor = {
-        id: vendorId,
-        status: undefined,
-      };
+    options = options || {};
+
+    const signal = privacySignal(privacySignals);
 
-      consent.vendors.push(vendor);
+    if (!signal) {
+      return false;
     }
 
-    vendor.status = status;
+    const targets = signalTargets(this.consents, options.purposes || signals.SignalPurposes);
+
+    this.transaction(() => {
+      targets.forEach(({ purpose, vendorId }) => {
+        this.setConsentStatus(false, purpose, vendorId);
+
+        findOrCreateVendor(this.consents, purpose, vendorId).source = signal;
+
+        if (this.history) {
+          this.history[this.history.length - 1].source = signal;
+        }
+      });
+    });
+
+    return targets.length > 0;
+  }
+
+  /**
+   * Create a frozen copy of the token with some fields changed
+   *
+   * Frozen tokens cannot be modified (`setConsentStatus` and the other mutating methods throw): every change creates a new frozen token.
+   * The consents and history that are not changed are shared between the frozen tokens instead of being copied.
+   *
+   * @param {Object} [fields] The fields to change (issuer, user ID, consents, etc.) in the format of the current version of the specification
+   * @return {CWT} A new frozen token
+   *
+   * @example
+   * const frozenToken = token.with({ user_id: 'user@domain.com', user_id_type: 'email' });
+   */
+  with(fields) {
+    const content = Object.assign(this.toObject(), fields);
+
+    // Frozen consents and history are shared, mutable ones are copied by the constructor
+    const token = new CWT(Object.assign({}, content, { consents: null, history: null }));
+    token.consents = immutable.copy(content.consents || [], true);
+    token.history = immutable.copy(content.history || null, true);
+
+    return immutable.deepFreeze(token);
+  }
+
+  /**
+   * Create a frozen copy of the token with the consent status of a purpose/vendor changed
+   * The change is recorded in the history of the new token if it is enabled.
+   *
+   * @param {boolean|undefined} status The status of the consent for the purpose/vendor
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor
+   * @param {string} [legalBasis=consent] The legal basis that the status applies to (see `LegalBases`)
+   * @param {Object} [options]
+   * @param {boolean} [options.cascade=false] Also set the status on the descendants of the purpose (see `setConsentStatus`)
+   * @return {CWT} A new frozen token
+   *
+   * @example
+   * const updatedToken = token.withConsentStatus(true, CWT.Purposes.Cookies, 'didomi');
+   */
+  withConsentStatus(status, purpose, vendorId, legalBasis, options) {
+    const updatedAt = currentTimestamp();
+    const field = statusField(legalBasis);
+    const purposes = cascadedPurposes(purpose, options);
+    const fields = { consents: this.consents };
+
+    purposes.forEach((cascadedPurpose) => {
+      fields.consents = immutable.setVendor(fields.consents, cascadedPurpose, vendorId, {
+        [field]: status,
+        updated_at: updatedAt,
+      }, field === 'status' ? ['source'] : []);
+    });
+
+    if (this.history) {
+      fields.history = this.history.concat(purposes.map(cascadedPurpose => historyEntry(
+        cascadedPurpose,
+        vendorId,
+        status,
+        legalBasis,
+        updatedAt
+      )));
+    }
+
+    return this.with(fields);
+  }
+
+  /**
+   * Create a frozen copy of the token without the consent information of a purpose/vendor
+   * The purpose is removed from the new token if it does not have any vendor left.
+   *
+   * @param {string} purpose Purpose
+   * @param {string} vendorId Unique ID of the vendor to remove consent for
+   * @return {CWT} A new frozen token
+   */
+  withoutConsentStatus(purpose, vendorId) {
+    return this.with({
+      consents: immutable.removeVendor(this.consents, purpose, vendorId),
+    });
+  }
+
+  /**
+   * Create a frozen copy of the token with browser privacy signals applied (see `applyPrivacySignals`)
+   *
+   * @param {string|string[]} privacySignals The signal or list of signals to apply (see `PrivacySignals`)
+   * @param {Object} [options]
+   * @param {string[]} [options.purposes] The purposes to refuse (defaults to `SignalPurposes`)
+   * @return {CWT} A new frozen token
+   * @throws {Error} If a signal is not supported
+   */
+  withPrivacySignals(privacySignals, options) {
+    options = options || {};
+
+    const signal = privacySignal(privacySignals);
+    const targets = signal
+      ? signalTargets(this.consents, options.purposes || signals.SignalPurposes)
+      : [];
+
+    const updatedAt = currentTimestamp();
+    const fields = { consents: this.consents };
+
+    targets.forEach(({ purpose, vendorId }) => {
+      fields.consents = immutable.setVendor(fields.consents, purpose, vendorId, {
+        status: false,
+        updated_at: updatedAt,
+        source: signal,
+      });
+    });
+
+    if (this.history) {
+      fields.history = this.history.concat(targets.map(({ purpose, vendorId }) => Object.assign(
+        historyEntry(purpose, vendorId, false, LegalBases.Consent, updatedAt),
+        { source: signal }
+      )));
+    }
+
+    return this.with(fields);
+  }
+
+  /**
+   * Create a builder of frozen tokens
+   *
+   * @param {Object} [tokenContent] The initial content of the token (see the constructor)
+   * @return {CWTBuilder}
+   *
+   * @example
+   * const token = CWT.builder({ issuer: 'didomi' })
+   *   .setConsentStatus(true, CWT.Purposes.Cookies, 'didomi')
+   *   .setConsentStatus(false, CWT.Purposes.Analytics, 'didomi')
+   *   .build();
+   */
+  static builder(tokenContent) {
+    return new immutable.CWTBuilder(new CWT(tokenContent).with());
+  }
+
+  /**
+   * Merge tokens created for the same user (on several devices for instance)
+   *
+   * Purpose/vendor pairs with different statuses are resolved with the strategy.
+   * The status of every token is resolved as with `getConsentStatus` (purpose ancestors, vendor groups and `*` catch-alls): a "refuse all" on one device conflicts with the vendors approved on another one.
+   * The other fields (issuer, user ID, etc.) are taken from the first token that has a value for them.
+   *
+   * @param {CWT[]} tokens The tokens to merge (the `first_issuer` strategy uses their `issued_at` time and then their order)
+   * @param {string} [strategy=most_recent] How to resolve conflicting statuses (see `MergeStrategies`)
+   * @return {Object} An object with the merged `token` and the list of `conflicts` that were resolved. A conflict has the `purpose`, `vendor` and `legal_basis` that had different statuses, the winning `status` and the `candidates` statuses (`token` index, `status` and `updated_at`).
+   * @throws {Error} If the strategy is not supported or if there is no token to merge
+   *
+   * @example
+   * const { token, conflicts } = CWT.merge([webToken, iosToken], MergeStrategies.MostRecent);
+   */
+  static merge(tokens, strategy) {
+    const { content, conflicts } = merge.mergeTokens(tokens, strategy);
+
+    return {
+      token: new CWT(content),
+      conflicts,
+    };
   }
 
   /**
-   * Get the consent status of the user for a specific purpose/vendor
+   * Compute the consent decisions that changed between two versions of a token
    *
-   * Returns true if consent has been given, false if consent has been denied and undefined if no consent information is available
+   * Every purpose/vendor pair found in one of the tokens is compared for each legal basis with `getConsentStatus`, which takes `*` vendor catch-alls into account.
+   * The registered descendants of the purposes and the vendors of the groups are compared too.
+   * Changes to the issuer and user ID fields are listed too.
    *
-   * @param {string} purpose Purpose
-   * @param {string} vendorId Unique ID of the vendor to check consent for
-   * @return {boolean}
+   * @param {CWT} [before] The previous version of the token (an empty token if not provided)
+   * @param {CWT} [after] The new version of the token (an empty token if not provided)
+   * @return {Object} An object with the `fields` that changed (`field`, `before` and `after` values) and the `added`, `removed` and `changed` statuses (`purpose`, `vendor`, `legal_basis` and `status` or `before`/`after` statuses)
    *
    * @example
-   * const token = new CWT('issuer');
-   * token.setConsentStatus(CWT.Purposes.Cookies, 'didomi');
-   * token.getConsentStatus(CWT.Purposes.Cookies, 'didomi');
+   * const { changed } = CWT.diff(previousToken, token);
+   *
+   * changed
+   *   .filter(change => change.after === false)
+   *   .forEach(change => deleteDataAtVendor(change.vendor, change.purpose));
    */
-  getConsentStatus(purpose, vendorId) {
-    const consent = this.consents.find(c => c.purpose === purpose);
+  static diff(before, after) {
+    return diff.diffTokens(before || new CWT(), after || new CWT());
+  }
+}
+
+/**
+ * Check the time and audience claims of a token
+ *
+ * @param {CWT} token
+ * @param {Object} [options] Validation options. If not provided, the claims are not checked.
+ * @param {number} [options.currentTime] The current time in seconds since the epoch (defaults to now)
+ * @param {number} [options.clockSkew=0] Number of seconds of tolerance when checking `expires_at` and `not_before`
+ * @param {string|string[]} [options.audience] The accepted audiences. If provided, the token must be intended for one of them.
+ * @return {boolean}
+ */
+function checkClaims(token, options) {
+  if (!options) {
+    return true;
+  }
 
-    if (consent) {
-      // Consent information found for that purpose
+  const currentTime = options.currentTime || currentTimestamp();
+  const clockSkew = options.clockSkew || 0;
 
-      // Check if we have consent information for the specific vendor
-      const vendor = consent.vendors.find(v => v.id === vendorId);
-      if (vendor) {
-        return vendor.status;
-      }
+  if (token.expires_at !== null && currentTime - clockSkew >= token.expires_at) {
+    return false;
+  }
 
-      // We do not have consent information for that vendor, check if we have some for '*' (all vendors)
-      const vendorCatchAll = consent.vendors.find(v => v.id === '*');
-      if (vendorCatchAll) {
-        return vendorCatchAll.status;
-      }
+  if (token.not_before !== null && currentTime + clockSkew < token.not_before) {
+    return false;
+  }
+
+  if (options.audience) {
+    const acceptedAudiences = [].concat(options.audience);
+    const tokenAudiences = [].concat(token.audience || []);
+
+    if (!tokenAudiences.some(audience => acceptedAudiences.indexOf(audience) !== -1)) {
+      return false;
     }
+  }
 
-    return undefined;
+  return true;
+}
+
+/**
+ * Create a token from parsed data
+ * Parsed data is untrusted: tokens whose version is not a positive integer are rejected instead of throwing.
+ * Tokens of a future version of the specification still throw (see `VersionRegistry#upgrade`).
+ *
+ * @param {Object} tokenContent
+ * @return {CWT|null}
+ */
+function createParsedToken(tokenContent) {
+  const version = tokenContent.version;
+
+  if (version !== undefined && version !== null && !isValidVersion(version)) {
+    return null;
   }
+
+  return new CWT(tokenContent);
 }
 
 /**
  * Parse a JSON string into a CWT object
  *
  * @param {string} jsonString
+ * @param {Object} [options] If provided, the token is rejected if it is expired, not yet valid or not intended for the expected audience
+ * @param {number} [options.currentTime] The current time in seconds since the epoch (defaults to now)
+ * @param {number} [options.clockSkew=0] Number of seconds of tolerance when checking `expires_at` and `not_before`
+ * @param {string|string[]} [options.audience] The accepted audiences
  * @return {CWT|null} Return a CWT object or null if the JSON does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
  */
-function CWTFromJSON(jsonString) {
+function CWTFromJSON(jsonString, options) {
   if (!jsonString) {
     return null;
   }
@@ -309,16 +1621,20 @@ function CWTFromJSON(jsonString) {
     return null;
   }
 
-  return new CWT(object);
+  const token = createParsedToken(object);
+
+  return token && checkClaims(token, options) ? token : null;
 }
 
 /**
  * Parse a compressed JSON string into a CWT object
  *
  * @param {string} jsonString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
  * @return {CWT|null} Return a CWT object or null if the JSON does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
  */
-function CWTFromCompressedJSON(jsonString) {
+function CWTFromCompressedJSON(jsonString, options) {
   if (!jsonString) {
     return null;
   }
@@ -343,154 +1659,539 @@ function CWTFromCompressedJSON(jsonString) {
     return null;
   }
 
-  const token = new CWT({
+  const token = createParsedToken({
     issuer: object.issuer,
     user_id: object.user_id,
     user_id_type: object.user_id_type,
     user_id_hash_method: object.user_id_hash_method,
     consents: [],
+    issued_at: object.issued_at,
+    expires_at: object.expires_at,
+    not_before: object.not_before,
+    token_id: object.token_id,
+    audience: object.audience,
     version: object.version,
   });
 
-  for (const purposeIdIndex in object.purposes.enabled) {
-    if (!object.purposes.enabled.hasOwnProperty(purposeIdIndex)) {
-      continue;
-    }
-
-    const purposeId = object.purposes.enabled[purposeIdIndex];
+  if (!token || !checkClaims(token, options)) {
+    return null;
+  }
 
-    for (const vendorIdIndex in object.vendors.enabled) {
-      if (!object.vendors.enabled.hasOwnProperty(vendorIdIndex)) {
-        continue;
-      }
+  decompressStatuses(token.consents, object, 'status');
 
-      const vendorId = object.vendors.enabled[vendorIdIndex];
+  if (object.legitimate_interests) {
+    decompressStatuses(token.consents, object.legitimate_interests, 'legitimate_interest');
+  }
 
-      token.setConsentStatus(true, purposeId, vendorId);
-    }
+  return token;
+}
 
-    for (const vendorIdIndex in object.vendors.disabled) {
-      if (!object.vendors.disabled.hasOwnProperty(vendorIdIndex)) {
-        continue;
-      }
+/**
+ * Parse a compact JSON string into a CWT object
+ *
+ * @param {string} jsonString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the JSON does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromCompactJSON(jsonString, options) {
+  if (!jsonString) {
+    return null;
+  }
 
-      const vendorId = object.vendors.disabled[vendorIdIndex];
+  let object;
 
-      token.setConsentStatus(false, purposeId, vendorId);
-    }
+  try {
+    object = JSON.parse(jsonString);
+  } catch (error) {
+    return null;
   }
 
-  for (const purposeIdIndex in object.purposes.disabled) {
-    if (!object.purposes.disabled.hasOwnProperty(purposeIdIndex)) {
-      continue;
-    }
+  if (!object || object.consents) {
+    return null;
+  }
 
-    const purposeId = object.purposes.disabled[purposeIdIndex];
+  const consents = compact.decodeConsents(object);
 
-    for (const vendorIdIndex in object.vendors.enabled) {
-      if (!object.vendors.enabled.hasOwnProperty(vendorIdIndex)) {
-        continue;
-      }
+  if (!consents) {
+    return null;
+  }
 
-      const vendorId = object.vendors.enabled[vendorIdIndex];
+  const token = createParsedToken({
+    issuer: object.issuer,
+    user_id: object.user_id,
+    user_id_type: object.user_id_type,
+    user_id_hash_method: object.user_id_hash_method,
+    consents,
+    issued_at: object.issued_at,
+    expires_at: object.expires_at,
+    not_before: object.not_before,
+    token_id: object.token_id,
+    audience: object.audience,
+    version: object.version,
+  });
 
-      token.setConsentStatus(false, purposeId, vendorId);
-    }
+  return token && checkClaims(token, options) ? token : null;
+}
 
-    for (const vendorIdIndex in object.vendors.disabled) {
-      if (!object.vendors.disabled.hasOwnProperty(vendorIdIndex)) {
-        continue;
-      }
+/**
+ * Parse a base64-encoded JSON string into a CWT object
+ *
+ * @param {string} base64String
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromBase64(base64String, options) {
+  if (!base64String) {
+    return null;
+  }
 
-      const vendorId = object.vendors.disabled[vendorIdIndex];
+  let jsonString;
 
-      token.setConsentStatus(false, purposeId, vendorId);
-    }
+  try {
+    jsonString = base64.decode(base64String);
+  } catch (e) {
+    return null;
   }
 
-  return token;
+  return CWTFromJSON(jsonString, options);
 }
 
 /**
  * Parse a base64-encoded JSON string into a CWT object
  *
  * @param {string} base64String
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
  * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
  */
-function CWTFromBase64(base64String) {
+function CWTFromCompressedBase64(base64String, options) {
   if (!base64String) {
     return null;
   }
 
+  let jsonString;
+
   try {
-    return CWTFromJSON(base64.decode(base64String));
+    jsonString = base64.decode(base64String);
   } catch (e) {
     return null;
   }
+
+  return CWTFromCompressedJSON(jsonString, options);
 }
 
 /**
- * Parse a base64-encoded JSON string into a CWT object
+ * Parse a base64-encoded compact JSON string into a CWT object
  *
  * @param {string} base64String
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
  * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
  */
-function CWTFromCompressedBase64(base64String) {
+function CWTFromCompactBase64(base64String, options) {
   if (!base64String) {
     return null;
   }
 
+  let jsonString;
+
   try {
-    return CWTFromCompressedJSON(base64.decode(base64String));
+    jsonString = base64.decode(base64String);
   } catch (e) {
     return null;
   }
+
+  return CWTFromCompactJSON(jsonString, options);
 }
 
 /**
- * List of standard GDPR/ePrivacy purposes
+ * Parse a base64url-encoded JSON string into a CWT object
  *
- * This list is provided as part of the CWT specification but is not intended to be a complete/restrictive list. You are free to specify your own purposes. If you share tokens with third-parties though, they will need to know how to interpret your purpose IDs whereas you can expect them to know how to deal with the standard purposes provided here.
+ * @param {string} base64UrlString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
  */
-const Purposes = {
-  Cookies: 'cookies',
-  CookiesAnalytics: 'cookies_analytics',
-  CookiesMarketing: 'cookies_marketing',
-  CookiesSocial: 'cookies_social',
+function CWTFromBase64Url(base64UrlString, options) {
+  return CWTFromJSON(transport.base64UrlDecodeText(base64UrlString), options);
+}
 
-  /**
-   * Purposes from the IAB GDPR Transparency and consent framework
-   * From http://advertisingconsent.eu/wp-content/uploads/2018/03/Transparency_Consent_Framework_FAQ_Formatted_v1_8-March-2018.pdf
-   * Subject to change
-   */
+/**
+ * Parse a base64url-encoded compact JSON string into a CWT object
+ *
+ * @param {string} base64UrlString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromCompactBase64Url(base64UrlString, options) {
+  return CWTFromCompactJSON(transport.base64UrlDecodeText(base64UrlString), options);
+}
+
+/**
+ * Parse a CBOR-encoded token into a CWT object
+ *
+ * @param {Uint8Array|ArrayBuffer} data The encoded token (node.js buffers are supported)
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the data does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromCBOR(data, options) {
+  if (!data) {
+    return null;
+  }
 
-  // Advertising personalisation allow processing of a user’s data to provide and inform personalised advertising (including delivery, measurement, and reporting) based on a user’s preferences or interests known or inferred from data collected across multiple sites, apps, or devices; and/or accessing or storing information on devices for that purpose
-  AdvertisingPersonalization: 'advertising_personalization',
+  const tokenContent = cbor.decodeToken(data);
 
-  // Analytics allow processing of a user’s data to deliver content or advertisements and measure the delivery of such content or advertisements, extract insights and generate reports to understand service usage; and/or accessing or storing information on devices for that purpose
-  Analytics: 'analytics',
+  if (!tokenContent) {
+    return null;
+  }
 
-  // Content personalisation allow processing of a user’s data to provide and inform personalised content (including delivery, measurement, and reporting) based on a user’s preferences or interests known or inferred from data collected across multiple sites, apps, or devices; and/or accessing or storing information on devices for that purpose.
-  ContentPersonalization: 'content_personalization',
+  const token = createParsedToken(tokenContent);
+
+  return token && checkClaims(token, options) ? token : null;
+}
 
-  // Accessing a device allow storing or accessing information on a user’s device
-  DeviceAccess: 'device_access',
+/**
+ * Parse a base64url-encoded CBOR token into a CWT object
+ *
+ * @param {string} base64UrlString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromCBORBase64(base64UrlString, options) {
+  if (!base64UrlString || typeof base64UrlString !== 'string') {
+    return null;
+  }
 
-  // Matching data to offline sources combining data from offline sources that were initially collected in other contexts
-  OfflineMatch: 'offline_match',
+  return CWTFromCBOR(base64UrlToBytes(base64UrlString), options);
+}
 
-  // Linking devices allow processing of a user’s data to connect such user across multiple devices
-  LinkDevices: 'link_devices',
+/**
+ * Parse a transport string generated by `CWT#toTransportString` into a CWT object
+ * The format and the compression of the token are read from the prefix of the string.
+ *
+ * @param {string} transportString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromTransportString(transportString, options) {
+  const decoded = transport.decodeTransportString(transportString);
 
-  // Precise geographic location data allow processing of a user’s precise geographic location data in support of a purpose for which that certain third party has consent
-  PreciseGeo: 'precise_geo',
-};
+  if (!decoded) {
+    return null;
+  }
+
+  const parsers = {
+    json: CWTFromJSON,
+    compact: CWTFromCompactJSON,
+    cbor: CWTFromCBOR,
+  };
+
+  return parsers[decoded.format](decoded.data, options);
+}
+
+/**
+ * Parse a signed JWT into a CWT object
+ * The signature of the JWT is verified before the token is parsed.
+ *
+ * @param {string} jwtString
+ * @param {string|Buffer|KeyObject|Object} keyOrKeySet A shared secret, a PEM-encoded public key, a key object, a JWK or a JWKS (see `loadJWKS`)
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token or if its signature is invalid
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromJWT(jwtString, keyOrKeySet, options) {
+  const payload = jwt.verify(jwtString, keyOrKeySet);
+
+  if (!payload || payload.purposes || payload.vendors) {
+    return null;
+  }
+
+  const token = createParsedToken(fromJWTClaims(payload));
+
+  return token && checkClaims(token, options) ? token : null;
+}
+
+/**
+ * Parse a JSON string in any of the JSON encodings (regular, compressed or compact) into a CWT object
+ *
+ * @param {string} jsonString
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @return {CWT|null} Return a CWT object or null if the JSON does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ */
+function CWTFromAnyJSON(jsonString, options) {
+  let object;
+
+  try {
+    object = JSON.parse(jsonString);
+  } catch (error) {
+    return null;
+  }
+
+  if (!object || typeof object !== 'object') {
+    return null;
+  }
+
+  if (object.statuses) {
+    return CWTFromCompactJSON(jsonString, options);
+  }
+
+  if (object.purposes || object.vendors) {
+    return CWTFromCompressedJSON(jsonString, options);
+  }
+
+  return CWTFromJSON(jsonString, options);
+}
+
+/**
+ * Parse a token in any of the string encodings into a CWT object
+ *
+ * The encoding is detected from the shape of the string:
+ * - JWTs (three dot-separated parts) are only accepted if a key is provided to verify their signature
+ * - Transport strings (see `CWT#toTransportString`) are recognized from their prefix
+ * - JSON strings can be regular, compressed or compact JSON
+ * - Other strings are decoded as base64 or base64url and can contain any of the JSON encodings or CBOR
+ *
+ * @param {string} value
+ * @param {Object} [options] Validation options (see `CWTFromJSON`)
+ * @param {string|Buffer|KeyObject|Object} [options.key] The key or key set that signed the token (see `CWTFromJWT`). If provided, unsigned tokens are rejected.
+ * @return {CWT|null} Return a CWT object or null if the string does not represent a valid Consent Web Token
+ * @throws {Error} If the token uses a version of the specification that is not supported
+ *
+ * @example
+ * CWTFromString(request.headers['x-consent-token'], { key: loadJWKS('jwks.json') });
+ */
+function CWTFromString(value, options) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const key = options ? options.key : undefined;
+  const trimmedValue = value.trim();
+  const parts = trimmedValue.split('.');
+
+  if (parts.length === 3 && trimmedValue.charAt(0) !== '{') {
+    return key ? CWTFromJWT(trimmedValue, key, options) : null;
+  }
+
+  if (key) {
+    return null;
+  }
+
+  if (trimmedValue.charAt(0) === '{') {
+    return CWTFromAnyJSON(trimmedValue, options);
+  }
+
+  if (parts.length === 2) {
+    return CWTFromTransportString(trimmedValue, options);
+  }
+
+  if (parts.length !== 1) {
+    return null;
+  }
+
+  // base64 and base64url only differ by two characters of their alphabet
+  const base64UrlString = trimmedValue
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  const bytes = base64UrlToBytes(base64UrlString);
+
+  if (!bytes || bytes.length === 0) {
+    return null;
+  }
+
+  if (bytes[0] !== '{'.charCodeAt(0)) {
+    return CWTFromCBOR(bytes, options);
+  }
+
+  // `toBase64` encodes binary strings while `toBase64Url` encodes UTF-8
+  const jsonString = transport.base64UrlDecodeText(base64UrlString)
+    || Array.prototype.map.call(bytes, byte => String.fromCharCode(byte)).join('');
+
+  return CWTFromAnyJSON(jsonString, options);
+}
+
+/**
+ * Parse an IAB TCF v2 consent string (TC string) into a CWT object
+ *
+ * Only the core segment is used. Publisher restrictions and other TCF-specific fields can be read with `decodeTCString`.
+ *
+ * @param {string} tcString
+ * @param {Object} [mapping] The mapping between CWT purposes/vendors and TCF purposes/special features/vendors (defaults to the TCF IDs of the registered purposes, see `PurposeRegistry#toTCFMapping`)
+ * @return {CWT|null} Return a CWT object or null if the string is not a valid TCF v2 consent string
+ */
+function CWTFromTCString(tcString, mapping) {
+  const tcData = tcf.decodeTCString(tcString);
+
+  if (!tcData) {
+    return null;
+  }
+
+  return new CWT(tcf.tcDataToTokenContent(tcData, mapping));
+}
+
+/**
+ * Set the status of purposes for a vendor of a token
+ *
+ * @param {CWT} token
+ * @param {Object} statuses The status (true/false) by purpose
+ * @param {string} vendorId
+ */
+function setConsentStatuses(token, statuses, vendorId) {
+  for (const purpose in statuses) {
+    if (statuses.hasOwnProperty(purpose)) {
+      token.setConsentStatus(statuses[purpose], purpose, vendorId);
+    }
+  }
+}
+
+/**
+ * Create a CWT object from a Google Consent Mode state
+ *
+ * @param {Object} state An object with `granted` or `denied` for the Consent Mode signals
+ * @param {Object} [mapping] The mapping between Consent Mode signals and CWT purposes (defaults to `ConsentModeMapping`)
+ * @param {Object} [tokenContent] The content of the token (issuer, user ID, etc.)
+ * @param {string} [vendorId=google] The vendor ID to set the statuses for
+ * @return {CWT}
+ *
+ * @example
+ * const token = CWTFromConsentModeState({
+ *   ad_storage: 'denied',
+ *   analytics_storage: 'granted',
+ * }, null, { issuer: 'didomi' });
+ */
+function CWTFromConsentModeState(state, mapping, tokenContent, vendorId) {
+  const token = new CWT(tokenContent);
+
+  const statuses = consentMode.consentModeStateToStatuses(state, mapping);
+
+  setConsentStatuses(token, statuses, vendorId || consentMode.defaultVendorId);
+
+  return token;
+}
+
+/**
+ * Parse an IAB US Privacy string (CCPA) into a CWT object
+ * The opt-out of sale is set on the `*` vendor catch-all of the `SaleOfPersonalData` purpose.
+ *
+ * @param {string} usPrivacyString
+ * @param {Object} [tokenContent] The content of the token (issuer, user ID, etc.)
+ * @return {CWT|null} Return a CWT object or null if the string is not a valid US Privacy string
+ */
+function CWTFromUSPrivacyString(usPrivacyString, tokenContent) {
+  const data = usPrivacy.decodeUSPrivacyString(usPrivacyString);
+
+  if (!data) {
+    return null;
+  }
+
+  const token = new CWT(tokenContent);
+
+  setConsentStatuses(token, usPrivacy.usPrivacyDataToStatuses(data), '*');
+
+  return token;
+}
+
+/**
+ * Parse an IAB Global Privacy Platform (GPP) string into a CWT object
+ *
+ * The `tcfeuv2` section is converted like a TC string (see `CWTFromTCString`).
+ * US opt-outs from the `usnat` section (or the `uspv1` section if there is no `usnat` section) are set on the `*` vendor catch-all of the US opt-out purposes.
+ * Other sections are ignored and can be read with `decodeGPPString`.
+ *
+ * @param {string} gppString
+ * @param {Object} [mapping] The mapping between CWT purposes/vendors and TCF purposes/special features/vendors (defaults to the TCF IDs of the registered purposes, see `PurposeRegistry#toTCFMapping`)
+ * @return {CWT|null} Return a CWT object or null if the string is not a valid GPP string
+ */
+function CWTFromGPPString(gppString, mapping) {
+  const gppData = gpp.decodeGPPString(gppString);
+
+  if (!gppData) {
+    return null;
+  }
+
+  const { sections } = gppData;
+  const token = new CWT(sections.tcfeuv2
+    ? tcf.tcDataToTokenContent(sections.tcfeuv2, mapping)
+    : {});
+
+  if (sections.usnat) {
+    setConsentStatuses(token, gpp.usNatDataToStatuses(sections.usnat), '*');
+  } else if (sections.uspv1) {
+    setConsentStatuses(token, usPrivacy.usPrivacyDataToStatuses(sections.uspv1), '*');
+  }
+
+  return token;
+}
+
+// Defined in the storage module, which cannot require the parsers of this module
+const { loadFromCookie, loadFromLocalStorage } = storage.createTokenLoaders({
+  CWTFromJSON,
+  CWTFromCompactJSON,
+  CWTFromCompressedJSON,
+  CWTFromBase64Url,
+});
+
+// Defined in the middleware module, which cannot require the parsers of this module
+const consentMiddleware = middleware.createConsentMiddleware({ CWT, CWTFromString });
 
 module.exports = {
+  ConsentModeMapping: consentMode.ConsentModeMapping,
+  consentMiddleware,
   CWT,
+  CWTBuilder: immutable.CWTBuilder,
   CWTFromBase64,
+  CWTFromBase64Url,
+  CWTFromCBOR,
+  CWTFromCBORBase64,
+  CWTFromCompactBase64,
+  CWTFromCompactBase64Url,
+  CWTFromCompactJSON,
   CWTFromCompressedBase64,
   CWTFromJSON,
   CWTFromCompressedJSON,
+  CWTFromConsentModeState,
+  CWTFromGPPString,
+  CWTFromJWT,
+  CWTFromString,
+  CWTFromTCString,
+  CWTFromTransportString,
+  CWTFromUSPrivacyString,
+  decodeGPPString: gpp.decodeGPPString,
+  decodeTCString: tcf.decodeTCString,
+  decodeUSPrivacyString: usPrivacy.decodeUSPrivacyString,
+  Events: observers.Events,
+  getBrowserPrivacySignals: signals.getBrowserSignals,
+  getRequestPrivacySignals: signals.getRequestSignals,
+  GPPSectionIds: gpp.SectionIds,
+  LegalBases,
+  loadFromCookie,
+  loadFromLocalStorage,
+  loadJWKS: jwt.loadJWKS,
+  MergeStrategies: merge.MergeStrategies,
+  PrivacySignals: signals.PrivacySignals,
+  PurposeRegistry,
+  purposeRegistry,
   Purposes,
+  removeFromCookie: storage.removeFromCookie,
+  removeFromLocalStorage: storage.removeFromLocalStorage,
+  saveToCookie: storage.saveToCookie,
+  saveToLocalStorage: storage.saveToLocalStorage,
+  SignalPurposes: signals.SignalPurposes,
+  StorageEncodings: storage.StorageEncodings,
+  TCFMapping: tcf.TCFMapping,
+  TCFRestrictionTypes: tcf.RestrictionTypes,
+  TransportCompressions: transport.Compressions,
+  TransportFormats: transport.Formats,
+  VendorGroupRegistry,
+  vendorGroupRegistry,
+  VersionRegistry,
+  versions,
 };
@@ -0,0 +1,227 @@
+/**
+ * URL-safe transport encodings of tokens
+ *
+ * Transport strings are base64url-encoded (RFC 4648, without padding) so that they can be used in URLs, headers and cookies without escaping.
+ * They start with a self-describing prefix (`<format><compression>.`) that tells how to decode them:
+ * - Format: `j` (JSON), `c` (compact JSON) or `b` (CBOR)
+ * - Compression: none, `d` (deflate) or `g` (gzip)
+ *
+ * Example: `jd.eJyrVsosLi5NLVKyUkrJTMnPzVSqBQBEewbM` is the deflate-compressed JSON token `{"issuer":"didomi"}`.
+ */
+
+/* global TextDecoder, TextEncoder */
+
+const zlib = require('zlib');
+const { base64UrlToBytes, bytesToBase64Url } = require('./bits');
+
+/**
+ * Serialization formats of the tokens
+ */
+const Formats = {
+  JSON: 'json',
+  Compact: 'compact',
+  CBOR: 'cbor',
+};
+
+/**
+ * Compression algorithms
+ */
+const Compressions = {
+  None: 'none',
+  Deflate: 'deflate',
+  Gzip: 'gzip',
+};
+
+const formatPrefixes = {
+  json: 'j',
+  compact: 'c',
+  cbor: 'b',
+};
+
+const compressionPrefixes = {
+  none: '',
+  deflate: 'd',
+  gzip: 'g',
+};
+
+/**
+ * Maximum size of decompressed data (1 MB)
+ * Transport strings are untrusted: larger data is rejected instead of being inflated in memory.
+ */
+const maxOutputLength = 1024 * 1024;
+
+/**
+ * Find the key of an object that has a given value
+ *
+ * @param {Object} object
+ * @param {string} value
+ * @return {string|undefined}
+ */
+function keyOf(object, value) {
+  return Object.keys(object).find(key => object[key] === value);
+}
+
+/**
+ * Encode a string as UTF-8
+ *
+ * @param {string} text
+ * @return {Uint8Array}
+ */
+function textToBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Decode UTF-8 data into a string
+ *
+ * @param {Uint8Array} bytes
+ * @return {string}
+ * @throws {Error} If the data is not valid UTF-8
+ */
+function bytesToText(bytes) {
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+/**
+ * Encode a string or binary data as base64url without padding
+ *
+ * @param {string|Uint8Array} data A string is encoded as UTF-8 first
+ * @return {string}
+ */
+function base64UrlEncode(data) {
+  return bytesToBase64Url(typeof data === 'string' ? textToBytes(data) : data);
+}
+
+/**
+ * Decode a base64url string into a UTF-8 string
+ * Padding characters are ignored.
+ *
+ * @param {string} base64UrlString
+ * @return {string|null} The decoded string or null if the string is not valid base64url or UTF-8
+ */
+function base64UrlDecodeText(base64UrlString) {
+  const bytes = typeof base64UrlString === 'string'
+    ? base64UrlToBytes(base64UrlString.replace(/=+$/, ''))
+    : null;
+
+  if (!bytes) {
+    return null;
+  }
+
+  try {
+    return bytesToText(bytes);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compress binary data
+ * Compression relies on the node.js `zlib` module (bundlers provide a browser version of it). It is not available in the standalone browser bundle.
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} compression One of `Compressions`
+ * @return {Uint8Array}
+ */
+function compress(bytes, compression) {
+  if (compression === Compressions.Deflate) {
+    return zlib.deflateSync(bytes);
+  }
+
+  if (compression === Compressions.Gzip) {
+    return zlib.gzipSync(bytes);
+  }
+
+  return bytes;
+}
+
+/**
+ * Decompress binary data
+ *
+ * @param {Uint8Array} bytes
+ * @param {string} compression One of `Compressions`
+ * @return {Uint8Array}
+ * @throws {Error} If the data is not valid compressed data or if the decompressed data is larger than `maxOutputLength`
+ */
+function decompress(bytes, compression) {
+  if (compression === Compressions.Deflate) {
+    return zlib.inflateSync(bytes, { maxOutputLength });
+  }
+
+  if (compression === Compressions.Gzip) {
+    return zlib.gunzipSync(bytes, { maxOutputLength });
+  }
+
+  return bytes;
+}
+
+/**
+ * Generate a transport string from a serialized token
+ *
+ * @param {string|Uint8Array} data The serialized token (JSON string or CBOR data)
+ * @param {string} format The format of the serialized token (one of `Formats`)
+ * @param {string} [compression=none] One of `Compressions`
+ * @return {string}
+ */
+function encodeTransportString(data, format, compression) {
+  compression = compression || Compressions.None;
+
+  if (!formatPrefixes.hasOwnProperty(format)) {
+    throw new Error(`Unsupported token format ${format}`);
+  }
+
+  if (!compressionPrefixes.hasOwnProperty(compression)) {
+    throw new Error(`Unsupported compression ${compression}`);
+  }
+
+  const bytes = typeof data === 'string' ? textToBytes(data) : data;
+  const prefix = formatPrefixes[format] + compressionPrefixes[compression];
+
+  return `${prefix}.${bytesToBase64Url(compress(bytes, compression))}`;
+}
+
+/**
+ * Decode a transport string into a serialized token
+ *
+ * @param {string} transportString
+ * @return {Object|null} An object with the `format` and `compression` of the string and the serialized token as `data` (string for JSON formats, `Uint8Array` for CBOR) or null if the string is not valid
+ */
+function decodeTransportString(transportString) {
+  if (!transportString || typeof transportString !== 'string') {
+    return null;
+  }
+
+  const match = transportString.match(/^([a-z])([a-z]?)\.([A-Za-z0-9_-]*)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const format = keyOf(formatPrefixes, match[1]);
+  const compression = keyOf(compressionPrefixes, match[2]);
+
+  if (!format || !compression) {
+    return null;
+  }
+
+  try {
+    const bytes = decompress(base64UrlToBytes(match[3]), compression);
+
+    return {
+      format,
+      compression,
+      data: format === Formats.CBOR ? new Uint8Array(bytes) : bytesToText(bytes),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  Compressions,
+  Formats,
+  base64UrlDecodeText,
+  base64UrlEncode,
+  decodeTransportString,
+  encodeTransportString,
+};
@@ -0,0 +1,112 @@
+/**
+ * Conversion between tokens and IAB US Privacy strings (CCPA)
+ * Reference: https://github.com/InteractiveAdvertisingBureau/USPrivacy/blob/master/CCPA/US%20Privacy%20String.md
+ */
+
+const { Purposes } = require('./purposes');
+
+/**
+ * Encode an optional boolean as a US Privacy flag
+ *
+ * @param {boolean} [value]
+ * @return {string} `Y`, `N` or `-` if the value is not applicable
+ */
+function encodeFlag(value) {
+  if (value === undefined || value === null) {
+    return '-';
+  }
+
+  return value ? 'Y' : 'N';
+}
+
+/**
+ * Decode a US Privacy flag into an optional boolean
+ *
+ * @param {string} flag
+ * @return {boolean|undefined}
+ */
+function decodeFlag(flag) {
+  if (flag === '-') {
+    return undefined;
+  }
+
+  return flag === 'Y';
+}
+
+/**
+ * Encode a US Privacy string
+ *
+ * @param {Object} data
+ * @param {boolean} [data.notice] Whether the user has been given notice and the opportunity to opt out
+ * @param {boolean} [data.optOutSale] Whether the user has opted out of the sale of their personal data
+ * @param {boolean} [data.lspa] Whether the publisher is a signatory to the IAB Limited Service Provider Agreement
+ * @return {string}
+ */
+function encodeUSPrivacyString(data) {
+  return `1${encodeFlag(data.notice)}${encodeFlag(data.optOutSale)}${encodeFlag(data.lspa)}`;
+}
+
+/**
+ * Decode a US Privacy string
+ *
+ * @param {string} usPrivacyString
+ * @return {Object|null} The US Privacy data (see `encodeUSPrivacyString`) with undefined flags for values that are not applicable or null if the string is not valid
+ */
+function decodeUSPrivacyString(usPrivacyString) {
+  if (typeof usPrivacyString !== 'string' || !/^1[YN-]{3}$/.test(usPrivacyString)) {
+    return null;
+  }
+
+  return {
+    version: 1,
+    notice: decodeFlag(usPrivacyString[1]),
+    optOutSale: decodeFlag(usPrivacyString[2]),
+    lspa: decodeFlag(usPrivacyString[3]),
+  };
+}
+
+/**
+ * Get the US Privacy data of a token
+ * The opt-out of sale is read from the `*` vendor catch-all of the `SaleOfPersonalData` purpose.
+ *
+ * @param {CWT} token
+ * @param {Object} [options]
+ * @param {boolean} [options.notice] Whether the user has been given notice and the opportunity to opt out
+ * @param {boolean} [options.lspa] Whether the publisher is a signatory to the IAB Limited Service Provider Agreement
+ * @return {Object} The US Privacy data (see `encodeUSPrivacyString`)
+ */
+function tokenToUSPrivacyData(token, options) {
+  options = options || {};
+
+  const saleStatus = token.getConsentStatus(Purposes.SaleOfPersonalData, '*');
+
+  return {
+    version: 1,
+    notice: options.notice,
+    optOutSale: saleStatus === undefined ? undefined : !saleStatus,
+    lspa: options.lspa,
+  };
+}
+
+/**
+ * Get the status of the CWT purposes from US Privacy data
+ *
+ * @param {Object} data The US Privacy data (see `encodeUSPrivacyString`)
+ * @return {Object} The status (true/false) of the `SaleOfPersonalData` purpose if the opt-out is applicable
+ */
+function usPrivacyDataToStatuses(data) {
+  const statusByPurpose = {};
+
+  if (data.optOutSale !== undefined) {
+    statusByPurpose[Purposes.SaleOfPersonalData] = !data.optOutSale;
+  }
+
+  return statusByPurpose;
+}
+
+module.exports = {
+  decodeUSPrivacyString,
+  encodeUSPrivacyString,
+  tokenToUSPrivacyData,
+  usPrivacyDataToStatuses,
+};
@@ -0,0 +1,178 @@
+/**
+ * Groups of vendors
+ *
+ * A group is a named list of vendors ("all the analytics vendors") that can be given a consent status like a vendor: the ID of the group is used as the vendor ID in the consents of the tokens.
+ * Group IDs share the namespace of the vendor IDs so they must not be used as vendor IDs.
+ */
+
+/**
+ * Check that a value is a list of vendor IDs
+ *
+ * @param {*} vendors
+ * @return {boolean}
+ */
+function isVendorList(vendors) {
+  return Array.isArray(vendors)
+    && vendors.every(vendorId => typeof vendorId === 'string' && vendorId && vendorId !== '*');
+}
+
+/**
+ * Registry of the vendor groups
+ *
+ * A vendor can belong to several groups. The status of a vendor in a purpose is resolved from the most specific entry: the vendor itself,
+ * then the groups that it belongs to and finally the `*` vendor (all vendors). If the groups of a vendor have conflicting statuses, the refusal wins.
+ *
+ * @example
+ * vendorGroupRegistry.register({ id: 'analytics_vendors', vendors: ['google', 'matomo'] });
+ *
+ * token.setConsentStatus(true, Purposes.Analytics, 'analytics_vendors');
+ * token.getConsentStatus(Purposes.Analytics, 'matomo'); // true
+ */
+class VendorGroupRegistry {
+  /**
+   * @param {Object[]} [definitions] The initial groups (see `register`)
+   */
+  constructor(definitions) {
+    /**
+     * The registered groups indexed by ID
+     *
+     * @type {Object}
+     */
+    this.definitions = {};
+
+    (definitions || []).forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add a group
+   *
+   * @param {Object} definition
+   * @param {string} definition.id The ID of the group in the tokens
+   * @param {string[]} definition.vendors The IDs of the vendors of the group
+   * @return {VendorGroupRegistry}
+   * @throws {Error} If the definition is not valid or if the group is already registered
+   */
+  register(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+      throw new Error('A vendor group must have an ID');
+    }
+
+    if (definition.id === '*') {
+      throw new Error('The vendor ID * is reserved for all vendors');
+    }
+
+    if (this.has(definition.id)) {
+      throw new Error(`The vendor group ${definition.id} is already registered`);
+    }
+
+    if (!isVendorList(definition.vendors)) {
+      throw new Error(`The vendors of the group ${definition.id} must be a list of vendor IDs`);
+    }
+
+    // Groups cannot contain other groups
+    const nestedGroup = definition.vendors.find(vendorId => this.has(vendorId));
+    const parentGroups = this.getGroups(definition.id);
+
+    if (nestedGroup) {
+      throw new Error(`The vendor group ${definition.id} cannot contain the group ${nestedGroup}`);
+    }
+
+    if (parentGroups.length > 0) {
+      throw new Error(`The vendor group ${definition.id} is a vendor of the group ${parentGroups[0]}`);
+    }
+
+    this.definitions[definition.id] = Object.freeze({
+      id: definition.id,
+      vendors: Object.freeze(definition.vendors.slice()),
+    });
+
+    return this;
+  }
+
+  /**
+   * Check if a group is registered
+   *
+   * @param {string} id
+   * @return {boolean}
+   */
+  has(id) {
+    return this.definitions.hasOwnProperty(id);
+  }
+
+  /**
+   * Get a group
+   *
+   * @param {string} id
+   * @return {Object|null} The frozen definition of the group (see `register`) or null if the group is not registered
+   */
+  get(id) {
+    return this.has(id) ? this.definitions[id] : null;
+  }
+
+  /**
+   * List the registered groups
+   *
+   * @return {Object[]} The definitions of the groups in the order in which they were registered
+   */
+  list() {
+    return Object.keys(this.definitions).map(id => this.definitions[id]);
+  }
+
+  /**
+   * Get the groups of a vendor
+   *
+   * @param {string} vendorId
+   * @return {string[]} The IDs of the groups that contain the vendor
+   */
+  getGroups(vendorId) {
+    return this.list()
+      .filter(definition => definition.vendors.indexOf(vendorId) !== -1)
+      .map(definition => definition.id);
+  }
+
+  /**
+   * Get the vendors represented by a vendor ID of a token
+   *
+   * @param {string} vendorId
+   * @return {string[]} The vendors of the group if the ID is a group, otherwise the vendor ID itself
+   */
+  expand(vendorId) {
+    return this.has(vendorId) ? this.definitions[vendorId].vendors.slice() : [vendorId];
+  }
+
+  /**
+   * Find the vendor entry of a purpose that decides the status of a vendor
+   * The entry of the vendor is used if it has a status, then the entries of its groups and finally the entry of the `*` vendor (all vendors).
+   *
+   * @param {Object[]} vendors The vendor entries of the purpose
+   * @param {string} vendorId
+   * @param {string} field The vendor property holding the status (`status` for consent or `legitimate_interest`)
+   * @return {Object|null} The vendor entry or null if the purpose has neither the vendor, nor its groups nor the `*` vendor
+   */
+  resolve(vendors, vendorId, field) {
+    const vendor = vendors.find(v => v.id === vendorId);
+
+    if (vendor && vendor[field] !== undefined) {
+      return vendor;
+    }
+
+    const groups = this.getGroups(vendorId);
+    const groupEntries = vendors.filter(v => groups.indexOf(v.id) !== -1 && v[field] !== undefined);
+
+    if (groupEntries.length > 0) {
+      return groupEntries.find(v => v[field] === false) || groupEntries[0];
+    }
+
+    return vendors.find(v => v.id === '*') || null;
+  }
+}
+
+/**
+ * Registry of the vendor groups used by the tokens
+ */
+const vendorGroupRegistry = new VendorGroupRegistry();
+
+module.exports = {
+  VendorGroupRegistry,
+  vendorGroupRegistry,
+};
@@ -0,0 +1,151 @@
+/**
+ * Versions of the CWT specification and migrations between them
+ *
+ * Tokens are always handled in the current version in memory.
+ * Parsed tokens of older versions are upgraded by running the migrations in order (v1 → v2 → ...) and serializers can downgrade tokens for consumers that only support older versions.
+ */
+
+/**
+ * Check that a version is a positive integer
+ *
+ * @param {*} version
+ * @return {boolean}
+ */
+function isValidVersion(version) {
+  return Number.isInteger(version) && version >= 1;
+}
+
+/**
+ * Ordered list of migrations between successive versions
+ * The first migration converts tokens between versions 1 and 2, the second one between versions 2 and 3, etc.
+ *
+ * @example
+ * const registry = new VersionRegistry();
+ *
+ * // Version 2 adds a `locale` property
+ * registry.register({
+ *   upgrade: token => Object.assign({}, token, { locale: null }),
+ *   downgrade: (token) => {
+ *     const downgraded = Object.assign({}, token);
+ *     delete downgraded.locale;
+ *     return downgraded;
+ *   },
+ * });
+ *
+ * registry.currentVersion; // 2
+ */
+class VersionRegistry {
+  /**
+   * @param {Object[]} [migrations] The initial migrations (see `register`)
+   */
+  constructor(migrations) {
+    /**
+     * The registered migrations
+     *
+     * @type {Object[]}
+     */
+    this.migrations = [];
+
+    (migrations || []).forEach(migration => this.register(migration));
+  }
+
+  /**
+   * The current version of the specification (the version after the last migration)
+   *
+   * @type {number}
+   */
+  get currentVersion() {
+    return this.migrations.length + 1;
+  }
+
+  /**
+   * Add a migration from the current version to a new version
+   * Migrations must not modify the token objects that they receive.
+   *
+   * @param {Object} migration
+   * @param {function(token: Object): Object} migration.upgrade Convert a plain token object of the current version to the new version
+   * @param {function(token: Object): Object} migration.downgrade Convert a plain token object of the new version to the current version
+   * @return {VersionRegistry}
+   */
+  register(migration) {
+    if (!migration || typeof migration.upgrade !== 'function' || typeof migration.downgrade !== 'function') {
+      throw new Error('A migration must have an upgrade and a downgrade function');
+    }
+
+    this.migrations.push(migration);
+
+    return this;
+  }
+
+  /**
+   * Check that a version is supported
+   *
+   * @param {number} version
+   * @throws {Error} If the version is not a positive integer or is not a version of the specification known by the registry
+   */
+  checkVersion(version) {
+    if (!isValidVersion(version)) {
+      throw new Error(`Invalid CWT version ${JSON.stringify(version)} (the version must be a positive integer)`);
+    }
+
+    if (version > this.currentVersion) {
+      throw new Error(`Unsupported CWT version ${version} (the current version is ${this.currentVersion})`);
+    }
+  }
+
+  /**
+   * Convert a plain token object to the current version
+   * Objects without version are considered to be in the current version.
+   *
+   * @param {Object} token
+   * @return {Object} The token in the current version
+   * @throws {Error} If the version of the token is not supported (ie a future version)
+   */
+  upgrade(token) {
+    const version = token.version === undefined || token.version === null
+      ? this.currentVersion
+      : token.version;
+
+    this.checkVersion(version);
+
+    let upgraded = token;
+
+    for (let v = version; v < this.currentVersion; v += 1) {
+      upgraded = this.migrations[v - 1].upgrade(upgraded);
+    }
+
+    return Object.assign({}, upgraded, { version: this.currentVersion });
+  }
+
+  /**
+   * Convert a plain token object of the current version to an older version
+   *
+   * @param {Object} token
+   * @param {number} version The target version
+   * @return {Object} The token in the target version
+   * @throws {Error} If the target version is not supported
+   */
+  downgrade(token, version) {
+    this.checkVersion(version);
+
+    let downgraded = token;
+
+    for (let v = this.currentVersion; v > version; v -= 1) {
+      downgraded = this.migrations[v - 2].downgrade(downgraded);
+    }
+
+    return Object.assign({}, downgraded, { version });
+  }
+}
+
+/**
+ * Versions supported by the library
+ * Version 1 is the current version of the specification: there are no migrations yet.
+ */
+const versions = new VersionRegistry();
+
+module.exports = {
+  VersionRegistry,
+  isValidVersion,
+  versions,
+};
@@ -0,0 +1,53 @@
+const expect = require('chai').expect;
+const base64 = require('../src/base64');
+
+describe('CWT - Base64', function () {
+  const text = '{"issuer":"didomi","name":"Zoë"}';
+  const encoded = 'eyJpc3N1ZXIiOiJkaWRvbWkiLCJuYW1lIjoiWm/rIn0=';
+
+  function withoutNativeFunctions(callback) {
+    const { atob, btoa } = global;
+
+    delete global.atob;
+    delete global.btoa;
+
+    try {
+      callback();
+    } finally {
+      global.atob = atob;
+      global.btoa = btoa;
+    }
+  }
+
+  it('encodes and decodes binary strings', function () {
+    expect(base64.encode(text)).to.equal(encoded);
+    expect(base64.decode(encoded)).to.equal(text);
+  });
+
+  it('throws for characters outside of the Latin-1 range', function () {
+    expect(() => base64.encode('€')).to.throw(Error);
+  });
+
+  it('throws for invalid base64 strings', function () {
+    expect(() => base64.decode('a')).to.throw(Error);
+    expect(() => base64.decode('a!==')).to.throw(Error);
+  });
+
+  describe('without atob/btoa', function () {
+    it('encodes and decodes binary strings with Buffer', function () {
+      withoutNativeFunctions(() => {
+        expect(base64.encode(text)).to.equal(encoded);
+        expect(base64.decode(encoded)).to.equal(text);
+        expect(base64.decode(' eyJp\nc3N1ZXIiOiJkaWRvbWkiLCJuYW1lIjoiWm/rIn0=')).to.equal(text);
+      });
+    });
+
+    it('throws for invalid input', function () {
+      withoutNativeFunctions(() => {
+        expect(() => base64.encode('€')).to.throw(Error);
+        expect(() => base64.decode('a')).to.throw(Error);
+        expect(() => base64.decode('a!==')).to.throw(Error);
+      });
+    });
+  });
+});
@@ -0,0 +1,18 @@
+const expect = require('chai').expect;
+const jwt = require('../src/browser/jwt');
+const zlib = require('../src/browser/zlib');
+
+describe('CWT - Browser bundle', function () {
+  it('does not support JWTs', function () {
+    expect(() => jwt.sign({}, 'secret')).to.throw(Error, 'browser');
+    expect(() => jwt.verify('a.b.c', 'secret')).to.throw(Error, 'browser');
+    expect(() => jwt.loadJWKS('jwks.json')).to.throw(Error, 'browser');
+  });
+
+  it('does not support compression', function () {
+    expect(() => zlib.deflateSync(new Uint8Array(1))).to.throw(Error, 'browser');
+    expect(() => zlib.inflateSync(new Uint8Array(1))).to.throw(Error, 'browser');
+    expect(() => zlib.gzipSync(new Uint8Array(1))).to.throw(Error, 'browser');
+    expect(() => zlib.gunzipSync(new Uint8Array(1))).to.throw(Error, 'browser');
+  });
+});
@@ -0,0 +1,133 @@
+const expect = require('chai').expect;
+const {
+  decode,
+  decodeToken,
+  encode,
+  encodeToken,
+} = require('../src/cbor');
+
+describe('CWT - CBOR', function () {
+  const toHex = bytes => Buffer.from(bytes).toString('hex');
+  const fromHex = hex => new Uint8Array(Buffer.from(hex, 'hex'));
+
+  describe('encode', function () {
+    it('encodes values as in the RFC 8949 examples', function () {
+      expect(toHex(encode(0))).to.equal('00');
+      expect(toHex(encode(23))).to.equal('17');
+      expect(toHex(encode(24))).to.equal('1818');
+      expect(toHex(encode(1000))).to.equal('1903e8');
+      expect(toHex(encode(1000000))).to.equal('1a000f4240');
+      expect(toHex(encode(1000000000000))).to.equal('1b000000e8d4a51000');
+      expect(toHex(encode(-1000))).to.equal('3903e7');
+      expect(toHex(encode(1.1))).to.equal('fb3ff199999999999a');
+      expect(toHex(encode(false))).to.equal('f4');
+      expect(toHex(encode(true))).to.equal('f5');
+      expect(toHex(encode(null))).to.equal('f6');
+      expect(toHex(encode(undefined))).to.equal('f7');
+      expect(toHex(encode('ü'))).to.equal('62c3bc');
+      expect(toHex(encode(new Uint8Array([1, 2, 3, 4])))).to.equal('4401020304');
+      expect(toHex(encode([1, [2, 3]]))).to.equal('8201820203');
+      expect(toHex(encode({ a: 1, b: [2, 3] }))).to.equal('a26161016162820203');
+      expect(toHex(encode(new Map([[1, 2], [-1, 4]])))).to.equal('a201022004');
+    });
+
+    it('returns a Uint8Array', function () {
+      expect(encode('a')).to.be.an.instanceof(Uint8Array);
+    });
+
+    it('throws for unsupported values', function () {
+      expect(() => encode(() => {})).to.throw(Error);
+    });
+  });
+
+  describe('decode', function () {
+    it('decodes values as in the RFC 8949 examples', function () {
+      expect(decode(fromHex('1b000000e8d4a51000'))).to.equal(1000000000000);
+      expect(decode(fromHex('3903e7'))).to.equal(-1000);
+      expect(decode(fromHex('f93c00'))).to.equal(1);
+      expect(decode(fromHex('f9c400'))).to.equal(-4);
+      expect(decode(fromHex('f90001'))).to.equal(5.960464477539063e-8);
+      expect(decode(fromHex('f9fc00'))).to.equal(-Infinity);
+      expect(decode(fromHex('fa47c35000'))).to.equal(100000);
+      expect(decode(fromHex('fb3ff199999999999a'))).to.equal(1.1);
+      expect(decode(fromHex('62c3bc'))).to.equal('ü');
+      expect(decode(fromHex('a26161016162820203'))).to.deep.equal({ a: 1, b: [2, 3] });
+      expect(decode(fromHex('a201022004'))).to.deep.equal({ 1: 2, '-1': 4 });
+
+      // Tags are ignored
+      expect(decode(fromHex('c11a514b67b0'))).to.equal(1363896240);
+    });
+
+    it('accepts buffers, array buffers and lists of bytes', function () {
+      expect(decode(Buffer.from('1903e8', 'hex'))).to.equal(1000);
+      expect(decode(fromHex('1903e8').buffer)).to.equal(1000);
+      expect(decode([0x19, 0x03, 0xe8])).to.equal(1000);
+    });
+
+    it('throws if the data is not valid', function () {
+      expect(() => decode('1903e8')).to.throw(Error);
+      expect(() => decode(fromHex('1903'))).to.throw(Error);
+      expect(() => decode(fromHex('0000'))).to.throw(Error);
+      expect(() => decode(fromHex('9f01ff'))).to.throw(Error);
+      expect(() => decode(fromHex('62c3'))).to.throw(Error);
+    });
+  });
+
+  describe('encodeToken', function () {
+    it('encodes the token fields with integer keys and omits null fields', function () {
+      const data = encodeToken({
+        issuer: 'didomi',
+        user_id: null,
+        consents: [{ purpose: 'cookies', vendors: [{ id: '*', status: true }] }],
+        version: 1,
+      });
+
+      expect(decode(data)).to.deep.equal({
+        1: 'didomi',
+        '-3': 1,
+        '-4': [['cookies', [['*', true]]]],
+      });
+    });
+  });
+
+  describe('decodeToken', function () {
+    it('decodes an encoded token', function () {
+      const tokenContent = {
+        issuer: 'didomi',
+        user_id: 'user@domain.com',
+        audience: ['didomi', 'vendor'],
+        issued_at: 1528000000,
+        consents: [
+          {
+            purpose: 'cookies',
+            vendors: [
+              { id: '*', status: false },
+              { id: 'didomi', status: true, updated_at: 1528000000 },
+              { id: 'vendor', status: undefined, legitimate_interest: false },
+            ],
+          },
+        ],
+        history: [
+          { purpose: 'cookies', vendor: 'didomi', status: true, updated_at: 1528000000 },
+          {
+            purpose: 'cookies',
+            vendor: 'vendor',
+            status: false,
+            updated_at: 1528000000,
+            legal_basis: 'legitimate_interest',
+          },
+        ],
+        version: 1,
+      };
+
+      expect(decodeToken(encodeToken(tokenContent))).to.deep.equal(tokenContent);
+    });
+
+    it('returns null if the data is not a valid token', function () {
+      expect(decodeToken(fromHex('1903'))).to.be.null;
+      expect(decodeToken(encode([1]))).to.be.null;
+      expect(decodeToken(encode('token'))).to.be.null;
+      expect(decodeToken(encode(new Map([[-4, [1]]])))).to.be.null;
+    });
+  });
+});
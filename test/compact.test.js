@@ -0,0 +1,75 @@
+const expect = require('chai').expect;
+const { decodeConsents, encodeConsents } = require('../src/compact');
+
+describe('CWT - Compact', function () {
+  const consents = [
+    {
+      purpose: 'cookies',
+      vendors: [
+        { id: '*', status: false },
+        { id: 'didomi', status: true },
+        { id: 'liveramp', status: undefined },
+      ],
+    },
+    {
+      purpose: 'analytics',
+      vendors: [
+        { id: 'didomi', status: false, legitimate_interest: true },
+        { id: 'google', status: undefined, legitimate_interest: false },
+      ],
+    },
+    {
+      purpose: 'empty',
+      vendors: [],
+    },
+  ];
+
+  describe('encodeConsents', function () {
+    it('lists purposes and vendors once', function () {
+      const compact = encodeConsents(consents);
+
+      expect(compact.purposes).to.deep.equal(['cookies', 'analytics', 'empty']);
+      expect(compact.vendors).to.deep.equal(['*', 'didomi', 'liveramp', 'google']);
+      expect(compact.statuses).to.match(/^[A-Za-z0-9_-]+$/);
+      expect(compact.legitimate_interests).to.match(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('omits legitimate interests if there are none', function () {
+      expect(encodeConsents([consents[0]])).to.not.have.property('legitimate_interests');
+    });
+
+    it('stays small for many vendors', function () {
+      const vendors = [];
+
+      for (let i = 0; i < 500; i += 1) {
+        vendors.push({ id: `${i}`, status: i % 2 === 0 });
+      }
+
+      // 2 bits per purpose/vendor pair
+      expect(encodeConsents([{ purpose: 'cookies', vendors }]).statuses).to.have.length(167);
+    });
+  });
+
+  describe('decodeConsents', function () {
+    it('decodes the exact same statuses', function () {
+      expect(decodeConsents(encodeConsents(consents))).to.deep.equal(consents);
+    });
+
+    it('returns null if the object is not valid', function () {
+      expect(decodeConsents()).to.be.null;
+      expect(decodeConsents({ purposes: ['cookies'], vendors: ['*'] })).to.be.null;
+      expect(decodeConsents({ purposes: ['cookies'], vendors: ['*'], statuses: '!' })).to.be.null;
+
+      // Not enough cells
+      expect(decodeConsents({ purposes: ['cookies', 'analytics'], vendors: ['*', 'a', 'b', 'c', 'd'], statuses: 'yw' })).to.be.null;
+
+      // Legitimate interest status without vendor entry
+      expect(decodeConsents({
+        purposes: ['cookies'],
+        vendors: ['*'],
+        statuses: 'AA',
+        legitimate_interests: 'wA',
+      })).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const expect = require('chai').expect;
+const { CWT } = require('../src/token');
+const { Purposes } = require('../src/purposes');
+const {
+  consentModeStateToStatuses,
+  tokenToConsentModeState,
+} = require('../src/consent-mode');
+
+describe('CWT - Consent Mode', function () {
+  describe('tokenToConsentModeState', function () {
+    it('grants the signals whose purposes are allowed with the default mapping', function () {
+      const token = new CWT();
+      token.setConsentStatus(true, Purposes.CookiesAnalytics, '*');
+      token.setConsentStatus(false, Purposes.CookiesMarketing, '*');
+      token.setConsentStatus(true, Purposes.AdvertisingPersonalization, 'google');
+
+      expect(tokenToConsentModeState(token)).to.deep.equal({
+        ad_storage: 'denied',
+        analytics_storage: 'granted',
+        ad_user_data: 'granted',
+        ad_personalization: 'granted',
+        personalization_storage: 'denied',
+      });
+    });
+
+    it('uses a custom mapping and vendor', function () {
+      const token = new CWT();
+      token.setConsentStatus(true, Purposes.Cookies, 'ga');
+      token.setConsentStatus(true, Purposes.Analytics, 'ga');
+      token.setConsentStatus(true, Purposes.CookiesMarketing, 'ga');
+
+      const mapping = {
+        analytics_storage: [Purposes.Cookies, Purposes.Analytics],
+        ad_storage: [Purposes.Cookies, Purposes.AdvertisingPersonalization],
+        security_storage: Purposes.CookiesMarketing,
+      };
+
+      expect(tokenToConsentModeState(token, mapping, 'ga')).to.deep.equal({
+        analytics_storage: 'granted',
+        ad_storage: 'denied',
+        security_storage: 'granted',
+      });
+    });
+  });
+
+  describe('consentModeStateToStatuses', function () {
+    it('converts the signals into purpose statuses', function () {
+      expect(consentModeStateToStatuses({
+        ad_storage: 'granted',
+        analytics_storage: 'denied',
+        ad_user_data: 'granted',
+        ad_personalization: 'denied',
+        wait_for_update: 500,
+      })).to.deep.equal({
+        [Purposes.CookiesMarketing]: true,
+        [Purposes.CookiesAnalytics]: false,
+        [Purposes.AdvertisingPersonalization]: false,
+      });
+    });
+
+    it('ignores missing signals', function () {
+      expect(consentModeStateToStatuses({ analytics_storage: 'granted' })).to.deep.equal({
+        [Purposes.CookiesAnalytics]: true,
+      });
+      expect(consentModeStateToStatuses(null)).to.deep.equal({});
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const expect = require('chai').expect;
+const { CWT } = require('../src/token');
+const { diffTokens } = require('../src/diff');
+const { purposeRegistry } = require('../src/purposes');
+const { vendorGroupRegistry } = require('../src/vendor-groups');
+
+describe('CWT - Diff', function () {
+  // The statuses of cookies also apply to its descendants
+  const cookiesPurposes = ['cookies', 'cookies_analytics', 'cookies_marketing', 'cookies_social'];
+
+  it('lists the added, removed and changed statuses', function () {
+    const before = new CWT({ issuer: 'didomi' });
+    before.setConsentStatus(true, 'cookies', 'didomi');
+    before.setConsentStatus(true, 'cookies', 'vendor');
+    before.setConsentStatus(false, 'analytics', 'didomi', 'legitimate_interest');
+
+    const after = new CWT({ issuer: 'didomi' });
+    after.setConsentStatus(false, 'cookies', 'didomi');
+    after.setConsentStatus(true, 'analytics', 'didomi', 'legitimate_interest');
+    after.setConsentStatus(true, 'analytics', 'vendor');
+
+    expect(diffTokens(before, after)).to.deep.equal({
+      fields: [],
+      added: [
+        { purpose: 'analytics', vendor: 'vendor', legal_basis: 'consent', status: true },
+      ],
+      removed: cookiesPurposes.map(purpose => ({
+        purpose,
+        vendor: 'vendor',
+        legal_basis: 'consent',
+        status: true,
+      })),
+      changed: [
+        {
+          purpose: 'cookies',
+          vendor: 'didomi',
+          legal_basis: 'consent',
+          before: true,
+          after: false,
+        },
+        {
+          purpose: 'analytics',
+          vendor: 'didomi',
+          legal_basis: 'legitimate_interest',
+          before: false,
+          after: true,
+        },
+        ...cookiesPurposes.slice(1).map(purpose => ({
+          purpose,
+          vendor: 'didomi',
+          legal_basis: 'consent',
+          before: true,
+          after: false,
+        })),
+      ],
+    });
+  });
+
+  it('takes the vendor catch-alls into account', function () {
+    const before = new CWT();
+    before.setConsentStatus(true, 'cookies', '*');
+
+    const after = new CWT();
+    after.setConsentStatus(false, 'cookies', '*');
+    after.setConsentStatus(true, 'cookies', 'didomi');
+
+    // didomi is still allowed (before through the catch-all, after with its own status)
+    expect(diffTokens(before, after).changed).to.deep.equal(cookiesPurposes.map(purpose => ({
+      purpose,
+      vendor: '*',
+      legal_basis: 'consent',
+      before: true,
+      after: false,
+    })));
+
+    // A "refuse all" removes the consent of the vendors with no status of their own
+    const refused = new CWT();
+    refused.setConsentStatus(false, 'cookies', '*');
+
+    expect(diffTokens(after, refused).changed.map(change => [change.purpose, change.vendor]))
+      .to.deep.equal(cookiesPurposes.map(purpose => [purpose, 'didomi']));
+  });
+
+  it('lists the changes of the descendants of the purposes and of the vendors of the groups', function () {
+    purposeRegistry
+      .register({ id: 'diff_test_parent' })
+      .register({ id: 'diff_test_child', parent: 'diff_test_parent' });
+    vendorGroupRegistry.register({ id: 'diff_test_group', vendors: ['diff_test_vendor'] });
+
+    const before = new CWT();
+    before.setConsentStatus(true, 'diff_test_parent', 'diff_test_group');
+
+    const after = new CWT();
+    after.setConsentStatus(false, 'diff_test_parent', 'diff_test_group');
+
+    const { changed } = diffTokens(before, after);
+
+    expect(changed.map(change => [change.purpose, change.vendor])).to.deep.equal([
+      ['diff_test_parent', 'diff_test_group'],
+      ['diff_test_parent', 'diff_test_vendor'],
+      ['diff_test_child', 'diff_test_group'],
+      ['diff_test_child', 'diff_test_vendor'],
+    ]);
+  });
+
+  it('lists the changes of the issuer and user ID fields', function () {
+    const before = new CWT({ issuer: 'didomi', user_id: 'anonymous-id', user_id_type: 'uuid' });
+    const after = new CWT({ issuer: 'didomi', user_id: 'user@domain.com', user_id_type: 'email' });
+
+    expect(diffTokens(before, after).fields).to.deep.equal([
+      { field: 'user_id', before: 'anonymous-id', after: 'user@domain.com' },
+      { field: 'user_id_type', before: 'uuid', after: 'email' },
+    ]);
+  });
+
+  it('returns no change for identical tokens', function () {
+    const token = new CWT({ issuer: 'didomi' });
+    token.setConsentStatus(true, 'cookies', 'didomi');
+
+    expect(diffTokens(token, token)).to.deep.equal({
+      fields: [],
+      added: [],
+      removed: [],
+      changed: [],
+    });
+  });
+});
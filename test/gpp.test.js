@@ -0,0 +1,190 @@
+const expect = require('chai').expect;
+const {
+  decodeGPPString,
+  decodeUSNatSection,
+  encodeGPPString,
+  encodeUSNatSection,
+  usNatDataToStatuses,
+} = require('../src/gpp');
+const {
+  bitsToBase64Url,
+  encodeBool,
+  encodeFibonacci,
+  encodeInt,
+  BitReader,
+} = require('../src/bits');
+
+describe('CWT - GPP', function () {
+  const usNatData = {
+    version: 1,
+    sharingNotice: 1,
+    saleOptOutNotice: 1,
+    sharingOptOutNotice: 1,
+    targetedAdvertisingOptOutNotice: 1,
+    sensitiveDataProcessingOptOutNotice: 0,
+    sensitiveDataLimitUseNotice: 0,
+    saleOptOut: 2,
+    sharingOptOut: 2,
+    targetedAdvertisingOptOut: 2,
+    sensitiveDataProcessing: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    knownChildSensitiveDataConsents: [0, 0],
+    personalDataConsents: 0,
+    mspaCoveredTransaction: 2,
+    mspaOptOutOptionMode: 0,
+    mspaServiceProviderMode: 0,
+    gpc: false,
+  };
+
+  describe('Fibonacci encoding', function () {
+    it('encodes and decodes integers', function () {
+      expect(encodeFibonacci(1)).to.equal('11');
+      expect(encodeFibonacci(2)).to.equal('011');
+      expect(encodeFibonacci(7)).to.equal('01011');
+
+      [1, 2, 3, 4, 7, 12, 100].forEach((value) => {
+        expect(new BitReader(encodeFibonacci(value)).readFibonacci()).to.equal(value);
+      });
+    });
+  });
+
+  describe('usnat section', function () {
+    it('encodes and decodes the core and GPC segments', function () {
+      expect(encodeUSNatSection(usNatData)).to.equal('BVQqAAAAAgA.QA');
+      expect(decodeUSNatSection('BVQqAAAAAgA.QA')).to.deep.equal(usNatData);
+    });
+
+    it('decodes the version 2 sections of the reference encoder', function () {
+      // Generated by @iabgpp/cmpapi 3.2.0
+      expect(decodeUSNatSection('CVQZGAAAAmCA.YA')).to.deep.equal({
+        version: 2,
+        sharingNotice: 1,
+        saleOptOutNotice: 1,
+        sharingOptOutNotice: 1,
+        targetedAdvertisingOptOutNotice: 1,
+        sensitiveDataProcessingOptOutNotice: 0,
+        sensitiveDataLimitUseNotice: 0,
+        saleOptOut: 1,
+        sharingOptOut: 2,
+        targetedAdvertisingOptOut: 1,
+        sensitiveDataProcessing: [0, 1, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2],
+        knownChildSensitiveDataConsents: [1, 2, 0],
+        personalDataConsents: 0,
+        mspaCoveredTransaction: 2,
+        mspaOptOutOptionMode: 0,
+        mspaServiceProviderMode: 0,
+        gpc: true,
+      });
+    });
+
+    it('encodes version 2 sections by default', function () {
+      const data = decodeUSNatSection('CVQZGAAAAmCA.YA');
+
+      expect(encodeUSNatSection(Object.assign({}, data, { version: undefined })))
+        .to.equal('CVQZGAAAAmCA.YA');
+    });
+
+    it('rejects unsupported versions', function () {
+      expect(decodeUSNatSection('DVQZGAAAAmCA.YA')).to.be.null;
+      expect(() => encodeUSNatSection(Object.assign({}, usNatData, { version: 3 }))).to.throw(Error, 'version');
+    });
+
+    it('omits the GPC segment if the signal is not set', function () {
+      expect(encodeUSNatSection(Object.assign({}, usNatData, { gpc: undefined })))
+        .to.equal('BVQqAAAAAgA');
+    });
+
+    it('converts opt-outs to purpose statuses', function () {
+      const data = Object.assign({}, usNatData, {
+        saleOptOut: 1,
+        targetedAdvertisingOptOut: 0,
+        sensitiveDataProcessing: [2, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+      });
+
+      expect(usNatDataToStatuses(data)).to.deep.equal({
+        sale_of_personal_data: false,
+        sharing_of_personal_data: true,
+        sensitive_data_processing: false,
+      });
+    });
+  });
+
+  describe('encodeGPPString', function () {
+    it('encodes the header and the sections in ID order', function () {
+      expect(encodeGPPString({ usnat: usNatData })).to.equal('DBABLA~BVQqAAAAAgA.QA');
+      expect(encodeGPPString({ usnat: usNatData, uspv1: { notice: true, optOutSale: false } }))
+        .to.equal('DBACTYA~1YN-~BVQqAAAAAgA.QA');
+    });
+
+    it('throws for unsupported sections', function () {
+      expect(() => encodeGPPString({ usca: {} })).to.throw(Error);
+    });
+  });
+
+  describe('decodeGPPString', function () {
+    it('decodes the sections', function () {
+      expect(decodeGPPString('DBACTYA~1YN-~BVQqAAAAAgA.QA')).to.deep.equal({
+        sectionIds: [6, 7],
+        sections: {
+          uspv1: {
+            version: 1,
+            notice: true,
+            optOutSale: false,
+            lspa: undefined,
+          },
+          usnat: usNatData,
+        },
+      });
+    });
+
+    it('decodes the strings of the reference encoder', function () {
+      // Generated by @iabgpp/cmpapi 3.2.0
+      const { sectionIds, sections } = decodeGPPString('DBABzw~1YYN~CVQZGAAAAmCA.YA');
+
+      expect(sectionIds).to.deep.equal([6, 7]);
+      expect(sections.uspv1).to.deep.equal({
+        version: 1,
+        notice: true,
+        optOutSale: true,
+        lspa: false,
+      });
+      expect(sections.usnat.version).to.equal(2);
+      expect(sections.usnat.saleOptOut).to.equal(1);
+      expect(decodeGPPString('DBABzw~1YY-~CEAQAAAAAACA.YA').sections.usnat.gpc).to.be.true;
+    });
+
+    it('returns the sections with an unsupported version as strings', function () {
+      expect(decodeGPPString('DBABzw~1YY-~DEAQAAAAAACA.YA').sections).to.deep.equal({
+        uspv1: {
+          version: 1,
+          notice: true,
+          optOutSale: true,
+          lspa: undefined,
+        },
+        7: 'DEAQAAAAAACA.YA',
+      });
+    });
+
+    it('decodes the tcfeuv2 section', function () {
+      const { sections } = decodeGPPString('DBABMA~CPXxRfAPXxRfAAfKABENB-CgAAAAAAAAAAYgAAAAAAAA');
+
+      expect(sections.tcfeuv2.version).to.equal(2);
+      expect(sections.tcfeuv2.consentLanguage).to.equal('EN');
+    });
+
+    it('returns null if the string is not valid', function () {
+      expect(decodeGPPString()).to.be.null;
+      expect(decodeGPPString('')).to.be.null;
+      expect(decodeGPPString('BVQqAAAAAgA')).to.be.null;
+      expect(decodeGPPString('DBABLA~BVQqAAAAAgA~1YNN')).to.be.null;
+      expect(decodeGPPString('DBABLA~!')).to.be.null;
+    });
+
+    it('returns null if the header lists more sections than the string', function () {
+      // A single range of 10^12 section IDs
+      const header = bitsToBase64Url(encodeInt(3, 6) + encodeInt(1, 6) + encodeInt(1, 12)
+        + encodeBool(true) + encodeFibonacci(7) + encodeFibonacci(1e12));
+
+      expect(decodeGPPString(`${header}~1YNN`)).to.be.null;
+    });
+  });
+});
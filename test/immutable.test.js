@@ -0,0 +1,85 @@
+const expect = require('chai').expect;
+const {
+  copy,
+  deepFreeze,
+  removeVendor,
+  setVendor,
+} = require('../src/immutable');
+
+describe('CWT - Immutable', function () {
+  const consents = deepFreeze([
+    { purpose: 'cookies', vendors: [{ id: 'didomi', status: true }, { id: 'vendor', status: false }] },
+    { purpose: 'analytics', vendors: [{ id: 'didomi', status: true }] },
+  ]);
+
+  describe('copy', function () {
+    it('deep copies arrays and plain objects', function () {
+      const value = [{ purpose: 'cookies', vendors: [{ id: 'didomi' }] }];
+      const result = copy(value);
+
+      expect(result).to.deep.equal(value);
+      expect(result).to.not.equal(value);
+      expect(result[0].vendors).to.not.equal(value[0].vendors);
+    });
+
+    it('shares the frozen values if requested', function () {
+      const value = [consents[0], { purpose: 'analytics' }];
+
+      expect(copy(value, true)[0]).to.equal(consents[0]);
+      expect(copy(value, true)[1]).to.not.equal(value[1]);
+      expect(copy(value)[0]).to.not.equal(consents[0]);
+    });
+  });
+
+  describe('deepFreeze', function () {
+    it('freezes the nested arrays and objects', function () {
+      const value = deepFreeze({ consents: [{ vendors: [{ id: 'didomi' }] }] });
+
+      expect(Object.isFrozen(value)).to.be.true;
+      expect(Object.isFrozen(value.consents[0].vendors[0])).to.be.true;
+    });
+  });
+
+  describe('setVendor', function () {
+    it('shares the entries that do not change', function () {
+      const result = setVendor(consents, 'cookies', 'vendor', { status: true });
+
+      expect(result).to.deep.equal([
+        { purpose: 'cookies', vendors: [{ id: 'didomi', status: true }, { id: 'vendor', status: true }] },
+        { purpose: 'analytics', vendors: [{ id: 'didomi', status: true }] },
+      ]);
+      expect(result[0].vendors[0]).to.equal(consents[0].vendors[0]);
+      expect(result[1]).to.equal(consents[1]);
+      expect(consents[0].vendors[1].status).to.be.false;
+    });
+
+    it('creates the purpose and vendor entries', function () {
+      const result = setVendor(consents, 'marketing', 'didomi', { status: false });
+
+      expect(result[2]).to.deep.equal({ purpose: 'marketing', vendors: [{ id: 'didomi', status: false }] });
+      expect(consents).to.have.lengthOf(2);
+    });
+
+    it('removes properties of the vendor entry', function () {
+      const result = setVendor(consents, 'cookies', 'didomi', { status: false }, ['status', 'source']);
+
+      expect(result[0].vendors[0]).to.deep.equal({ id: 'didomi' });
+      expect(consents[0].vendors[0].status).to.be.true;
+    });
+  });
+
+  describe('removeVendor', function () {
+    it('removes the vendor entry and the empty purposes', function () {
+      expect(removeVendor(consents, 'cookies', 'vendor')).to.deep.equal([
+        { purpose: 'cookies', vendors: [{ id: 'didomi', status: true }] },
+        { purpose: 'analytics', vendors: [{ id: 'didomi', status: true }] },
+      ]);
+      expect(removeVendor(consents, 'analytics', 'didomi')).to.deep.equal([consents[0]]);
+    });
+
+    it('returns the same list if the vendor entry does not exist', function () {
+      expect(removeVendor(consents, 'cookies', 'unknown')).to.equal(consents);
+      expect(removeVendor(consents, 'marketing', 'didomi')).to.equal(consents);
+    });
+  });
+});
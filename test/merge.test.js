@@ -0,0 +1,199 @@
+const expect = require('chai').expect;
+const { MergeStrategies, mergeTokens } = require('../src/merge');
+const { purposeRegistry } = require('../src/purposes');
+const { vendorGroupRegistry } = require('../src/vendor-groups');
+
+describe('CWT - Merge', function () {
+  // Web: approved didomi for cookies at t=100 and refused everything for analytics at t=300
+  const webToken = {
+    issuer: 'didomi',
+    user_id: null,
+    issued_at: 100,
+    consents: [
+      { purpose: 'cookies', vendors: [{ id: 'didomi', status: true, updated_at: 100 }] },
+      { purpose: 'analytics', vendors: [{ id: '*', status: false, updated_at: 300 }] },
+    ],
+    history: null,
+  };
+
+  // iOS: refused didomi for cookies at t=200 and approved vendor for analytics at t=200
+  const iosToken = {
+    issuer: 'didomi-ios',
+    user_id: 'user@domain.com',
+    issued_at: 200,
+    consents: [
+      { purpose: 'cookies', vendors: [{ id: 'didomi', status: false, updated_at: 200 }] },
+      {
+        purpose: 'analytics',
+        vendors: [
+          { id: 'vendor', status: true, updated_at: 200 },
+          { id: 'other', status: undefined, legitimate_interest: true, updated_at: 200 },
+        ],
+      },
+    ],
+    history: null,
+  };
+
+  it('takes the other fields from the first token that has them', function () {
+    const { content } = mergeTokens([webToken, iosToken]);
+
+    expect(content.issuer).to.equal('didomi');
+    expect(content.user_id).to.equal('user@domain.com');
+    expect(content.issued_at).to.equal(100);
+    expect(content.token_id).to.be.null;
+  });
+
+  describe('most recent strategy', function () {
+    it('keeps the status that was updated last', function () {
+      const { content, conflicts } = mergeTokens([webToken, iosToken], MergeStrategies.MostRecent);
+
+      expect(content.consents).to.deep.equal([
+        { purpose: 'cookies', vendors: [{ id: 'didomi', status: false, updated_at: 200 }] },
+        {
+          purpose: 'analytics',
+          vendors: [
+            { id: '*', status: false, updated_at: 300 },
+            // The "refuse all" of the web token is more recent than the approval on iOS
+            { id: 'vendor', status: false, updated_at: 300 },
+            { id: 'other', status: false, legitimate_interest: true, updated_at: 300 },
+          ],
+        },
+      ]);
+
+      expect(conflicts).to.deep.equal([
+        {
+          purpose: 'cookies',
+          vendor: 'didomi',
+          legal_basis: 'consent',
+          status: false,
+          candidates: [
+            { token: 0, status: true, updated_at: 100 },
+            { token: 1, status: false, updated_at: 200 },
+          ],
+        },
+        {
+          purpose: 'analytics',
+          vendor: 'vendor',
+          legal_basis: 'consent',
+          status: false,
+          candidates: [
+            { token: 0, status: false, updated_at: 300 },
+            { token: 1, status: true, updated_at: 200 },
+          ],
+        },
+      ]);
+    });
+
+    it('uses the most restrictive status for ties', function () {
+      const token = status => ({
+        consents: [{ purpose: 'cookies', vendors: [{ id: '*', status, updated_at: 100 }] }],
+      });
+
+      const { content } = mergeTokens([token(true), token(false)]);
+
+      expect(content.consents[0].vendors[0].status).to.be.false;
+    });
+  });
+
+  describe('most restrictive strategy', function () {
+    it('keeps refusals', function () {
+      const { content, conflicts } = mergeTokens(
+        [webToken, iosToken],
+        MergeStrategies.MostRestrictive
+      );
+
+      expect(content.consents[0].vendors[0].status).to.be.false;
+      expect(content.consents[1].vendors[1].status).to.be.false;
+      expect(conflicts).to.have.length(2);
+    });
+  });
+
+  describe('first issuer strategy', function () {
+    it('keeps the status of the token issued first', function () {
+      const { content, conflicts } = mergeTokens([iosToken, webToken], MergeStrategies.FirstIssuer);
+
+      // The web token was issued before the iOS token
+      expect(content.consents[0].vendors[0].status).to.be.true;
+      expect(content.consents[1].vendors.find(v => v.id === 'vendor').status).to.be.false;
+      expect(conflicts.map(conflict => conflict.status)).to.deep.equal([true, false]);
+    });
+
+    it('falls back to the order of the tokens', function () {
+      const token = (status, issuedAt) => ({
+        issued_at: issuedAt,
+        consents: [{ purpose: 'cookies', vendors: [{ id: '*', status }] }],
+      });
+      const status = tokens => mergeTokens(tokens, MergeStrategies.FirstIssuer)
+        .content.consents[0].vendors[0].status;
+
+      expect(status([token(true, null), token(false, null)])).to.be.true;
+      expect(status([token(true, 100), token(false, 100)])).to.be.true;
+      expect(status([token(true, null), token(false, 100)])).to.be.false;
+    });
+  });
+
+
+  it('falls back to the groups of the vendors and to the * purpose', function () {
+    vendorGroupRegistry.register({ id: 'merge_test_group', vendors: ['merge_test_vendor'] });
+
+    const { content, conflicts } = mergeTokens([
+      {
+        consents: [
+          { purpose: '*', vendors: [{ id: 'merge_test_vendor', status: false, updated_at: 300 }] },
+          { purpose: 'cookies', vendors: [{ id: 'merge_test_group', status: true, updated_at: 100 }] },
+        ],
+      },
+      {
+        consents: [
+          { purpose: 'cookies', vendors: [{ id: 'merge_test_vendor', status: true, updated_at: 200 }] },
+          { purpose: 'analytics', vendors: [{ id: 'merge_test_vendor', status: true, updated_at: 200 }] },
+        ],
+      },
+    ]);
+
+    // The vendor of the first token is approved for cookies by its group and refused for analytics by the * purpose
+    expect(content.consents.find(c => c.purpose === 'cookies').vendors).to.deep.equal([
+      { id: 'merge_test_group', status: true, updated_at: 100 },
+      { id: 'merge_test_vendor', status: true, updated_at: 200 },
+    ]);
+    expect(content.consents.find(c => c.purpose === 'analytics').vendors).to.deep.equal([
+      { id: 'merge_test_vendor', status: false, updated_at: 300 },
+    ]);
+    expect(conflicts.map(conflict => conflict.purpose)).to.deep.equal(['analytics']);
+  });
+
+  it('falls back to the ancestors of the purposes', function () {
+    purposeRegistry
+      .register({ id: 'merge_test_parent' })
+      .register({ id: 'merge_test_child', parent: 'merge_test_parent' });
+
+    const { content, conflicts } = mergeTokens([
+      { consents: [{ purpose: 'merge_test_parent', vendors: [{ id: 'vendor', status: false }] }] },
+      { consents: [{ purpose: 'merge_test_child', vendors: [{ id: 'vendor', status: true }] }] },
+    ], MergeStrategies.MostRestrictive);
+
+    // The refusal of the parent purpose in the first token applies to the child purpose
+    expect(content.consents).to.deep.equal([
+      { purpose: 'merge_test_parent', vendors: [{ id: 'vendor', status: false }] },
+      { purpose: 'merge_test_child', vendors: [{ id: 'vendor', status: false }] },
+    ]);
+    expect(conflicts.map(conflict => conflict.purpose)).to.deep.equal(['merge_test_child']);
+  });
+
+  it('merges the histories by time', function () {
+    const { content } = mergeTokens([
+      { consents: [], history: [{ purpose: 'cookies', vendor: '*', status: true, updated_at: 300 }] },
+      { consents: [], history: null },
+      { consents: [], history: [{ purpose: 'cookies', vendor: '*', status: false, updated_at: 200 }] },
+    ]);
+
+    expect(content.history.map(entry => entry.updated_at)).to.deep.equal([200, 300]);
+    expect(mergeTokens([webToken, iosToken]).content).to.not.have.property('history');
+  });
+
+  it('throws for unsupported strategies and empty lists', function () {
+    expect(() => mergeTokens([webToken], 'random')).to.throw(Error);
+    expect(() => mergeTokens([])).to.throw(Error);
+    expect(() => mergeTokens()).to.throw(Error);
+  });
+});
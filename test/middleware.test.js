@@ -0,0 +1,163 @@
+const expect = require('chai').expect;
+const {
+  createMiddleware,
+  readRequestToken,
+  RequestConsent,
+} = require('../src/middleware');
+
+/**
+ * Create a response that stores its headers like `http.ServerResponse`
+ */
+function createResponse() {
+  const headers = {};
+
+  return {
+    headers,
+    getHeader: name => headers[name.toLowerCase()],
+    setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+  };
+}
+
+/**
+ * Token stub: the consents are a map of `<purpose>/<vendor>` to statuses
+ */
+function createToken(consents) {
+  return {
+    consents,
+    getConsentStatus: (purpose, vendorId) => consents[`${purpose}/${vendorId}`],
+  };
+}
+
+const parse = value => (value === 'invalid' ? null : createToken(JSON.parse(value)));
+const serialize = token => JSON.stringify(token.consents);
+
+function run(middleware, req, res) {
+  let called = false;
+
+  middleware(req, res || createResponse(), () => { called = true; });
+
+  expect(called).to.be.true;
+
+  return req;
+}
+
+describe('CWT - Middleware', function () {
+  describe('readRequestToken', function () {
+    const options = { cookie: 'cwt', header: 'x-consent-token', query: 'cwt' };
+
+    it('reads the token from a cookie, a header or a query parameter', function () {
+      expect(readRequestToken({ headers: { cookie: 'a=1; cwt=%7B%7D' } }, options)).to.deep.equal({ value: '{}', source: 'cookie' });
+      expect(readRequestToken({ headers: { 'x-consent-token': 'abc' } }, options)).to.deep.equal({ value: 'abc', source: 'header' });
+      expect(readRequestToken({ headers: {}, url: '/page?cwt=abc' }, options)).to.deep.equal({ value: 'abc', source: 'query' });
+      expect(readRequestToken({ headers: {}, query: { cwt: 'abc' } }, options)).to.deep.equal({ value: 'abc', source: 'query' });
+    });
+
+    it('reads chunked cookies', function () {
+      const req = { headers: { cookie: 'cwt.0=%7B%22a; cwt.1=%22%3A1%7D' } };
+
+      expect(readRequestToken(req, options)).to.deep.equal({ value: '{"a":1}', source: 'cookie' });
+    });
+
+    it('prefers the cookie to the header and the header to the query parameter', function () {
+      const req = {
+        headers: { cookie: 'cwt=cookie', 'x-consent-token': 'header' },
+        url: '/?cwt=query',
+      };
+
+      expect(readRequestToken(req, options).source).to.equal('cookie');
+      expect(readRequestToken(req, Object.assign({}, options, { cookie: false })).source).to.equal('header');
+      expect(readRequestToken(req, { query: 'cwt' }).source).to.equal('query');
+    });
+
+    it('returns null if the request does not have a token', function () {
+      expect(readRequestToken({ headers: {}, url: '/?cwt=abc' }, { cookie: 'cwt' })).to.be.null;
+      expect(readRequestToken({}, options)).to.be.null;
+    });
+  });
+
+  describe('RequestConsent', function () {
+    it('checks consent', function () {
+      const consent = new RequestConsent(createToken({ 'cookies/didomi': true, 'analytics/didomi': false }), 'cookie');
+
+      expect(consent.allows('cookies', 'didomi')).to.be.true;
+      expect(consent.allows('analytics', 'didomi')).to.be.false;
+      expect(consent.allows('ads', 'didomi')).to.be.false;
+      expect(consent.status('analytics', 'didomi')).to.be.false;
+      expect(consent.status('ads', 'didomi')).to.be.undefined;
+    });
+
+    it('does not allow anything without a token', function () {
+      const consent = new RequestConsent(null, null);
+
+      expect(consent.allows('cookies', 'didomi')).to.be.false;
+      expect(consent.status('cookies', 'didomi')).to.be.undefined;
+    });
+  });
+
+  describe('createMiddleware', function () {
+    it('exposes the token of the request as req.consent', function () {
+      const middleware = createMiddleware({}, parse, serialize);
+      const req = run(middleware, { headers: { 'x-consent-token': '{"cookies/didomi":true}' } });
+
+      expect(req.consent).to.be.an.instanceof(RequestConsent);
+      expect(req.consent.source).to.equal('header');
+      expect(req.consent.allows('cookies', 'didomi')).to.be.true;
+    });
+
+    it('ignores the query parameters by default', function () {
+      const middleware = createMiddleware({}, parse, serialize);
+      const req = run(middleware, { headers: {}, url: '/?cwt={}' });
+
+      expect(req.consent.token).to.be.null;
+      expect(req.consent.source).to.be.null;
+    });
+
+    it('exposes a null token if the token is invalid', function () {
+      const middleware = createMiddleware({}, parse, serialize);
+      const req = run(middleware, { headers: { cookie: 'cwt=invalid' } });
+
+      expect(req.consent.token).to.be.null;
+      expect(req.consent.source).to.be.null;
+      expect(req.consent.error).to.be.null;
+    });
+
+    it('exposes the parsing errors', function () {
+      const error = new Error('Unsupported version');
+      const middleware = createMiddleware({}, () => { throw error; }, serialize);
+      const req = run(middleware, { headers: { cookie: 'cwt=x' } });
+
+      expect(req.consent.token).to.be.null;
+      expect(req.consent.error).to.equal(error);
+    });
+
+    it('writes an updated token in the response', function () {
+      const middleware = createMiddleware({ cookie: 'consent', cookieOptions: { domain: '.example.com' } }, parse, serialize);
+      const res = createResponse();
+      const req = run(middleware, { headers: { cookie: 'consent.0=x; consent.1=y' } }, res);
+
+      res.setHeader('Set-Cookie', 'session=1');
+
+      const token = createToken({ 'cookies/didomi': false });
+      res.setConsentToken(token);
+
+      expect(req.consent.token).to.equal(token);
+      expect(res.headers['set-cookie']).to.deep.equal([
+        'session=1',
+        'consent=%7B%22cookies%2Fdidomi%22%3Afalse%7D; Domain=.example.com; Path=/; Max-Age=34214400; SameSite=Lax',
+        'consent.0=; Domain=.example.com; Path=/; Max-Age=0; SameSite=Lax',
+        'consent.1=; Domain=.example.com; Path=/; Max-Age=0; SameSite=Lax',
+      ]);
+    });
+
+    it('clears the token of the response', function () {
+      const middleware = createMiddleware({ header: false }, parse, serialize);
+      const res = createResponse();
+      const req = run(middleware, { headers: { cookie: 'cwt=%7B%7D' } }, res);
+
+      res.clearConsentToken({ path: '/app' });
+
+      expect(req.consent.token).to.be.null;
+      expect(res.headers['set-cookie']).to.deep.equal(['cwt=; Path=/app; Max-Age=0; SameSite=Lax']);
+    });
+  });
+});
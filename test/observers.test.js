@@ -0,0 +1,87 @@
+const expect = require('chai').expect;
+const { CWT } = require('../src/token');
+const {
+  addListener,
+  beginTransaction,
+  endTransaction,
+  recordChange,
+  removeListener,
+  subscribe,
+} = require('../src/observers');
+
+describe('CWT - Observers', function () {
+  const change = {
+    purpose: 'cookies',
+    vendor: 'didomi',
+    legal_basis: 'consent',
+    before: undefined,
+    after: true,
+  };
+
+  it('notifies the listeners when the outermost transaction ends', function () {
+    const token = new CWT();
+    const notifications = [];
+
+    addListener(token, 'change', changes => notifications.push(changes));
+
+    beginTransaction(token);
+    beginTransaction(token);
+    recordChange(token, change);
+    endTransaction(token);
+
+    expect(notifications).to.deep.equal([]);
+
+    endTransaction(token);
+
+    expect(notifications).to.deep.equal([[change]]);
+  });
+
+  it('ignores the changes that do not modify the status', function () {
+    const token = new CWT();
+    const notifications = [];
+
+    addListener(token, 'change', changes => notifications.push(changes));
+
+    beginTransaction(token);
+    recordChange(token, Object.assign({}, change, { before: true }));
+    endTransaction(token);
+
+    expect(notifications).to.deep.equal([]);
+  });
+
+  it('removes listeners', function () {
+    const token = new CWT();
+    const listener = () => {};
+
+    addListener(token, 'change', listener);
+
+    expect(removeListener(token, 'change', listener)).to.be.true;
+    expect(removeListener(token, 'change', listener)).to.be.false;
+  });
+
+  it('throws for unsupported events', function () {
+    expect(() => addListener(new CWT(), 'update', () => {})).to.throw(Error);
+  });
+
+  it('notifies the subscriptions with the status before and after the transaction', function () {
+    const token = new CWT();
+    const notifications = [];
+
+    subscribe(token, 'cookies', 'didomi', 'consent', c => notifications.push(c));
+
+    beginTransaction(token);
+    token.consents.push({ purpose: 'cookies', vendors: [{ id: 'didomi', status: true }] });
+    recordChange(token, change);
+    endTransaction(token);
+
+    expect(notifications).to.deep.equal([change]);
+  });
+
+  it('does not keep the observers on the token', function () {
+    const token = new CWT();
+
+    addListener(token, 'change', () => {});
+
+    expect(token).to.deep.equal(new CWT());
+  });
+});
@@ -0,0 +1,185 @@
+const expect = require('chai').expect;
+const { PurposeRegistry, purposeRegistry, Purposes } = require('../src/purposes');
+
+describe('CWT - Purposes', function () {
+  describe('purposeRegistry', function () {
+    it('registers all the standard purposes', function () {
+      const ids = Object.keys(Purposes).map(key => Purposes[key]);
+
+      ids.forEach((id) => {
+        const definition = purposeRegistry.get(id);
+
+        expect(definition.id).to.equal(id);
+        expect(definition.custom).to.be.false;
+        expect(definition.defaultLegalBasis).to.equal('consent');
+        expect(definition.names).to.have.all.keys('en', 'fr');
+        expect(definition.descriptions).to.have.all.keys('en', 'fr');
+      });
+
+      expect(purposeRegistry.list({ custom: false })).to.have.lengthOf(ids.length);
+    });
+
+    it('declares the cookie purposes as children of the cookies purpose', function () {
+      expect(purposeRegistry.getDescendants(Purposes.Cookies)).to.deep.equal([
+        Purposes.CookiesAnalytics,
+        Purposes.CookiesMarketing,
+        Purposes.CookiesSocial,
+      ]);
+      expect(purposeRegistry.getAncestors(Purposes.CookiesSocial)).to.deep.equal(['cookies']);
+      expect(purposeRegistry.getAncestors(Purposes.Analytics)).to.deep.equal([]);
+    });
+
+    it('maps the standard purposes to the TCF purposes and special features', function () {
+      const analytics = purposeRegistry.get(Purposes.Analytics);
+      const preciseGeo = purposeRegistry.get(Purposes.PreciseGeo);
+
+      expect(analytics.tcf).to.deep.equal({ purposes: [7, 8], specialFeatures: [] });
+      expect(preciseGeo.tcf).to.deep.equal({ purposes: [], specialFeatures: [1] });
+    });
+  });
+
+  describe('PurposeRegistry', function () {
+    function createRegistry() {
+      return new PurposeRegistry([
+        {
+          id: 'analytics',
+          names: { en: 'Analytics', fr: 'Mesure d’audience', 'fr-CA': 'Analytique' },
+          descriptions: { en: 'Measure the audience' },
+          tcf: { purposes: [7, 8] },
+          custom: false,
+        },
+        {
+          id: 'newsletter',
+          names: { fr: 'Lettre d’information' },
+          defaultLegalBasis: 'legitimate_interest',
+        },
+      ]);
+    }
+
+    it('registers purposes with their metadata', function () {
+      const registry = createRegistry();
+
+      expect(registry.has('newsletter')).to.be.true;
+      expect(registry.has('cookies')).to.be.false;
+      expect(registry.get('cookies')).to.be.null;
+      expect(registry.get('newsletter')).to.deep.equal({
+        id: 'newsletter',
+        names: { fr: 'Lettre d’information' },
+        descriptions: {},
+        defaultLegalBasis: 'legitimate_interest',
+        parent: null,
+        tcf: { purposes: [], specialFeatures: [] },
+        custom: true,
+      });
+      expect(registry.list().map(definition => definition.id)).to.deep.equal(['analytics', 'newsletter']);
+      expect(registry.list({ custom: true }).map(definition => definition.id)).to.deep.equal(['newsletter']);
+    });
+
+    it('freezes the definitions', function () {
+      const tcf = { purposes: [1] };
+      const registry = new PurposeRegistry([{ id: 'storage', tcf }]);
+
+      tcf.purposes.push(2);
+
+      expect(registry.get('storage').tcf.purposes).to.deep.equal([1]);
+      expect(Object.isFrozen(registry.get('storage').tcf.purposes)).to.be.true;
+      expect(Object.isFrozen(registry.get('storage').names)).to.be.true;
+    });
+
+    it('returns the register method for chaining', function () {
+      const registry = new PurposeRegistry();
+
+      expect(registry.register({ id: 'a' }).register({ id: 'b' })).to.equal(registry);
+      expect(registry.list()).to.have.lengthOf(2);
+    });
+
+    it('rejects invalid and duplicate purposes', function () {
+      const registry = createRegistry();
+
+      expect(() => registry.register()).to.throw(Error, 'ID');
+      expect(() => registry.register({ id: '' })).to.throw(Error, 'ID');
+      expect(() => registry.register({ id: '*' })).to.throw(Error, 'reserved');
+      expect(() => registry.register({ id: 'analytics' })).to.throw(Error, 'already registered');
+      expect(() => registry.register({ id: 'x', defaultLegalBasis: 'contract' })).to.throw(Error, 'legal basis');
+      expect(() => registry.register({ id: 'x', tcf: { purposes: [0] } })).to.throw(Error, 'TCF');
+      expect(() => registry.register({ id: 'x', tcf: { specialFeatures: 1 } })).to.throw(Error, 'TCF');
+      expect(registry.has('x')).to.be.false;
+    });
+
+    it('translates the names and descriptions', function () {
+      const registry = createRegistry();
+
+      expect(registry.getName('analytics')).to.equal('Analytics');
+      expect(registry.getName('analytics', 'fr')).to.equal('Mesure d’audience');
+      expect(registry.getName('analytics', 'fr-CA')).to.equal('Analytique');
+      expect(registry.getName('analytics', 'fr-BE')).to.equal('Mesure d’audience');
+      expect(registry.getName('analytics', 'de')).to.equal('Analytics');
+
+      // Purposes without name in the locale or not registered
+      expect(registry.getName('newsletter')).to.equal('newsletter');
+      expect(registry.getName('newsletter', 'FR')).to.equal('Lettre d’information');
+      expect(registry.getName('unknown', 'fr')).to.equal('unknown');
+
+      expect(registry.getDescription('analytics', 'fr')).to.equal('Measure the audience');
+      expect(registry.getDescription('newsletter')).to.be.null;
+      expect(registry.getDescription('unknown')).to.be.null;
+    });
+
+    it('describes any purpose', function () {
+      const registry = createRegistry();
+
+      expect(registry.describe('analytics', 'fr')).to.deep.equal({
+        id: 'analytics',
+        name: 'Mesure d’audience',
+        description: 'Measure the audience',
+        defaultLegalBasis: 'consent',
+        parent: null,
+        tcf: { purposes: [7, 8], specialFeatures: [] },
+        custom: false,
+      });
+
+      expect(registry.describe('unknown')).to.deep.equal({
+        id: 'unknown',
+        name: 'unknown',
+        description: null,
+        defaultLegalBasis: 'consent',
+        parent: null,
+        tcf: { purposes: [], specialFeatures: [] },
+        custom: true,
+      });
+    });
+
+    it('registers hierarchies of purposes', function () {
+      const registry = new PurposeRegistry([
+        { id: 'marketing' },
+        { id: 'email', parent: 'marketing' },
+        { id: 'sms', parent: 'marketing' },
+        { id: 'newsletter', parent: 'email' },
+      ]);
+
+      expect(registry.get('email').parent).to.equal('marketing');
+      expect(registry.getAncestors('newsletter')).to.deep.equal(['email', 'marketing']);
+      expect(registry.getAncestors('marketing')).to.deep.equal([]);
+      expect(registry.getAncestors('unknown')).to.deep.equal([]);
+      expect(registry.getDescendants('marketing')).to.deep.equal(['email', 'newsletter', 'sms']);
+      expect(registry.getDescendants('sms')).to.deep.equal([]);
+    });
+
+    it('requires the parents to be registered first', function () {
+      const registry = new PurposeRegistry();
+
+      expect(() => registry.register({ id: 'a', parent: 'b' })).to.throw(Error, 'not registered');
+      expect(() => registry.register({ id: 'a', parent: 'a' })).to.throw(Error, 'not registered');
+    });
+
+    it('generates the TCF mapping of the purposes', function () {
+      const registry = createRegistry().register({ id: 'geo', tcf: { purposes: [1], specialFeatures: [1] } });
+
+      expect(registry.toTCFMapping()).to.deep.equal({
+        purposes: { analytics: [7, 8], geo: [1] },
+        specialFeatures: { geo: [1] },
+        vendors: {},
+      });
+    });
+  });
+});
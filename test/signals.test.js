@@ -0,0 +1,62 @@
+const expect = require('chai').expect;
+const {
+  checkPrivacySignals,
+  getBrowserSignals,
+  getRequestSignals,
+  PrivacySignals,
+  SignalPurposes,
+} = require('../src/signals');
+
+describe('CWT - Signals', function () {
+  describe('checkPrivacySignals', function () {
+    it('accepts the values of PrivacySignals', function () {
+      expect(() => checkPrivacySignals([PrivacySignals.GPC, PrivacySignals.DNT])).to.not.throw();
+      expect(() => checkPrivacySignals([])).to.not.throw();
+    });
+
+    it('rejects unsupported signals', function () {
+      expect(() => checkPrivacySignals(['GPC'])).to.throw('Unsupported privacy signal GPC');
+      expect(() => checkPrivacySignals(['gpc', 'unknown'])).to.throw('Unsupported privacy signal unknown');
+    });
+  });
+
+  describe('getRequestSignals', function () {
+    it('detects the GPC and DNT headers', function () {
+      expect(getRequestSignals({ 'sec-gpc': '1' })).to.deep.equal([PrivacySignals.GPC]);
+      expect(getRequestSignals({ 'Sec-GPC': ' 1 ', DNT: '1' })).to.deep.equal([PrivacySignals.GPC, PrivacySignals.DNT]);
+      expect(getRequestSignals({ dnt: '1' })).to.deep.equal([PrivacySignals.DNT]);
+    });
+
+    it('ignores disabled signals', function () {
+      expect(getRequestSignals({ 'sec-gpc': '0', dnt: 'null' })).to.deep.equal([]);
+      expect(getRequestSignals({})).to.deep.equal([]);
+      expect(getRequestSignals()).to.deep.equal([]);
+    });
+  });
+
+  describe('getBrowserSignals', function () {
+    it('detects the GPC and DNT properties of the navigator', function () {
+      expect(getBrowserSignals({ globalPrivacyControl: true })).to.deep.equal([PrivacySignals.GPC]);
+      expect(getBrowserSignals({ doNotTrack: '1' })).to.deep.equal([PrivacySignals.DNT]);
+      expect(getBrowserSignals({ doNotTrack: 'yes' })).to.deep.equal([PrivacySignals.DNT]);
+      expect(getBrowserSignals({ msDoNotTrack: '1' })).to.deep.equal([PrivacySignals.DNT]);
+    });
+
+    it('ignores disabled signals', function () {
+      expect(getBrowserSignals({ globalPrivacyControl: false, doNotTrack: '0' })).to.deep.equal([]);
+      expect(getBrowserSignals({ doNotTrack: 'unspecified' })).to.deep.equal([]);
+    });
+
+    it('returns an empty list outside of browsers', function () {
+      expect(getBrowserSignals()).to.deep.equal([]);
+    });
+  });
+
+  it('refuses the sale, sharing and advertising purposes by default', function () {
+    expect(SignalPurposes).to.deep.equal([
+      'sale_of_personal_data',
+      'sharing_of_personal_data',
+      'targeted_advertising',
+    ]);
+  });
+});
@@ -0,0 +1,202 @@
+const expect = require('chai').expect;
+const {
+  cookieValue,
+  parseCookies,
+  readCookie,
+  readStorageItem,
+  removeCookie,
+  removeStorageItem,
+  serializeCookie,
+  serializeCookies,
+  serializeExpiredCookies,
+  writeCookie,
+  writeStorageItem,
+} = require('../src/storage');
+
+/**
+ * Create a document that stores its cookies like a browser (without paths and domains)
+ */
+function createDocument(initialCookies) {
+  const cookies = Object.assign({}, initialCookies);
+  const writes = [];
+
+  return {
+    writes,
+    get cookie() {
+      return Object.keys(cookies).map(name => `${name}=${cookies[name]}`).join('; ');
+    },
+    set cookie(value) {
+      const attributes = value.split('; ');
+      const pair = attributes.shift();
+      const name = pair.slice(0, pair.indexOf('='));
+
+      writes.push(value);
+
+      if (attributes.indexOf('Max-Age=0') !== -1) {
+        delete cookies[name];
+      } else {
+        cookies[name] = pair.slice(pair.indexOf('=') + 1);
+      }
+    },
+  };
+}
+
+function createStorage() {
+  const items = {};
+
+  return {
+    getItem: key => (items.hasOwnProperty(key) ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: (key) => { delete items[key]; },
+  };
+}
+
+describe('CWT - Storage', function () {
+  describe('parseCookies', function () {
+    it('parses a cookie header', function () {
+      expect(parseCookies('a=1; b=x=y;c=%7B ; invalid')).to.deep.equal({ a: '1', b: 'x=y', c: '%7B' });
+      expect(parseCookies('a=1; a=2')).to.deep.equal({ a: '1' });
+      expect(parseCookies('')).to.deep.equal({});
+      expect(parseCookies(undefined)).to.deep.equal({});
+    });
+  });
+
+  describe('serializeCookie', function () {
+    it('adds the attributes of the cookie', function () {
+      expect(serializeCookie('cwt', 'value', {
+        domain: '.example.com',
+        path: '/',
+        maxAge: 3600,
+        sameSite: 'Strict',
+        secure: true,
+      })).to.equal('cwt=value; Domain=.example.com; Path=/; Max-Age=3600; SameSite=Strict; Secure');
+
+      expect(serializeCookie('cwt', 'value', {})).to.equal('cwt=value');
+    });
+
+    it('makes SameSite=None cookies secure', function () {
+      expect(serializeCookie('cwt', 'value', { sameSite: 'None' })).to.equal('cwt=value; SameSite=None; Secure');
+    });
+  });
+
+  describe('writeCookie', function () {
+    it('writes a URI-encoded value with the default attributes', function () {
+      const document = createDocument();
+
+      writeCookie('{"issuer":"didomi"}', { document });
+
+      expect(document.writes).to.deep.equal([
+        'cwt=%7B%22issuer%22%3A%22didomi%22%7D; Path=/; Max-Age=34214400; SameSite=Lax',
+      ]);
+      expect(readCookie({ document })).to.equal('{"issuer":"didomi"}');
+    });
+
+    it('splits long values across several cookies', function () {
+      const document = createDocument();
+      const value = `{"a":"${'x'.repeat(150)}"}`;
+
+      writeCookie(value, { document, name: 'consent', maxSize: 50 });
+
+      const cookies = parseCookies(document.cookie);
+
+      expect(Object.keys(cookies)).to.have.lengthOf(5);
+      Object.keys(cookies).forEach((name, index) => {
+        expect(name).to.equal(`consent.${index}`);
+        expect(name.length + cookies[name].length + 1).to.be.at.most(50);
+        expect(() => decodeURIComponent(cookies[name])).to.not.throw();
+      });
+
+      expect(readCookie({ document, name: 'consent' })).to.equal(value);
+    });
+
+    it('removes the stale cookies of a previous value', function () {
+      const document = createDocument({ other: '1' });
+
+      writeCookie('x'.repeat(100), { document, maxSize: 50 });
+      expect(Object.keys(parseCookies(document.cookie))).to.deep.equal(['other', 'cwt.0', 'cwt.1', 'cwt.2']);
+
+      writeCookie('x'.repeat(60), { document, maxSize: 50 });
+      expect(Object.keys(parseCookies(document.cookie))).to.deep.equal(['other', 'cwt.0', 'cwt.1']);
+
+      writeCookie('x', { document, maxSize: 50 });
+      expect(Object.keys(parseCookies(document.cookie))).to.deep.equal(['other', 'cwt']);
+      expect(readCookie({ document })).to.equal('x');
+    });
+
+    it('throws if there is no document', function () {
+      expect(() => writeCookie('x')).to.throw(Error, 'document');
+    });
+  });
+
+  describe('readCookie', function () {
+    it('returns null if the cookie does not exist or is not valid', function () {
+      expect(readCookie({ document: createDocument() })).to.be.null;
+      expect(readCookie({ document: createDocument({ cwt: '' }) })).to.be.null;
+      expect(readCookie({ document: createDocument({ cwt: '%E0%A4%A' }) })).to.be.null;
+    });
+  });
+
+  describe('removeCookie', function () {
+    it('removes the cookie and its chunks', function () {
+      const document = createDocument({ other: '1' });
+
+      writeCookie('x'.repeat(100), { document, maxSize: 50 });
+      removeCookie({ document, domain: '.example.com' });
+
+      expect(document.cookie).to.equal('other=1');
+      expect(document.writes[document.writes.length - 1]).to.equal('cwt.2=; Domain=.example.com; Path=/; Max-Age=0; SameSite=Lax');
+    });
+  });
+
+  describe('serializeCookies', function () {
+    it('generates the Set-Cookie values of a value and expires the stale chunks', function () {
+      const currentCookies = { 'cwt.0': 'x', 'cwt.1': 'x', other: '1' };
+
+      expect(serializeCookies('{}', { secure: true }, currentCookies)).to.deep.equal([
+        'cwt=%7B%7D; Path=/; Max-Age=34214400; SameSite=Lax; Secure',
+        'cwt.0=; Path=/; Max-Age=0; SameSite=Lax; Secure',
+        'cwt.1=; Path=/; Max-Age=0; SameSite=Lax; Secure',
+      ]);
+    });
+
+    it('can be read back with cookieValue', function () {
+      const value = 'x'.repeat(100);
+      const cookies = parseCookies(serializeCookies(value, { maxSize: 50 }, {})
+        .map(cookie => cookie.split(';')[0])
+        .join('; '));
+
+      expect(Object.keys(cookies)).to.deep.equal(['cwt.0', 'cwt.1', 'cwt.2']);
+      expect(cookieValue(cookies)).to.equal(value);
+      expect(cookieValue(cookies, 'other')).to.be.null;
+    });
+  });
+
+  describe('serializeExpiredCookies', function () {
+    it('expires the cookie and its chunks', function () {
+      expect(serializeExpiredCookies({ name: 'consent', path: '/app' }, { 'consent.0': 'x' })).to.deep.equal([
+        'consent=; Path=/app; Max-Age=0; SameSite=Lax',
+        'consent.0=; Path=/app; Max-Age=0; SameSite=Lax',
+      ]);
+    });
+  });
+
+  describe('local storage', function () {
+    it('writes, reads and removes values', function () {
+      const storage = createStorage();
+
+      writeStorageItem('{}', { storage });
+      writeStorageItem('[]', { storage, key: 'other' });
+
+      expect(readStorageItem({ storage })).to.equal('{}');
+      expect(readStorageItem({ storage, key: 'other' })).to.equal('[]');
+
+      removeStorageItem({ storage });
+
+      expect(readStorageItem({ storage })).to.be.null;
+    });
+
+    it('throws if there is no storage', function () {
+      expect(() => readStorageItem()).to.throw(Error, 'storage');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const expect = require('chai').expect;
+const {
+  RestrictionTypes,
+  decodeTCString,
+  encodeTCString,
+  tcDataToTokenContent,
+} = require('../src/tcf');
+const { base64UrlToBits, bitsToBase64Url, encodeInt } = require('../src/bits');
+
+describe('CWT - TCF', function () {
+  const tcData = {
+    version: 2,
+    created: 1528000000000,
+    lastUpdated: 1528000060000,
+    cmpId: 7,
+    cmpVersion: 3,
+    consentScreen: 1,
+    consentLanguage: 'FR',
+    vendorListVersion: 42,
+    tcfPolicyVersion: 2,
+    isServiceSpecific: true,
+    useNonStandardTexts: false,
+    specialFeatureOptIns: [1],
+    purposeConsents: [1, 3, 4, 7],
+    purposeLegitimateInterests: [2, 7, 10],
+    purposeOneTreatment: false,
+    publisherCountryCode: 'DE',
+    vendorConsents: [1, 2, 8, 755],
+    vendorLegitimateInterests: [3],
+    publisherRestrictions: [
+      {
+        purposeId: 2,
+        restrictionType: RestrictionTypes.RequireConsent,
+        vendors: [1, 2, 3, 9],
+      },
+    ],
+  };
+
+  describe('encodeTCString', function () {
+    it('encodes the core segment as base64url', function () {
+      const tcString = encodeTCString(tcData);
+
+      expect(tcString).to.match(/^[A-Za-z0-9_-]+$/);
+
+      // Version 2 is encoded in the first 6 bits
+      expect(tcString[0]).to.equal('C');
+    });
+
+    it('uses the range encoding when it is shorter than the bit field', function () {
+      const bitField = encodeTCString({ created: 1528000000000, vendorConsents: [1, 2, 3] });
+      const ranges = encodeTCString({ created: 1528000000000, vendorConsents: [1, 2, 3, 2000] });
+
+      expect(decodeTCString(bitField).vendorConsents).to.deep.equal([1, 2, 3]);
+      expect(decodeTCString(ranges).vendorConsents).to.deep.equal([1, 2, 3, 2000]);
+      // A bit field would need 2000 bits (more than 300 characters)
+      expect(ranges.length).to.be.below(100);
+    });
+
+    it('throws if a value is out of range', function () {
+      expect(() => encodeTCString({ cmpId: 5000 })).to.throw(Error);
+    });
+  });
+
+  describe('decodeTCString', function () {
+    it('decodes an encoded core segment', function () {
+      expect(decodeTCString(encodeTCString(tcData))).to.deep.equal(tcData);
+    });
+
+    it('ignores the other segments', function () {
+      expect(decodeTCString(`${encodeTCString(tcData)}.IFoEUQQgAIQwgIwQABAEAAAAOIAACAIAAAAQAIAgEAACEAAAAA`)).to.deep.equal(tcData);
+    });
+
+    it('returns null if the string is not valid', function () {
+      expect(decodeTCString()).to.be.null;
+      expect(decodeTCString('')).to.be.null;
+      expect(decodeTCString(42)).to.be.null;
+      expect(decodeTCString('C!')).to.be.null;
+      expect(decodeTCString('COvFyGBOvFyGB')).to.be.null;
+
+      // TCF v1 string
+      expect(decodeTCString('BOEFEAyOEFEAyAHABDENAI4AAAB9vABAASA')).to.be.null;
+    });
+
+    describe('range entries', function () {
+      // The fields of the core segment before the vendor sections (213 bits)
+      const coreBits = base64UrlToBits(encodeTCString(tcData)).slice(0, 213);
+      const range = (start, end) => `1${encodeInt(start, 16)}${encodeInt(end, 16)}`;
+      const ranges = list => encodeInt(list.length, 12) + list.join('');
+      const rangeSection = (maxVendorId, list) => `${encodeInt(maxVendorId, 16)}1${ranges(list)}`;
+      const emptySection = `${encodeInt(0, 16)}0`;
+      const restriction = list => encodeInt(2, 6) + encodeInt(1, 2) + ranges(list);
+      const tcString = (vendorSection, restrictions) => bitsToBase64Url(coreBits
+        + vendorSection
+        + emptySection
+        + encodeInt(restrictions.length, 12)
+        + restrictions.join(''));
+
+      it('decodes valid ranges', function () {
+        const tcDecoded = decodeTCString(tcString(
+          rangeSection(20, [range(2, 4), range(20, 20)]),
+          [restriction([range(1, 2)])]
+        ));
+
+        expect(tcDecoded.vendorConsents).to.deep.equal([2, 3, 4, 20]);
+        expect(tcDecoded.publisherRestrictions[0].vendors).to.deep.equal([1, 2]);
+      });
+
+      it('returns null if a range is not valid', function () {
+        expect(decodeTCString(tcString(rangeSection(10, [range(0, 2)]), []))).to.be.null;
+        expect(decodeTCString(tcString(rangeSection(10, [range(5, 2)]), []))).to.be.null;
+        expect(decodeTCString(tcString(rangeSection(10, [range(1, 65535)]), []))).to.be.null;
+        expect(decodeTCString(tcString(emptySection, [restriction([range(0, 1)])]))).to.be.null;
+      });
+
+      it('returns null if the ranges cover too many IDs', function () {
+        const overlappingRanges = rangeSection(10, [range(1, 10), range(1, 10)]);
+
+        expect(decodeTCString(tcString(overlappingRanges, []))).to.be.null;
+        expect(decodeTCString(tcString(emptySection, [
+          restriction([range(1, 65535)]),
+          restriction([range(1, 65535)]),
+        ]))).to.be.null;
+      });
+    });
+  });
+
+  describe('tcDataToTokenContent', function () {
+    it('converts TC data with a custom mapping', function () {
+      const content = tcDataToTokenContent(tcData, {
+        purposes: { cookies: 1, analytics: [7, 8] },
+        vendors: { didomi: 755 },
+      });
+
+      expect(content.issued_at).to.equal(1528000000);
+      expect(content.consents).to.deep.equal([
+        {
+          purpose: 'cookies',
+          vendors: [
+            { id: '*', status: false, legitimate_interest: false, updated_at: 1528000060 },
+            { id: '1', status: true, updated_at: 1528000060 },
+            { id: '2', status: true, updated_at: 1528000060 },
+            { id: '8', status: true, updated_at: 1528000060 },
+            { id: 'didomi', status: true, updated_at: 1528000060 },
+            { id: '3', status: undefined, legitimate_interest: false, updated_at: 1528000060 },
+          ],
+        },
+        {
+          purpose: 'analytics',
+          vendors: [
+            { id: '*', status: false, legitimate_interest: false, updated_at: 1528000060 },
+            { id: '1', status: false, updated_at: 1528000060 },
+            { id: '2', status: false, updated_at: 1528000060 },
+            { id: '8', status: false, updated_at: 1528000060 },
+            { id: 'didomi', status: false, updated_at: 1528000060 },
+            { id: '3', status: undefined, legitimate_interest: false, updated_at: 1528000060 },
+          ],
+        },
+      ]);
+    });
+  });
+});
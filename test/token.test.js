@@ -1,5 +1,47 @@
+const crypto = require('crypto');
 const expect = require('chai').expect;
-const { CWT, CWTFromBase64, CWTFromCompressedBase64, CWTFromCompressedJSON, CWTFromJSON } = require('../src/token');
+const {
+  consentMiddleware,
+  CWT,
+  CWTFromBase64,
+  CWTFromBase64Url,
+  CWTFromCBOR,
+  CWTFromCBORBase64,
+  CWTFromCompactBase64,
+  CWTFromCompactBase64Url,
+  CWTFromCompactJSON,
+  CWTFromCompressedBase64,
+  CWTFromCompressedJSON,
+  CWTFromConsentModeState,
+  CWTFromGPPString,
+  CWTFromJSON,
+  CWTFromJWT,
+  CWTFromString,
+  CWTFromTCString,
+  CWTFromTransportString,
+  CWTFromUSPrivacyString,
+  decodeGPPString,
+  decodeTCString,
+  getBrowserPrivacySignals,
+  getRequestPrivacySignals,
+  LegalBases,
+  loadFromCookie,
+  loadFromLocalStorage,
+  MergeStrategies,
+  PrivacySignals,
+  PurposeRegistry,
+  purposeRegistry,
+  Purposes,
+  removeFromCookie,
+  removeFromLocalStorage,
+  saveToCookie,
+  saveToLocalStorage,
+  SignalPurposes,
+  StorageEncodings,
+  vendorGroupRegistry,
+  versions,
+} = require('../src/token');
+const { base64UrlDecode, base64UrlEncode } = require('../src/jwt');
 
 // Ensure that we cna run correctly if the native prototype of Object is modified
 /* eslint no-extend-native: off */
@@ -13,7 +55,13 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         consents: [],
+        history: null,
         version: 1,
       };
 
@@ -28,6 +76,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         consents: [
           {
             purpose: 'cookies',
@@ -37,6 +90,7 @@ describe('CWT - Token', function () {
             }],
           },
         ],
+        history: null,
         version: 1,
       };
 
@@ -53,12 +107,59 @@ describe('CWT - Token', function () {
       expect(CWTFromJSON('{')).to.be.null;
     });
 
+    it('Rejects expired or not yet valid tokens if options are provided', function () {
+      const jsonString = new CWT({
+        issuer: 'didomi',
+        expires_at: 1528003600,
+        not_before: 1528000000,
+      }).toJSON();
+
+      expect(CWTFromJSON(jsonString)).to.be.an.instanceof(CWT);
+      expect(CWTFromJSON(jsonString, {})).to.be.null;
+      expect(CWTFromJSON(jsonString, { currentTime: 1528000000 })).to.be.an.instanceof(CWT);
+      expect(CWTFromJSON(jsonString, { currentTime: 1528003599 })).to.be.an.instanceof(CWT);
+      expect(CWTFromJSON(jsonString, { currentTime: 1528003600 })).to.be.null;
+      expect(CWTFromJSON(jsonString, { currentTime: 1527999999 })).to.be.null;
+    });
+
+    it('Accepts tokens within the clock skew', function () {
+      const jsonString = new CWT({
+        issuer: 'didomi',
+        expires_at: 1528003600,
+        not_before: 1528000000,
+      }).toJSON();
+
+      const parse = currentTime => CWTFromJSON(jsonString, { currentTime, clockSkew: 60 });
+
+      expect(parse(1528003659)).to.be.an.instanceof(CWT);
+      expect(parse(1528003660)).to.be.null;
+      expect(parse(1527999940)).to.be.an.instanceof(CWT);
+      expect(parse(1527999939)).to.be.null;
+    });
+
+    it('Rejects tokens that are not intended for the expected audience', function () {
+      const jsonString = new CWT({
+        issuer: 'didomi',
+        audience: ['vendor', 'vendor2'],
+      }).toJSON();
+
+      expect(CWTFromJSON(jsonString, { audience: 'vendor2' })).to.be.an.instanceof(CWT);
+      expect(CWTFromJSON(jsonString, { audience: ['vendor3', 'vendor'] })).to.be.an.instanceof(CWT);
+      expect(CWTFromJSON(jsonString, { audience: 'vendor3' })).to.be.null;
+      expect(CWTFromJSON(new CWT({ issuer: 'didomi' }).toJSON(), { audience: 'vendor' })).to.be.null;
+    });
+
     it('Ignores compressed JSON', function () {
       expect(CWTFromJSON(JSON.stringify({
         issuer: 'didomi',
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         purposes: {
           enabled: ['purpose', 'purpose3'],
           disabled: ['purpose2'],
@@ -79,6 +180,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         purposes: {
           enabled: [],
           disabled: [],
@@ -97,8 +203,14 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         version: 1,
         consents: [],
+        history: null,
       });
     });
 
@@ -108,6 +220,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         purposes: {
           enabled: ['purpose', 'purpose3'],
           disabled: ['purpose2'],
@@ -126,6 +243,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         version: 1,
         consents: [
           {
@@ -180,6 +302,7 @@ describe('CWT - Token', function () {
             ],
           },
         ],
+        history: null,
       });
     });
 
@@ -191,13 +314,32 @@ describe('CWT - Token', function () {
       expect(CWTFromCompressedJSON('{')).to.be.null;
     });
 
+    it('Rejects expired tokens if options are provided', function () {
+      const jsonString = new CWT({
+        issuer: 'didomi',
+        expires_at: 1528003600,
+        audience: 'vendor',
+      }).toCompressedJSON();
+
+      expect(CWTFromCompressedJSON(jsonString)).to.be.an.instanceof(CWT);
+      expect(CWTFromCompressedJSON(jsonString, { currentTime: 1528000000, audience: 'vendor' })).to.be.an.instanceof(CWT);
+      expect(CWTFromCompressedJSON(jsonString, { currentTime: 1528003600 })).to.be.null;
+      expect(CWTFromCompressedBase64(Buffer.from(jsonString).toString('base64'), { currentTime: 1528003600 })).to.be.null;
+    });
+
     it('Ignores non-compressed JSON', function () {
       expect(CWTFromCompressedJSON(JSON.stringify({
         issuer: 'didomi',
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         consents: [],
+        history: null,
         version: 1,
       }))).to.be.null;
     });
@@ -210,7 +352,13 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         consents: [],
+        history: null,
       };
 
       const token = CWTFromBase64((new Buffer(JSON.stringify(object))).toString('base64'));
@@ -230,6 +378,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         purposes: {
           enabled: ['purpose', 'purpose3'],
           disabled: ['purpose2'],
@@ -249,6 +402,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         purposes: {
           enabled: ['purpose', 'purpose3'],
           disabled: ['purpose2'],
@@ -266,6 +424,11 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         version: 1,
         consents: [
           {
@@ -320,6 +483,7 @@ describe('CWT - Token', function () {
             ],
           },
         ],
+        history: null,
       });
     });
 
@@ -335,234 +499,2181 @@ describe('CWT - Token', function () {
         user_id: 'user@domain.com',
         user_id_type: 'email',
         user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
         consents: [],
+        history: null,
       })).toString('base64')))).to.be.null;
     });
   });
 
-  describe('CWT', function () {
-    it('sets default values', function () {
-      expect(new CWT()).to.deep.equal({
-        issuer: null,
-        user_id: null,
-        user_id_type: null,
-        user_id_hash_method: null,
-        consents: [],
-        version: 1,
-      });
+  describe('CWTFromCompactJSON', function () {
+    it('Keeps the status of every purpose/vendor pair', function () {
+      const token = new CWT({ issuer: 'didomi', issued_at: 1528000000 });
+      token.setConsentStatus(true, 'cookies', 'vendor');
+      token.setConsentStatus(false, 'analytics', 'vendor');
+      token.setConsentStatus(true, 'analytics', '*');
+      token.setConsentStatus(false, 'analytics', 'vendor2', LegalBases.LegitimateInterest);
 
-      expect(new CWT({
-        issuer: 'didomi',
-        consents: null,
-      })).to.deep.equal({
-        issuer: 'didomi',
-        user_id: null,
-        user_id_type: null,
-        user_id_hash_method: null,
-        consents: [],
-        version: 1,
-      });
+      const parsedToken = CWTFromCompactJSON(token.toCompactJSON());
+
+      expect(parsedToken.issuer).to.equal('didomi');
+      expect(parsedToken.issued_at).to.equal(1528000000);
+      expect(parsedToken.getConsentStatus('cookies', 'vendor')).to.be.true;
+      expect(parsedToken.getConsentStatus('analytics', 'vendor')).to.be.false;
+      expect(parsedToken.getConsentStatus('analytics', 'other')).to.be.true;
+      expect(parsedToken.getConsentStatus('analytics', 'vendor2', LegalBases.LegitimateInterest)).to.be.false;
+
+      // Same matrix without the update times
+      const stripTimes = consents => consents.map(c => ({
+        purpose: c.purpose,
+        vendors: c.vendors.map(v => Object.assign({}, v, { updated_at: undefined })),
+      }));
+
+      expect(stripTimes(parsedToken.consents)).to.deep.equal(stripTimes(token.consents));
     });
 
-    describe('toJSON', function () {
-      it('returns a JSON-encoded string', function () {
-        const object = {
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          consents: [],
-        };
+    it('Returns null if the JSON is not a compact token', function () {
+      const token = new CWT({ issuer: 'didomi' });
 
-        const token = new CWT(object);
-        expect(token.toJSON()).to.equal(JSON.stringify(Object.assign({}, object, { version: 1 })));
-      });
+      expect(CWTFromCompactJSON()).to.be.null;
+      expect(CWTFromCompactJSON('{')).to.be.null;
+      expect(CWTFromCompactJSON(token.toJSON())).to.be.null;
+      expect(CWTFromCompactJSON(token.toCompressedJSON())).to.be.null;
+      expect(CWTFromJSON(token.toCompactJSON())).to.be.null;
+      expect(CWTFromCompressedJSON(token.toCompactJSON())).to.be.null;
     });
 
-    describe('toCompressedJSON', function () {
-      it('returns a JSON-encoded string without consents', function () {
-        const object = {
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          consents: [],
-        };
+    it('Rejects expired tokens', function () {
+      const token = new CWT({ expires_at: 1528000000 });
 
-        const token = new CWT(object);
-        expect(token.toCompressedJSON()).to.equal(JSON.stringify({
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          version: 1,
-          purposes: {
-            enabled: [],
-            disabled: [],
-          },
-          vendors: {
-            enabled: [],
-            disabled: [],
-          },
-        }));
-      });
+      expect(CWTFromCompactJSON(token.toCompactJSON(), { currentTime: 1528000001 })).to.be.null;
+    });
+  });
 
-      it('returns a JSON-encoded string with the consents correctly encoded', function () {
-        const object = {
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          consents: [],
-        };
+  describe('CWTFromCompactBase64', function () {
+    it('Generates a CWT object from a compact Base64 string', function () {
+      const token = new CWT({ issuer: 'didomi' });
+      token.setConsentStatus(true, 'cookies', 'vendor');
 
-        const token = new CWT(object);
+      const parsedToken = CWTFromCompactBase64(token.toCompactBase64());
 
-        // All true
-        token.setConsentStatus(true, 'purpose', 'vendor');
-        token.setConsentStatus(true, 'purpose', 'vendor2');
-        token.setConsentStatus(true, 'purpose', 'vendor3');
+      expect(parsedToken.getConsentStatus('cookies', 'vendor')).to.be.true;
+      expect(CWTFromCompactBase64()).to.be.null;
+      expect(CWTFromCompactBase64('!!!')).to.be.null;
+    });
+  });
 
-        // All false
-        token.setConsentStatus(false, 'purpose2', 'vendor');
-        token.setConsentStatus(false, 'purpose2', 'vendor2');
-        token.setConsentStatus(false, 'purpose2', 'vendor3');
+  describe('CWTFromBase64Url', function () {
+    it('Generates a CWT object from a base64url string', function () {
+      // The standard base64 encoding of this token contains + and /
+      const token = new CWT({ issuer: 'didomi', user_id: '?>>' });
+      const base64UrlString = token.toBase64Url();
 
-        // Some true / some false
-        token.setConsentStatus(true, 'purpose3', 'vendor');
-        token.setConsentStatus(false, 'purpose3', 'vendor2');
-        token.setConsentStatus(false, 'purpose3', 'vendor3');
+      expect(token.toBase64()).to.match(/[+/=]/);
+      expect(base64UrlString).to.match(/^[A-Za-z0-9_-]+$/);
+      expect(CWTFromBase64Url(base64UrlString)).to.deep.equal(token);
+    });
 
-        expect(token.toCompressedJSON()).to.equal(JSON.stringify({
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          version: 1,
-          purposes: {
-            enabled: ['purpose', 'purpose3'],
-            disabled: ['purpose2'],
-          },
-          vendors: {
-            enabled: ['vendor'],
-            disabled: ['vendor2', 'vendor3'],
-          },
-        }));
-      });
+    it('Returns null if the string is not valid', function () {
+      expect(CWTFromBase64Url()).to.be.null;
+      expect(CWTFromBase64Url('!!!')).to.be.null;
+      expect(CWTFromBase64Url(new CWT().toCompactBase64Url())).to.be.null;
     });
+  });
 
-    describe('toBase64', function () {
-      it('returns a Base64-encoded string', function () {
-        const object = {
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          consents: [],
-        };
+  describe('CWTFromCompactBase64Url', function () {
+    it('Generates a CWT object from a compact base64url string', function () {
+      const token = new CWT({ issuer: 'didomi' });
+      token.setConsentStatus(true, 'cookies', 'vendor');
 
-        const token = new CWT(object);
-        expect(token.toBase64()).to.equal((new Buffer(JSON.stringify(Object.assign({}, object, { version: 1 })))).toString('base64'));
-      });
+      const parsedToken = CWTFromCompactBase64Url(token.toCompactBase64Url());
+
+      expect(parsedToken.getConsentStatus('cookies', 'vendor')).to.be.true;
+      expect(CWTFromCompactBase64Url('!!!')).to.be.null;
     });
+  });
 
-    describe('toCompressedBase64', function () {
-      it('returns a Base64-encoded string', function () {
-        const object = {
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          consents: [],
-        };
+  describe('CWTFromTransportString', function () {
+    it('Generates the same CWT object for every format and compression', function () {
+      const token = new CWT({ issuer: 'didomi', issued_at: 1528000000 });
+      token.setConsentStatus(true, 'cookies', 'vendor');
+      token.setConsentStatus(false, 'analytics', '*');
 
-        const token = new CWT(object);
-        expect(token.toCompressedBase64()).to.equal((new Buffer(JSON.stringify({
-          issuer: 'didomi',
-          user_id: 'user@domain.com',
-          user_id_type: 'email',
-          user_id_hash_method: null,
-          version: 1,
-          purposes: {
-            enabled: [],
-            disabled: [],
-          },
-          vendors: {
-            enabled: [],
-            disabled: [],
-          },
-        }))).toString('base64'));
+      ['json', 'cbor'].forEach((format) => {
+        ['none', 'deflate', 'gzip'].forEach((compression) => {
+          const transportString = token.toTransportString({ format, compression });
+
+          expect(transportString).to.match(/^[a-z]+\.[A-Za-z0-9_-]+$/);
+          expect(CWTFromTransportString(transportString)).to.deep.equal(token);
+        });
       });
+
+      const compactToken = CWTFromTransportString(token.toTransportString({ format: 'compact', compression: 'gzip' }));
+      expect(compactToken.getConsentStatus('analytics', 'vendor')).to.be.false;
     });
 
-    describe('setConsentStatus', function () {
-      it('sets consent status in a token', function () {
-        const token = new CWT();
-        token.setConsentStatus(true, 'cookies', 'vendor');
+    it('Uses JSON without compression by default', function () {
+      expect(new CWT().toTransportString()).to.match(/^j\./);
+    });
 
-        expect(token.consents).to.deep.equal([
-          {
-            purpose: 'cookies',
-            vendors: [{
-              id: 'vendor',
-              status: true,
-            }],
-          },
-        ]);
-      });
+    it('Returns null if the string is not valid', function () {
+      expect(CWTFromTransportString()).to.be.null;
+      expect(CWTFromTransportString('j.e3')).to.be.null;
+      expect(CWTFromTransportString(new CWT().toBase64Url())).to.be.null;
+    });
 
-      it('sets consent status even if there is already information for that purpose/vendor', function () {
-        const token = new CWT({
-          consents: [{
-            purpose: 'cookies',
-            vendors: [
-              {
-                id: 'vendor',
-                status: false,
-              },
-            ],
-          }],
-        });
+    it('Rejects expired tokens', function () {
+      const token = new CWT({ expires_at: 1528000000 });
 
-        token.setConsentStatus(true, 'cookies', 'vendor');
+      expect(CWTFromTransportString(token.toTransportString({ compression: 'deflate' }), { currentTime: 1528000001 })).to.be.null;
+    });
 
-        expect(token.consents).to.deep.equal([
-          {
-            purpose: 'cookies',
-            vendors: [{
-              id: 'vendor',
-              status: true,
-            }],
-          },
-        ]);
+    it('Throws for unsupported formats', function () {
+      expect(() => new CWT().toTransportString({ format: 'xml' })).to.throw(Error);
+    });
+  });
+
+  describe('CWTFromCBOR', function () {
+    it('Generates the same CWT object from a CBOR-encoded token', function () {
+      const token = new CWT({
+        issuer: 'didomi',
+        user_id: 'user@domain.com',
+        issued_at: 1528000000,
+        audience: 'vendor',
+        history: [],
       });
+      token.setConsentStatus(true, 'cookies', 'vendor');
+      token.setConsentStatus(false, 'analytics', '*', LegalBases.LegitimateInterest);
+
+      expect(CWTFromCBOR(token.toCBOR())).to.deep.equal(token);
+      expect(CWTFromCBOR(Buffer.from(token.toCBOR()))).to.deep.equal(token);
     });
 
-    describe('getConsentStatus', function () {
-      it('returns a consent status from the list', function () {
-        const token = new CWT();
-        token.setConsentStatus(true, 'cookies', 'vendor');
+    it('Keeps the source of the decisions', function () {
+      const token = new CWT({ history: [] });
+      token.setConsentStatus(true, Purposes.SaleOfPersonalData, 'didomi');
+      token.applyPrivacySignals(PrivacySignals.GPC);
 
-        expect(token.getConsentStatus('cookies', 'vendor')).to.deep.equal(true);
-      });
+      const decodedToken = CWTFromCBOR(token.toCBOR());
 
-      it('returns a consent status from the vendor catch-all if it is present', function () {
-        const token = new CWT();
-        token.setConsentStatus(true, 'cookies', '*');
+      expect(decodedToken).to.deep.equal(token);
+      expect(decodedToken.getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('gpc');
+      expect(decodedToken.history.map(entry => entry.source)).to.deep.equal([undefined, 'gpc', 'gpc', 'gpc', 'gpc']);
+    });
 
-        expect(token.getConsentStatus('cookies', 'vendor')).to.deep.equal(true);
+    it('Returns null if the data is not a valid token', function () {
+      expect(CWTFromCBOR()).to.be.null;
+      expect(CWTFromCBOR(new Uint8Array([0x19]))).to.be.null;
+      expect(CWTFromCBOR('token')).to.be.null;
+    });
+
+    it('Rejects expired tokens', function () {
+      const token = new CWT({ expires_at: 1528000000 });
+
+      expect(CWTFromCBOR(token.toCBOR(), { currentTime: 1528000001 })).to.be.null;
+    });
+  });
+
+  describe('CWTFromCBORBase64', function () {
+    it('Generates a CWT object from a base64url string', function () {
+      const token = new CWT({ issuer: 'didomi' });
+      token.setConsentStatus(true, 'cookies', 'vendor');
+
+      const base64UrlString = token.toCBORBase64();
+
+      expect(base64UrlString).to.match(/^[A-Za-z0-9_-]+$/);
+      expect(CWTFromCBORBase64(base64UrlString)).to.deep.equal(token);
+    });
+
+    it('Returns null if the string is not valid', function () {
+      expect(CWTFromCBORBase64()).to.be.null;
+      expect(CWTFromCBORBase64('!!!')).to.be.null;
+      expect(CWTFromCBORBase64('AAAA')).to.be.null;
+    });
+  });
+
+  describe('CWTFromJWT', function () {
+    it('Generates a CWT object from a signed JWT', function () {
+      const token = new CWT({
+        issuer: 'didomi',
+        user_id: 'user@domain.com',
+        user_id_type: 'email',
       });
+      token.setConsentStatus(true, 'cookies', 'vendor');
 
-      it('returns undefined if there is no matching consent', function () {
-        const token = new CWT();
-        expect(token.getConsentStatus('cookies', 'vendor')).to.be.undefined;
+      expect(CWTFromJWT(token.toJWT('secret'), 'secret')).to.deep.equal(token);
+    });
+
+    it('Returns null if the signature is not valid', function () {
+      const jwtString = new CWT({ issuer: 'didomi' }).toJWT('secret');
+      const parts = jwtString.split('.');
+      const tamperedPayload = base64UrlEncode(new CWT({ issuer: 'other' }).toJSON());
+
+      expect(CWTFromJWT(jwtString, 'other-secret')).to.be.null;
+      expect(CWTFromJWT(jwtString)).to.be.null;
+      expect(CWTFromJWT(`${parts[0]}.${tamperedPayload}.${parts[2]}`, 'secret')).to.be.null;
+    });
+
+    it('Generates a CWT object from a JWT signed with a key from a JWKS', function () {
+      const keys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const privateJWK = Object.assign({ kid: 'key' }, keys.privateKey.export({ format: 'jwk' }));
+      const publicJWK = Object.assign({ kid: 'key' }, keys.publicKey.export({ format: 'jwk' }));
+      const token = new CWT({ issuer: 'didomi' });
+
+      const jwtString = token.toJWT(privateJWK, { algorithm: 'ES256' });
+
+      expect(CWTFromJWT(jwtString, { keys: [publicJWK] })).to.deep.equal(token);
+      expect(CWTFromJWT(jwtString, { keys: [] })).to.be.null;
+    });
+
+    it('Maps the registered JWT claims and checks them if options are provided', function () {
+      const token = new CWT({
+        issuer: 'didomi',
+        issued_at: 1528000000,
+        expires_at: 1528003600,
+        token_id: 'token',
+        audience: 'vendor',
       });
+      const jwtString = token.toJWT('secret');
 
-      it('returns undefined if there is no matching vendor', function () {
-        const token = new CWT();
-        token.setConsentStatus(true, 'cookies', 'vendor2');
+      expect(CWTFromJWT(jwtString, 'secret')).to.deep.equal(token);
+      expect(CWTFromJWT(jwtString, 'secret', { currentTime: 1528000000, audience: 'vendor' })).to.deep.equal(token);
+      expect(CWTFromJWT(jwtString, 'secret', { currentTime: 1528003600 })).to.be.null;
+      expect(CWTFromJWT(jwtString, 'secret', { currentTime: 1528000000, audience: 'other' })).to.be.null;
+    });
 
+    it('Returns null if the JWT is not valid', function () {
+      expect(CWTFromJWT(undefined, 'secret')).to.be.null;
+      expect(CWTFromJWT('', 'secret')).to.be.null;
+      expect(CWTFromJWT('a.b.c', 'secret')).to.be.null;
+    });
+  });
+
+  describe('CWTFromString', function () {
+    const token = new CWT({ issuer: 'didomi', user_id: 'user@domain.com' });
+    token.setConsentStatus(true, 'cookies', 'didomi');
+    token.setConsentStatus(false, 'analytics', '*');
+
+    function statuses(parsedToken) {
+      return [
+        parsedToken.getConsentStatus('cookies', 'didomi'),
+        parsedToken.getConsentStatus('analytics', 'other'),
+      ];
+    }
+
+    it('detects the encoding of the token', function () {
+      [
+        token.toJSON(),
+        token.toBase64(),
+        token.toBase64Url(),
+        token.toTransportString({ format: 'cbor', compression: 'deflate' }),
+      ].forEach((value) => {
+        expect(CWTFromString(value)).to.deep.equal(token);
+      });
+
+      [
+        token.toCompactJSON(),
+        token.toCompressedJSON(),
+        token.toCompactBase64(),
+        token.toCompactBase64Url(),
+        token.toCompressedBase64(),
+        token.toCBORBase64(),
+      ].forEach((value) => {
+        expect(statuses(CWTFromString(value))).to.deep.equal([true, false]);
+      });
+    });
+
+    it('verifies the signature of JWTs', function () {
+      expect(CWTFromString(token.toJWT('secret'), { key: 'secret' })).to.deep.equal(token);
+      expect(CWTFromString(token.toJWT('secret'), { key: 'other' })).to.be.null;
+      expect(CWTFromString(token.toJWT('secret'))).to.be.null;
+    });
+
+    it('rejects unsigned tokens if a key is provided', function () {
+      expect(CWTFromString(token.toBase64(), { key: 'secret' })).to.be.null;
+    });
+
+    it('checks the claims of the token', function () {
+      const expiredToken = new CWT({ issuer: 'didomi', expires_at: 1528000000 });
+
+      expect(CWTFromString(expiredToken.toBase64Url())).to.not.be.null;
+      expect(CWTFromString(expiredToken.toBase64Url(), {})).to.be.null;
+    });
+
+    it('returns null for invalid strings', function () {
+      expect(CWTFromString('')).to.be.null;
+      expect(CWTFromString(null)).to.be.null;
+      expect(CWTFromString('not a token')).to.be.null;
+      expect(CWTFromString('a.b.c.d')).to.be.null;
+      expect(CWTFromString('{invalid')).to.be.null;
+      expect(CWTFromString('null')).to.be.null;
+    });
+  });
+
+  describe('CWTFromTCString', function () {
+    it('Generates a CWT object from a TC string', function () {
+      const token = new CWT({ issuer: 'didomi', issued_at: 1528000000 });
+      token.setConsentStatus(true, Purposes.DeviceAccess, '*');
+      token.setConsentStatus(true, Purposes.Analytics, '7');
+      token.setConsentStatus(true, Purposes.Analytics, '10', LegalBases.LegitimateInterest);
+      token.setConsentStatus(true, Purposes.PreciseGeo, '*');
+
+      const parsedToken = CWTFromTCString(token.toTCString({ vendorIds: [8] }));
+
+      expect(parsedToken.issued_at).to.equal(1528000000);
+      expect(parsedToken.getConsentStatus(Purposes.DeviceAccess, '7')).to.be.true;
+      expect(parsedToken.getConsentStatus(Purposes.DeviceAccess, '8')).to.be.true;
+      expect(parsedToken.getConsentStatus(Purposes.DeviceAccess, '11')).to.be.false;
+      expect(parsedToken.getConsentStatus(Purposes.Analytics, '7')).to.be.true;
+      expect(parsedToken.getConsentStatus(Purposes.Analytics, '10', LegalBases.LegitimateInterest)).to.be.true;
+      expect(parsedToken.getConsentStatus(Purposes.AdvertisingPersonalization, '7')).to.be.false;
+      expect(parsedToken.getConsentStatus(Purposes.PreciseGeo, '7')).to.be.true;
+    });
+
+    it('Returns null if the TC string is not valid', function () {
+      expect(CWTFromTCString()).to.be.null;
+      expect(CWTFromTCString('')).to.be.null;
+      expect(CWTFromTCString('BOEFEAyOEFEAyAHABDENAI4AAAB9vABAASA')).to.be.null;
+    });
+  });
+
+  describe('CWTFromConsentModeState', function () {
+    it('Generates a CWT object from a Consent Mode state', function () {
+      const token = CWTFromConsentModeState({
+        ad_storage: 'denied',
+        analytics_storage: 'granted',
+      }, null, { issuer: 'didomi' });
+
+      expect(token.issuer).to.equal('didomi');
+      expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'google')).to.be.true;
+      expect(token.getConsentStatus(Purposes.CookiesMarketing, 'google')).to.be.false;
+      expect(token.getConsentStatus(Purposes.AdvertisingPersonalization, 'google')).to.be.undefined;
+    });
+
+    it('Sets the statuses for a custom vendor', function () {
+      const token = CWTFromConsentModeState({ analytics_storage: 'granted' }, null, null, '*');
+
+      expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'vendor')).to.be.true;
+    });
+  });
+
+  describe('CWTFromUSPrivacyString', function () {
+    it('Generates a CWT object from a US Privacy string', function () {
+      const token = CWTFromUSPrivacyString('1YYN', { issuer: 'didomi' });
+
+      expect(token.issuer).to.equal('didomi');
+      expect(token.getConsentStatus(Purposes.SaleOfPersonalData, 'vendor')).to.be.false;
+      expect(CWTFromUSPrivacyString('1YNN').getConsentStatus(Purposes.SaleOfPersonalData, 'vendor')).to.be.true;
+      expect(CWTFromUSPrivacyString('1---').consents).to.deep.equal([]);
+    });
+
+    it('Returns null if the string is not valid', function () {
+      expect(CWTFromUSPrivacyString()).to.be.null;
+      expect(CWTFromUSPrivacyString('2YNN')).to.be.null;
+      expect(CWTFromUSPrivacyString('1YXN')).to.be.null;
+    });
+  });
+
+  describe('CWTFromGPPString', function () {
+    it('Generates a CWT object from the usnat section', function () {
+      // Notice given, no opt-out and no GPC signal
+      const token = CWTFromGPPString('DBABLA~BVQqAAAAAgA.QA');
+
+      expect(token.getConsentStatus(Purposes.SaleOfPersonalData, 'vendor')).to.be.true;
+      expect(token.getConsentStatus(Purposes.SharingOfPersonalData, 'vendor')).to.be.true;
+      expect(token.getConsentStatus(Purposes.TargetedAdvertising, 'vendor')).to.be.true;
+      expect(token.getConsentStatus(Purposes.SensitiveDataProcessing, 'vendor')).to.be.undefined;
+    });
+
+    it('Generates a CWT object with EU and US choices', function () {
+      const token = new CWT();
+      token.setConsentStatus(true, Purposes.Analytics, '755');
+      token.setConsentStatus(false, Purposes.SaleOfPersonalData, '*');
+
+      const parsedToken = CWTFromGPPString(token.toGPPString({ sections: ['tcfeuv2', 'uspv1'] }));
+
+      expect(parsedToken.getConsentStatus(Purposes.Analytics, '755')).to.be.true;
+      expect(parsedToken.getConsentStatus(Purposes.Analytics, '1')).to.be.false;
+      expect(parsedToken.getConsentStatus(Purposes.SaleOfPersonalData, '1')).to.be.false;
+    });
+
+    it('Generates a CWT object from a string of the reference encoder', function () {
+      // usnat version 2 section with a sale opt-out and a uspv1 section
+      const token = CWTFromGPPString('DBABzw~1YY-~CEAQAAAAAACA.YA');
+
+      expect(token.getConsentStatus(Purposes.SaleOfPersonalData, 'vendor')).to.be.false;
+      expect(token.getConsentStatus(Purposes.SharingOfPersonalData, 'vendor')).to.be.undefined;
+    });
+
+    it('Ignores the sections with an unsupported version', function () {
+      const token = CWTFromGPPString('DBABzw~1YY-~DEAQAAAAAACA.YA');
+
+      expect(token.getConsentStatus(Purposes.SaleOfPersonalData, 'vendor')).to.be.false;
+    });
+
+    it('Returns null if the string is not valid', function () {
+      expect(CWTFromGPPString()).to.be.null;
+      expect(CWTFromGPPString('DBABLA')).to.be.null;
+      expect(CWTFromGPPString('DBABLA~!')).to.be.null;
+    });
+  });
+
+  describe('cookies and local storage', function () {
+    function createDocument() {
+      const cookies = {};
+
+      return {
+        get cookie() {
+          return Object.keys(cookies).map(name => `${name}=${cookies[name]}`).join('; ');
+        },
+        set cookie(value) {
+          const pair = value.split(';')[0];
+          const name = pair.slice(0, pair.indexOf('='));
+
+          if (value.indexOf('Max-Age=0') !== -1) {
+            delete cookies[name];
+          } else {
+            cookies[name] = pair.slice(pair.indexOf('=') + 1);
+          }
+        },
+      };
+    }
+
+    function createStorage() {
+      const items = {};
+
+      return {
+        getItem: key => (items.hasOwnProperty(key) ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: (key) => { delete items[key]; },
+      };
+    }
+
+    const token = new CWT({ issuer: 'didomi', expires_at: 1528000000 });
+    token.setConsentStatus(true, 'cookies', 'didomi');
+    token.setConsentStatus(false, 'analytics', '*');
+
+    it('saves and loads tokens in cookies with every encoding', function () {
+      const document = createDocument();
+
+      [StorageEncodings.JSON, StorageEncodings.Base64].forEach((encoding) => {
+        saveToCookie(token, { document, encoding });
+
+        expect(loadFromCookie('cwt', { document, encoding })).to.deep.equal(token);
+      });
+
+      // The compact and compressed encodings do not keep the update times
+      [StorageEncodings.Compact, StorageEncodings.Compressed].forEach((encoding) => {
+        saveToCookie(token, { document, encoding });
+
+        const loadedToken = loadFromCookie(null, { document, encoding });
+
+        expect(loadedToken.getConsentStatus('cookies', 'didomi')).to.be.true;
+        expect(loadedToken.getConsentStatus('analytics', 'didomi')).to.be.false;
+      });
+    });
+
+    it('uses base64 in cookies by default', function () {
+      const document = createDocument();
+
+      saveToCookie(token, { document, name: 'consent' });
+
+      expect(document.cookie).to.equal(`consent=${token.toBase64Url()}`);
+      expect(loadFromCookie('consent', { document })).to.deep.equal(token);
+    });
+
+    it('saves large tokens in several cookies', function () {
+      const document = createDocument();
+      const largeToken = new CWT({ issuer: 'didomi' });
+
+      for (let i = 0; i < 200; i += 1) {
+        largeToken.setConsentStatus(true, 'cookies', `vendor-${i}`);
+      }
+
+      saveToCookie(largeToken, { document });
+
+      expect(document.cookie).to.match(/^cwt\.0=.*; cwt\.1=/);
+      expect(loadFromCookie('cwt', { document })).to.deep.equal(largeToken);
+    });
+
+    it('validates the loaded tokens', function () {
+      const document = createDocument();
+
+      saveToCookie(token, { document });
+
+      expect(loadFromCookie('cwt', { document, validation: { currentTime: 1528000001 } })).to.be.null;
+      expect(loadFromCookie('cwt', { document, validation: { currentTime: 1527999999 } })).to.deep.equal(token);
+    });
+
+    it('returns null if there is no valid token in the cookie', function () {
+      const document = createDocument();
+
+      expect(loadFromCookie('cwt', { document })).to.be.null;
+
+      document.cookie = 'cwt=invalid';
+
+      expect(loadFromCookie('cwt', { document })).to.be.null;
+
+      document.cookie = `cwt=${Buffer.from('{"version":2}').toString('base64')}`;
+
+      expect(loadFromCookie('cwt', { document })).to.be.null;
+    });
+
+    it('removes tokens from cookies', function () {
+      const document = createDocument();
+
+      saveToCookie(token, { document });
+      removeFromCookie(null, { document });
+
+      expect(document.cookie).to.equal('');
+    });
+
+    it('saves, loads and removes tokens in the local storage', function () {
+      const storage = createStorage();
+
+      saveToLocalStorage(token, { storage });
+      saveToLocalStorage(token, { storage, key: 'compact', encoding: StorageEncodings.Compact });
+
+      expect(storage.getItem('cwt')).to.equal(token.toJSON());
+      expect(loadFromLocalStorage(undefined, { storage })).to.deep.equal(token);
+      expect(loadFromLocalStorage('compact', { storage, encoding: StorageEncodings.Compact }).toCompactJSON())
+        .to.equal(token.toCompactJSON());
+      expect(loadFromLocalStorage('unknown', { storage })).to.be.null;
+
+      removeFromLocalStorage('cwt', { storage });
+
+      expect(loadFromLocalStorage('cwt', { storage })).to.be.null;
+    });
+
+    it('returns null if the token of the local storage uses an unsupported version', function () {
+      const storage = createStorage();
+      storage.setItem('cwt', '{"version":2}');
+
+      expect(loadFromLocalStorage('cwt', { storage })).to.be.null;
+
+      storage.setItem('cwt', '{"version":"1"}');
+
+      expect(loadFromLocalStorage('cwt', { storage })).to.be.null;
+    });
+
+    it('throws for unsupported encodings', function () {
+      expect(() => saveToCookie(token, { document: createDocument(), encoding: 'xml' })).to.throw(Error);
+      expect(() => loadFromLocalStorage('cwt', { storage: createStorage(), encoding: 'xml' })).to.throw(Error);
+    });
+  });
+
+  describe('consentMiddleware', function () {
+    function createResponse() {
+      const headers = {};
+
+      return {
+        headers,
+        getHeader: name => headers[name.toLowerCase()],
+        setHeader: (name, value) => { headers[name.toLowerCase()] = value; },
+      };
+    }
+
+    function run(middleware, req, res) {
+      middleware(req, res || createResponse(), () => {});
+
+      return req;
+    }
+
+    const token = new CWT({ issuer: 'didomi' });
+    token.setConsentStatus(true, 'cookies', 'didomi');
+    token.setConsentStatus(false, 'analytics', '*');
+
+    it('reads tokens from cookies in any encoding', function () {
+      const middleware = consentMiddleware();
+
+      const values = [token.toBase64Url(), token.toCompressedBase64(), token.toTransportString()];
+
+      values.forEach((value) => {
+        const req = run(middleware, { headers: { cookie: `cwt=${encodeURIComponent(value)}` } });
+
+        expect(req.consent.source).to.equal('cookie');
+        expect(req.consent.allows('cookies', 'didomi')).to.be.true;
+        expect(req.consent.allows('analytics', 'didomi')).to.be.false;
+      });
+    });
+
+    it('rejects expired tokens', function () {
+      const expiredToken = new CWT({ issuer: 'didomi', expires_at: 1528000000 });
+      const req = run(consentMiddleware(), { headers: { 'x-consent-token': expiredToken.toBase64() } });
+
+      expect(req.consent.token).to.be.null;
+    });
+
+    it('only accepts signed tokens if a key is provided', function () {
+      const middleware = consentMiddleware({ header: 'Authorization-Consent', key: 'secret' });
+
+      expect(run(middleware, { headers: { 'authorization-consent': token.toJWT('secret') } }).consent.token).to.deep.equal(token);
+      expect(run(middleware, { headers: { 'authorization-consent': token.toJWT('other') } }).consent.token).to.be.null;
+      expect(run(middleware, { headers: { 'authorization-consent': token.toBase64() } }).consent.token).to.be.null;
+    });
+
+    it('writes the updated token in a cookie', function () {
+      const middleware = consentMiddleware({ cookie: 'consent', cookieOptions: { sameSite: 'Strict' } });
+      const res = createResponse();
+      const req = run(middleware, { headers: {} }, res);
+
+      res.setConsentToken(token);
+
+      const cookie = res.headers['set-cookie'][0];
+
+      expect(cookie).to.match(/^consent=[\w-]+; Path=\/; Max-Age=34214400; SameSite=Strict$/);
+      expect(run(middleware, { headers: { cookie } }).consent.token).to.deep.equal(token);
+      expect(req.consent.token).to.equal(token);
+    });
+
+    it('signs the written token if a signing key is provided', function () {
+      const middleware = consentMiddleware({ key: 'secret', signingKey: 'secret' });
+      const res = createResponse();
+
+      run(middleware, { headers: {} }, res).consent.token = null;
+      res.setConsentToken(token);
+
+      const value = res.headers['set-cookie'][0].split(';')[0].slice('cwt='.length);
+
+      expect(CWTFromJWT(value, 'secret')).to.deep.equal(token);
+    });
+
+    it('applies the privacy signals of the requests', function () {
+      const middleware = consentMiddleware({ privacySignals: [PrivacySignals.GPC] });
+      const headers = { 'sec-gpc': '1', dnt: '1', cookie: `cwt=${token.toBase64Url()}` };
+      const req = run(middleware, { headers });
+
+      expect(req.consent.signals).to.deep.equal([PrivacySignals.GPC]);
+      expect(req.consent.allows(Purposes.SaleOfPersonalData, 'didomi')).to.be.false;
+      expect(req.consent.allows('cookies', 'didomi')).to.be.true;
+      expect(token.getConsentStatus(Purposes.SaleOfPersonalData, 'didomi')).to.be.undefined;
+
+      const anonymousReq = run(middleware, { headers: { 'sec-gpc': '1' } });
+
+      expect(anonymousReq.consent.token.getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('gpc');
+      expect(run(consentMiddleware(), { headers }).consent.signals).to.deep.equal([]);
+    });
+
+    it('throws for unsupported encodings and signals', function () {
+      expect(() => consentMiddleware({ encoding: 'xml' })).to.throw(Error);
+      expect(() => consentMiddleware({ privacySignals: ['ccpa'] })).to.throw(Error);
+    });
+  });
+
+  describe('CWT', function () {
+    it('sets default values', function () {
+      expect(new CWT()).to.deep.equal({
+        issuer: null,
+        user_id: null,
+        user_id_type: null,
+        user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
+        consents: [],
+        history: null,
+        version: 1,
+      });
+
+      expect(new CWT({
+        issuer: 'didomi',
+        consents: null,
+      })).to.deep.equal({
+        issuer: 'didomi',
+        user_id: null,
+        user_id_type: null,
+        user_id_hash_method: null,
+        issued_at: null,
+        expires_at: null,
+        not_before: null,
+        token_id: null,
+        audience: null,
+        consents: [],
+        history: null,
+        version: 1,
+      });
+    });
+
+    it('copies the content', function () {
+      const content = {
+        consents: [{ purpose: 'cookies', vendors: [{ id: 'didomi', status: true }] }],
+        history: [],
+        audience: ['didomi'],
+      };
+
+      const token = new CWT(content);
+      const otherToken = new CWT(content);
+
+      token.setConsentStatus(false, 'cookies', 'didomi');
+      token.setConsentStatus(true, 'analytics', 'didomi');
+
+      expect(content.consents).to.deep.equal([{ purpose: 'cookies', vendors: [{ id: 'didomi', status: true }] }]);
+      expect(content.history).to.deep.equal([]);
+      expect(otherToken.getConsentStatus('cookies', 'didomi')).to.be.true;
+      expect(token.audience).to.deep.equal(content.audience);
+      expect(token.audience).to.not.equal(content.audience);
+    });
+
+    describe('versions', function () {
+      it('throws for future versions', function () {
+        expect(() => new CWT({ version: 2 })).to.throw(Error, 'Unsupported CWT version 2');
+        expect(() => CWTFromJSON('{"version":2}')).to.throw(Error);
+        expect(() => CWTFromBase64(new Buffer('{"version":2}').toString('base64'))).to.throw(Error);
+        expect(() => new CWT().toJSON({ version: 2 })).to.throw(Error);
+      });
+
+      it('returns null when parsing tokens with an invalid version', function () {
+        ['"abc"', '-1', '2.5', '"1"'].forEach((version) => {
+          const json = `{"issuer":"didomi","version":${version}}`;
+
+          expect(CWTFromJSON(json)).to.be.null;
+          expect(CWTFromBase64(Buffer.from(json).toString('base64'))).to.be.null;
+          expect(CWTFromString(json)).to.be.null;
+          expect(CWTFromCompactJSON(`{"purposes":["cookies"],"vendors":["didomi"],"statuses":"wA","version":${version}}`)).to.be.null;
+        });
+
+        expect(CWTFromJSON('{"issuer":"didomi","version":null}').issuer).to.equal('didomi');
+        expect(CWTFromCompactJSON('{"purposes":["cookies"],"vendors":["didomi"],"statuses":"wA","version":1}')).to.be.an.instanceof(CWT);
+        expect(() => new CWT({ version: 'abc' })).to.throw(Error, 'Invalid CWT version "abc"');
+      });
+
+      describe('with a migration to version 2', function () {
+        // Version 2 adds a `locale` property to the tokens
+        before(function () {
+          versions.register({
+            upgrade: token => Object.assign({}, token, { locale: token.locale || 'en' }),
+            downgrade: (token) => {
+              const downgraded = Object.assign({}, token);
+              delete downgraded.locale;
+              return downgraded;
+            },
+          });
+        });
+
+        after(function () {
+          versions.migrations.pop();
+        });
+
+        it('upgrades parsed tokens to the current version', function () {
+          const token = CWTFromJSON(new CWT({ issuer: 'didomi' }).toJSON({ version: 1 }));
+
+          expect(token.version).to.equal(2);
+          expect(token.issuer).to.equal('didomi');
+          expect(new CWT().version).to.equal(2);
+        });
+
+        it('exports tokens for an older version', function () {
+          const token = new CWT({ issuer: 'didomi' });
+
+          expect(JSON.parse(token.toJSON()).version).to.equal(2);
+          const options = { version: 1 };
+
+          expect(JSON.parse(token.toJSON(options)))
+            .to.deep.equal(Object.assign(token.toObject(), options));
+          expect(CWTFromCBOR(token.toCBOR(options))).to.deep.equal(token);
+          expect(CWTFromTransportString(token.toTransportString(options))).to.deep.equal(token);
+        });
+      });
+    });
+
+    describe('toJSON', function () {
+      it('returns a JSON-encoded string', function () {
+        const object = {
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          consents: [],
+          history: null,
+        };
+
+        const token = new CWT(object);
+        expect(token.toJSON()).to.equal(JSON.stringify(Object.assign({}, object, { version: 1 })));
+      });
+    });
+
+    describe('toCompressedJSON', function () {
+      it('returns a JSON-encoded string without consents', function () {
+        const object = {
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          consents: [],
+          history: null,
+        };
+
+        const token = new CWT(object);
+        expect(token.toCompressedJSON()).to.equal(JSON.stringify({
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          version: 1,
+          purposes: {
+            enabled: [],
+            disabled: [],
+          },
+          vendors: {
+            enabled: [],
+            disabled: [],
+          },
+        }));
+      });
+
+      it('returns a JSON-encoded string with the consents correctly encoded', function () {
+        const object = {
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          consents: [],
+          history: null,
+        };
+
+        const token = new CWT(object);
+
+        // All true
+        token.setConsentStatus(true, 'purpose', 'vendor');
+        token.setConsentStatus(true, 'purpose', 'vendor2');
+        token.setConsentStatus(true, 'purpose', 'vendor3');
+
+        // All false
+        token.setConsentStatus(false, 'purpose2', 'vendor');
+        token.setConsentStatus(false, 'purpose2', 'vendor2');
+        token.setConsentStatus(false, 'purpose2', 'vendor3');
+
+        // Some true / some false
+        token.setConsentStatus(true, 'purpose3', 'vendor');
+        token.setConsentStatus(false, 'purpose3', 'vendor2');
+        token.setConsentStatus(false, 'purpose3', 'vendor3');
+
+        expect(token.toCompressedJSON()).to.equal(JSON.stringify({
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          version: 1,
+          purposes: {
+            enabled: ['purpose', 'purpose3'],
+            disabled: ['purpose2'],
+          },
+          vendors: {
+            enabled: ['vendor'],
+            disabled: ['vendor2', 'vendor3'],
+          },
+        }));
+      });
+    });
+
+    describe('toBase64', function () {
+      it('returns a Base64-encoded string', function () {
+        const object = {
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          consents: [],
+          history: null,
+        };
+
+        const token = new CWT(object);
+        expect(token.toBase64()).to.equal((new Buffer(JSON.stringify(Object.assign({}, object, { version: 1 })))).toString('base64'));
+      });
+    });
+
+    describe('toCompressedBase64', function () {
+      it('returns a Base64-encoded string', function () {
+        const object = {
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          consents: [],
+          history: null,
+        };
+
+        const token = new CWT(object);
+        expect(token.toCompressedBase64()).to.equal((new Buffer(JSON.stringify({
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          version: 1,
+          purposes: {
+            enabled: [],
+            disabled: [],
+          },
+          vendors: {
+            enabled: [],
+            disabled: [],
+          },
+        }))).toString('base64'));
+      });
+    });
+
+    describe('toCompactJSON', function () {
+      it('returns a JSON string with the purpose and vendor dictionaries', function () {
+        const token = new CWT({ issuer: 'didomi' });
+        token.setConsentStatus(true, 'cookies', '*');
+        token.setConsentStatus(false, 'analytics', '*');
+        token.setConsentStatus(true, 'analytics', 'didomi');
+
+        expect(JSON.parse(token.toCompactJSON())).to.deep.equal({
+          issuer: 'didomi',
+          user_id: null,
+          user_id_type: null,
+          user_id_hash_method: null,
+          issued_at: null,
+          expires_at: null,
+          not_before: null,
+          token_id: null,
+          audience: null,
+          version: 1,
+          purposes: ['cookies', 'analytics'],
+          vendors: ['*', 'didomi'],
+          statuses: 'yw',
+        });
+      });
+    });
+
+    describe('toJWT', function () {
+      it('returns a signed JWT with the token as payload', function () {
+        const token = new CWT({
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+        });
+        const parts = token.toJWT('secret').split('.');
+
+        expect(parts).to.have.length(3);
+        expect(parts[1]).to.equal(base64UrlEncode(JSON.stringify({
+          issuer: 'didomi',
+          user_id: 'user@domain.com',
+          user_id_type: 'email',
+          user_id_hash_method: null,
+          consents: [],
+          history: null,
+          version: 1,
+        })));
+      });
+
+      it('uses the registered JWT claims', function () {
+        const token = new CWT({
+          issuer: 'didomi',
+          issued_at: 1528000000,
+          expires_at: 1528003600,
+          not_before: 1528000000,
+          token_id: 'token',
+          audience: 'vendor',
+        });
+        const parts = token.toJWT('secret').split('.');
+
+        expect(JSON.parse(base64UrlDecode(parts[1]).toString())).to.deep.equal({
+          issuer: 'didomi',
+          user_id: null,
+          user_id_type: null,
+          user_id_hash_method: null,
+          iat: 1528000000,
+          exp: 1528003600,
+          nbf: 1528000000,
+          jti: 'token',
+          aud: 'vendor',
+          consents: [],
+          history: null,
+          version: 1,
+        });
+      });
+    });
+
+    describe('toTCString', function () {
+      it('returns a TC string with the consents mapped to TCF purposes and vendors', function () {
+        const token = new CWT({ issuer: 'didomi', issued_at: 1528000000 });
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(false, 'cookies', '8');
+        token.setConsentStatus(true, 'cookies', '9', LegalBases.LegitimateInterest);
+        token.setConsentStatus(false, 'other', 'didomi');
+
+        const tcData = decodeTCString(token.toTCString({
+          cmpId: 7,
+          vendorListVersion: 42,
+          mapping: {
+            purposes: { cookies: 1 },
+            vendors: { didomi: 755 },
+          },
+          publisherRestrictions: [{ purposeId: 1, restrictionType: 0, vendors: [8] }],
+        }));
+
+        expect(tcData.created).to.equal(1528000000000);
+        expect(tcData.cmpId).to.equal(7);
+        expect(tcData.vendorListVersion).to.equal(42);
+        expect(tcData.purposeConsents).to.deep.equal([1]);
+        expect(tcData.purposeLegitimateInterests).to.deep.equal([1]);
+        expect(tcData.vendorConsents).to.deep.equal([755]);
+        expect(tcData.vendorLegitimateInterests).to.deep.equal([9]);
+        expect(tcData.publisherRestrictions).to.deep.equal([
+          { purposeId: 1, restrictionType: 0, vendors: [8] },
+        ]);
+      });
+
+      it('skips the vendors whose IDs do not fit in TC strings', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', '70000');
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(true, 'cookies', '65535');
+
+        const tcData = decodeTCString(token.toTCString({
+          mapping: { purposes: { cookies: 1 }, vendors: { didomi: 80000 } },
+        }));
+
+        expect(tcData.vendorConsents).to.deep.equal([65535]);
+      });
+    });
+
+    describe('purpose metadata', function () {
+      it('describes the purposes of the token', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.Analytics, 'didomi');
+        token.setConsentStatus(true, 'unknown_purpose', 'didomi');
+
+        const purposes = token.describePurposes('fr');
+
+        expect(purposes.map(purpose => purpose.name)).to.deep.equal(['Mesure d’audience', 'unknown_purpose']);
+        expect(purposes.map(purpose => purpose.custom)).to.deep.equal([false, true]);
+        expect(token.describePurposes(undefined, new PurposeRegistry([{ id: 'analytics', names: { en: 'Stats' } }]))[0].name).to.equal('Stats');
+      });
+
+      it('maps the registered purposes to TCF purposes by default', function () {
+        purposeRegistry.register({ id: 'registry_test_personalization', tcf: { purposes: [9] } });
+
+        const token = new CWT();
+        token.setConsentStatus(true, 'registry_test_personalization', '*');
+
+        expect(decodeTCString(token.toTCString()).purposeConsents).to.deep.equal([9]);
+        const parsedToken = CWTFromTCString(token.toTCString());
+
+        expect(parsedToken.consents.map(c => c.purpose)).to.include('registry_test_personalization');
+      });
+    });
+
+    describe('toConsentModeState', function () {
+      it('returns the Consent Mode state of the token', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.CookiesAnalytics, '*');
+
+        expect(token.toConsentModeState()).to.deep.equal({
+          ad_storage: 'denied',
+          analytics_storage: 'granted',
+          ad_user_data: 'denied',
+          ad_personalization: 'denied',
+          personalization_storage: 'denied',
+        });
+
+        expect(CWTFromConsentModeState(token.toConsentModeState()).toConsentModeState())
+          .to.deep.equal(token.toConsentModeState());
+      });
+    });
+
+    describe('toUSPrivacyString', function () {
+      it('returns the US Privacy string of the token', function () {
+        const token = new CWT();
+
+        expect(token.toUSPrivacyString()).to.equal('1---');
+
+        token.setConsentStatus(false, Purposes.SaleOfPersonalData, '*');
+        expect(token.toUSPrivacyString({ notice: true, lspa: false })).to.equal('1YYN');
+
+        token.setConsentStatus(true, Purposes.SaleOfPersonalData, '*');
+        expect(token.toUSPrivacyString({ notice: true })).to.equal('1YN-');
+      });
+    });
+
+    describe('toGPPString', function () {
+      it('returns a GPP string with the usnat section by default', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, Purposes.SharingOfPersonalData, '*');
+        token.setConsentStatus(true, Purposes.SensitiveDataProcessing, '*');
+
+        const { sectionIds, sections } = decodeGPPString(token.toGPPString({
+          usnat: { notice: true, gpc: true },
+        }));
+
+        expect(sectionIds).to.deep.equal([7]);
+        expect(sections.usnat.saleOptOutNotice).to.equal(1);
+        expect(sections.usnat.saleOptOut).to.equal(0);
+        expect(sections.usnat.sharingOptOut).to.equal(1);
+        expect(sections.usnat.version).to.equal(2);
+        expect(sections.usnat.sensitiveDataProcessing).to.deep.equal(new Array(16).fill(2));
+        expect(sections.usnat.knownChildSensitiveDataConsents).to.deep.equal([0, 0, 0]);
+        expect(sections.usnat.gpc).to.be.true;
+      });
+
+      it('returns a GPP string with several sections', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.Analytics, '755');
+
+        const { sectionIds, sections } = decodeGPPString(token.toGPPString({
+          sections: ['usnat', 'uspv1', 'tcfeuv2'],
+          tcfeuv2: { cmpId: 7 },
+          uspv1: { notice: true },
+        }));
+
+        expect(sectionIds).to.deep.equal([2, 6, 7]);
+        expect(sections.tcfeuv2.cmpId).to.equal(7);
+        expect(sections.tcfeuv2.vendorConsents).to.deep.equal([755]);
+        expect(sections.uspv1.notice).to.be.true;
+      });
+
+      it('throws for unsupported sections', function () {
+        expect(() => new CWT().toGPPString({ sections: ['usca'] })).to.throw(Error);
+      });
+    });
+
+    describe('setConsentStatus', function () {
+      const dateNow = Date.now;
+
+      beforeEach(function () {
+        Date.now = () => 1528000000000;
+      });
+
+      afterEach(function () {
+        Date.now = dateNow;
+      });
+
+      it('sets consent status in a token', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.consents).to.deep.equal([
+          {
+            purpose: 'cookies',
+            vendors: [{
+              id: 'vendor',
+              status: true,
+              updated_at: 1528000000,
+            }],
+          },
+        ]);
+      });
+
+      it('sets consent status even if there is already information for that purpose/vendor', function () {
+        const token = new CWT({
+          consents: [{
+            purpose: 'cookies',
+            vendors: [
+              {
+                id: 'vendor',
+                status: false,
+                updated_at: 1527000000,
+              },
+            ],
+          }],
+        });
+
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.consents).to.deep.equal([
+          {
+            purpose: 'cookies',
+            vendors: [{
+              id: 'vendor',
+              status: true,
+              updated_at: 1528000000,
+            }],
+          },
+        ]);
+      });
+
+      it('does not record the history by default', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.history).to.be.null;
+      });
+
+      it('records the history if it is enabled', function () {
+        const token = new CWT({ history: [] });
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        Date.now = () => 1528000060000;
+        token.setConsentStatus(false, 'cookies', 'vendor');
+
+        expect(token.history).to.deep.equal([
+          {
+            purpose: 'cookies',
+            vendor: 'vendor',
+            status: true,
+            updated_at: 1528000000,
+          },
+          {
+            purpose: 'cookies',
+            vendor: 'vendor',
+            status: false,
+            updated_at: 1528000060,
+          },
+        ]);
+      });
+    });
+
+    describe('legal bases', function () {
+      it('sets the legitimate interest status separately from consent', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'analytics', 'vendor');
+        token.setConsentStatus(false, 'analytics', 'vendor', LegalBases.LegitimateInterest);
+
+        expect(token.consents[0].vendors[0].status).to.be.true;
+        expect(token.consents[0].vendors[0].legitimate_interest).to.be.false;
+        expect(token.getConsentStatus('analytics', 'vendor')).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor', LegalBases.Consent)).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor', LegalBases.LegitimateInterest)).to.be.false;
+      });
+
+      it('uses the vendor catch-all of the legal basis', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'analytics', '*', LegalBases.LegitimateInterest);
+        token.setConsentStatus(false, 'analytics', 'vendor');
+
+        expect(token.getConsentStatus('analytics', 'vendor', LegalBases.LegitimateInterest)).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor2')).to.be.undefined;
+      });
+
+      it('tells if a vendor may process data under any legal basis', function () {
+        const bases = [LegalBases.Consent, LegalBases.LegitimateInterest];
+        const token = new CWT();
+
+        // Consent refused but legitimate interest not objected
+        token.setConsentStatus(false, 'analytics', 'vendor');
+        token.setConsentStatus(true, 'analytics', 'vendor', LegalBases.LegitimateInterest);
+
+        // Consent refused and legitimate interest objected
+        token.setConsentStatus(false, 'analytics', 'vendor2');
+        token.setConsentStatus(false, 'analytics', 'vendor2', LegalBases.LegitimateInterest);
+
+        // Consent given but legitimate interest objected
+        token.setConsentStatus(true, 'analytics', 'vendor3');
+        token.setConsentStatus(false, 'analytics', 'vendor3', LegalBases.LegitimateInterest);
+
+        // Legitimate interest objected, no consent information
+        token.setConsentStatus(false, 'analytics', 'vendor4', LegalBases.LegitimateInterest);
+
+        expect(token.getConsentStatus('analytics', 'vendor', bases)).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor2', bases)).to.be.false;
+        expect(token.getConsentStatus('analytics', 'vendor3', bases)).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor4', bases)).to.be.false;
+        expect(token.getConsentStatus('analytics', 'vendor5', bases)).to.be.undefined;
+      });
+
+      it('records the legal basis in the history', function () {
+        const token = new CWT({ history: [] });
+        token.setConsentStatus(true, 'analytics', 'vendor');
+        token.setConsentStatus(false, 'analytics', 'vendor', LegalBases.LegitimateInterest);
+
+        expect(token.history[1].legal_basis).to.equal(LegalBases.LegitimateInterest);
+        expect(token.getConsentHistory('analytics', 'vendor').map(entry => entry.status)).to.deep.equal([true]);
+        expect(token.getConsentHistory('analytics', 'vendor', LegalBases.LegitimateInterest).map(entry => entry.status)).to.deep.equal([false]);
+      });
+
+      it('preserves the legitimate interest status through JSON', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, 'analytics', 'vendor', LegalBases.LegitimateInterest);
+
+        expect(CWTFromJSON(token.toJSON()).getConsentStatus('analytics', 'vendor', LegalBases.LegitimateInterest)).to.be.false;
+      });
+
+      it('preserves the legitimate interest status through compressed JSON', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(true, 'analytics', 'vendor', LegalBases.LegitimateInterest);
+        token.setConsentStatus(false, 'analytics', 'vendor2', LegalBases.LegitimateInterest);
+
+        const compressed = JSON.parse(token.toCompressedJSON());
+
+        expect(compressed.purposes).to.deep.equal({ enabled: ['cookies'], disabled: [] });
+        expect(compressed.legitimate_interests).to.deep.equal({
+          purposes: { enabled: ['analytics'], disabled: [] },
+          vendors: { enabled: ['vendor'], disabled: ['vendor2'] },
+        });
+
+        const parsedToken = CWTFromCompressedJSON(JSON.stringify(compressed));
+
+        expect(parsedToken.getConsentStatus('cookies', 'vendor')).to.be.true;
+        expect(parsedToken.getConsentStatus('analytics', 'vendor')).to.be.undefined;
+        expect(parsedToken.getConsentStatus('analytics', 'vendor', LegalBases.LegitimateInterest)).to.be.true;
+        expect(parsedToken.getConsentStatus('analytics', 'vendor2', LegalBases.LegitimateInterest)).to.be.false;
+      });
+
+      it('throws if the legal basis is unknown', function () {
+        const token = new CWT();
+
+        expect(() => token.setConsentStatus(true, 'analytics', 'vendor', 'contract')).to.throw(Error);
+      });
+    });
+
+    describe('getConsentHistory', function () {
+      it('returns the history of a purpose/vendor', function () {
+        const token = new CWT({ history: [] });
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(true, 'cookies', 'vendor2');
+        token.setConsentStatus(false, 'analytics', 'vendor');
+        token.setConsentStatus(false, 'cookies', 'vendor');
+
+        const history = token.getConsentHistory('cookies', 'vendor');
+
+        expect(history.map(entry => entry.status)).to.deep.equal([true, false]);
+        expect(history[0].updated_at).to.be.a('number');
+      });
+
+      it('preserves the history and timestamps through JSON', function () {
+        const token = new CWT({ history: [] });
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(false, 'cookies', 'vendor');
+
+        const parsedToken = CWTFromJSON(token.toJSON());
+
+        expect(parsedToken.getConsentHistory('cookies', 'vendor')).to.deep.equal(token.getConsentHistory('cookies', 'vendor'));
+        expect(parsedToken.consents).to.deep.equal(token.consents);
+
+        parsedToken.setConsentStatus(true, 'cookies', 'vendor');
+        expect(parsedToken.getConsentHistory('cookies', 'vendor')).to.have.length(3);
+      });
+
+      it('returns an empty list if the history is not recorded', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.getConsentHistory('cookies', 'vendor')).to.deep.equal([]);
+      });
+    });
+
+    describe('getConsentStatus', function () {
+      it('returns a consent status from the list', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.getConsentStatus('cookies', 'vendor')).to.deep.equal(true);
+      });
+
+      it('returns a consent status from the vendor catch-all if it is present', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', '*');
+
+        expect(token.getConsentStatus('cookies', 'vendor')).to.deep.equal(true);
+      });
+
+      it('returns undefined if there is no matching consent', function () {
+        const token = new CWT();
+        expect(token.getConsentStatus('cookies', 'vendor')).to.be.undefined;
+      });
+
+      it('returns undefined if there is no matching vendor', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor2');
+
+        expect(token.getConsentStatus('cookies', 'vendor')).to.be.undefined;
+      });
+    });
+
+    describe('purpose hierarchy', function () {
+      it('falls back to the status of the parent purpose', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.Cookies, 'didomi');
+        token.setConsentStatus(false, Purposes.Cookies, '*');
+
+        expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'didomi')).to.be.true;
+        expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'other')).to.be.false;
+        expect(token.getConsentSource(Purposes.CookiesAnalytics, 'didomi')).to.equal('user');
+
+        // Purposes that are not children of cookies do not fall back
+        expect(token.getConsentStatus(Purposes.Analytics, 'didomi')).to.be.undefined;
+      });
+
+      it('resolves the vendor, then all vendors in the purpose, then the parent purpose', function () {
+        const token = new CWT();
+        const status = vendorId => token.getConsentStatus(Purposes.CookiesMarketing, vendorId);
+
+        token.setConsentStatus(true, Purposes.Cookies, 'didomi');
+        expect(status('didomi')).to.be.true;
+
+        // All vendors in the child purpose are more specific than the vendor in the parent purpose
+        token.setConsentStatus(false, Purposes.CookiesMarketing, '*');
+        expect(status('didomi')).to.be.false;
+
+        token.setConsentStatus(true, Purposes.CookiesMarketing, 'didomi');
+        expect(status('didomi')).to.be.true;
+        expect(status('other')).to.be.false;
+      });
+
+      it('falls back per legal basis', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.CookiesSocial, 'didomi');
+        token.setConsentStatus(false, Purposes.Cookies, 'didomi', LegalBases.LegitimateInterest);
+
+        expect(token.getConsentStatus(Purposes.CookiesSocial, 'didomi')).to.be.true;
+        expect(token.getConsentStatus(Purposes.CookiesSocial, 'didomi', LegalBases.LegitimateInterest)).to.be.false;
+      });
+
+      it('falls back through several levels of registered purposes', function () {
+        purposeRegistry
+          .register({ id: 'hierarchy_test_marketing' })
+          .register({ id: 'hierarchy_test_email', parent: 'hierarchy_test_marketing' })
+          .register({ id: 'hierarchy_test_newsletter', parent: 'hierarchy_test_email' });
+
+        const token = new CWT();
+        token.setConsentStatus(false, 'hierarchy_test_marketing', '*');
+
+        expect(token.getConsentStatus('hierarchy_test_newsletter', 'didomi')).to.be.false;
+
+        token.setConsentStatus(true, 'hierarchy_test_email', 'didomi');
+
+        expect(token.getConsentStatus('hierarchy_test_newsletter', 'didomi')).to.be.true;
+        expect(token.getConsentStatus('hierarchy_test_newsletter', 'other')).to.be.false;
+      });
+
+      it('cascades the status of a purpose to its descendants', function () {
+        const token = new CWT({ history: [] });
+        const changes = [];
+
+        token.setConsentStatus(true, Purposes.CookiesAnalytics, 'didomi');
+        token.on('change', list => changes.push(list));
+        token.setConsentStatus(false, Purposes.Cookies, 'didomi', LegalBases.Consent, { cascade: true });
+
+        expect(token.consents.map(c => [c.purpose, c.vendors[0].status])).to.deep.equal([
+          [Purposes.CookiesAnalytics, false],
+          [Purposes.Cookies, false],
+          [Purposes.CookiesMarketing, false],
+          [Purposes.CookiesSocial, false],
+        ]);
+        expect(token.history).to.have.lengthOf(5);
+
+        // The changes are notified together
+        expect(changes).to.have.lengthOf(1);
+        expect(changes[0]).to.have.lengthOf(4);
+      });
+
+      it('only changes the purpose without the cascade option', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.CookiesAnalytics, 'didomi');
+        token.setConsentStatus(false, Purposes.Cookies, 'didomi', undefined, { cascade: false });
+
+        expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'didomi')).to.be.true;
+        expect(token.consents).to.have.lengthOf(2);
+      });
+
+      it('cascades the status in frozen tokens', function () {
+        const frozenToken = CWT.builder({ history: [] })
+          .setConsentStatus(true, Purposes.CookiesAnalytics, 'didomi')
+          .setConsentStatus(false, Purposes.Cookies, 'didomi', undefined, { cascade: true })
+          .build();
+
+        expect(Object.isFrozen(frozenToken)).to.be.true;
+        expect(frozenToken.getConsentStatus(Purposes.CookiesAnalytics, 'didomi')).to.be.false;
+        expect(frozenToken.consents).to.have.lengthOf(4);
+        expect(frozenToken.history).to.have.lengthOf(5);
+      });
+    });
+
+    describe('vendor groups and purpose catch-all', function () {
+      before(function () {
+        vendorGroupRegistry
+          .register({ id: 'group_test_analytics', vendors: ['group_test_google', 'group_test_matomo'] })
+          .register({ id: 'group_test_advertising', vendors: ['group_test_google', '755'] });
+      });
+
+      it('resolves the vendor, then its groups, then all vendors', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, Purposes.Analytics, '*');
+        token.setConsentStatus(true, Purposes.Analytics, 'group_test_analytics');
+        token.setConsentStatus(false, Purposes.Analytics, 'group_test_matomo');
+
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_matomo')).to.be.false;
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_google')).to.be.true;
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_analytics')).to.be.true;
+        expect(token.getConsentStatus(Purposes.Analytics, 'didomi')).to.be.false;
+        expect(token.getConsentSource(Purposes.Analytics, 'group_test_google')).to.equal('user');
+      });
+
+      it('gives priority to refusals when the groups of a vendor have different statuses', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.Analytics, 'group_test_analytics');
+        token.setConsentStatus(false, Purposes.Analytics, 'group_test_advertising');
+
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_google')).to.be.false;
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_matomo')).to.be.true;
+        expect(token.getConsentStatus(Purposes.Analytics, '755')).to.be.false;
+      });
+
+      it('resolves the groups for every legal basis', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, Purposes.Analytics, 'group_test_analytics', LegalBases.LegitimateInterest);
+
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_google')).to.be.undefined;
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_google', LegalBases.LegitimateInterest)).to.be.true;
+        expect(token.getConsentStatus(Purposes.Analytics, 'group_test_google', [LegalBases.Consent, LegalBases.LegitimateInterest])).to.be.true;
+      });
+
+      it('falls back to the * purpose', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, '*', '*');
+        token.setConsentStatus(true, '*', 'group_test_analytics');
+        token.setConsentStatus(true, Purposes.Analytics, 'didomi');
+
+        expect(token.getConsentStatus(Purposes.Analytics, 'didomi')).to.be.true;
+        expect(token.getConsentStatus(Purposes.DeviceAccess, 'didomi')).to.be.false;
+        expect(token.getConsentStatus(Purposes.DeviceAccess, 'group_test_matomo')).to.be.true;
+        expect(token.getConsentStatus('*', 'didomi')).to.be.false;
+      });
+
+      it('gives priority to the decisions made for the purpose and its ancestors over the * purpose', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, '*', 'didomi');
+        token.setConsentStatus(false, Purposes.Cookies, '*');
+
+        expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'didomi')).to.be.false;
+        expect(token.getConsentStatus(Purposes.Analytics, 'didomi')).to.be.true;
+      });
+
+      it('keeps the groups and the * purpose in the lossless formats', function () {
+        const token = new CWT({ issuer: 'didomi' });
+        token.setConsentStatus(false, '*', '*');
+        token.setConsentStatus(true, Purposes.Analytics, 'group_test_analytics');
+        token.setConsentStatus(false, Purposes.Analytics, 'group_test_matomo');
+
+        const statuses = t => t.consents.map(consent => [
+          consent.purpose,
+          consent.vendors.map(vendor => [vendor.id, vendor.status]),
+        ]);
+
+        [
+          CWTFromJSON(token.toJSON()),
+          CWTFromCompactJSON(token.toCompactJSON()),
+          CWTFromCBOR(token.toCBOR()),
+          CWTFromTransportString(token.toTransportString()),
+        ].forEach((parsedToken) => {
+          // The compact format does not keep the update times
+          expect(statuses(parsedToken)).to.deep.equal(statuses(token));
+          expect(parsedToken.getConsentStatus(Purposes.Analytics, 'group_test_google')).to.be.true;
+          expect(parsedToken.getConsentStatus(Purposes.Analytics, 'group_test_matomo')).to.be.false;
+          expect(parsedToken.getConsentStatus(Purposes.Cookies, 'group_test_google')).to.be.false;
+        });
+      });
+
+      it('keeps the statuses of the groups and of the * purpose in the compressed format', function () {
+        const token = new CWT({ issuer: 'didomi' });
+        token.setConsentStatus(false, '*', 'group_test_advertising');
+        token.setConsentStatus(true, Purposes.Analytics, 'group_test_advertising');
+
+        const parsedToken = CWTFromCompressedJSON(token.toCompressedJSON());
+
+        expect(parsedToken.getConsentStatus(Purposes.Analytics, '755')).to.be.true;
+        expect(parsedToken.getConsentStatus(Purposes.Cookies, '755')).to.be.false;
+      });
+
+      it('expands the groups and resolves the * purpose in TC strings', function () {
+        const token = new CWT({ issuer: 'didomi', issued_at: 1528000000 });
+        token.setConsentStatus(true, '*', 'group_test_advertising');
+        token.setConsentStatus(false, Purposes.Analytics, '*');
+
+        const tcData = decodeTCString(token.toTCString({
+          mapping: {
+            purposes: { [Purposes.Analytics]: [7], [Purposes.DeviceAccess]: [1] },
+            vendors: {},
+          },
+        }));
+
+        // The decision for analytics is more specific than the decision for all purposes
+        expect(tcData.purposeConsents).to.deep.equal([1]);
+        expect(tcData.vendorConsents).to.deep.equal([755]);
+      });
+
+      it('resolves the * purpose in the US privacy and Consent Mode formats', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, '*', '*');
+
+        expect(token.toUSPrivacyString({ notice: true, lspa: false })).to.equal('1YYN');
+        expect(token.toConsentModeState().analytics_storage).to.equal('denied');
+
+        token.setConsentStatus(true, '*', 'google');
+
+        expect(token.toConsentModeState().analytics_storage).to.equal('granted');
+      });
+    });
+
+    describe('removeConsentStatus', function () {
+      it('removes the consent status of a purpose/vendor', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(true, 'cookies', 'vendor2');
+
+        expect(token.removeConsentStatus('cookies', 'vendor')).to.be.true;
+        expect(token.getConsentStatus('cookies', 'vendor')).to.be.undefined;
+        expect(token.getConsentStatus('cookies', 'vendor2')).to.be.true;
+      });
+
+      it('removes the purpose if it does not have any vendor left', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.removeConsentStatus('cookies', 'vendor')).to.be.true;
+        expect(token.consents).to.deep.equal([]);
+      });
+
+      it('returns false if there is no matching consent', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+
+        expect(token.removeConsentStatus('analytics', 'vendor')).to.be.false;
+        expect(token.removeConsentStatus('cookies', 'vendor2')).to.be.false;
+      });
+    });
+
+    describe('removePurpose', function () {
+      it('removes a purpose and its vendors', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(true, 'analytics', 'vendor');
+
+        expect(token.removePurpose('cookies')).to.be.true;
+        expect(token.consents.map(c => c.purpose)).to.deep.equal(['analytics']);
+        expect(token.removePurpose('cookies')).to.be.false;
+      });
+    });
+
+    describe('removeVendor', function () {
+      it('removes a vendor across all purposes', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(true, 'cookies', 'vendor2');
+        token.setConsentStatus(true, 'analytics', 'vendor');
+
+        expect(token.removeVendor('vendor')).to.be.true;
         expect(token.getConsentStatus('cookies', 'vendor')).to.be.undefined;
+        expect(token.getConsentStatus('cookies', 'vendor2')).to.be.true;
+        expect(token.consents.map(c => c.purpose)).to.deep.equal(['cookies']);
+        expect(token.removeVendor('vendor')).to.be.false;
+      });
+    });
+
+    describe('revokeAll', function () {
+      it('sets all the consent statuses to false', function () {
+        const token = new CWT({ history: [] });
+        token.setConsentStatus(true, 'cookies', '*');
+        token.setConsentStatus(true, 'cookies', 'vendor');
+        token.setConsentStatus(false, 'analytics', 'vendor');
+
+        token.revokeAll();
+
+        expect(token.getConsentStatus('cookies', 'vendor')).to.be.false;
+        expect(token.getConsentStatus('cookies', 'vendor2')).to.be.false;
+        expect(token.getConsentStatus('analytics', 'vendor')).to.be.false;
+        expect(token.getConsentHistory('cookies', 'vendor').map(entry => entry.status)).to.deep.equal([true, false]);
+      });
+    });
+
+    describe('merge', function () {
+      it('merges tokens into a new token', function () {
+        const webToken = new CWT({ issuer: 'didomi', history: [] });
+        webToken.setConsentStatus(true, Purposes.Cookies, 'didomi');
+
+        const appToken = new CWT({ issuer: 'didomi-app', user_id: 'user@domain.com' });
+        appToken.setConsentStatus(false, Purposes.Cookies, '*');
+        appToken.setConsentStatus(true, Purposes.Analytics, 'didomi');
+
+        const { token, conflicts } = CWT.merge(
+          [webToken, appToken],
+          MergeStrategies.MostRestrictive
+        );
+
+        expect(token).to.be.an.instanceof(CWT);
+        expect(token.issuer).to.equal('didomi');
+        expect(token.user_id).to.equal('user@domain.com');
+        expect(token.getConsentStatus(Purposes.Cookies, 'didomi')).to.be.false;
+        expect(token.getConsentStatus(Purposes.Analytics, 'didomi')).to.be.true;
+        expect(token.getConsentHistory(Purposes.Cookies, 'didomi')).to.have.length(1);
+        expect(conflicts).to.have.length(1);
+        expect(conflicts[0].vendor).to.equal('didomi');
+      });
+
+      it('resolves the statuses through the purpose hierarchy', function () {
+        const parentToken = new CWT();
+        parentToken.setConsentStatus(false, Purposes.Cookies, 'didomi');
+
+        const childToken = new CWT();
+        childToken.setConsentStatus(true, Purposes.CookiesAnalytics, 'didomi');
+
+        const { token, conflicts } = CWT.merge(
+          [parentToken, childToken],
+          MergeStrategies.MostRestrictive
+        );
+
+        expect(token.getConsentStatus(Purposes.CookiesAnalytics, 'didomi')).to.be.false;
+        expect(conflicts).to.have.length(1);
+        expect(conflicts[0].purpose).to.equal(Purposes.CookiesAnalytics);
+      });
+
+      it('keeps the source of the decisions', function () {
+        const signalToken = new CWT({ history: [] });
+        signalToken.setConsentStatus(true, Purposes.SaleOfPersonalData, 'didomi');
+        signalToken.applyPrivacySignals(PrivacySignals.GPC);
+
+        const userToken = new CWT();
+        userToken.setConsentStatus(true, Purposes.TargetedAdvertising, 'didomi');
+
+        const { token } = CWT.merge([userToken, signalToken], MergeStrategies.MostRestrictive);
+
+        expect(token.getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('gpc');
+        expect(token.getConsentSource(Purposes.TargetedAdvertising, 'didomi')).to.equal('gpc');
+        expect(token.history.map(entry => entry.source)).to.deep.equal([undefined, 'gpc', 'gpc', 'gpc', 'gpc']);
+      });
+    });
+
+    describe('diff', function () {
+      it('compares two tokens', function () {
+        const token = new CWT({ issuer: 'didomi' });
+        token.setConsentStatus(true, Purposes.Cookies, 'didomi');
+
+        // The status of cookies also applies to its descendants
+        const purposes = [Purposes.Cookies]
+          .concat(purposeRegistry.getDescendants(Purposes.Cookies));
+
+        expect(CWT.diff(null, token).added).to.deep.equal(purposes.map(purpose => ({
+          purpose,
+          vendor: 'didomi',
+          legal_basis: LegalBases.Consent,
+          status: true,
+        })));
+        expect(CWT.diff(token, null).removed).to.have.length(4);
+        expect(CWT.diff(token, null).fields).to.deep.equal([
+          { field: 'issuer', before: 'didomi', after: null },
+        ]);
+      });
+    });
+
+    describe('grantAll', function () {
+      it('gives consent for all the purposes and vendors', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, 'cookies', 'vendor');
+
+        token.grantAll(['cookies', 'analytics'], ['vendor', 'vendor2']);
+
+        expect(token.getConsentStatus('cookies', 'vendor')).to.be.true;
+        expect(token.getConsentStatus('cookies', 'vendor2')).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor')).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor2')).to.be.true;
+        expect(token.getConsentStatus('analytics', 'vendor3')).to.be.undefined;
+      });
+
+      it('gives consent for all vendors by default', function () {
+        const token = new CWT();
+        token.grantAll(['cookies']);
+
+        expect(token.getConsentStatus('cookies', 'vendor')).to.be.true;
+      });
+    });
+
+    describe('on', function () {
+      it('notifies the listeners of every change', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        token.on('change', changes => notifications.push(changes));
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(false, 'cookies', 'didomi', 'legitimate_interest');
+
+        expect(notifications).to.deep.equal([
+          [{ purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: undefined, after: true }],
+          [{ purpose: 'cookies', vendor: 'didomi', legal_basis: 'legitimate_interest', before: undefined, after: false }],
+        ]);
+      });
+
+      it('notifies the listeners once for bulk changes', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(true, 'analytics', 'didomi');
+
+        const notifications = [];
+
+        token.on('change', changes => notifications.push(changes));
+        token.revokeAll();
+
+        expect(notifications).to.deep.equal([[
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: true, after: false },
+          { purpose: 'analytics', vendor: 'didomi', legal_basis: 'consent', before: true, after: false },
+        ]]);
+      });
+
+      it('notifies the listeners of removed statuses', function () {
+        const token = new CWT();
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(false, 'cookies', 'didomi', 'legitimate_interest');
+
+        const notifications = [];
+
+        token.on('change', changes => notifications.push(changes));
+        token.removeVendor('didomi');
+
+        expect(notifications).to.deep.equal([[
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: true, after: undefined },
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'legitimate_interest', before: false, after: undefined },
+        ]]);
+      });
+
+      it('returns a function that removes the listener', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        const off = token.on('change', changes => notifications.push(changes));
+        off();
+        token.setConsentStatus(true, 'cookies', 'didomi');
+
+        expect(notifications).to.deep.equal([]);
+      });
+    });
+
+    describe('off', function () {
+      it('removes a listener', function () {
+        const token = new CWT();
+        const notifications = [];
+        const listener = changes => notifications.push(changes);
+
+        token.on('change', listener);
+
+        expect(token.off('change', listener)).to.be.true;
+        expect(token.off('change', listener)).to.be.false;
+
+        token.setConsentStatus(true, 'cookies', 'didomi');
+
+        expect(notifications).to.deep.equal([]);
+      });
+    });
+
+    describe('subscribe', function () {
+      it('notifies the subscription when the status changes', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        token.subscribe('cookies', 'didomi', change => notifications.push(change));
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(true, 'cookies', 'didomi');
+        token.setConsentStatus(true, 'analytics', 'didomi');
+        token.setConsentStatus(true, 'cookies', 'didomi', 'legitimate_interest');
+
+        expect(notifications).to.deep.equal([
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: undefined, after: true },
+        ]);
+      });
+
+      it('notifies the subscription when the status changes through the * vendor', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        token.subscribe('cookies', 'didomi', change => notifications.push(change), 'legitimate_interest');
+        token.setConsentStatus(false, 'cookies', '*', 'legitimate_interest');
+
+        expect(notifications).to.deep.equal([
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'legitimate_interest', before: undefined, after: false },
+        ]);
+      });
+
+      it('returns a function that removes the subscription', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        const unsubscribe = token.subscribe('cookies', 'didomi', change => notifications.push(change));
+        unsubscribe();
+        token.setConsentStatus(true, 'cookies', 'didomi');
+
+        expect(notifications).to.deep.equal([]);
+      });
+
+      it('throws for unknown legal bases', function () {
+        expect(() => new CWT().subscribe('cookies', 'didomi', () => {}, 'contract')).to.throw(Error);
+      });
+    });
+
+    describe('transaction', function () {
+      it('batches the notifications of the changes', function () {
+        const token = new CWT();
+        const listenerNotifications = [];
+        const subscriptionNotifications = [];
+
+        token.on('change', changes => listenerNotifications.push(changes));
+        token.subscribe('cookies', 'didomi', change => subscriptionNotifications.push(change));
+
+        token.transaction(() => {
+          token.setConsentStatus(false, 'cookies', 'didomi');
+          token.setConsentStatus(true, 'cookies', 'didomi');
+          token.setConsentStatus(true, 'analytics', 'didomi');
+
+          expect(listenerNotifications).to.deep.equal([]);
+        });
+
+        expect(listenerNotifications).to.deep.equal([[
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: undefined, after: false },
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: false, after: true },
+          { purpose: 'analytics', vendor: 'didomi', legal_basis: 'consent', before: undefined, after: true },
+        ]]);
+        expect(subscriptionNotifications).to.deep.equal([
+          { purpose: 'cookies', vendor: 'didomi', legal_basis: 'consent', before: undefined, after: true },
+        ]);
+      });
+
+      it('does not notify the subscriptions if the status is back to its initial value', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        token.subscribe('cookies', 'didomi', change => notifications.push(change));
+        token.transaction(() => {
+          token.setConsentStatus(true, 'cookies', 'didomi');
+          token.removeConsentStatus('cookies', 'didomi');
+        });
+
+        expect(notifications).to.deep.equal([]);
+      });
+
+      it('sends the notifications if the callback throws', function () {
+        const token = new CWT();
+        const notifications = [];
+
+        token.on('change', changes => notifications.push(changes));
+
+        expect(() => token.transaction(() => {
+          token.setConsentStatus(true, 'cookies', 'didomi');
+          throw new Error('Failed');
+        })).to.throw('Failed');
+
+        expect(notifications).to.have.lengthOf(1);
+      });
+    });
+
+    describe('with', function () {
+      it('creates a frozen copy of the token', function () {
+        const token = new CWT({ issuer: 'didomi', history: [] });
+        token.setConsentStatus(true, 'cookies', 'didomi');
+
+        const frozenToken = token.with({ user_id: 'user@domain.com' });
+
+        expect(Object.isFrozen(frozenToken)).to.be.true;
+        expect(Object.isFrozen(frozenToken.consents[0].vendors[0])).to.be.true;
+        expect(frozenToken.user_id).to.equal('user@domain.com');
+        expect(frozenToken.consents).to.deep.equal(token.consents);
+        expect(frozenToken.history).to.deep.equal(token.history);
+
+        token.setConsentStatus(false, 'cookies', 'didomi');
+
+        expect(frozenToken.getConsentStatus('cookies', 'didomi')).to.be.true;
+      });
+
+      it('shares the consents between frozen tokens', function () {
+        const frozenToken = new CWT({ issuer: 'didomi' }).with();
+        const copy = frozenToken.with({ issuer: 'other' });
+
+        expect(copy.consents).to.equal(frozenToken.consents);
+        expect(frozenToken.issuer).to.equal('didomi');
+      });
+
+      it('prevents the modification of frozen tokens', function () {
+        const frozenToken = new CWT().with();
+
+        expect(() => frozenToken.setConsentStatus(true, 'cookies', 'didomi')).to.throw('immutable');
+        expect(() => frozenToken.removeConsentStatus('cookies', 'didomi')).to.throw('immutable');
+        expect(() => frozenToken.removePurpose('cookies')).to.throw('immutable');
+        expect(() => frozenToken.removeVendor('didomi')).to.throw('immutable');
+        expect(() => frozenToken.revokeAll()).to.throw('immutable');
+        expect(() => frozenToken.grantAll(['cookies'])).to.throw('immutable');
+      });
+    });
+
+    describe('withConsentStatus', function () {
+      it('creates a frozen copy of the token with the status changed', function () {
+        const frozenToken = new CWT({ history: [] }).with()
+          .withConsentStatus(true, 'cookies', 'didomi')
+          .withConsentStatus(true, 'analytics', 'didomi');
+
+        const updatedToken = frozenToken.withConsentStatus(false, 'cookies', 'didomi', 'legitimate_interest');
+
+        expect(Object.isFrozen(updatedToken)).to.be.true;
+        expect(updatedToken.getConsentStatus('cookies', 'didomi', 'legitimate_interest')).to.be.false;
+        expect(updatedToken.getConsentStatus('cookies', 'didomi')).to.be.true;
+        expect(updatedToken.getConsentHistory('cookies', 'didomi', 'legitimate_interest')).to.have.lengthOf(1);
+        expect(frozenToken.getConsentStatus('cookies', 'didomi', 'legitimate_interest')).to.be.undefined;
+        expect(frozenToken.history).to.have.lengthOf(2);
+
+        // The unchanged purposes are shared
+        expect(updatedToken.consents[1]).to.equal(frozenToken.consents[1]);
+        expect(updatedToken.history[0]).to.equal(frozenToken.history[0]);
+      });
+
+      it('throws for unknown legal bases', function () {
+        expect(() => new CWT().with().withConsentStatus(true, 'cookies', 'didomi', 'contract')).to.throw(Error);
+      });
+    });
+
+    describe('withoutConsentStatus', function () {
+      it('creates a frozen copy of the token without the status', function () {
+        const frozenToken = new CWT().with().withConsentStatus(true, 'cookies', 'didomi');
+        const updatedToken = frozenToken.withoutConsentStatus('cookies', 'didomi');
+
+        expect(Object.isFrozen(updatedToken)).to.be.true;
+        expect(updatedToken.consents).to.deep.equal([]);
+        expect(frozenToken.getConsentStatus('cookies', 'didomi')).to.be.true;
+      });
+    });
+
+    describe('privacy signals', function () {
+      it('refuses the sale, sharing and advertising purposes for all vendors', function () {
+        const token = new CWT({ history: [] });
+        token.setConsentStatus(true, Purposes.SaleOfPersonalData, 'didomi');
+        token.setConsentStatus(false, Purposes.SharingOfPersonalData, '*');
+
+        expect(token.applyPrivacySignals(PrivacySignals.GPC)).to.be.true;
+
+        SignalPurposes.forEach((purpose) => {
+          expect(token.getConsentStatus(purpose, 'didomi')).to.be.false;
+          expect(token.getConsentStatus(purpose, 'other')).to.be.false;
+        });
+
+        expect(token.getConsentStatus(Purposes.Cookies, 'didomi')).to.be.undefined;
+        const history = token.history.map(entry => [entry.purpose, entry.vendor, entry.source]);
+
+        expect(history).to.deep.equal([
+          [Purposes.SaleOfPersonalData, 'didomi', undefined],
+          [Purposes.SharingOfPersonalData, '*', undefined],
+          [Purposes.SaleOfPersonalData, '*', 'gpc'],
+          [Purposes.SaleOfPersonalData, 'didomi', 'gpc'],
+          [Purposes.TargetedAdvertising, '*', 'gpc'],
+        ]);
+      });
+
+      it('records the source of the decisions', function () {
+        const token = new CWT();
+        token.setConsentStatus(false, Purposes.SharingOfPersonalData, '*');
+        token.applyPrivacySignals([PrivacySignals.DNT, PrivacySignals.GPC]);
+
+        expect(token.getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('dnt');
+        expect(token.getConsentSource(Purposes.SharingOfPersonalData, 'didomi')).to.equal('user');
+        expect(token.getConsentSource(Purposes.Cookies, 'didomi')).to.be.undefined;
+
+        // The source is kept in the JSON encoding
+        expect(CWTFromJSON(token.toJSON()).getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('dnt');
+
+        // Decisions of the user replace the source
+        token.setConsentStatus(true, Purposes.SaleOfPersonalData, '*');
+        expect(token.getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('user');
+      });
+
+      it('does not change the purposes that are already refused', function () {
+        const token = new CWT();
+        const options = { purposes: [Purposes.SaleOfPersonalData] };
+        const changes = [];
+
+        token.applyPrivacySignals(PrivacySignals.GPC, options);
+        token.on('change', list => changes.push(list));
+
+        expect(token.applyPrivacySignals(PrivacySignals.GPC, options)).to.be.false;
+        expect(token.applyPrivacySignals([])).to.be.false;
+        expect(changes).to.deep.equal([]);
+      });
+
+      it('throws for unsupported signals and frozen tokens', function () {
+        expect(() => new CWT().applyPrivacySignals('ccpa')).to.throw(Error, 'Unsupported privacy signal ccpa');
+        expect(() => new CWT().applyPrivacySignals('GPC')).to.throw(Error, 'Unsupported privacy signal GPC');
+        expect(() => new CWT().applyPrivacySignals(['gpc', 'Dnt'])).to.throw(Error, 'Unsupported privacy signal Dnt');
+        expect(() => new CWT().with().applyPrivacySignals(PrivacySignals.GPC)).to.throw(Error, 'immutable');
+      });
+
+      it('creates a frozen copy of the token with the signals applied', function () {
+        const frozenToken = new CWT({ history: [] }).with()
+          .withConsentStatus(true, Purposes.SaleOfPersonalData, 'didomi');
+        const updatedToken = frozenToken.withPrivacySignals(PrivacySignals.GPC);
+
+        expect(Object.isFrozen(updatedToken)).to.be.true;
+        expect(updatedToken.getConsentStatus(Purposes.SaleOfPersonalData, 'didomi')).to.be.false;
+        expect(updatedToken.getConsentSource(Purposes.TargetedAdvertising, 'didomi')).to.equal('gpc');
+        expect(updatedToken.history).to.have.lengthOf(5);
+        expect(updatedToken.history[4].source).to.equal('gpc');
+        expect(frozenToken.getConsentStatus(Purposes.SaleOfPersonalData, 'didomi')).to.be.true;
+
+        const userToken = updatedToken.withConsentStatus(true, Purposes.SaleOfPersonalData, 'didomi');
+        expect(userToken.getConsentSource(Purposes.SaleOfPersonalData, 'didomi')).to.equal('user');
+      });
+
+      it('detects the signals of requests and browsers', function () {
+        expect(getRequestPrivacySignals({ 'sec-gpc': '1', dnt: '0' })).to.deep.equal([PrivacySignals.GPC]);
+        expect(getBrowserPrivacySignals({ globalPrivacyControl: true, doNotTrack: '1' })).to.deep.equal(['gpc', 'dnt']);
+        expect(getBrowserPrivacySignals()).to.deep.equal([]);
+      });
+    });
+
+    describe('builder', function () {
+      it('builds a frozen token', function () {
+        const token = CWT.builder({ issuer: 'didomi' })
+          .set({ user_id: 'user@domain.com', user_id_type: 'email' })
+          .setConsentStatus(true, 'cookies', 'didomi')
+          .setConsentStatus(true, 'analytics', 'didomi')
+          .removeConsentStatus('analytics', 'didomi')
+          .build();
+
+        expect(Object.isFrozen(token)).to.be.true;
+        expect(token.issuer).to.equal('didomi');
+        expect(token.user_id).to.equal('user@domain.com');
+        expect(token.getConsentStatus('cookies', 'didomi')).to.be.true;
+        expect(token.getConsentStatus('analytics', 'didomi')).to.be.undefined;
+      });
+
+      it('does not change the tokens already built', function () {
+        const builder = CWT.builder();
+        const token = builder.build();
+
+        builder.setConsentStatus(true, 'cookies', 'didomi');
+
+        expect(token.consents).to.deep.equal([]);
       });
     });
   });
@@ -0,0 +1,77 @@
+const expect = require('chai').expect;
+const zlib = require('zlib');
+const {
+  base64UrlDecodeText,
+  base64UrlEncode,
+  decodeTransportString,
+  encodeTransportString,
+} = require('../src/transport');
+
+describe('CWT - Transport', function () {
+  describe('base64UrlEncode', function () {
+    it('encodes strings as UTF-8 without padding', function () {
+      expect(base64UrlEncode('{"a":"?>?"}')).to.equal('eyJhIjoiPz4_In0');
+      expect(base64UrlEncode('é')).to.equal('w6k');
+      expect(base64UrlEncode(new Uint8Array([251, 255]))).to.equal('-_8');
+    });
+  });
+
+  describe('base64UrlDecodeText', function () {
+    it('decodes UTF-8 strings with or without padding', function () {
+      expect(base64UrlDecodeText('eyJhIjoiPz4_In0')).to.equal('{"a":"?>?"}');
+      expect(base64UrlDecodeText('w6k=')).to.equal('é');
+    });
+
+    it('returns null if the string is not valid', function () {
+      expect(base64UrlDecodeText()).to.be.null;
+      expect(base64UrlDecodeText('eyJ+')).to.be.null;
+      expect(base64UrlDecodeText('_w')).to.be.null;
+    });
+  });
+
+  describe('encodeTransportString', function () {
+    it('prefixes the string with the format and the compression', function () {
+      expect(encodeTransportString('{"issuer":"didomi"}', 'json')).to.equal('j.eyJpc3N1ZXIiOiJkaWRvbWkifQ');
+      expect(encodeTransportString('{"issuer":"didomi"}', 'json', 'deflate')).to.equal('jd.eJyrVsosLi5NLVKyUkrJTMnPzVSqBQBEewbM');
+      expect(encodeTransportString(new Uint8Array([1]), 'cbor', 'gzip')).to.match(/^bg\.[A-Za-z0-9_-]+$/);
+    });
+
+    it('throws for unsupported formats and compressions', function () {
+      expect(() => encodeTransportString('{}', 'xml')).to.throw(Error);
+      expect(() => encodeTransportString('{}', 'json', 'brotli')).to.throw(Error);
+    });
+  });
+
+  describe('decodeTransportString', function () {
+    it('decodes every format and compression', function () {
+      expect(decodeTransportString('jd.eJyrVsosLi5NLVKyUkrJTMnPzVSqBQBEewbM')).to.deep.equal({
+        format: 'json',
+        compression: 'deflate',
+        data: '{"issuer":"didomi"}',
+      });
+
+      ['none', 'deflate', 'gzip'].forEach((compression) => {
+        const decoded = decodeTransportString(encodeTransportString(new Uint8Array([1, 2]), 'cbor', compression));
+
+        expect(decoded.compression).to.equal(compression);
+        expect(decoded.data).to.deep.equal(new Uint8Array([1, 2]));
+      });
+    });
+
+    it('returns null if the string is not valid', function () {
+      expect(decodeTransportString()).to.be.null;
+      expect(decodeTransportString('eyJpc3N1ZXIiOiJkaWRvbWkifQ')).to.be.null;
+      expect(decodeTransportString('x.eyJpc3N1ZXIiOiJkaWRvbWkifQ')).to.be.null;
+      expect(decodeTransportString('jx.eyJpc3N1ZXIiOiJkaWRvbWkifQ')).to.be.null;
+      expect(decodeTransportString('jd.eyJpc3N1ZXIiOiJkaWRvbWkifQ')).to.be.null;
+    });
+
+    it('returns null if the decompressed data is larger than 1 MB', function () {
+      const data = Buffer.from(`"${'a'.repeat(1024 * 1024)}"`);
+      const toBase64Url = bytes => bytes.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+      expect(decodeTransportString(`jd.${toBase64Url(zlib.deflateSync(data))}`)).to.be.null;
+      expect(decodeTransportString(`jg.${toBase64Url(zlib.gzipSync(data))}`)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,198 @@
+import {
+  consentMiddleware,
+  ConsentStatus,
+  CWT,
+  CWTBuilder,
+  CWTFromBase64,
+  CWTFromCBOR,
+  CWTFromCompressedBase64,
+  CWTFromCompressedJSON,
+  CWTFromJSON,
+  CWTFromJWT,
+  CWTFromString,
+  CWTFromTransportString,
+  decodeGPPString,
+  getBrowserPrivacySignals,
+  getRequestPrivacySignals,
+  LegalBases,
+  loadFromCookie,
+  MergeStrategies,
+  PrivacySignal,
+  PrivacySignals,
+  Purpose,
+  PurposeConsent,
+  PurposeMetadata,
+  purposeRegistry,
+  Purposes,
+  RequestConsent,
+  saveToCookie,
+  StandardPurpose,
+  StatusChange,
+  StorageEncodings,
+  VendorGroup,
+  vendorGroupRegistry,
+  versions,
+} from '../..';
+
+// Type-level tests: this file is only type-checked (npm run test:types)
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2)
+  ? true
+  : false;
+
+function assertType<T extends true>(): void {}
+
+function expectType<T>(value: T): T {
+  return value;
+}
+
+const token = new CWT({
+  issuer: 'didomi',
+  user_id: 'user@domain.com',
+  consents: [{ purpose: Purposes.Cookies, vendors: [{ id: 'didomi', status: true }] }],
+});
+
+// getConsentStatus is tri-state
+assertType<Equal<ReturnType<CWT['getConsentStatus']>, boolean | undefined>>();
+expectType<ConsentStatus>(token.getConsentStatus(Purposes.Cookies, 'didomi'));
+expectType<ConsentStatus>(token.getConsentStatus('custom_purpose', 'didomi', [LegalBases.Consent, LegalBases.LegitimateInterest]));
+
+// Standard purposes are literal types
+assertType<Equal<typeof Purposes.CookiesAnalytics, 'cookies_analytics'>>();
+assertType<Equal<(typeof Purposes)[keyof typeof Purposes], StandardPurpose>>();
+expectType<Purpose>('custom_purpose');
+
+// @ts-expect-error Purposes are read-only
+Purposes.Cookies = 'other';
+
+// Consent entries are typed
+const consents: PurposeConsent[] = token.consents;
+expectType<ConsentStatus>(consents[0].vendors[0].legitimate_interest);
+
+// @ts-expect-error The status of a vendor is a boolean
+token.consents.push({ purpose: 'cookies', vendors: [{ id: 'didomi', status: 'yes' }] });
+
+token.setConsentStatus(undefined, Purposes.Analytics, 'didomi', LegalBases.LegitimateInterest);
+
+// @ts-expect-error Unknown legal basis
+token.setConsentStatus(true, Purposes.Analytics, 'didomi', 'contract');
+
+// Parsers return null for invalid input
+assertType<Equal<ReturnType<typeof CWTFromJSON>, CWT | null>>();
+assertType<Equal<ReturnType<typeof CWTFromCompressedJSON>, CWT | null>>();
+assertType<Equal<ReturnType<typeof CWTFromBase64>, CWT | null>>();
+assertType<Equal<ReturnType<typeof CWTFromCompressedBase64>, CWT | null>>();
+CWTFromJSON(token.toJSON({ version: 1 }), { audience: 'didomi', clockSkew: 30 });
+CWTFromCBOR(token.toCBOR());
+CWTFromTransportString(token.toTransportString({ format: 'compact', compression: 'gzip' }));
+CWTFromJWT(token.toJWT('secret', { algorithm: 'HS256' }), { keys: [{ kty: 'oct', k: 'c2VjcmV0' }] });
+
+// @ts-expect-error Unsupported transport format
+token.toTransportString({ format: 'xml' });
+
+// Changes
+const unsubscribe: () => void = token.subscribe(Purposes.Cookies, 'didomi', (change) => {
+  expectType<StatusChange>(change);
+});
+unsubscribe();
+token.on('change', changes => changes.forEach(change => expectType<ConsentStatus>(change.after)));
+
+// @ts-expect-error Unsupported event
+token.on('update', () => {});
+
+// Immutable tokens
+const builder: CWTBuilder = CWT.builder({ issuer: 'didomi' }).setConsentStatus(true, Purposes.Cookies, '*');
+expectType<CWT>(builder.build().withConsentStatus(false, Purposes.Cookies, 'didomi'));
+
+// Merge and diff
+const { token: merged, conflicts } = CWT.merge([token, builder.build()], MergeStrategies.MostRestrictive);
+expectType<CWT>(merged);
+expectType<number>(conflicts[0].candidates[0].token);
+expectType<ConsentStatus>(CWT.diff(null, token).changed[0].before);
+
+// GPP sections are typed by name
+const gpp = decodeGPPString('DBABLA~BVQqAAAAAgA.QA');
+if (gpp && gpp.sections.usnat) {
+  expectType<boolean | undefined>(gpp.sections.usnat.gpc);
+  expectType<number[] | undefined>(gpp.sections.usnat.sensitiveDataProcessing);
+}
+
+expectType<number>(versions.currentVersion);
+
+// Cookies
+saveToCookie(token, { encoding: StorageEncodings.Compact, sameSite: 'Lax', maxAge: 3600 });
+expectType<CWT | null>(loadFromCookie('cwt', { validation: { clockSkew: 60 } }));
+
+// @ts-expect-error Unknown SameSite value
+saveToCookie(token, { sameSite: 'Loose' });
+
+// Middleware
+expectType<CWT | null>(CWTFromString('jd.eJyrVsosLi5NLVKyUkrJTMnPzVSqBQBEewbM', { key: 'secret', clockSkew: 60 }));
+
+const middleware = consentMiddleware({ header: false, key: 'secret', signingKey: 'secret', cookieOptions: { sameSite: 'Strict' } });
+const request: { headers: { [name: string]: string }; consent?: RequestConsent } = { headers: {} };
+const headers: { [name: string]: unknown } = {};
+const response = {
+  getHeader: (name: string) => headers[name],
+  setHeader: (name: string, value: string | string[]) => { headers[name] = value; },
+};
+
+middleware(request, response, () => {
+  if (request.consent) {
+    expectType<boolean>(request.consent.allows(Purposes.Analytics, 'didomi'));
+    expectType<ConsentStatus>(request.consent.status(Purposes.Analytics, 'didomi', ['consent', 'legitimate_interest']));
+  }
+});
+
+// @ts-expect-error Unknown encoding
+consentMiddleware({ encoding: 'xml' });
+
+// Privacy signals
+const signals: PrivacySignal[] = getRequestPrivacySignals({ 'sec-gpc': '1' });
+expectType<boolean>(token.applyPrivacySignals(signals, { purposes: [Purposes.SaleOfPersonalData] }));
+expectType<CWT>(token.withPrivacySignals(getBrowserPrivacySignals()));
+expectType<'user' | 'gpc' | 'dnt' | undefined>(token.getConsentSource(Purposes.SaleOfPersonalData, 'didomi'));
+consentMiddleware({ privacySignals: [PrivacySignals.GPC] });
+
+// @ts-expect-error Unknown signal
+token.applyPrivacySignals('ccpa');
+
+// Purpose registry
+purposeRegistry.register({
+  id: 'newsletter',
+  names: { en: 'Newsletter', fr: 'Lettre d’information' },
+  defaultLegalBasis: 'legitimate_interest',
+  tcf: { purposes: [1] },
+});
+const analytics: PurposeMetadata | null = purposeRegistry.get(Purposes.Analytics);
+expectType<string>(purposeRegistry.getName('newsletter', 'fr'));
+expectType<string | null>(token.describePurposes('fr')[0].description);
+if (analytics) {
+  expectType<readonly number[]>(analytics.tcf.purposes);
+}
+
+// @ts-expect-error Unknown legal basis
+purposeRegistry.register({ id: 'x', defaultLegalBasis: 'contract' });
+
+// Purpose hierarchy
+purposeRegistry.register({ id: 'newsletter_weekly', parent: 'newsletter' });
+expectType<Purpose[]>(purposeRegistry.getAncestors('newsletter_weekly'));
+expectType<Purpose[]>(purposeRegistry.getDescendants(Purposes.Cookies));
+token.setConsentStatus(false, Purposes.Cookies, 'didomi', LegalBases.Consent, { cascade: true });
+expectType<CWT>(token.withConsentStatus(true, Purposes.Cookies, '*', undefined, { cascade: true }));
+builder.setConsentStatus(true, Purposes.Cookies, 'didomi', undefined, { cascade: true });
+if (analytics) {
+  expectType<Purpose | null>(analytics.parent);
+}
+
+// Vendor groups
+vendorGroupRegistry.register({ id: 'analytics_vendors', vendors: ['google', 'matomo'] });
+const group: VendorGroup | null = vendorGroupRegistry.get('analytics_vendors');
+expectType<string[]>(vendorGroupRegistry.getGroups('google'));
+token.setConsentStatus(false, '*', 'analytics_vendors');
+if (group) {
+  expectType<readonly string[]>(group.vendors);
+}
+
+// @ts-expect-error Groups are lists of vendor IDs
+vendorGroupRegistry.register({ id: 'x', vendors: 'google' });
@@ -0,0 +1,42 @@
+const expect = require('chai').expect;
+const {
+  decodeUSPrivacyString,
+  encodeUSPrivacyString,
+  usPrivacyDataToStatuses,
+} = require('../src/usprivacy');
+
+describe('CWT - US Privacy', function () {
+  describe('encodeUSPrivacyString', function () {
+    it('encodes the flags', function () {
+      expect(encodeUSPrivacyString({ notice: true, optOutSale: false, lspa: false })).to.equal('1YNN');
+      expect(encodeUSPrivacyString({ optOutSale: true })).to.equal('1-Y-');
+    });
+  });
+
+  describe('decodeUSPrivacyString', function () {
+    it('decodes the flags', function () {
+      expect(decodeUSPrivacyString('1YN-')).to.deep.equal({
+        version: 1,
+        notice: true,
+        optOutSale: false,
+        lspa: undefined,
+      });
+    });
+
+    it('returns null if the string is not valid', function () {
+      expect(decodeUSPrivacyString()).to.be.null;
+      expect(decodeUSPrivacyString('')).to.be.null;
+      expect(decodeUSPrivacyString('1YN')).to.be.null;
+      expect(decodeUSPrivacyString('1ynn')).to.be.null;
+    });
+  });
+
+  describe('usPrivacyDataToStatuses', function () {
+    it('only returns applicable opt-outs', function () {
+      expect(usPrivacyDataToStatuses(decodeUSPrivacyString('1YYN'))).to.deep.equal({
+        sale_of_personal_data: false,
+      });
+      expect(usPrivacyDataToStatuses(decodeUSPrivacyString('1Y-N'))).to.deep.equal({});
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const expect = require('chai').expect;
+const { VendorGroupRegistry } = require('../src/vendor-groups');
+
+describe('CWT - Vendor groups', function () {
+  describe('VendorGroupRegistry', function () {
+    it('registers groups of vendors', function () {
+      const registry = new VendorGroupRegistry([{ id: 'analytics', vendors: ['google', 'matomo'] }])
+        .register({ id: 'advertising', vendors: ['google', 'criteo'] });
+
+      expect(registry.has('analytics')).to.be.true;
+      expect(registry.has('google')).to.be.false;
+      expect(registry.get('analytics')).to.deep.equal({ id: 'analytics', vendors: ['google', 'matomo'] });
+      expect(registry.get('unknown')).to.be.null;
+      expect(registry.list().map(definition => definition.id)).to.deep.equal(['analytics', 'advertising']);
+      expect(Object.isFrozen(registry.get('analytics').vendors)).to.be.true;
+    });
+
+    it('lists the groups of a vendor', function () {
+      const registry = new VendorGroupRegistry([
+        { id: 'analytics', vendors: ['google', 'matomo'] },
+        { id: 'advertising', vendors: ['google', 'criteo'] },
+      ]);
+
+      expect(registry.getGroups('google')).to.deep.equal(['analytics', 'advertising']);
+      expect(registry.getGroups('criteo')).to.deep.equal(['advertising']);
+      expect(registry.getGroups('didomi')).to.deep.equal([]);
+    });
+
+    it('expands groups into their vendors', function () {
+      const registry = new VendorGroupRegistry([{ id: 'analytics', vendors: ['google', 'matomo'] }]);
+
+      expect(registry.expand('analytics')).to.deep.equal(['google', 'matomo']);
+      expect(registry.expand('didomi')).to.deep.equal(['didomi']);
+      expect(registry.expand('*')).to.deep.equal(['*']);
+    });
+
+    it('rejects invalid groups', function () {
+      const registry = new VendorGroupRegistry([{ id: 'analytics', vendors: ['google'] }]);
+
+      expect(() => registry.register({ vendors: [] })).to.throw('A vendor group must have an ID');
+      expect(() => registry.register({ id: '*', vendors: [] })).to.throw('The vendor ID * is reserved for all vendors');
+      expect(() => registry.register({ id: 'analytics', vendors: [] })).to.throw('The vendor group analytics is already registered');
+      expect(() => registry.register({ id: 'ads' })).to.throw('The vendors of the group ads must be a list of vendor IDs');
+      expect(() => registry.register({ id: 'ads', vendors: ['*'] })).to.throw('The vendors of the group ads must be a list of vendor IDs');
+      expect(() => registry.register({ id: 'ads', vendors: ['analytics'] })).to.throw('The vendor group ads cannot contain the group analytics');
+      expect(() => registry.register({ id: 'google', vendors: ['didomi'] })).to.throw('The vendor group google is a vendor of the group analytics');
+      expect(registry.has('ads')).to.be.false;
+    });
+  });
+
+  describe('resolve', function () {
+    const registry = new VendorGroupRegistry([
+      { id: 'analytics', vendors: ['google', 'matomo'] },
+      { id: 'advertising', vendors: ['google', 'criteo'] },
+    ]);
+
+    it('resolves the vendor, then its groups, then all vendors', function () {
+      const vendors = [
+        { id: '*', status: false },
+        { id: 'analytics', status: true },
+        { id: 'matomo', status: false },
+      ];
+
+      expect(registry.resolve(vendors, 'matomo', 'status')).to.equal(vendors[2]);
+      expect(registry.resolve(vendors, 'google', 'status')).to.equal(vendors[1]);
+      expect(registry.resolve(vendors, 'criteo', 'status')).to.equal(vendors[0]);
+      expect(registry.resolve([], 'criteo', 'status')).to.be.null;
+    });
+
+    it('ignores the entries without status for the field', function () {
+      const vendors = [
+        { id: 'analytics', status: undefined, legitimate_interest: true },
+        { id: 'google', status: undefined },
+        { id: '*', status: false },
+      ];
+
+      expect(registry.resolve(vendors, 'google', 'status')).to.equal(vendors[2]);
+      expect(registry.resolve(vendors, 'google', 'legitimate_interest')).to.equal(vendors[0]);
+    });
+
+    it('gives priority to refusals when the groups of a vendor have different statuses', function () {
+      const vendors = [
+        { id: 'analytics', status: true },
+        { id: 'advertising', status: false },
+      ];
+
+      expect(registry.resolve(vendors, 'google', 'status')).to.equal(vendors[1]);
+      expect(registry.resolve(vendors, 'matomo', 'status')).to.equal(vendors[0]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const expect = require('chai').expect;
+const { VersionRegistry, versions } = require('../src/versions');
+
+describe('CWT - Versions', function () {
+  // Version 2 renames `user_id_type` to `user_type` and version 3 adds a `locale`
+  const migrations = [
+    {
+      upgrade: (token) => {
+        const upgraded = Object.assign({}, token, { user_type: token.user_id_type });
+        delete upgraded.user_id_type;
+        return upgraded;
+      },
+      downgrade: (token) => {
+        const downgraded = Object.assign({}, token, { user_id_type: token.user_type });
+        delete downgraded.user_type;
+        return downgraded;
+      },
+    },
+    {
+      upgrade: token => Object.assign({}, token, { locale: 'en' }),
+      downgrade: (token) => {
+        const downgraded = Object.assign({}, token);
+        delete downgraded.locale;
+        return downgraded;
+      },
+    },
+  ];
+
+  it('starts at version 1', function () {
+    expect(versions.currentVersion).to.equal(1);
+    expect(new VersionRegistry().currentVersion).to.equal(1);
+  });
+
+  describe('register', function () {
+    it('adds a version for every migration', function () {
+      const registry = new VersionRegistry(migrations);
+
+      expect(registry.currentVersion).to.equal(3);
+      expect(new VersionRegistry().register(migrations[0]).currentVersion).to.equal(2);
+    });
+
+    it('throws if the migration is not valid', function () {
+      expect(() => new VersionRegistry().register()).to.throw(Error);
+      expect(() => new VersionRegistry().register({ upgrade: migrations[0].upgrade }))
+        .to.throw(Error);
+    });
+  });
+
+  describe('upgrade', function () {
+    const registry = new VersionRegistry(migrations);
+
+    it('runs the migrations in order', function () {
+      const token = { user_id_type: 'email', version: 1 };
+
+      expect(registry.upgrade(token)).to.deep.equal({ user_type: 'email', locale: 'en', version: 3 });
+      expect(registry.upgrade({ user_type: 'email', version: 2 })).to.deep.equal({ user_type: 'email', locale: 'en', version: 3 });
+
+      // The original object is not modified
+      expect(token).to.deep.equal({ user_id_type: 'email', version: 1 });
+    });
+
+    it('considers objects without version to be in the current version', function () {
+      expect(registry.upgrade({ user_type: 'email' })).to.deep.equal({ user_type: 'email', version: 3 });
+    });
+
+    it('throws for unsupported versions', function () {
+      expect(() => registry.upgrade({ version: 4 })).to.throw(Error, 'Unsupported CWT version 4');
+      expect(() => registry.upgrade({ version: 0 })).to.throw(Error, 'Invalid CWT version 0');
+      expect(() => registry.upgrade({ version: '1' })).to.throw(Error, 'Invalid CWT version "1" (the version must be a positive integer)');
+    });
+  });
+
+  describe('downgrade', function () {
+    const registry = new VersionRegistry(migrations);
+
+    it('runs the migrations in reverse order', function () {
+      const token = { user_type: 'email', locale: 'en', version: 3 };
+
+      expect(registry.downgrade(token, 1)).to.deep.equal({ user_id_type: 'email', version: 1 });
+      expect(registry.downgrade(token, 2)).to.deep.equal({ user_type: 'email', version: 2 });
+      expect(registry.downgrade(token, 3)).to.deep.equal(token);
+    });
+
+    it('throws for unsupported versions', function () {
+      expect(() => registry.downgrade({ version: 3 }, 4)).to.throw(Error);
+      expect(() => registry.downgrade({ version: 3 }, 0)).to.throw(Error);
+    });
+  });
+});
@@ -0,0 +1,964 @@
+// Type definitions for @didomi/consentwebtoken
+
+/**
+ * Purposes from the list of standard GDPR/ePrivacy and US privacy purposes
+ */
+export type StandardPurpose =
+  | 'cookies'
+  | 'cookies_analytics'
+  | 'cookies_marketing'
+  | 'cookies_social'
+  | 'advertising_personalization'
+  | 'analytics'
+  | 'content_personalization'
+  | 'device_access'
+  | 'offline_match'
+  | 'link_devices'
+  | 'precise_geo'
+  | 'sale_of_personal_data'
+  | 'sharing_of_personal_data'
+  | 'targeted_advertising'
+  | 'sensitive_data_processing';
+
+/**
+ * A standard purpose or a custom purpose ID (`*` for all purposes)
+ * The `string & {}` member keeps the standard purposes in editor completions.
+ */
+export type Purpose = StandardPurpose | (string & {});
+
+export declare const Purposes: {
+  readonly Cookies: 'cookies';
+  readonly CookiesAnalytics: 'cookies_analytics';
+  readonly CookiesMarketing: 'cookies_marketing';
+  readonly CookiesSocial: 'cookies_social';
+  readonly AdvertisingPersonalization: 'advertising_personalization';
+  readonly Analytics: 'analytics';
+  readonly ContentPersonalization: 'content_personalization';
+  readonly DeviceAccess: 'device_access';
+  readonly OfflineMatch: 'offline_match';
+  readonly LinkDevices: 'link_devices';
+  readonly PreciseGeo: 'precise_geo';
+  readonly SaleOfPersonalData: 'sale_of_personal_data';
+  readonly SharingOfPersonalData: 'sharing_of_personal_data';
+  readonly TargetedAdvertising: 'targeted_advertising';
+  readonly SensitiveDataProcessing: 'sensitive_data_processing';
+};
+
+export type LegalBasis = 'consent' | 'legitimate_interest';
+
+export declare const LegalBases: {
+  readonly Consent: 'consent';
+  readonly LegitimateInterest: 'legitimate_interest';
+};
+
+/**
+ * Browser privacy signals: Global Privacy Control and Do Not Track
+ */
+export type PrivacySignal = 'gpc' | 'dnt';
+
+export declare const PrivacySignals: {
+  readonly GPC: 'gpc';
+  readonly DNT: 'dnt';
+};
+
+/**
+ * Purposes refused by privacy signals by default (sale, sharing and targeted advertising)
+ */
+export declare const SignalPurposes: Purpose[];
+
+/**
+ * Source of a consent status: the user or a privacy signal
+ */
+export type ConsentSource = 'user' | PrivacySignal;
+
+/**
+ * Consent status of a purpose/vendor: `undefined` if the user has not made a decision
+ */
+export type ConsentStatus = boolean | undefined;
+
+export interface VendorConsent {
+  /** Unique ID of the vendor or `*` for all the vendors */
+  id: string;
+  /** Status for the `consent` legal basis */
+  status?: ConsentStatus;
+  /** Status for the `legitimate_interest` legal basis (false if the user objected to the processing) */
+  legitimate_interest?: ConsentStatus;
+  /** Time of the last update (seconds since the epoch) */
+  updated_at?: number;
+  /** Privacy signal that set the `consent` status (not set for decisions of the user) */
+  source?: PrivacySignal;
+}
+
+export interface PurposeConsent {
+  purpose: Purpose;
+  vendors: VendorConsent[];
+}
+
+export interface HistoryEntry {
+  purpose: Purpose;
+  vendor: string;
+  status: ConsentStatus;
+  /** Only set for the `legitimate_interest` legal basis */
+  legal_basis?: LegalBasis;
+  updated_at: number;
+  /** Privacy signal that set the status (not set for decisions of the user) */
+  source?: PrivacySignal;
+}
+
+export interface HistoryStatus {
+  status: ConsentStatus;
+  updated_at: number;
+}
+
+/**
+ * Content accepted by the `CWT` constructor
+ */
+export interface CWTContent {
+  issuer?: string | null;
+  user_id?: string | null;
+  user_id_type?: string | null;
+  user_id_hash_method?: string | null;
+  consents?: PurposeConsent[] | null;
+  issued_at?: number | null;
+  expires_at?: number | null;
+  not_before?: number | null;
+  token_id?: string | null;
+  audience?: string | string[] | null;
+  history?: HistoryEntry[] | null;
+  version?: number;
+}
+
+/**
+ * Plain object exported by `CWT#toObject`
+ */
+export interface CWTObject {
+  issuer: string | null;
+  user_id: string | null;
+  user_id_type: string | null;
+  user_id_hash_method: string | null;
+  issued_at: number | null;
+  expires_at: number | null;
+  not_before: number | null;
+  token_id: string | null;
+  audience: string | string[] | null;
+  consents: PurposeConsent[];
+  history: HistoryEntry[] | null;
+  version: number;
+}
+
+export interface ConsentStatusOptions {
+  /** Also set the status of the descendants of the purpose (see `PurposeRegistry#getDescendants`) */
+  cascade?: boolean;
+}
+
+export interface PrivacySignalOptions {
+  /** The purposes to refuse (defaults to `SignalPurposes`) */
+  purposes?: Purpose[];
+}
+
+export interface VersionOptions {
+  /** The version of the specification to export the token for (defaults to the current version) */
+  version?: number;
+}
+
+/**
+ * Options of the parsers: if provided, the token is rejected if it is expired, not yet valid or not intended for the expected audience
+ */
+export interface ValidationOptions {
+  currentTime?: number;
+  clockSkew?: number;
+  audience?: string | string[];
+}
+
+export type TransportFormat = 'json' | 'compact' | 'cbor';
+
+export type TransportCompression = 'none' | 'deflate' | 'gzip';
+
+export declare const TransportFormats: {
+  readonly JSON: 'json';
+  readonly Compact: 'compact';
+  readonly CBOR: 'cbor';
+};
+
+export declare const TransportCompressions: {
+  readonly None: 'none';
+  readonly Deflate: 'deflate';
+  readonly Gzip: 'gzip';
+};
+
+export interface TransportOptions extends VersionOptions {
+  format?: TransportFormat;
+  compression?: TransportCompression;
+}
+
+export type JWTAlgorithm = 'HS256' | 'RS256' | 'ES256';
+
+/**
+ * JSON Web Key (RFC 7517)
+ */
+export interface JWK {
+  kty: string;
+  kid?: string;
+  alg?: string;
+  [parameter: string]: unknown;
+}
+
+/**
+ * JSON Web Key Set (RFC 7517)
+ */
+export interface JWKS {
+  keys: JWK[];
+}
+
+/**
+ * Key object from the node.js `crypto` module
+ */
+export interface KeyObjectLike {
+  type: string;
+  asymmetricKeyType?: string;
+}
+
+/**
+ * A shared secret (string or buffer), a PEM-encoded key, a key object or a JWK
+ */
+export type Key = string | Uint8Array | KeyObjectLike | JWK;
+
+export interface JWTOptions extends VersionOptions {
+  algorithm?: JWTAlgorithm;
+  keyId?: string;
+  header?: Record<string, unknown>;
+}
+
+export declare const TCFRestrictionTypes: {
+  readonly NotAllowed: 0;
+  readonly RequireConsent: 1;
+  readonly RequireLegitimateInterest: 2;
+};
+
+export interface TCFPublisherRestriction {
+  purposeId: number;
+  restrictionType: 0 | 1 | 2;
+  vendors: number[];
+}
+
+/**
+ * Fields of the core segment of a TCF v2 consent string
+ */
+export interface TCData {
+  version?: number;
+  created?: number;
+  lastUpdated?: number;
+  cmpId?: number;
+  cmpVersion?: number;
+  consentScreen?: number;
+  consentLanguage?: string;
+  vendorListVersion?: number;
+  tcfPolicyVersion?: number;
+  isServiceSpecific?: boolean;
+  useNonStandardTexts?: boolean;
+  specialFeatureOptIns?: number[];
+  purposeConsents?: number[];
+  purposeLegitimateInterests?: number[];
+  purposeOneTreatment?: boolean;
+  publisherCountryCode?: string;
+  vendorConsents?: number[];
+  vendorLegitimateInterests?: number[];
+  publisherRestrictions?: TCFPublisherRestriction[];
+}
+
+/**
+ * Mapping between CWT purposes/vendors and TCF purposes, special features and vendors
+ */
+export interface TCFMappingDefinition {
+  purposes?: Record<string, number | number[]>;
+  specialFeatures?: Record<string, number | number[]>;
+  vendors?: Record<string, number>;
+}
+
+export declare const TCFMapping: {
+  purposes: Record<string, number[]>;
+  specialFeatures: Record<string, number[]>;
+  vendors: Record<string, number>;
+};
+
+export interface TCStringOptions extends TCData {
+  mapping?: TCFMappingDefinition;
+  vendorIds?: number[];
+}
+
+export type ConsentModeSignalState = 'granted' | 'denied';
+
+export type ConsentModeState = Record<string, ConsentModeSignalState>;
+
+/**
+ * Mapping between Consent Mode signals and CWT purposes
+ */
+export type ConsentModeMappingDefinition = Record<string, Purpose | Purpose[]>;
+
+export declare const ConsentModeMapping: {
+  ad_storage: Purpose[];
+  analytics_storage: Purpose[];
+  ad_user_data: Purpose[];
+  ad_personalization: Purpose[];
+  personalization_storage: Purpose[];
+};
+
+export interface USPrivacyOptions {
+  notice?: boolean;
+  lspa?: boolean;
+}
+
+export interface USPrivacyData extends USPrivacyOptions {
+  optOutSale?: boolean;
+}
+
+/**
+ * Fields of a `usnat` GPP section (0: not applicable, 1: yes, 2: no)
+ */
+export interface USNatData {
+  /** 1 or 2 (defaults to 2) */
+  version?: number;
+  sharingNotice?: number;
+  saleOptOutNotice?: number;
+  sharingOptOutNotice?: number;
+  targetedAdvertisingOptOutNotice?: number;
+  sensitiveDataProcessingOptOutNotice?: number;
+  sensitiveDataLimitUseNotice?: number;
+  saleOptOut?: number;
+  sharingOptOut?: number;
+  targetedAdvertisingOptOut?: number;
+  /** 12 categories in version 1 and 16 in version 2 */
+  sensitiveDataProcessing?: number[];
+  /** 2 items in version 1 and 3 in version 2 */
+  knownChildSensitiveDataConsents?: number[];
+  personalDataConsents?: number;
+  mspaCoveredTransaction?: number;
+  mspaOptOutOptionMode?: number;
+  mspaServiceProviderMode?: number;
+  gpc?: boolean;
+}
+
+export interface USNatOptions {
+  notice?: boolean;
+  mspaCoveredTransaction?: boolean;
+  mspaOptOutOptionMode?: boolean;
+  mspaServiceProviderMode?: boolean;
+  gpc?: boolean;
+}
+
+export type GPPSectionName = 'tcfeuv2' | 'uspv1' | 'usnat';
+
+export declare const GPPSectionIds: {
+  readonly tcfeuv2: 2;
+  readonly uspv1: 6;
+  readonly usnat: 7;
+};
+
+export interface GPPStringOptions {
+  sections?: GPPSectionName[];
+  tcfeuv2?: TCStringOptions;
+  uspv1?: USPrivacyOptions;
+  usnat?: USNatOptions;
+}
+
+export interface GPPData {
+  sectionIds: number[];
+  sections: {
+    tcfeuv2?: TCData;
+    uspv1?: USPrivacyData;
+    usnat?: USNatData;
+    /** Sections (or versions of sections) that are not supported by the library, encoded */
+    [sectionId: number]: string;
+  };
+}
+
+export type MergeStrategy = 'most_recent' | 'most_restrictive' | 'first_issuer';
+
+export declare const MergeStrategies: {
+  readonly MostRecent: 'most_recent';
+  readonly MostRestrictive: 'most_restrictive';
+  readonly FirstIssuer: 'first_issuer';
+};
+
+export interface MergeConflict {
+  purpose: Purpose;
+  vendor: string;
+  legal_basis: LegalBasis;
+  status: ConsentStatus;
+  candidates: Array<{
+    /** Index of the token in the merged list */
+    token: number;
+    status: ConsentStatus;
+    updated_at?: number;
+  }>;
+}
+
+export interface StatusEntry {
+  purpose: Purpose;
+  vendor: string;
+  legal_basis: LegalBasis;
+  status: ConsentStatus;
+}
+
+export interface StatusChange {
+  purpose: Purpose;
+  vendor: string;
+  legal_basis: LegalBasis;
+  before: ConsentStatus;
+  after: ConsentStatus;
+}
+
+export interface TokenDiff {
+  fields: Array<{
+    field: 'issuer' | 'user_id' | 'user_id_type' | 'user_id_hash_method';
+    before: string | null;
+    after: string | null;
+  }>;
+  added: StatusEntry[];
+  removed: StatusEntry[];
+  changed: StatusChange[];
+}
+
+export type CWTEvent = 'change';
+
+export declare const Events: {
+  readonly Change: 'change';
+};
+
+export declare class CWT {
+  /**
+   * Create a new Consent web token
+   * The consents, history and audience are deep-copied.
+   *
+   * @throws If the version of the content is not supported
+   */
+  constructor(tokenContent?: CWTContent);
+
+  issuer: string | null;
+  user_id: string | null;
+  user_id_type: string | null;
+  user_id_hash_method: string | null;
+  consents: PurposeConsent[];
+  history: HistoryEntry[] | null;
+  issued_at: number | null;
+  expires_at: number | null;
+  not_before: number | null;
+  token_id: string | null;
+  audience: string | string[] | null;
+  version: number;
+
+  toObject(options?: VersionOptions): CWTObject;
+  toJSON(options?: VersionOptions): string;
+  /** @deprecated The compressed format is lossy, use `toCompactJSON` instead */
+  toCompressedJSON(): string;
+  toCompactJSON(options?: VersionOptions): string;
+  toBase64(options?: VersionOptions): string;
+  /** @deprecated The compressed format is lossy, use `toCompactBase64` instead */
+  toCompressedBase64(): string;
+  toCompactBase64(options?: VersionOptions): string;
+  toBase64Url(options?: VersionOptions): string;
+  toCompactBase64Url(options?: VersionOptions): string;
+  toTransportString(options?: TransportOptions): string;
+  toCBOR(options?: VersionOptions): Uint8Array;
+  toCBORBase64(options?: VersionOptions): string;
+  toJWT(key: Key, options?: JWTOptions): string;
+  toTCString(options?: TCStringOptions): string;
+  toConsentModeState(
+    mapping?: ConsentModeMappingDefinition,
+    vendorId?: string,
+  ): ConsentModeState;
+  toUSPrivacyString(options?: USPrivacyOptions): string;
+  toGPPString(options?: GPPStringOptions): string;
+
+  /** @throws If the token is frozen or the legal basis is unknown */
+  setConsentStatus(
+    status: ConsentStatus,
+    purpose: Purpose,
+    vendorId: string,
+    legalBasis?: LegalBasis,
+    options?: ConsentStatusOptions,
+  ): void;
+  getConsentHistory(purpose: Purpose, vendorId: string, legalBasis?: LegalBasis): HistoryStatus[];
+  /**
+   * Get the consent status of the user for a purpose/vendor
+   * Purposes without a decision fall back to the decisions of their parent purposes (see `PurposeDefinition#parent`) and then of the `*` purpose.
+   * Within a purpose, the vendor wins over its groups (see `VendorGroupRegistry`), which win over the `*` vendor.
+   *
+   * @return `undefined` if the user has not made a decision for the purpose/vendor
+   */
+  getConsentStatus(
+    purpose: Purpose,
+    vendorId: string,
+    legalBasis?: LegalBasis | LegalBasis[],
+  ): ConsentStatus;
+  /**
+   * Get the source of the consent status of the user for a purpose/vendor
+   *
+   * @return `undefined` if the user has not made a decision for the purpose/vendor
+   */
+  getConsentSource(purpose: Purpose, vendorId: string): ConsentSource | undefined;
+  /** Get the metadata of the purposes of the token */
+  describePurposes(locale?: string, registry?: PurposeRegistry): PurposeDescription[];
+  removeConsentStatus(purpose: Purpose, vendorId: string): boolean;
+  removePurpose(purpose: Purpose): boolean;
+  removeVendor(vendorId: string): boolean;
+  revokeAll(): void;
+  grantAll(purposes: Purpose[], vendors?: string[]): void;
+
+  on(event: CWTEvent, listener: (changes: StatusChange[]) => void): () => boolean;
+  off(event: CWTEvent, listener: (changes: StatusChange[]) => void): boolean;
+  subscribe(
+    purpose: Purpose,
+    vendorId: string,
+    handler: (change: StatusChange) => void,
+    legalBasis?: LegalBasis,
+  ): () => void;
+  transaction(callback: (token: this) => void): void;
+
+  /**
+   * Refuse the purposes affected by privacy signals and record the signal as the source of the decisions
+   *
+   * @return True if the token was changed
+   * @throws If a signal is not supported
+   */
+  applyPrivacySignals(
+    privacySignals: PrivacySignal | PrivacySignal[],
+    options?: PrivacySignalOptions,
+  ): boolean;
+
+  /** Create a frozen copy of the token with some fields changed */
+  with(fields?: CWTContent): CWT;
+  withConsentStatus(
+    status: ConsentStatus,
+    purpose: Purpose,
+    vendorId: string,
+    legalBasis?: LegalBasis,
+    options?: ConsentStatusOptions,
+  ): CWT;
+  withoutConsentStatus(purpose: Purpose, vendorId: string): CWT;
+  withPrivacySignals(
+    privacySignals: PrivacySignal | PrivacySignal[],
+    options?: PrivacySignalOptions,
+  ): CWT;
+
+  static builder(tokenContent?: CWTContent): CWTBuilder;
+  /** @throws If the strategy is not supported or if there is no token to merge */
+  static merge(
+    tokens: CWT[],
+    strategy?: MergeStrategy,
+  ): { token: CWT; conflicts: MergeConflict[] };
+  static diff(before?: CWT | null, after?: CWT | null): TokenDiff;
+}
+
+export declare class CWTBuilder {
+  constructor(token: CWT);
+
+  token: CWT;
+
+  set(fields: CWTContent): this;
+  setConsentStatus(
+    status: ConsentStatus,
+    purpose: Purpose,
+    vendorId: string,
+    legalBasis?: LegalBasis,
+    options?: ConsentStatusOptions,
+  ): this;
+  removeConsentStatus(purpose: Purpose, vendorId: string): this;
+  build(): CWT;
+}
+
+/**
+ * Migration between two successive versions of the specification
+ */
+export interface Migration {
+  upgrade(token: Record<string, any>): Record<string, any>;
+  downgrade(token: Record<string, any>): Record<string, any>;
+}
+
+export declare class VersionRegistry {
+  constructor(migrations?: Migration[]);
+
+  migrations: Migration[];
+  readonly currentVersion: number;
+
+  register(migration: Migration): VersionRegistry;
+  /** @throws If the version is not known by the registry */
+  checkVersion(version: number): void;
+  /** @throws If the version of the token is not supported */
+  upgrade(token: Record<string, any>): Record<string, any>;
+  /** @throws If the target version is not supported */
+  downgrade(token: Record<string, any>, version: number): Record<string, any>;
+}
+
+export declare const versions: VersionRegistry;
+
+/**
+ * Translations indexed by locale (`en`, `fr`, `fr-CA`, etc.)
+ */
+export type Translations = Record<string, string>;
+
+export interface PurposeDefinition {
+  /** ID of the purpose in the tokens */
+  id: Purpose;
+  names?: Translations;
+  descriptions?: Translations;
+  /** Legal basis under which the purpose is usually processed (defaults to `consent`) */
+  defaultLegalBasis?: LegalBasis;
+  /** ID of the parent purpose, which must be registered first */
+  parent?: Purpose;
+  /** IDs of the IAB TCF v2 purposes and special features that the purpose maps to */
+  tcf?: { purposes?: number[]; specialFeatures?: number[] };
+  /** False for the standard purposes of the specification (defaults to true) */
+  custom?: boolean;
+}
+
+/**
+ * Frozen metadata of a registered purpose
+ */
+export interface PurposeMetadata {
+  readonly id: Purpose;
+  readonly names: Readonly<Translations>;
+  readonly descriptions: Readonly<Translations>;
+  readonly defaultLegalBasis: LegalBasis;
+  readonly parent: Purpose | null;
+  readonly tcf: { readonly purposes: readonly number[]; readonly specialFeatures: readonly number[] };
+  readonly custom: boolean;
+}
+
+/**
+ * Metadata of a purpose translated in a locale (see `PurposeRegistry#describe`)
+ */
+export interface PurposeDescription {
+  id: Purpose;
+  /** The ID of the purpose if it has no name */
+  name: string;
+  description: string | null;
+  defaultLegalBasis: LegalBasis;
+  parent: Purpose | null;
+  tcf: PurposeMetadata['tcf'];
+  custom: boolean;
+}
+
+export declare class PurposeRegistry {
+  constructor(definitions?: PurposeDefinition[]);
+
+  definitions: Record<string, PurposeMetadata>;
+
+  /** @throws If the definition is not valid or if the purpose is already registered */
+  register(definition: PurposeDefinition): PurposeRegistry;
+  has(id: Purpose): boolean;
+  get(id: Purpose): PurposeMetadata | null;
+  list(options?: { custom?: boolean }): PurposeMetadata[];
+  /** The parent, grand-parent, etc. of a purpose, closest first */
+  getAncestors(id: Purpose): Purpose[];
+  /** The children, grand-children, etc. of a purpose */
+  getDescendants(id: Purpose): Purpose[];
+  getName(id: Purpose, locale?: string): string;
+  getDescription(id: Purpose, locale?: string): string | null;
+  /** Describe any purpose ID, including the purposes that are not registered */
+  describe(id: Purpose, locale?: string): PurposeDescription;
+  toTCFMapping(): typeof TCFMapping;
+}
+
+/**
+ * Registry of the standard purposes and of the purposes registered by the application
+ */
+export declare const purposeRegistry: PurposeRegistry;
+
+export interface VendorGroupDefinition {
+  /** ID of the group in the tokens, used as a vendor ID */
+  id: string;
+  /** IDs of the vendors of the group */
+  vendors: string[];
+}
+
+/**
+ * Frozen definition of a registered vendor group
+ */
+export interface VendorGroup {
+  readonly id: string;
+  readonly vendors: readonly string[];
+}
+
+/**
+ * The status of a vendor is resolved from the vendor, then its groups (a refusal winning over an agreement), then the `*` vendor
+ */
+export declare class VendorGroupRegistry {
+  constructor(definitions?: VendorGroupDefinition[]);
+
+  definitions: Record<string, VendorGroup>;
+
+  /** @throws If the definition is not valid or if the group is already registered */
+  register(definition: VendorGroupDefinition): VendorGroupRegistry;
+  has(id: string): boolean;
+  get(id: string): VendorGroup | null;
+  list(): VendorGroup[];
+  /** The IDs of the groups that contain a vendor */
+  getGroups(vendorId: string): string[];
+  /** The vendors of a group or the vendor ID itself if it is not a group */
+  expand(vendorId: string): string[];
+  /** Find the vendor entry of a purpose that decides the status of a vendor */
+  resolve(
+    vendors: VendorConsent[],
+    vendorId: string,
+    field: 'status' | 'legitimate_interest',
+  ): VendorConsent | null;
+}
+
+/**
+ * Registry of the vendor groups used by the tokens
+ */
+export declare const vendorGroupRegistry: VendorGroupRegistry;
+
+// The parsers return null if the input is not a valid token and throw if it uses a version of the specification that is not supported
+
+export declare function CWTFromJSON(
+  jsonString: string,
+  options?: ValidationOptions,
+): CWT | null;
+/** @deprecated The compressed format is lossy, use `CWTFromCompactJSON` instead */
+export declare function CWTFromCompressedJSON(
+  jsonString: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromCompactJSON(
+  jsonString: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromBase64(
+  base64String: string,
+  options?: ValidationOptions,
+): CWT | null;
+/** @deprecated The compressed format is lossy, use `CWTFromCompactBase64` instead */
+export declare function CWTFromCompressedBase64(
+  base64String: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromCompactBase64(
+  base64String: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromBase64Url(
+  base64UrlString: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromCompactBase64Url(
+  base64UrlString: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromCBOR(
+  data: Uint8Array | ArrayBuffer,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromCBORBase64(
+  base64UrlString: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromTransportString(
+  transportString: string,
+  options?: ValidationOptions,
+): CWT | null;
+export declare function CWTFromJWT(
+  jwtString: string,
+  keyOrKeySet: Key | JWKS,
+  options?: ValidationOptions,
+): CWT | null;
+export interface CWTFromStringOptions extends ValidationOptions {
+  /** Key or key set that signed the token: if provided, only signed JWTs are accepted */
+  key?: Key | JWKS;
+}
+
+/**
+ * Parse a token in any of the string encodings (JWT, transport string, JSON, base64, base64url)
+ */
+export declare function CWTFromString(
+  value: string | null | undefined,
+  options?: CWTFromStringOptions,
+): CWT | null;
+export declare function CWTFromTCString(
+  tcString: string,
+  mapping?: TCFMappingDefinition,
+): CWT | null;
+export declare function CWTFromConsentModeState(
+  state: Partial<ConsentModeState>,
+  mapping?: ConsentModeMappingDefinition,
+  tokenContent?: CWTContent,
+  vendorId?: string,
+): CWT;
+export declare function CWTFromUSPrivacyString(
+  usPrivacyString: string,
+  tokenContent?: CWTContent,
+): CWT | null;
+export declare function CWTFromGPPString(
+  gppString: string,
+  mapping?: TCFMappingDefinition,
+): CWT | null;
+
+export declare function decodeTCString(tcString: string): TCData | null;
+export declare function decodeUSPrivacyString(usPrivacyString: string): USPrivacyData | null;
+export declare function decodeGPPString(gppString: string): GPPData | null;
+
+/**
+ * Load a JSON Web Key Set from a JSON file or check a key set object
+ *
+ * @throws If the key set is not valid
+ */
+export declare function loadJWKS(source: string | JWKS): JWKS;
+
+export type StorageEncoding = 'json' | 'compact' | 'compressed' | 'base64';
+
+export declare const StorageEncodings: {
+  readonly JSON: 'json';
+  readonly Compact: 'compact';
+  readonly Compressed: 'compressed';
+  readonly Base64: 'base64';
+};
+
+/**
+ * Document holding the cookies (`window.document` in browsers)
+ */
+export interface CookieDocument {
+  cookie: string;
+}
+
+/**
+ * Storage holding the tokens (`window.localStorage` in browsers)
+ */
+export interface TokenStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface CookieAttributes {
+  domain?: string;
+  path?: string;
+  document?: CookieDocument;
+}
+
+export interface SaveToCookieOptions extends CookieAttributes {
+  name?: string;
+  encoding?: StorageEncoding;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+  /** Lifetime of the cookie in seconds (defaults to 13 months) */
+  maxAge?: number;
+  secure?: boolean;
+  /** Maximum size of a cookie before the token is split across several cookies */
+  maxSize?: number;
+}
+
+export interface LoadFromCookieOptions {
+  encoding?: StorageEncoding;
+  document?: CookieDocument;
+  validation?: ValidationOptions;
+}
+
+export interface LocalStorageOptions {
+  encoding?: StorageEncoding;
+  storage?: TokenStorage;
+}
+
+export interface SaveToLocalStorageOptions extends LocalStorageOptions {
+  key?: string;
+}
+
+export interface LoadFromLocalStorageOptions extends LocalStorageOptions {
+  validation?: ValidationOptions;
+}
+
+export declare function saveToCookie(token: CWT, options?: SaveToCookieOptions): void;
+export declare function loadFromCookie(
+  name?: string | null,
+  options?: LoadFromCookieOptions,
+): CWT | null;
+export declare function removeFromCookie(name?: string | null, options?: CookieAttributes): void;
+export declare function saveToLocalStorage(token: CWT, options?: SaveToLocalStorageOptions): void;
+export declare function loadFromLocalStorage(
+  key?: string | null,
+  options?: LoadFromLocalStorageOptions,
+): CWT | null;
+export declare function removeFromLocalStorage(
+  key?: string | null,
+  options?: { storage?: TokenStorage },
+): void;
+
+/**
+ * Minimal request interface used by the middleware (node.js `IncomingMessage`, Express/Connect requests)
+ */
+export interface ConsentRequest {
+  headers?: { [name: string]: string | string[] | undefined };
+  url?: string;
+  query?: unknown;
+  consent?: RequestConsent;
+}
+
+/**
+ * Minimal response interface used by the middleware (node.js `ServerResponse`, Express/Connect responses)
+ */
+export interface ConsentResponse {
+  getHeader(name: string): unknown;
+  setHeader(name: string, value: string | string[]): unknown;
+  setConsentToken?: (token: CWT, overrides?: Omit<SaveToCookieOptions, 'document' | 'encoding'>) => void;
+  clearConsentToken?: (overrides?: Omit<CookieAttributes, 'document'>) => void;
+}
+
+/**
+ * Consent information of a request (`req.consent`)
+ */
+export interface RequestConsent {
+  token: CWT | null;
+  source: 'cookie' | 'header' | 'query' | null;
+  /** Error raised while parsing the token (unsupported version of the specification) */
+  error: Error | null;
+  /** Privacy signals of the request applied to the token */
+  signals: PrivacySignal[];
+
+  status(purpose: Purpose, vendorId: string, legalBasis?: LegalBasis | LegalBasis[]): ConsentStatus;
+  allows(purpose: Purpose, vendorId: string, legalBasis?: LegalBasis | LegalBasis[]): boolean;
+}
+
+export interface ConsentMiddlewareOptions {
+  /** Name of the cookie holding the token (false to ignore cookies) */
+  cookie?: string | false;
+  /** Name of the header holding the token (false to ignore headers) */
+  header?: string | false;
+  /** Name of the query parameter holding the token (disabled by default) */
+  query?: string | false;
+  /** Key or key set that signed the tokens: if provided, only signed JWTs are accepted */
+  key?: Key | JWKS;
+  validation?: ValidationOptions;
+  /** Encoding of the tokens written in the cookie */
+  encoding?: StorageEncoding;
+  /** If provided, the tokens written in the cookie are signed JWTs */
+  signingKey?: Key;
+  signingOptions?: JWTOptions;
+  cookieOptions?: Omit<SaveToCookieOptions, 'name' | 'document' | 'encoding'>;
+  /** Privacy signals of the requests to honor */
+  privacySignals?: PrivacySignal[];
+  /** Purposes refused by the privacy signals (defaults to `SignalPurposes`) */
+  signalPurposes?: Purpose[];
+}
+
+/**
+ * Create an Express/Connect middleware that exposes the token of the user as `req.consent`
+ *
+ * @throws If the encoding is not supported
+ */
+export declare function consentMiddleware(
+  options?: ConsentMiddlewareOptions,
+): (req: ConsentRequest, res: ConsentResponse, next: (error?: unknown) => void) => void;
+
+/**
+ * Get the privacy signals sent with a request (`Sec-GPC` and `DNT` headers)
+ */
+export declare function getRequestPrivacySignals(
+  headers?: { [name: string]: string | string[] | undefined },
+): PrivacySignal[];
+
+/**
+ * Get the privacy signals enabled in the browser (`navigator.globalPrivacyControl` and `navigator.doNotTrack`)
+ */
+export declare function getBrowserPrivacySignals(browserNavigator?: {
+  globalPrivacyControl?: boolean;
+  doNotTrack?: string | null;
+}): PrivacySignal[];